@@ -17,12 +17,19 @@ const userRoutes = require('./routes/users');
 const studentRoutes = require('./routes/students');
 const classRoutes = require('./routes/classes');
 const attendanceRoutes = require('./routes/attendance');
+const lessonRoutes = require('./routes/lessons');
+const bookingRoutes = require('./routes/bookings');
 const paymentRoutes = require('./routes/payments');
 const graduationRoutes = require('./routes/graduations');
 const storeRoutes = require('./routes/products');
+const orderRoutes = require('./routes/orders');
 const dashboardRoutes = require('./routes/dashboard');
 const webhookRoutes = require('./routes/webhooks');
+const notificationRoutes = require('./routes/notifications');
 const settingsRoutes = require('./routes/settings');
+const closureRoutes = require('./routes/closures');
+const kioskRoutes = require('./routes/kiosk');
+const recurringBookingRoutes = require('./routes/recurringBookings');
 
 const app = express();
 
@@ -84,7 +91,8 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'Cache-Control',
-    'Pragma'
+    'Pragma',
+    'X-Kiosk-Key'
   ],
   exposedHeaders: ['X-Total-Count', 'X-Page-Count']
 };
@@ -172,12 +180,20 @@ app.use('/api/users', userRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/classes', classRoutes);
 app.use('/api/attendances', attendanceRoutes);
+app.use('/api/lessons', lessonRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/recurring-bookings', recurringBookingRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/graduations', graduationRoutes);
+// Pedidos antes da loja: /api/store/:id capturaria /api/store/orders
+app.use('/api/store/orders', orderRoutes);
 app.use('/api/store', storeRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/webhooks', webhookLimiter, webhookRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/closures', closureRoutes);
+app.use('/api/kiosk', kioskRoutes);
 
 // Rota para informações da API
 app.get('/api', (req, res) => {
@@ -193,12 +209,19 @@ app.get('/api', (req, res) => {
       students: '/api/students',
       classes: '/api/classes',
       attendances: '/api/attendances',
+      lessons: '/api/lessons',
+      bookings: '/api/bookings',
+      recurringBookings: '/api/recurring-bookings',
       payments: '/api/payments',
       graduations: '/api/graduations',
       store: '/api/store',
+      orders: '/api/store/orders',
       dashboard: '/api/dashboard',
       webhooks: '/api/webhooks',
       settings: '/api/settings',
+      notifications: '/api/notifications',
+      closures: '/api/closures',
+      kiosk: '/api/kiosk',
       health: '/api/health'
     }
   });
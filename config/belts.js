@@ -0,0 +1,111 @@
+// Escada de faixas (padrão IBJJF), da mais baixa para a mais alta
+// - trilhas: grupos de alunos que seguem a faixa ('kids' e/ou 'adulto')
+// - grauInicial/grauMaximo: graus possíveis na faixa (na preta e acima os graus continuam)
+// - idadeMinima/idadeMaxima: idade exigida para receber a faixa (null = sem limite)
+const FAIXAS = [
+  { faixa: 'branca', nome: 'Branca', trilhas: ['kids', 'adulto'], grauInicial: 0, grauMaximo: 4, idadeMinima: null, idadeMaxima: null },
+
+  // Faixas infantis (4 a 15 anos)
+  { faixa: 'cinza-branca', nome: 'Cinza e branca', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 4, idadeMaxima: 15 },
+  { faixa: 'cinza', nome: 'Cinza', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 4, idadeMaxima: 15 },
+  { faixa: 'cinza-preta', nome: 'Cinza e preta', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 4, idadeMaxima: 15 },
+  { faixa: 'amarela-branca', nome: 'Amarela e branca', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 7, idadeMaxima: 15 },
+  { faixa: 'amarela', nome: 'Amarela', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 7, idadeMaxima: 15 },
+  { faixa: 'amarela-preta', nome: 'Amarela e preta', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 7, idadeMaxima: 15 },
+  { faixa: 'laranja-branca', nome: 'Laranja e branca', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 10, idadeMaxima: 15 },
+  { faixa: 'laranja', nome: 'Laranja', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 10, idadeMaxima: 15 },
+  { faixa: 'laranja-preta', nome: 'Laranja e preta', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 10, idadeMaxima: 15 },
+  { faixa: 'verde-branca', nome: 'Verde e branca', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 13, idadeMaxima: 15 },
+  { faixa: 'verde', nome: 'Verde', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 13, idadeMaxima: 15 },
+  { faixa: 'verde-preta', nome: 'Verde e preta', trilhas: ['kids'], grauInicial: 0, grauMaximo: 4, idadeMinima: 13, idadeMaxima: 15 },
+
+  // Faixas adultas (16 anos ou mais)
+  { faixa: 'azul', nome: 'Azul', trilhas: ['adulto'], grauInicial: 0, grauMaximo: 4, idadeMinima: 16, idadeMaxima: null },
+  { faixa: 'roxa', nome: 'Roxa', trilhas: ['adulto'], grauInicial: 0, grauMaximo: 4, idadeMinima: 16, idadeMaxima: null },
+  { faixa: 'marrom', nome: 'Marrom', trilhas: ['adulto'], grauInicial: 0, grauMaximo: 4, idadeMinima: 18, idadeMaxima: null },
+  { faixa: 'preta', nome: 'Preta', trilhas: ['adulto'], grauInicial: 0, grauMaximo: 6, idadeMinima: 19, idadeMaxima: null },
+  { faixa: 'coral', nome: 'Coral (vermelha e preta)', trilhas: ['adulto'], grauInicial: 7, grauMaximo: 7, idadeMinima: 50, idadeMaxima: null },
+  { faixa: 'vermelha-branca', nome: 'Vermelha e branca', trilhas: ['adulto'], grauInicial: 8, grauMaximo: 8, idadeMinima: 57, idadeMaxima: null },
+  { faixa: 'vermelha', nome: 'Vermelha', trilhas: ['adulto'], grauInicial: 9, grauMaximo: 10, idadeMinima: 67, idadeMaxima: null }
+];
+
+// Identificadores das faixas em ordem (usado nos enums dos models e validações)
+const NOMES_FAIXAS = FAIXAS.map(item => item.faixa);
+
+/**
+ * Buscar a definição de uma faixa
+ * @returns {Object|null}
+ */
+const buscarFaixa = (faixa) => FAIXAS.find(item => item.faixa === faixa) || null;
+
+/**
+ * Posição da faixa na escada (-1 se não existir)
+ */
+const posicaoFaixa = (faixa) => NOMES_FAIXAS.indexOf(faixa);
+
+/**
+ * Verificar se a faixa é preta ou superior (coral e vermelhas)
+ */
+const faixaPretaOuSuperior = (faixa) => posicaoFaixa(faixa) >= posicaoFaixa('preta');
+
+/**
+ * Verificar se a idade permite receber a faixa
+ * @returns {string|null} motivo quando não permite
+ */
+const verificarIdadeFaixa = (faixa, idade) => {
+  const definicao = buscarFaixa(faixa);
+  if (!definicao || idade === null || idade === undefined) return null;
+
+  if (definicao.idadeMinima !== null && idade < definicao.idadeMinima) {
+    return `Idade mínima para a faixa ${definicao.nome} é ${definicao.idadeMinima} anos`;
+  }
+
+  if (definicao.idadeMaxima !== null && idade > definicao.idadeMaxima) {
+    return `Faixa ${definicao.nome} é apenas para alunos de até ${definicao.idadeMaxima} anos`;
+  }
+
+  return null;
+};
+
+/**
+ * Calcular a próxima graduação: próximo grau na faixa atual ou a próxima
+ * faixa da trilha do aluno (um aluno adulto com faixa infantil segue para a azul)
+ * @param {string} faixaAtual
+ * @param {number} grauAtual
+ * @param {string} trilha - 'kids' ou 'adulto'
+ * @returns {Object|null} { faixa, grau, tipo } ou null se já está no topo da trilha
+ */
+const proximaFaixa = (faixaAtual, grauAtual = 0, trilha = 'adulto') => {
+  const definicao = buscarFaixa(faixaAtual);
+  if (!definicao) return null;
+
+  if (grauAtual < definicao.grauMaximo) {
+    return {
+      faixa: faixaAtual,
+      grau: Math.max(grauAtual + 1, definicao.grauInicial),
+      tipo: 'grau'
+    };
+  }
+
+  const proxima = FAIXAS
+    .slice(posicaoFaixa(faixaAtual) + 1)
+    .find(item => item.trilhas.includes(trilha));
+
+  if (!proxima) return null;
+
+  return {
+    faixa: proxima.faixa,
+    grau: proxima.grauInicial,
+    tipo: 'promocao'
+  };
+};
+
+module.exports = {
+  FAIXAS,
+  NOMES_FAIXAS,
+  buscarFaixa,
+  posicaoFaixa,
+  faixaPretaOuSuperior,
+  verificarIdadeFaixa,
+  proximaFaixa
+};
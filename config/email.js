@@ -0,0 +1,70 @@
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+// Transporter compartilhado entre os envios
+let transporter;
+
+/**
+ * Criar o transporter de email
+ * EMAIL_TRANSPORT=json (padrão em testes) gera as mensagens sem enviá-las
+ */
+const createTransporter = () => {
+  const transport = process.env.EMAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'test' ? 'json' : 'smtp');
+
+  if (transport === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+};
+
+// Função para obter o transporter (criado sob demanda)
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter();
+    logger.info('Transporter de email inicializado', {
+      transport: transporter.transporter.name
+    });
+  }
+
+  return transporter;
+};
+
+// Função para substituir o transporter (ex.: servidor SMTP local em testes)
+const setTransporter = (novoTransporter) => {
+  transporter = novoTransporter;
+};
+
+// Remetente padrão das mensagens
+const getSender = () => {
+  const email = process.env.EMAIL_FROM || 'noreply@spartanjiujitsu.com';
+  const nome = process.env.EMAIL_FROM_NAME || 'Spartan Jiu-Jitsu';
+
+  return `"${nome}" <${email}>`;
+};
+
+// Função para enviar uma mensagem já montada
+const sendMail = async (mensagem) => {
+  return getTransporter().sendMail({
+    from: getSender(),
+    ...mensagem
+  });
+};
+
+module.exports = {
+  getTransporter,
+  setTransporter,
+  getSender,
+  sendMail
+};
@@ -0,0 +1,119 @@
+const logger = require('./logger');
+
+// Provedor compartilhado entre os envios
+let provider;
+
+/**
+ * Provedor falso: guarda as mensagens em memória (testes e desenvolvimento)
+ */
+const createFakeProvider = () => {
+  const enviadas = [];
+
+  return {
+    nome: 'fake',
+    enviadas,
+    send: async ({ canal, para, mensagem }) => {
+      const registro = {
+        sid: `FAKE${String(enviadas.length + 1).padStart(6, '0')}`,
+        status: 'queued',
+        canal,
+        para,
+        mensagem
+      };
+
+      enviadas.push(registro);
+      return { sid: registro.sid, status: registro.status };
+    }
+  };
+};
+
+/**
+ * Provedor Twilio para SMS e WhatsApp
+ */
+const createTwilioProvider = () => {
+  const twilio = require('twilio');
+  const client = twilio(process.env.SMS_ACCOUNT_SID, process.env.SMS_AUTH_TOKEN);
+
+  return {
+    nome: 'twilio',
+    send: async ({ canal, para, mensagem }) => {
+      const whatsapp = canal === 'whatsapp';
+      const remetente = whatsapp
+        ? process.env.WHATSAPP_FROM_NUMBER || process.env.SMS_FROM_NUMBER
+        : process.env.SMS_FROM_NUMBER;
+
+      const resultado = await client.messages.create({
+        from: whatsapp ? `whatsapp:${remetente}` : remetente,
+        to: whatsapp ? `whatsapp:${para}` : para,
+        body: mensagem,
+        statusCallback: process.env.BACKEND_URL
+          ? `${process.env.BACKEND_URL}/api/webhooks/twilio/status`
+          : undefined
+      });
+
+      return { sid: resultado.sid, status: resultado.status };
+    }
+  };
+};
+
+/**
+ * Criar o provedor conforme SMS_PROVIDER (padrão em testes: fake)
+ */
+const createProvider = () => {
+  const nome = process.env.SMS_PROVIDER ||
+    (process.env.NODE_ENV === 'test' ? 'fake' : 'twilio');
+
+  if (nome === 'fake') {
+    return createFakeProvider();
+  }
+
+  if (nome !== 'twilio') {
+    throw new Error(`Provedor de SMS não suportado: ${nome}`);
+  }
+
+  return createTwilioProvider();
+};
+
+// Função para obter o provedor (criado sob demanda)
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+    logger.info('Provedor de SMS/WhatsApp inicializado', { provider: provider.nome });
+  }
+
+  return provider;
+};
+
+// Função para substituir o provedor (ex.: provedor falso em testes)
+const setProvider = (novoProvider) => {
+  provider = novoProvider;
+};
+
+/**
+ * Normalizar telefone brasileiro para o formato E.164 (+5511999999999)
+ */
+const normalizePhone = (telefone) => {
+  if (!telefone) return null;
+
+  const digitos = String(telefone).replace(/\D/g, '');
+  if (!digitos) return null;
+
+  if (String(telefone).trim().startsWith('+')) return `+${digitos}`;
+  if (digitos.length === 10 || digitos.length === 11) return `+55${digitos}`;
+  if (digitos.startsWith('55') && digitos.length >= 12) return `+${digitos}`;
+
+  return null;
+};
+
+// Função para enviar uma mensagem pelo provedor configurado
+const sendMessage = async ({ canal, para, mensagem }) => {
+  return getProvider().send({ canal, para, mensagem });
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  createFakeProvider,
+  normalizePhone,
+  sendMessage
+};
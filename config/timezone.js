@@ -0,0 +1,60 @@
+const moment = require('moment-timezone');
+
+// Timezone padrão até as configurações serem carregadas do banco
+const TIMEZONE_PADRAO = process.env.TIMEZONE || 'America/Sao_Paulo';
+
+// Timezone vigente da academia (atualizado a partir de Settings.timezone)
+let timezoneAtual = TIMEZONE_PADRAO;
+moment.tz.setDefault(timezoneAtual);
+
+/**
+ * Verificar se o nome é um timezone IANA conhecido (ex.: America/Sao_Paulo)
+ */
+const timezoneValido = (nome) => Boolean(nome && moment.tz.zone(nome));
+
+/**
+ * Timezone vigente da academia
+ */
+const getTimezone = () => timezoneAtual;
+
+/**
+ * Definir o timezone da academia (chamado ao carregar ou salvar as configurações)
+ * Também passa a ser o padrão de moment() no processo
+ */
+const setTimezone = (nome) => {
+  if (!timezoneValido(nome)) {
+    throw new Error(`Timezone inválido: ${nome}`);
+  }
+
+  timezoneAtual = nome;
+  moment.tz.setDefault(nome);
+};
+
+/**
+ * Instante (ou agora) no timezone da academia
+ * @returns {moment.Moment}
+ */
+const naAcademia = (data) => (data === undefined
+  ? moment.tz(timezoneAtual)
+  : moment.tz(data, timezoneAtual));
+
+/**
+ * Combinar o dia de uma data (no timezone da academia) com um horário "HH:MM"
+ * Usa o deslocamento do próprio dia, então horário de verão (inclusive histórico)
+ * é respeitado; horários inexistentes na virada são adiantados pelo moment
+ * @returns {Date}
+ */
+const combinarDataHora = (data, horario) => {
+  const dia = naAcademia(data).format('YYYY-MM-DD');
+
+  return moment.tz(`${dia} ${horario}`, 'YYYY-MM-DD HH:mm', timezoneAtual).toDate();
+};
+
+module.exports = {
+  TIMEZONE_PADRAO,
+  timezoneValido,
+  getTimezone,
+  setTimezone,
+  naAcademia,
+  combinarDataHora
+};
@@ -0,0 +1,120 @@
+const cron = require('node-cron');
+const Class = require('../models/Class');
+const Closure = require('../models/Closure');
+require('../models/Lesson');
+const RecurringBooking = require('../models/RecurringBooking');
+require('../models/Student');
+const Settings = require('../models/Settings');
+const logger = require('../config/logger');
+const { getTimezone, naAcademia } = require('../config/timezone');
+
+// Tarefas agendadas
+const scheduledJobs = {};
+
+/**
+ * Materializar as aulas de uma turma no horizonte configurado
+ * @param {Object} turma - documento da turma
+ * @param {Object} opcoes - referencia (padrão: agora) e semanas (padrão: Settings)
+ * @returns {Array} aulas criadas
+ */
+const materializeClass = async (turma, opcoes = {}) => {
+  const referencia = opcoes.referencia || new Date();
+  let semanas = opcoes.semanas;
+
+  if (!semanas) {
+    const settings = await Settings.getSettings();
+    semanas = settings.lessonGenerationWeeks;
+  }
+
+  // Período em dias inteiros no timezone da academia
+  const dataInicio = naAcademia(referencia).startOf('day');
+  const dataFim = dataInicio.clone().add(semanas * 7 - 1, 'days').endOf('day');
+
+  return turma.materializarAulas(dataInicio.toDate(), dataFim.toDate(), { agora: referencia });
+};
+
+/**
+ * Job para manter as aulas das turmas ativas geradas N semanas à frente
+ * Executa diariamente; datas que já têm aula ou em que a academia está
+ * fechada são puladas
+ * @param {Date} referencia - instante atual (padrão: agora)
+ */
+const generateLessons = async (referencia = new Date()) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    // Feriados nacionais dos anos do horizonte (importação idempotente)
+    const inicioHorizonte = naAcademia(referencia);
+    const fimHorizonte = inicioHorizonte.clone().add(settings.lessonGenerationWeeks * 7, 'days');
+
+    for (const ano of new Set([inicioHorizonte.year(), fimHorizonte.year()])) {
+      await Closure.importarFeriadosNacionais(ano);
+    }
+
+    const turmas = await Class.find({ ativa: true });
+    const resumo = { turmas: 0, geradas: 0 };
+
+    for (const turma of turmas) {
+      try {
+        const criadas = await materializeClass(turma, {
+          referencia,
+          semanas: settings.lessonGenerationWeeks
+        });
+
+        resumo.turmas++;
+        resumo.geradas += criadas.length;
+      } catch (error) {
+        logger.error(`Erro ao gerar aulas da turma ${turma._id}:`, error);
+      }
+    }
+
+    logger.job('generateLessons', 'completed', resumo);
+
+    // Reservas recorrentes que estavam pausadas voltam a agendar as aulas já geradas
+    const reservas = await RecurringBooking.agendarReservasAtivas(referencia);
+    if (reservas.agendados > 0) {
+      logger.job('scheduleRecurringBookings', 'completed', reservas);
+    }
+
+    return resumo;
+
+  } catch (error) {
+    logger.error('Erro na geração automática de aulas:', error);
+    return null;
+  }
+};
+
+/**
+ * Inicializar jobs
+ */
+const initializeLessonGenerationJobs = () => {
+  if (scheduledJobs.generation) {
+    scheduledJobs.generation.stop();
+  }
+
+  // Gerar aulas todos os dias às 02:30
+  scheduledJobs.generation = cron.schedule('30 2 * * *', () => generateLessons(), {
+    timezone: getTimezone()
+  });
+  scheduledJobs.timezone = getTimezone();
+
+  logger.info('Job de geração de aulas inicializado');
+};
+
+/**
+ * Reagendar a geração de aulas se o timezone da academia mudou
+ * Só tem efeito se o job já foi inicializado
+ */
+const rescheduleLessonGenerationJobs = () => {
+  if (!scheduledJobs.generation || getTimezone() === scheduledJobs.timezone) return false;
+
+  initializeLessonGenerationJobs();
+  return true;
+};
+
+module.exports = {
+  initializeLessonGenerationJobs,
+  rescheduleLessonGenerationJobs,
+  generateLessons,
+  materializeClass
+};
@@ -0,0 +1,140 @@
+const cron = require('node-cron');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const logger = require('../config/logger');
+const { getTimezone } = require('../config/timezone');
+
+const HORA_MS = 60 * 60 * 1000;
+
+// Janelas de lembrete, da mais próxima para a mais distante
+// Cada aula recebe apenas o lembrete da janela em que se encontra; ao enviar
+// o de 2h, o de 24h também é marcado para não chegar atrasado
+const REMINDER_WINDOWS = [
+  { janela: '2h', horas: 2, flags: ['lembrete_2h', 'lembrete_24h'] },
+  { janela: '24h', horas: 24, flags: ['lembrete_24h'] }
+];
+
+// Tarefas agendadas
+const scheduledJobs = {};
+
+/**
+ * Enfileirar uma notificação apenas se ainda não existir
+ * Permite retomar uma aula interrompida sem duplicar lembretes; o horário da
+ * aula faz parte da chave para que uma aula remarcada volte a ser lembrada
+ */
+const enqueueOnce = async (tipo, opcoes) => {
+  const existente = await Notification.exists({
+    tipo,
+    'referencia.modelo': opcoes.referencia.modelo,
+    'referencia.id': opcoes.referencia.id,
+    'dados.janela': opcoes.dados.janela,
+    'dados.hora_inicio': opcoes.dados.hora_inicio
+  });
+
+  if (existente) return false;
+
+  await Notification.enfileirar(tipo, opcoes);
+  return true;
+};
+
+/**
+ * Enfileirar os lembretes de uma aula e marcar a janela como enviada
+ * A marcação acontece depois do enfileiramento: se o processo for interrompido,
+ * a próxima execução retoma a aula e enqueueOnce evita duplicidade
+ */
+const remindLesson = async (aula, { janela, flags }) => {
+  const agendamentos = await Booking.find({ aula_id: aula._id, status: 'confirmado' });
+  let alunos = 0;
+
+  for (const agendamento of agendamentos) {
+    const criado = await enqueueOnce('lembrete_aula', {
+      aluno_id: agendamento.aluno_id,
+      referencia: { modelo: 'Booking', id: agendamento._id },
+      dados: { janela, hora_inicio: aula.hora_inicio }
+    });
+
+    if (criado) alunos++;
+  }
+
+  let instrutor = false;
+
+  if (aula.turma_id && aula.turma_id.configuracoes.notificar_instrutor) {
+    instrutor = await enqueueOnce('lembrete_aula_instrutor', {
+      referencia: { modelo: 'Lesson', id: aula._id },
+      dados: { janela, hora_inicio: aula.hora_inicio }
+    });
+  }
+
+  const marcacao = {};
+  flags.forEach(flag => {
+    marcacao[`configuracoes.notificacoes_enviadas.${flag}`] = true;
+  });
+
+  await Lesson.updateOne({ _id: aula._id }, { $set: marcacao });
+
+  return { alunos, instrutor };
+};
+
+/**
+ * Job para enviar lembretes de aulas agendadas (24h e 2h antes)
+ * Executa a cada 15 minutos; os lembretes são entregues pela fila de notificações
+ * @param {Date} referencia - instante atual (padrão: agora)
+ */
+const sendLessonReminders = async (referencia = new Date()) => {
+  try {
+    const resumo = { aulas: 0, alunos: 0, instrutores: 0 };
+    let limiteInferior = referencia;
+
+    for (const janela of REMINDER_WINDOWS) {
+      const limiteSuperior = new Date(referencia.getTime() + janela.horas * HORA_MS);
+
+      const aulas = await Lesson.find({
+        status: 'agendada',
+        hora_inicio: { $gt: limiteInferior, $lte: limiteSuperior },
+        [`configuracoes.notificacoes_enviadas.${janela.flags[0]}`]: { $ne: true }
+      }).populate('turma_id', 'nome configuracoes');
+
+      for (const aula of aulas) {
+        try {
+          const enviados = await remindLesson(aula, janela);
+
+          resumo.aulas++;
+          resumo.alunos += enviados.alunos;
+          if (enviados.instrutor) resumo.instrutores++;
+        } catch (error) {
+          logger.error(`Erro ao enviar lembretes da aula ${aula._id}:`, error);
+        }
+      }
+
+      limiteInferior = limiteSuperior;
+    }
+
+    if (resumo.aulas > 0) {
+      logger.job('sendLessonReminders', 'completed', resumo);
+    }
+
+    return resumo;
+
+  } catch (error) {
+    logger.error('Erro no envio de lembretes de aula:', error);
+    return null;
+  }
+};
+
+/**
+ * Inicializar jobs
+ */
+const initializeLessonReminderJobs = () => {
+  // Verificar aulas próximas a cada 15 minutos
+  scheduledJobs.reminders = cron.schedule('*/15 * * * *', () => sendLessonReminders(), {
+    timezone: getTimezone()
+  });
+
+  logger.info('Job de lembretes de aula inicializado');
+};
+
+module.exports = {
+  initializeLessonReminderJobs,
+  sendLessonReminders
+};
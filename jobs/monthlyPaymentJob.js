@@ -1,263 +1,252 @@
 const cron = require('node-cron');
 const moment = require('moment-timezone');
-const Student = require('../models/Student');
-const Payment = require('../models/Payment');
+const Monthly = require('../models/Monthly');
+const Settings = require('../models/Settings');
+const Notification = require('../models/Notification');
 const logger = require('../config/logger');
+const { getTimezone } = require('../config/timezone');
 
-// Configurar timezone
-moment.tz.setDefault(process.env.TIMEZONE || 'America/Sao_Paulo');
+// Tarefas agendadas (mantidas para permitir o reagendamento)
+const scheduledJobs = {};
+
+/**
+ * Expressão cron da geração de mensalidades para o dia configurado
+ * Dias acima de 28 executam nos últimos dias do mês e o job decide se é o dia
+ */
+const generationCronExpression = (generateOnDay) => {
+  return generateOnDay > 28 ? '0 0 28-31 * *' : `0 0 ${generateOnDay} * *`;
+};
+
+/**
+ * Verifica se a data é o dia de geração (meses curtos usam o último dia)
+ */
+const isGenerationDay = (referencia, generateOnDay) => {
+  const data = moment(referencia);
+  return data.date() === Math.min(generateOnDay, data.daysInMonth());
+};
 
 /**
  * Job para gerar mensalidades automaticamente
- * Executa todo dia 1º às 00:00
+ * Executa às 00:00 no dia do mês configurado em generateOnDay
+ * @param {Date} referencia - data usada para definir a competência (padrão: hoje)
  */
-const generateMonthlyPayments = async () => {
+const generateMonthlyPayments = async (referencia = new Date()) => {
   try {
-    logger.info('Iniciando geração de mensalidades mensais...');
+    const competencia = moment(referencia).format('YYYY-MM');
     
-    const currentDate = moment();
-    const competencia = currentDate.format('YYYY-MM');
-    const dueDate = currentDate.clone().add(10, 'days').toDate(); // Vencimento em 10 dias
+    logger.info(`Iniciando geração de mensalidades da competência ${competencia}...`);
     
-    // Buscar todos os alunos ativos
-    const activeStudents = await Student.find({
-      status: 'active',
-      isBlocked: false
-    }).populate('user', 'name email');
+    const settings = await Settings.getSettings();
     
-    let generatedCount = 0;
-    let skippedCount = 0;
+    // Cada aluno ativo recebe uma mensalidade com seu valor e dia de vencimento
+    const { geradas, existentes } = await Monthly.criarMensalidadesLote(competencia, {}, settings);
     
-    for (const student of activeStudents) {
-      try {
-        // Verificar se já existe mensalidade para esta competência
-        const existingPayment = await Payment.findOne({
-          student: student._id,
-          competencia: competencia
-        });
-        
-        if (existingPayment) {
-          skippedCount++;
-          continue;
-        }
-        
-        // Criar nova mensalidade
-        const payment = new Payment({
-          student: student._id,
-          competencia: competencia,
-          amount: student.monthlyFee || 150.00, // Valor padrão se não definido
-          dueDate: dueDate,
-          status: 'pending',
-          description: `Mensalidade ${currentDate.format('MMMM/YYYY')}`,
-          createdBy: null, // Gerado automaticamente
-          generatedAutomatically: true
-        });
-        
-        await payment.save();
-        generatedCount++;
-        
-        logger.info(`Mensalidade gerada para ${student.user.name} - ${competencia}`);
-        
-      } catch (error) {
-        logger.error(`Erro ao gerar mensalidade para aluno ${student._id}:`, error);
-      }
-    }
+    logger.info(`Geração de mensalidades concluída: ${geradas} geradas, ${existentes} já existiam`);
     
-    logger.info(`Geração de mensalidades concluída: ${generatedCount} geradas, ${skippedCount} já existiam`);
+    return { competencia, geradas, existentes };
     
   } catch (error) {
     logger.error('Erro na geração automática de mensalidades:', error);
+    return null;
   }
 };
 
 /**
- * Job para calcular multas e juros em mensalidades vencidas
+ * Job para marcar mensalidades vencidas e aplicar bloqueios
+ * Multa e juros são calculados sobre os dias de atraso de cada mensalidade
  * Executa diariamente às 01:00
+ * @param {Date} referencia - data do processamento (padrão: hoje)
  */
-const calculateLateFees = async () => {
+const calculateLateFees = async (referencia = new Date()) => {
   try {
     logger.info('Iniciando cálculo de multas e juros...');
     
-    const today = moment().startOf('day');
-    
-    // Buscar mensalidades vencidas e não pagas
-    const overduePayments = await Payment.find({
-      status: 'pending',
-      dueDate: { $lt: today.toDate() }
-    }).populate('student', 'user');
-    
-    let updatedCount = 0;
+    const settings = await Settings.getSettings();
+    const { atrasadas, bloqueadas } = await Monthly.atualizarStatusAtraso(referencia, settings);
     
-    for (const payment of overduePayments) {
-      try {
-        const daysOverdue = today.diff(moment(payment.dueDate), 'days');
-        
-        if (daysOverdue <= 0) continue;
-        
-        // Configurações padrão de multa e juros
-        const lateFeeType = process.env.DEFAULT_LATE_FEE_TYPE || 'percentage';
-        const lateFeeValue = parseFloat(process.env.DEFAULT_LATE_FEE_VALUE || '10');
-        const dailyInterest = parseFloat(process.env.DEFAULT_DAILY_INTEREST || '0.033');
-        
-        let lateFee = 0;
-        let interest = 0;
-        
-        // Calcular multa (apenas no primeiro dia de atraso)
-        if (daysOverdue >= 1 && !payment.lateFeeApplied) {
-          if (lateFeeType === 'percentage') {
-            lateFee = payment.amount * (lateFeeValue / 100);
-          } else {
-            lateFee = lateFeeValue;
-          }
-        }
-        
-        // Calcular juros diários
-        interest = payment.amount * (dailyInterest / 100) * daysOverdue;
-        
-        // Atualizar pagamento
-        const updatedPayment = await Payment.findByIdAndUpdate(
-          payment._id,
-          {
-            $set: {
-              lateFee: lateFee,
-              interest: interest,
-              totalAmount: payment.amount + lateFee + interest,
-              lateFeeApplied: lateFee > 0,
-              daysOverdue: daysOverdue,
-              lastCalculated: new Date()
-            }
-          },
-          { new: true }
-        );
-        
-        updatedCount++;
-        
-        // Verificar se deve bloquear o aluno
-        const blockDays = parseInt(process.env.DEFAULT_BLOCK_DAYS || '7');
-        if (daysOverdue >= blockDays) {
-          await Student.findByIdAndUpdate(
-            payment.student._id,
-            { 
-              isBlocked: true,
-              blockReason: `Mensalidade em atraso há ${daysOverdue} dias`,
-              blockedAt: new Date()
-            }
-          );
-          
-          logger.warn(`Aluno ${payment.student._id} bloqueado por atraso de ${daysOverdue} dias`);
-        }
-        
-        logger.info(`Multa/juros calculados para pagamento ${payment._id}: R$ ${(lateFee + interest).toFixed(2)}`);
-        
-      } catch (error) {
-        logger.error(`Erro ao calcular multa/juros para pagamento ${payment._id}:`, error);
-      }
+    if (bloqueadas > 0) {
+      logger.warn(`${bloqueadas} mensalidade(s) com atraso acima do limite bloquearam o check-in`);
     }
     
-    logger.info(`Cálculo de multas/juros concluído: ${updatedCount} pagamentos atualizados`);
+    logger.info(`Cálculo de multas/juros concluído: ${atrasadas} mensalidades marcadas como atrasadas`);
+    
+    return { atrasadas, bloqueadas };
     
   } catch (error) {
     logger.error('Erro no cálculo de multas e juros:', error);
+    return null;
   }
 };
 
 /**
  * Job para enviar lembretes de vencimento
  * Executa diariamente às 09:00
+ * @param {Date} referencia - data do envio (padrão: hoje)
  */
-const sendPaymentReminders = async () => {
+const sendPaymentReminders = async (referencia = new Date()) => {
   try {
     logger.info('Iniciando envio de lembretes de pagamento...');
     
-    const today = moment().startOf('day');
-    const reminderDays = [3, 1, 0, -1, -3, -7]; // Dias antes/depois do vencimento
+    const settings = await Settings.getSettings();
+    const today = moment(referencia).startOf('day');
+    const lembretes = [];
     
-    for (const days of reminderDays) {
+    for (const days of settings.reminderDays) {
       const targetDate = today.clone().add(days, 'days');
       
-      const payments = await Payment.find({
-        status: 'pending',
-        dueDate: {
+      const mensalidades = await Monthly.find({
+        status: { $in: ['em_aberto', 'atrasado'] },
+        vencimento: {
           $gte: targetDate.toDate(),
           $lt: targetDate.clone().add(1, 'day').toDate()
         }
-      }).populate({
-        path: 'student',
-        populate: {
-          path: 'user',
-          select: 'name email phone'
-        }
-      });
+      }).populate('aluno_id', 'nome');
       
-      for (const payment of payments) {
+      for (const mensalidade of mensalidades) {
         try {
-          // Aqui você pode implementar o envio de email/SMS/WhatsApp
-          // Por enquanto, apenas log
-          const daysText = days > 0 ? `em ${days} dias` : 
-                          days === 0 ? 'hoje' : 
-                          `há ${Math.abs(days)} dias`;
+          if (!mensalidade.aluno_id) continue;
           
-          logger.info(`Lembrete: Mensalidade de ${payment.student.user.name} vence ${daysText}`);
+          const daysText = days > 0 ? `vence em ${days} dias` :
+                          days === 0 ? 'vence hoje' :
+                          `venceu há ${Math.abs(days)} dias`;
           
-          // TODO: Implementar envio real de notificações
-          // await sendEmailReminder(payment);
-          // await sendSMSReminder(payment);
-          // await sendWhatsAppReminder(payment);
+          logger.info(`Lembrete: Mensalidade ${mensalidade.competencia} de ${mensalidade.aluno_id.nome} ${daysText}`);
+          
+          // Entrega pela fila de notificações (email, SMS e WhatsApp)
+          const notificacao = await Notification.enfileirar('lembrete_pagamento', {
+            aluno_id: mensalidade.aluno_id._id,
+            referencia: { modelo: 'Monthly', id: mensalidade._id },
+            dados: { dias: days }
+          });
+          
+          lembretes.push({
+            mensalidade_id: mensalidade._id,
+            aluno_id: mensalidade.aluno_id._id,
+            dias: days,
+            notificacao_id: notificacao._id
+          });
           
         } catch (error) {
-          logger.error(`Erro ao enviar lembrete para pagamento ${payment._id}:`, error);
+          logger.error(`Erro ao enviar lembrete para mensalidade ${mensalidade._id}:`, error);
         }
       }
     }
     
-    logger.info('Envio de lembretes concluído');
+    logger.info(`Envio de lembretes concluído: ${lembretes.length} lembretes`);
+    
+    return lembretes;
     
   } catch (error) {
     logger.error('Erro no envio de lembretes:', error);
+    return null;
   }
 };
 
 /**
- * Inicializar jobs
+ * Agendar a geração de mensalidades conforme o dia configurado
+ */
+const scheduleGeneration = (generateOnDay) => {
+  if (scheduledJobs.generation) {
+    scheduledJobs.generation.stop();
+  }
+  
+  scheduledJobs.generation = cron.schedule(generationCronExpression(generateOnDay), async () => {
+    try {
+      // Usar sempre o valor vigente, caso tenha mudado desde o agendamento
+      const settings = await Settings.getSettings();
+      
+      if (isGenerationDay(new Date(), settings.generateOnDay)) {
+        await generateMonthlyPayments();
+      }
+    } catch (error) {
+      logger.error('Erro ao verificar o dia de geração de mensalidades:', error);
+    }
+  }, {
+    timezone: getTimezone()
+  });
+  
+  scheduledJobs.generateOnDay = generateOnDay;
+  logger.info(`Geração de mensalidades agendada para o dia ${generateOnDay} de cada mês`);
+};
+
+/**
+ * Agendar os jobs diários de multas/juros e lembretes no timezone atual
  */
-const initializeJobs = () => {
-  // Gerar mensalidades todo dia 1º às 00:00
-  cron.schedule('0 0 1 * *', generateMonthlyPayments, {
-    timezone: process.env.TIMEZONE || 'America/Sao_Paulo'
+const scheduleDailyJobs = () => {
+  ['lateFees', 'reminders'].forEach(nome => {
+    if (scheduledJobs[nome]) scheduledJobs[nome].stop();
   });
   
   // Calcular multas/juros diariamente às 01:00
-  cron.schedule('0 1 * * *', calculateLateFees, {
-    timezone: process.env.TIMEZONE || 'America/Sao_Paulo'
+  scheduledJobs.lateFees = cron.schedule('0 1 * * *', () => calculateLateFees(), {
+    timezone: getTimezone()
   });
   
   // Enviar lembretes diariamente às 09:00
-  cron.schedule('0 9 * * *', sendPaymentReminders, {
-    timezone: process.env.TIMEZONE || 'America/Sao_Paulo'
+  scheduledJobs.reminders = cron.schedule('0 9 * * *', () => sendPaymentReminders(), {
+    timezone: getTimezone()
   });
   
+  scheduledJobs.timezone = getTimezone();
+};
+
+/**
+ * Reagendar jobs após alteração das configurações (dia de geração ou timezone)
+ * Só tem efeito se os jobs já foram inicializados
+ */
+const rescheduleJobs = (settings) => {
+  if (!scheduledJobs.generation || !settings) return false;
+  
+  const timezoneAlterado = getTimezone() !== scheduledJobs.timezone;
+  if (settings.generateOnDay === scheduledJobs.generateOnDay && !timezoneAlterado) return false;
+  
+  scheduleGeneration(settings.generateOnDay);
+  if (timezoneAlterado) {
+    scheduleDailyJobs();
+    logger.info(`Jobs de pagamento reagendados no timezone ${getTimezone()}`);
+  }
+  return true;
+};
+
+/**
+ * Inicializar jobs
+ */
+const initializeJobs = async () => {
+  const settings = await Settings.getSettings();
+  
+  // Gerar mensalidades no dia configurado às 00:00
+  scheduleGeneration(settings.generateOnDay);
+  
+  scheduleDailyJobs();
+  
   logger.info('Jobs de pagamento inicializados');
 };
 
 // Funções para execução manual (útil para testes)
 const runGeneratePayments = async () => {
   logger.info('Executando geração manual de mensalidades...');
-  await generateMonthlyPayments();
+  return generateMonthlyPayments();
 };
 
 const runCalculateLateFees = async () => {
   logger.info('Executando cálculo manual de multas/juros...');
-  await calculateLateFees();
+  return calculateLateFees();
 };
 
 const runSendReminders = async () => {
   logger.info('Executando envio manual de lembretes...');
-  await sendPaymentReminders();
+  return sendPaymentReminders();
 };
 
 module.exports = {
   initializeJobs,
+  rescheduleJobs,
+  generationCronExpression,
+  isGenerationDay,
+  generateMonthlyPayments,
+  calculateLateFees,
+  sendPaymentReminders,
   runGeneratePayments,
   runCalculateLateFees,
   runSendReminders
-};
\ No newline at end of file
+};
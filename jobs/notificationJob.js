@@ -0,0 +1,95 @@
+const cron = require('node-cron');
+const Notification = require('../models/Notification');
+const logger = require('../config/logger');
+const { getTimezone } = require('../config/timezone');
+const { entregarNotificacao } = require('../utils/notificationService');
+
+// Notificações presas em "processando" por mais tempo que isso voltam para a fila
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Tarefas agendadas e controle de execução simultânea
+const scheduledJobs = {};
+let running = false;
+
+/**
+ * Devolver à fila notificações interrompidas no meio da entrega
+ * (ex.: servidor reiniciado durante o envio)
+ * @param {Date} referencia - instante atual (padrão: agora)
+ */
+const recoverStuckNotifications = async (referencia = new Date()) => {
+  const resultado = await Notification.updateMany(
+    {
+      status: 'processando',
+      updatedAt: { $lt: new Date(referencia.getTime() - PROCESSING_TIMEOUT_MS) }
+    },
+    { $set: { status: 'pendente', proxima_tentativa: referencia } }
+  );
+
+  return resultado.modifiedCount;
+};
+
+/**
+ * Job para entregar as notificações pendentes da fila
+ * Executa a cada minuto; falhas são reagendadas com backoff exponencial
+ * @param {Object} opcoes - limite de notificações por execução e instante de referência
+ */
+const processNotificationQueue = async ({ limite = 50, referencia = new Date() } = {}) => {
+  if (running) return null;
+  running = true;
+
+  const resumo = { processadas: 0, enviadas: 0, ignoradas: 0, reagendadas: 0, falhas: 0 };
+
+  try {
+    await recoverStuckNotifications(referencia);
+
+    while (resumo.processadas < limite) {
+      const notificacao = await Notification.reservarProxima(referencia);
+      if (!notificacao) break;
+
+      resumo.processadas++;
+
+      try {
+        const resultados = await entregarNotificacao(notificacao);
+        await notificacao.registrarTentativa(resultados, referencia);
+      } catch (error) {
+        logger.error(`Erro ao entregar notificação ${notificacao._id}:`, error);
+        await notificacao.registrarErro(error.message, referencia);
+      }
+
+      if (notificacao.status === 'enviado') resumo.enviadas++;
+      else if (notificacao.status === 'ignorado') resumo.ignoradas++;
+      else if (notificacao.status === 'pendente') resumo.reagendadas++;
+      else resumo.falhas++;
+    }
+
+    if (resumo.processadas > 0) {
+      logger.job('processNotificationQueue', 'completed', resumo);
+    }
+
+    return resumo;
+
+  } catch (error) {
+    logger.error('Erro no processamento da fila de notificações:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Inicializar jobs
+ */
+const initializeNotificationJobs = () => {
+  // Processar a fila a cada minuto
+  scheduledJobs.queue = cron.schedule('* * * * *', () => processNotificationQueue(), {
+    timezone: getTimezone()
+  });
+
+  logger.info('Job de notificações inicializado');
+};
+
+module.exports = {
+  initializeNotificationJobs,
+  processNotificationQueue,
+  recoverStuckNotifications
+};
@@ -0,0 +1,47 @@
+const cron = require('node-cron');
+const Order = require('../models/Order');
+require('../models/Product');
+const Settings = require('../models/Settings');
+const logger = require('../config/logger');
+const { getTimezone } = require('../config/timezone');
+
+// Tarefas agendadas
+const scheduledJobs = {};
+
+/**
+ * Job para cancelar os pedidos aguardando pagamento além do prazo
+ * Executa a cada hora; o estoque baixado na criação do pedido é devolvido
+ * @param {Date} referencia - instante atual (padrão: agora)
+ */
+const expireUnpaidOrders = async (referencia = new Date()) => {
+  try {
+    const settings = await Settings.getSettings();
+    const expirados = await Order.expirarPedidosNaoPagos(settings.orderPaymentDeadlineHours, referencia);
+
+    if (expirados > 0) {
+      logger.job('expireUnpaidOrders', 'completed', { expirados });
+    }
+
+    return expirados;
+
+  } catch (error) {
+    logger.error('Erro ao expirar pedidos não pagos:', error);
+    return null;
+  }
+};
+
+/**
+ * Inicializar jobs
+ */
+const initializeOrderExpirationJobs = () => {
+  scheduledJobs.orders = cron.schedule('15 * * * *', () => expireUnpaidOrders(), {
+    timezone: getTimezone()
+  });
+
+  logger.info('Job de expiração de pedidos inicializado');
+};
+
+module.exports = {
+  initializeOrderExpirationJobs,
+  expireUnpaidOrders
+};
@@ -0,0 +1,47 @@
+const cron = require('node-cron');
+const Booking = require('../models/Booking');
+require('../models/Lesson');
+require('../models/Settings');
+const logger = require('../config/logger');
+const { getTimezone } = require('../config/timezone');
+
+// Tarefas agendadas
+const scheduledJobs = {};
+
+/**
+ * Job para expirar as ofertas de vaga da lista de espera sem resposta
+ * Executa a cada 5 minutos; cada oferta expirada libera a vaga para o
+ * próximo da fila (ou confirma direto se a aula estiver próxima)
+ * @param {Date} referencia - instante atual (padrão: agora)
+ */
+const expireWaitlistOffers = async (referencia = new Date()) => {
+  try {
+    const expiradas = await Booking.expirarOfertasVaga(referencia);
+
+    if (expiradas > 0) {
+      logger.job('expireWaitlistOffers', 'completed', { expiradas });
+    }
+
+    return expiradas;
+
+  } catch (error) {
+    logger.error('Erro ao expirar ofertas da lista de espera:', error);
+    return null;
+  }
+};
+
+/**
+ * Inicializar jobs
+ */
+const initializeWaitlistOfferJobs = () => {
+  scheduledJobs.offers = cron.schedule('*/5 * * * *', () => expireWaitlistOffers(), {
+    timezone: getTimezone()
+  });
+
+  logger.info('Job de ofertas da lista de espera inicializado');
+};
+
+module.exports = {
+  initializeWaitlistOfferJobs,
+  expireWaitlistOffers
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const KioskDevice = require('../models/KioskDevice');
+const { naAcademia } = require('../config/timezone');
 
 // Middleware de autenticação
 const auth = async (req, res, next) => {
@@ -55,6 +57,31 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Middleware de autenticação do quiosque da recepção (chave do dispositivo, não JWT de usuário)
+const kioskAuth = async (req, res, next) => {
+  try {
+    const quiosque = await KioskDevice.autenticar(req.header('X-Kiosk-Key'));
+    
+    if (!quiosque) {
+      return res.status(401).json({
+        success: false,
+        message: 'Quiosque não autorizado'
+      });
+    }
+    
+    await quiosque.updateOne({ ultimo_acesso: new Date(), ultimo_ip: req.ip });
+    
+    req.kiosk = quiosque;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Middleware para verificar perfis específicos
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -230,10 +257,11 @@ const checkAcademyStatus = (req, res, next) => {
 };
 
 // Middleware para validar horário de funcionamento
+// Horário local da academia, mesmo com o servidor rodando em UTC
 const businessHours = (req, res, next) => {
-  const now = new Date();
-  const hour = now.getHours();
-  const day = now.getDay(); // 0 = domingo, 6 = sábado
+  const now = naAcademia();
+  const hour = now.hour();
+  const day = now.day(); // 0 = domingo, 6 = sábado
   
   // Exemplo: funcionamento de segunda a sexta das 6h às 22h, sábado das 8h às 18h
   const isBusinessHour = (
@@ -263,6 +291,7 @@ const businessHours = (req, res, next) => {
 
 module.exports = {
   auth,
+  kioskAuth,
   authorize,
   adminOnly,
   adminOrInstructor,
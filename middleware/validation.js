@@ -1,5 +1,10 @@
 const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { NOMES_FAIXAS } = require('../config/belts');
+
+// CPF com ou sem pontuação e PIN numérico do quiosque
+const CPF_REGEX = /^\d{3}\.?\d{3}\.?\d{3}-?\d{2}$/;
+const PIN_REGEX = /^\d{4,8}$/;
 
 // Middleware para processar erros de validação
 const handleValidationErrors = (req, res, next) => {
@@ -138,6 +143,11 @@ const validateStudent = {
       .isFloat({ min: 0 })
       .withMessage('Valor da mensalidade deve ser positivo'),
     
+    body('cpf')
+      .optional()
+      .matches(CPF_REGEX)
+      .withMessage('CPF inválido'),
+    
     body('endereco.cep')
       .optional()
       .matches(/^\d{5}-?\d{3}$/)
@@ -179,6 +189,11 @@ const validateStudent = {
       .isFloat({ min: 0 })
       .withMessage('Valor da mensalidade deve ser positivo'),
     
+    body('cpf')
+      .optional()
+      .matches(CPF_REGEX)
+      .withMessage('CPF inválido'),
+    
     handleValidationErrors
   ]
 };
@@ -247,6 +262,20 @@ const validateClass = {
       .isIn(['adulto', 'kids', 'ambos'])
       .withMessage('Grupo deve ser adulto, kids ou ambos'),
     
+    body('dias_semana')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Deve ter pelo menos um dia da semana')
+      .custom(value => {
+        const diasValidos = ['segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado', 'domingo'];
+        
+        if (!value.every(dia => diasValidos.includes(dia))) {
+          throw new Error('Dias da semana inválidos');
+        }
+        
+        return true;
+      }),
+    
     body('capacidade')
       .optional()
       .isInt({ min: 1, max: 100 })
@@ -263,7 +292,134 @@ const validateBooking = {
       .isMongoId()
       .withMessage('ID da aula inválido'),
     
+    // Obrigatório apenas para agendamentos feitos pela administração
     body('aluno_id')
+      .optional()
+      .isMongoId()
+      .withMessage('ID do aluno inválido'),
+    
+    body('tipo_agendamento')
+      .optional()
+      .isIn(['normal', 'walkin_preta', 'reposicao', 'cortesia'])
+      .withMessage('Tipo de agendamento inválido'),
+    
+    body('observacoes')
+      .optional()
+      .isLength({ max: 300 })
+      .withMessage('Observações devem ter no máximo 300 caracteres'),
+    
+    handleValidationErrors
+  ],
+  
+  // Localização do aparelho (exigida do aluno quando a geolocalização está ativa)
+  checkin: [
+    body('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude inválida'),
+    
+    body('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude inválida'),
+    
+    body()
+      .custom(dados => (dados.latitude === undefined) === (dados.longitude === undefined))
+      .withMessage('Informe latitude e longitude juntas'),
+    
+    handleValidationErrors
+  ]
+};
+
+// Validações para aulas
+const validateLesson = {
+  create: [
+    body('turma_id')
+      .isMongoId()
+      .withMessage('ID da turma inválido'),
+    
+    body('data')
+      .isISO8601()
+      .withMessage('Data da aula inválida'),
+    
+    body('hora_inicio')
+      .isISO8601()
+      .withMessage('Hora de início inválida'),
+    
+    body('hora_fim')
+      .isISO8601()
+      .withMessage('Hora de fim inválida')
+      .custom((value, { req }) => {
+        if (req.body.hora_inicio && new Date(value) <= new Date(req.body.hora_inicio)) {
+          throw new Error('Hora de fim deve ser posterior à hora de início');
+        }
+        return true;
+      }),
+    
+    body('capacidade_override')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Capacidade deve ser pelo menos 1'),
+    
+    body('instrutor_substituto')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID do instrutor substituto inválido'),
+    
+    body('tema_aula')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Tema deve ter no máximo 200 caracteres'),
+    
+    body('observacoes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Observações devem ter no máximo 500 caracteres'),
+    
+    handleValidationErrors
+  ],
+  
+  update: [
+    body('hora_inicio')
+      .optional()
+      .isISO8601()
+      .withMessage('Hora de início inválida'),
+    
+    body('hora_fim')
+      .optional()
+      .isISO8601()
+      .withMessage('Hora de fim inválida'),
+    
+    body('capacidade_override')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Capacidade deve ser pelo menos 1'),
+    
+    body('instrutor_substituto')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID do instrutor substituto inválido'),
+    
+    body('tema_aula')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Tema deve ter no máximo 200 caracteres'),
+    
+    body('observacoes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Observações devem ter no máximo 500 caracteres'),
+    
+    handleValidationErrors
+  ],
+  
+  checkout: [
+    body('aluno_ids')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Lista de alunos inválida'),
+    
+    body('aluno_ids.*')
       .isMongoId()
       .withMessage('ID do aluno inválido'),
     
@@ -351,7 +507,9 @@ const validateProduct = {
 // Validações para pedidos
 const validateOrder = {
   create: [
+    // Obrigatório apenas para pedidos lançados pela administração
     body('cliente.aluno_id')
+      .optional()
       .isMongoId()
       .withMessage('ID do aluno inválido'),
     
@@ -375,6 +533,25 @@ const validateOrder = {
       .isIn(['dinheiro', 'cartao', 'pix', 'boleto', 'transferencia', 'mercado_pago', 'mensalidade'])
       .withMessage('Método de pagamento inválido'),
     
+    handleValidationErrors
+  ],
+  
+  update: [
+    body('tipo_entrega')
+      .optional()
+      .isIn(['retirada', 'entrega'])
+      .withMessage('Tipo de entrega deve ser retirada ou entrega'),
+    
+    body('data_entrega_prevista')
+      .optional()
+      .isISO8601()
+      .withMessage('Data de entrega prevista inválida'),
+    
+    body('observacoes.interna')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Observação interna deve ter no máximo 500 caracteres'),
+    
     handleValidationErrors
   ]
 };
@@ -401,6 +578,25 @@ const validateMonthly = {
     handleValidationErrors
   ],
   
+  update: [
+    body('valor')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Valor deve ser positivo'),
+    
+    body('vencimento')
+      .optional()
+      .isISO8601()
+      .withMessage('Data de vencimento inválida'),
+    
+    body('observacoes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Observações devem ter no máximo 500 caracteres'),
+    
+    handleValidationErrors
+  ],
+  
   payment: [
     body('valor_pago')
       .isFloat({ min: 0 })
@@ -421,19 +617,25 @@ const validateGraduation = {
       .isMongoId()
       .withMessage('ID do aluno inválido'),
     
+    // Sem faixa/grau a rota calcula a próxima graduação do aluno
     body('faixa')
-      .isIn(['branca', 'cinza', 'amarela', 'laranja', 'verde', 'azul', 'roxa', 'marrom', 'preta'])
+      .optional()
+      .isIn(NOMES_FAIXAS)
       .withMessage('Faixa inválida'),
     
     body('grau')
+      .optional()
       .isInt({ min: 0, max: 10 })
-      .withMessage('Grau deve estar entre 0 e 10'),
+      .withMessage('Grau deve estar entre 0 e 10')
+      .toInt(),
     
     body('data')
+      .optional()
       .isISO8601()
       .withMessage('Data inválida'),
     
     body('responsavel')
+      .optional()
       .isMongoId()
       .withMessage('ID do responsável inválido'),
     
@@ -443,7 +645,7 @@ const validateGraduation = {
   update: [
     body('faixa')
       .optional()
-      .isIn(['branca', 'cinza', 'amarela', 'laranja', 'verde', 'azul', 'roxa', 'marrom', 'preta'])
+      .isIn(NOMES_FAIXAS)
       .withMessage('Faixa inválida'),
     
     body('grau')
@@ -461,6 +663,220 @@ const validateGraduation = {
       .isMongoId()
       .withMessage('ID do responsável inválido'),
     
+    handleValidationErrors
+  ],
+  
+  requirement: [
+    body('faixa')
+      .isIn(NOMES_FAIXAS)
+      .withMessage('Faixa inválida'),
+    
+    body('grau')
+      .optional({ nullable: true })
+      .isInt({ min: 0, max: 10 })
+      .withMessage('Grau deve estar entre 0 e 10'),
+    
+    body('grupo')
+      .optional()
+      .isIn(['kids', 'adulto', 'ambos'])
+      .withMessage('Grupo deve ser kids, adulto ou ambos'),
+    
+    body('presencas_minimas')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Presenças mínimas devem ser um número inteiro positivo'),
+    
+    body('assiduidade_minima')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Assiduidade mínima deve ser entre 0 e 100'),
+    
+    body('dias_minimos_grau')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Tempo mínimo no grau deve ser um número inteiro de dias'),
+    
+    body('dias_minimos_faixa')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Tempo mínimo na faixa deve ser um número inteiro de dias'),
+    
+    body('idade_minima')
+      .optional({ nullable: true })
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Idade mínima deve ser entre 0 e 100'),
+    
+    handleValidationErrors
+  ]
+};
+
+// Validações para fechamentos da academia
+const validateClosure = {
+  create: [
+    body('titulo')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Título deve ter entre 2 e 100 caracteres'),
+    
+    body('tipo')
+      .optional()
+      .isIn(['feriado_local', 'recesso', 'evento', 'manutencao', 'outro'])
+      .withMessage('Tipo de fechamento inválido'),
+    
+    body('data_inicio')
+      .isISO8601()
+      .withMessage('Data de início inválida'),
+    
+    body('data_fim')
+      .optional()
+      .isISO8601()
+      .withMessage('Data de fim inválida'),
+    
+    body('hora_inicio')
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Hora de início inválida (formato HH:MM)'),
+    
+    body('hora_fim')
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Hora de fim inválida (formato HH:MM)'),
+    
+    body('observacoes')
+      .optional()
+      .isLength({ max: 300 })
+      .withMessage('Observações devem ter no máximo 300 caracteres'),
+    
+    handleValidationErrors
+  ],
+  
+  update: [
+    body('titulo')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Título deve ter entre 2 e 100 caracteres'),
+    
+    body('tipo')
+      .optional()
+      .isIn(['feriado_local', 'recesso', 'evento', 'manutencao', 'outro'])
+      .withMessage('Tipo de fechamento inválido'),
+    
+    body('data_inicio')
+      .optional()
+      .isISO8601()
+      .withMessage('Data de início inválida'),
+    
+    body('data_fim')
+      .optional()
+      .isISO8601()
+      .withMessage('Data de fim inválida'),
+    
+    body('hora_inicio')
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Hora de início inválida (formato HH:MM)'),
+    
+    body('hora_fim')
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Hora de fim inválida (formato HH:MM)'),
+    
+    body('ativo')
+      .optional()
+      .isBoolean()
+      .withMessage('Ativo deve ser verdadeiro ou falso'),
+    
+    handleValidationErrors
+  ],
+  
+  holidays: [
+    body('ano')
+      .isInt({ min: 2000, max: 2100 })
+      .withMessage('Ano inválido'),
+    
+    body('incluir_facultativos')
+      .optional()
+      .isBoolean()
+      .withMessage('Incluir facultativos deve ser verdadeiro ou falso'),
+    
+    handleValidationErrors
+  ]
+};
+
+// Validações para o quiosque da recepção
+const validateKiosk = {
+  device: [
+    body('nome')
+      .trim()
+      .isLength({ min: 2, max: 60 })
+      .withMessage('Nome deve ter entre 2 e 60 caracteres'),
+    
+    handleValidationErrors
+  ],
+  
+  pin: [
+    body('pin')
+      .optional()
+      .matches(PIN_REGEX)
+      .withMessage('PIN deve ter de 4 a 8 dígitos'),
+    
+    handleValidationErrors
+  ],
+  
+  // Identificação do aluno no check-in/check-out do quiosque
+  identificacao: [
+    body('pin')
+      .optional()
+      .matches(PIN_REGEX)
+      .withMessage('PIN deve ter de 4 a 8 dígitos'),
+    
+    body('cpf')
+      .optional()
+      .matches(CPF_REGEX)
+      .withMessage('CPF inválido'),
+    
+    body()
+      .custom(dados => Boolean(dados.pin) !== Boolean(dados.cpf))
+      .withMessage('Informe o PIN ou o CPF'),
+    
+    handleValidationErrors
+  ]
+};
+
+// Validações para reservas recorrentes
+const validateRecurringBooking = {
+  create: [
+    body('turma_id')
+      .isMongoId()
+      .withMessage('ID da turma inválido'),
+    
+    body('aluno_id')
+      .optional()
+      .isMongoId()
+      .withMessage('ID do aluno inválido'),
+    
+    body('dias_semana')
+      .isArray({ min: 1 })
+      .withMessage('Deve ter pelo menos um dia da semana')
+      .custom(value => {
+        const diasValidos = ['segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado', 'domingo'];
+        
+        if (!value.every(dia => diasValidos.includes(dia))) {
+          throw new Error('Dias da semana inválidos');
+        }
+        
+        return true;
+      }),
+    
+    handleValidationErrors
+  ],
+  
+  skip: [
+    body('data')
+      .isISO8601()
+      .withMessage('Data inválida'),
+    
     handleValidationErrors
   ]
 };
@@ -579,6 +995,16 @@ const validateAttendance = {
       .isLength({ max: 500 })
       .withMessage('Observações devem ter no máximo 500 caracteres'),
     
+    handleValidationErrors
+  ],
+  
+  qrCheckin: [
+    body('token')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Token do QR code é obrigatório'),
+    
     handleValidationErrors
   ]
 };
@@ -684,12 +1110,16 @@ module.exports = {
   validateStudent,
   validateClass,
   validateBooking,
+  validateLesson,
   validateAttendance,
   validatePayment,
   validateProduct,
   validateOrder,
   validateMonthly,
   validateGraduation,
+  validateClosure,
+  validateKiosk,
+  validateRecurringBooking,
   validateParams,
   validateQuery,
   validateExists,
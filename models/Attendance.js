@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getTimezone } = require('../config/timezone');
 
 const attendanceSchema = new mongoose.Schema({
   aula_id: {
@@ -60,6 +61,18 @@ const attendanceSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number
     },
+    // Distância da academia (em metros) no momento do check-in
+    distancia_academia: Number,
+    // Usuário que registrou o check-in sem a validação de localização
+    geofence_liberado_por: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Quiosque da recepção em que o aluno fez o check-in
+    quiosque_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KioskDevice'
+    },
     metodo_registro: {
       type: String,
       enum: ['qr_code', 'manual', 'automatico', 'nfc'],
@@ -127,7 +140,9 @@ attendanceSchema.methods.realizarCheckin = function(observacao = '') {
 };
 
 // Método para realizar check-out
-attendanceSchema.methods.realizarCheckout = function(observacao = '') {
+// opcoes.horario: momento da saída (padrão: agora)
+// opcoes.encerramento: saída no encerramento da aula, nunca conta como antecipada
+attendanceSchema.methods.realizarCheckout = async function(observacao = '', opcoes = {}) {
   if (!this.checkin_hora) {
     throw new Error('Check-in deve ser realizado antes do check-out');
   }
@@ -136,14 +151,21 @@ attendanceSchema.methods.realizarCheckout = function(observacao = '') {
     throw new Error('Check-out já foi realizado');
   }
   
-  this.checkout_hora = new Date();
+  const horario = opcoes.horario || new Date();
+  this.checkout_hora = horario < this.checkin_hora ? this.checkin_hora : horario;
   
   // Calcular tempo de permanência
   this.tempo_permanencia = Math.round((this.checkout_hora - this.checkin_hora) / (1000 * 60));
   
   // Verificar se saiu antecipadamente
-  if (this.saiu_antecipado) {
-    this.status = 'saida_antecipada';
+  if (!opcoes.encerramento) {
+    const aula = this.aula_id && this.aula_id.hora_fim
+      ? this.aula_id
+      : await mongoose.model('Lesson').findById(this.aula_id);
+    
+    if (aula && this.checkout_hora < aula.hora_fim) {
+      this.status = 'saida_antecipada';
+    }
   }
   
   if (observacao) {
@@ -207,6 +229,9 @@ attendanceSchema.statics.registrarPresenca = async function(aulaId, alunoId, mod
       ip_checkin: dadosExtras.ip,
       dispositivo: dadosExtras.dispositivo,
       localizacao: dadosExtras.localizacao,
+      distancia_academia: dadosExtras.distancia_academia,
+      geofence_liberado_por: dadosExtras.geofence_liberado_por,
+      quiosque_id: dadosExtras.quiosque_id,
       metodo_registro: dadosExtras.metodo_registro || 'manual'
     }
   });
@@ -274,7 +299,7 @@ attendanceSchema.statics.relatorioAssiduidade = async function(filtros = {}) {
   
   const matchStage = {};
   
-  if (aluno_id) matchStage.aluno_id = mongoose.Types.ObjectId(aluno_id);
+  if (aluno_id) matchStage.aluno_id = new mongoose.Types.ObjectId(aluno_id);
   if (status) matchStage.status = status;
   
   const pipeline = [
@@ -308,7 +333,7 @@ attendanceSchema.statics.relatorioAssiduidade = async function(filtros = {}) {
   
   // Filtro de turma
   if (turma_id) {
-    matchStage['aula.turma_id'] = mongoose.Types.ObjectId(turma_id);
+    matchStage['aula.turma_id'] = new mongoose.Types.ObjectId(turma_id);
   }
   
   pipeline.push({ $match: matchStage });
@@ -371,6 +396,81 @@ attendanceSchema.statics.relatorioAssiduidade = async function(filtros = {}) {
   return this.aggregate(pipeline);
 };
 
+// Método estático para fazer o check-out de quem ainda está na aula
+// Sem alunoIds é o encerramento da aula: saída no fim previsto (ou agora, se antes)
+attendanceSchema.statics.encerrarPresencas = async function(aula, opcoes = {}) {
+  const query = {
+    aula_id: aula._id,
+    checkin_hora: { $ne: null },
+    checkout_hora: null
+  };
+  
+  if (opcoes.alunoIds) {
+    query.aluno_id = { $in: opcoes.alunoIds };
+  }
+  
+  const encerramento = !opcoes.alunoIds;
+  const agora = new Date();
+  const horario = encerramento && agora > aula.hora_fim ? aula.hora_fim : agora;
+  
+  const presencas = await this.find(query);
+  for (const presenca of presencas) {
+    await presenca.realizarCheckout('', { horario, encerramento });
+  }
+  
+  return presencas.length;
+};
+
+// Método estático para buscar a presença em aberto do aluno (check-in sem check-out)
+attendanceSchema.statics.buscarEmAberto = function(alunoId, agora = new Date()) {
+  return this.findOne({
+    aluno_id: alunoId,
+    checkin_hora: { $gte: new Date(agora.getTime() - 12 * 60 * 60 * 1000) },
+    checkout_hora: null
+  }).sort({ checkin_hora: -1 });
+};
+
+// Método estático para somar o tempo de tatame (presenças com check-out) de um aluno
+// Retorna o total e a divisão por mês (no timezone da academia)
+attendanceSchema.statics.tempoDeTatame = async function(alunoId, desde = null) {
+  const match = {
+    aluno_id: new mongoose.Types.ObjectId(alunoId),
+    tempo_permanencia: { $ne: null }
+  };
+  
+  if (desde) {
+    match.checkin_hora = { $gte: desde };
+  }
+  
+  const meses = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: '$checkin_hora', timezone: getTimezone() } },
+        minutos: { $sum: '$tempo_permanencia' },
+        aulas: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  
+  const minutos = meses.reduce((total, mes) => total + mes.minutos, 0);
+  const aulas = meses.reduce((total, mes) => total + mes.aulas, 0);
+  
+  return {
+    minutos,
+    horas: Math.round(minutos / 60 * 10) / 10,
+    aulas,
+    media_minutos: aulas ? Math.round(minutos / aulas) : 0,
+    por_mes: meses.map(mes => ({
+      mes: mes._id,
+      minutos: mes.minutos,
+      horas: Math.round(mes.minutos / 60 * 10) / 10,
+      aulas: mes.aulas
+    }))
+  };
+};
+
 // Método estático para obter histórico de um aluno
 attendanceSchema.statics.historicoAluno = async function(alunoId, limite = 50) {
   return this.find({ aluno_id: alunoId })
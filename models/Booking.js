@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { naAcademia } = require('../config/timezone');
+const Notification = require('./Notification');
+const Closure = require('./Closure');
+const paginate = require('./plugins/paginate');
+const logger = require('../config/logger');
+
+// Status de agendamento que liberaram a vaga (o cancelamento tardio fica registrado à parte)
+const STATUS_CANCELADOS = ['cancelado', 'cancelado_tarde'];
+
+// Motivo dos cancelamentos feitos ao pausar as reservas recorrentes do aluno
+// (esses agendamentos voltam a ser criados quando a reserva é retomada)
+const MOTIVO_RESERVA_PAUSADA = 'Reserva recorrente pausada';
 
 const bookingSchema = new mongoose.Schema({
   aula_id: {
@@ -13,7 +25,7 @@ const bookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['confirmado', 'espera', 'cancelado', 'presente', 'falta', 'no_show'],
+    enum: ['confirmado', 'espera', 'cancelado', 'cancelado_tarde', 'presente', 'falta', 'no_show'],
     default: 'confirmado'
   },
   tipo_agendamento: {
@@ -45,6 +57,38 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  // Reserva recorrente que criou o agendamento
+  recorrencia_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringBooking',
+    default: null
+  },
+  // Vaga oferecida da lista de espera, reservada até o prazo de aceite
+  oferta_vaga: {
+    status: {
+      type: String,
+      enum: ['pendente', 'aceita', 'recusada', 'expirada', null],
+      default: null
+    },
+    data_oferta: Date,
+    expira_em: Date,
+    data_resposta: Date
+  },
+  data_no_show: {
+    type: Date,
+    default: null
+  },
+  // Multa por no-show (sem mensalidade em aberto, entra na próxima gerada)
+  multa_no_show: {
+    valor: Number,
+    descricao: String,
+    data: Date,
+    mensalidade_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Monthly',
+      default: null
+    }
+  },
   notificacoes: {
     lembrete_enviado: {
       type: Boolean,
@@ -85,6 +129,11 @@ bookingSchema.index({ aula_id: 1, status: 1 });
 bookingSchema.index({ data_agendamento: 1 });
 bookingSchema.index({ posicao_lista_espera: 1 });
 bookingSchema.index({ checkin_realizado: 1 });
+bookingSchema.index({ aluno_id: 1, data_no_show: 1 });
+bookingSchema.index({ 'oferta_vaga.status': 1, 'oferta_vaga.expira_em': 1 });
+
+// Paginação
+bookingSchema.plugin(paginate);
 
 // Virtual para verificar se pode fazer check-in
 bookingSchema.virtual('pode_checkin').get(function() {
@@ -96,6 +145,14 @@ bookingSchema.virtual('na_lista_espera').get(function() {
   return this.status === 'espera';
 });
 
+// Virtual para verificar se há vaga oferecida aguardando o aceite do aluno
+bookingSchema.virtual('oferta_pendente').get(function() {
+  return this.status === 'espera' &&
+    Boolean(this.oferta_vaga) &&
+    this.oferta_vaga.status === 'pendente' &&
+    this.oferta_vaga.expira_em > new Date();
+});
+
 // Virtual para tempo até a aula (requer populate da aula)
 bookingSchema.virtual('tempo_ate_aula').get(function() {
   if (!this.aula_id || !this.aula_id.hora_inicio) return null;
@@ -112,7 +169,7 @@ bookingSchema.virtual('tempo_ate_aula').get(function() {
 });
 
 // Método para realizar check-in
-bookingSchema.methods.realizarCheckin = async function() {
+bookingSchema.methods.realizarCheckin = async function(dadosExtras = {}) {
   if (this.checkin_realizado) {
     throw new Error('Check-in já foi realizado');
   }
@@ -131,66 +188,236 @@ bookingSchema.methods.realizarCheckin = async function() {
     throw new Error('Check-in não está liberado para esta aula');
   }
   
-  this.checkin_realizado = true;
-  this.data_checkin = new Date();
-  
-  // Criar registro de presença
+  // Registrar presença (atualiza também as estatísticas do aluno)
   const Attendance = mongoose.model('Attendance');
-  await Attendance.create({
-    aula_id: this.aula_id,
-    aluno_id: this.aluno_id,
-    modo: this.tipo_agendamento === 'walkin_preta' ? 'walkin_preta' : 'agendamento',
-    checkin_hora: this.data_checkin,
-    status: 'presente'
-  });
+  const presenca = await Attendance.registrarPresenca(
+    this.aula_id,
+    this.aluno_id,
+    this.tipo_agendamento === 'walkin_preta' ? 'walkin_preta' : 'agendamento',
+    dadosExtras
+  );
+  
+  this.checkin_realizado = true;
+  this.data_checkin = presenca.checkin_hora;
+  this.status = 'presente';
   
   return this.save();
 };
 
 // Método para cancelar agendamento
-bookingSchema.methods.cancelar = async function(motivo = '', liberarVaga = true) {
-  if (this.status === 'cancelado') {
+bookingSchema.methods.cancelar = async function(motivo = '', liberarVaga = true, status = 'cancelado') {
+  if (STATUS_CANCELADOS.includes(this.status)) {
     throw new Error('Agendamento já está cancelado');
   }
   
-  const statusAnterior = this.status;
-  this.status = 'cancelado';
+  // Quem tinha vaga confirmada ou oferecida da lista de espera libera uma vaga
+  const ocupavaVaga = this.status === 'confirmado' ||
+    (this.status === 'espera' && this.oferta_vaga.status === 'pendente');
+  
+  if (this.oferta_vaga.status === 'pendente') {
+    this.oferta_vaga.status = 'recusada';
+    this.oferta_vaga.data_resposta = new Date();
+  }
+  
+  this.status = status;
   this.data_cancelamento = new Date();
   this.motivo_cancelamento = motivo;
   
+  // Cancelamento fora do prazo tratado como no-show pela política da academia
+  if (status === 'no_show') {
+    this.data_no_show = this.data_cancelamento;
+  }
+  
   await this.save();
   
-  // Se estava confirmado e deve liberar vaga, promover da lista de espera
-  if (statusAnterior === 'confirmado' && liberarVaga) {
+  // Se ocupava vaga e deve liberá-la, promover da lista de espera
+  if (ocupavaVaga && liberarVaga) {
     await this.promoverListaEspera();
   }
   
+  if (status === 'no_show') {
+    await this.constructor.penalizarNoShow(this, null, null, this.data_cancelamento);
+  }
+  
   return this;
 };
 
+// Método para calcular até quando o agendamento pode ser cancelado sem penalidade
+// A antecedência definida na turma tem prioridade sobre a configuração da academia
+bookingSchema.methods.prazoCancelamento = async function(settings = null) {
+  const aula = await mongoose.model('Lesson').findById(this.aula_id).populate('turma_id', 'configuracoes');
+  const configuracoes = settings || await mongoose.model('Settings').getSettings();
+  
+  const horasTurma = aula.turma_id ? aula.turma_id.configuracoes.prazo_cancelamento_horas : null;
+  const horas = horasTurma !== null && horasTurma !== undefined
+    ? horasTurma
+    : configuracoes.cancellationCutoffHours;
+  
+  return new Date(aula.hora_inicio.getTime() - horas * 60 * 60 * 1000);
+};
+
 // Método para promover da lista de espera
-bookingSchema.methods.promoverListaEspera = async function() {
-  // Buscar próximo da lista de espera
+// O próximo da fila recebe uma oferta com prazo para aceitar (a vaga fica reservada);
+// perto da aula, quando não há tempo para perguntar, a vaga é confirmada direto
+bookingSchema.methods.promoverListaEspera = async function(agora = new Date()) {
+  // Buscar próximo da lista de espera que ainda não tem oferta em aberto
   const proximoEspera = await this.constructor.findOne({
     aula_id: this.aula_id,
-    status: 'espera'
-  }).sort({ posicao_lista_espera: 1 }).populate('aluno_id');
+    status: 'espera',
+    'oferta_vaga.status': { $ne: 'pendente' }
+  }).sort({ posicao_lista_espera: 1 });
+  
+  if (!proximoEspera) return null;
   
-  if (proximoEspera) {
+  const aula = await mongoose.model('Lesson').findById(this.aula_id);
+  if (!aula || aula.status !== 'agendada') return null;
+  
+  const { waitlistOffer } = await mongoose.model('Settings').getSettings();
+  
+  const expiraEm = new Date(Math.min(
+    agora.getTime() + waitlistOffer.acceptanceMinutes * 60 * 1000,
+    aula.hora_inicio.getTime() - waitlistOffer.autoConfirmMinutes * 60 * 1000
+  ));
+  
+  if (expiraEm <= agora) {
     proximoEspera.status = 'confirmado';
     proximoEspera.posicao_lista_espera = null;
     await proximoEspera.save();
     
     // Reordenar lista de espera
     await this.reordenarListaEspera();
-    
-    // Enviar notificação (implementar depois)
-    // await this.enviarNotificacaoPromocao(proximoEspera);
-    
-    return proximoEspera;
+  } else {
+    proximoEspera.oferta_vaga = {
+      status: 'pendente',
+      data_oferta: agora,
+      expira_em: expiraEm
+    };
+    await proximoEspera.save();
+  }
+  
+  // Avisar o aluno promovido pela fila de notificações (com o prazo, se for oferta)
+  await Notification.enfileirar('promocao_lista_espera', {
+    aluno_id: proximoEspera.aluno_id,
+    referencia: { modelo: 'Booking', id: proximoEspera._id },
+    dados: proximoEspera.status === 'espera'
+      ? {
+        prazo: expiraEm,
+        link: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/agendamentos` : undefined
+      }
+      : {}
+  });
+  
+  return proximoEspera;
+};
+
+// Método para verificar se há oferta de vaga aguardando resposta
+bookingSchema.methods.temOfertaPendente = function(agora = new Date()) {
+  return this.status === 'espera' &&
+    this.oferta_vaga.status === 'pendente' &&
+    this.oferta_vaga.expira_em > agora;
+};
+
+// Método para aceitar a vaga oferecida da lista de espera
+bookingSchema.methods.aceitarOferta = async function(agora = new Date()) {
+  if (this.status !== 'espera' || this.oferta_vaga.status !== 'pendente') {
+    throw new Error('Nenhuma oferta de vaga pendente para este agendamento');
+  }
+  
+  if (!this.temOfertaPendente(agora)) {
+    await this.expirarOferta(agora);
+    throw new Error('O prazo para aceitar a vaga expirou');
+  }
+  
+  this.status = 'confirmado';
+  this.posicao_lista_espera = null;
+  this.oferta_vaga.status = 'aceita';
+  this.oferta_vaga.data_resposta = agora;
+  await this.save();
+  
+  await this.reordenarListaEspera();
+  
+  return this;
+};
+
+// Método para recusar a vaga oferecida (sai da lista e a vaga vai para o próximo)
+bookingSchema.methods.recusarOferta = async function(agora = new Date()) {
+  if (!this.temOfertaPendente(agora)) {
+    throw new Error('Nenhuma oferta de vaga pendente para este agendamento');
+  }
+  
+  return this.encerrarOferta('recusada', 'Vaga da lista de espera recusada', agora);
+};
+
+// Método para expirar a oferta sem resposta (sai da lista e a vaga vai para o próximo)
+bookingSchema.methods.expirarOferta = function(agora = new Date()) {
+  return this.encerrarOferta('expirada', 'Prazo para aceitar a vaga expirou', agora);
+};
+
+// Método para encerrar uma oferta de vaga não aceita
+bookingSchema.methods.encerrarOferta = async function(resultado, motivo, agora = new Date()) {
+  this.oferta_vaga.status = resultado;
+  this.oferta_vaga.data_resposta = agora;
+  await this.cancelar(motivo, false);
+  
+  await this.reordenarListaEspera();
+  await this.promoverListaEspera(agora);
+  
+  return this;
+};
+
+// Método estático para cancelar, sem penalidade, os agendamentos futuros criados
+// pelas reservas recorrentes do aluno (reservas pausadas por status ou bloqueio)
+bookingSchema.statics.cancelarAgendamentosRecorrentes = async function(alunoId, detalhe, agora = new Date()) {
+  const agendamentos = await this.find({
+    aluno_id: alunoId,
+    recorrencia_id: { $ne: null },
+    status: { $in: ['confirmado', 'espera'] }
+  }).populate('aula_id', 'hora_inicio');
+  
+  const futuros = agendamentos.filter(agendamento => agendamento.aula_id && agendamento.aula_id.hora_inicio > agora);
+  
+  for (const agendamento of futuros) {
+    await agendamento.cancelar(`${MOTIVO_RESERVA_PAUSADA}: ${detalhe}`);
+  }
+  
+  return futuros.length;
+};
+
+// Método estático para verificar se o aluno já tem agendamento na aula que a reserva
+// recorrente deve respeitar (inclusive cancelado), exceto os cancelados pela pausa da reserva
+bookingSchema.statics.existeAgendamentoRespeitado = function(aulaId, alunoId) {
+  return this.exists({
+    aula_id: aulaId,
+    aluno_id: alunoId,
+    motivo_cancelamento: { $not: new RegExp(`^${MOTIVO_RESERVA_PAUSADA}`) }
+  });
+};
+
+// Método estático para expirar as ofertas de vaga vencidas
+bookingSchema.statics.expirarOfertasVaga = async function(agora = new Date()) {
+  const ofertas = await this.find({
+    status: 'espera',
+    'oferta_vaga.status': 'pendente',
+    'oferta_vaga.expira_em': { $lte: agora }
+  });
+  
+  for (const oferta of ofertas) {
+    await oferta.expirarOferta(agora);
   }
   
-  return null;
+  return ofertas.length;
+};
+
+// Método estático para contar as vagas ocupadas da aula
+// Ofertas da lista de espera aguardando resposta também reservam vaga
+bookingSchema.statics.contarVagasOcupadas = function(aulaId) {
+  return this.countDocuments({
+    aula_id: aulaId,
+    $or: [
+      { status: { $in: ['confirmado', 'presente'] } },
+      { status: 'espera', 'oferta_vaga.status': 'pendente' }
+    ]
+  });
 };
 
 // Método para reordenar lista de espera
@@ -207,7 +434,7 @@ bookingSchema.methods.reordenarListaEspera = async function() {
 };
 
 // Método estático para criar agendamento
-bookingSchema.statics.criarAgendamento = async function(aulaId, alunoId, tipoAgendamento = 'normal') {
+bookingSchema.statics.criarAgendamento = async function(aulaId, alunoId, tipoAgendamento = 'normal', opcoes = {}) {
   const Lesson = mongoose.model('Lesson');
   const Student = mongoose.model('Student');
   
@@ -217,6 +444,12 @@ bookingSchema.statics.criarAgendamento = async function(aulaId, alunoId, tipoAge
     throw new Error('Aula não encontrada');
   }
   
+  // Verificar se a academia está aberta no horário da aula
+  const fechamento = await Closure.buscarFechamento(aula.hora_inicio, aula.hora_fim);
+  if (fechamento) {
+    throw new Error(`Academia fechada neste horário: ${fechamento.titulo}`);
+  }
+  
   // Verificar se aluno existe
   const aluno = await Student.findById(alunoId);
   if (!aluno) {
@@ -232,25 +465,22 @@ bookingSchema.statics.criarAgendamento = async function(aulaId, alunoId, tipoAge
   // Verificar se já tem agendamento para esta aula
   const agendamentoExistente = await this.findOne({
     aula_id: aulaId,
-    aluno_id: alunoId,
-    status: { $in: ['confirmado', 'espera', 'presente'] }
+    aluno_id: alunoId
   });
   
-  if (agendamentoExistente) {
+  if (agendamentoExistente && !STATUS_CANCELADOS.includes(agendamentoExistente.status)) {
     throw new Error('Aluno já tem agendamento para esta aula');
   }
   
-  // Verificar capacidade
-  const totalConfirmados = await this.countDocuments({
-    aula_id: aulaId,
-    status: 'confirmado'
-  });
+  // Verificar capacidade (com o overbooking permitido nas configurações)
+  const settings = await mongoose.model('Settings').getSettings();
+  const totalConfirmados = await this.contarVagasOcupadas(aulaId);
   
   let status = 'confirmado';
   let posicaoListaEspera = null;
   
-  // Se não é faixa preta e a aula está lotada, vai para lista de espera
-  if (!aluno.is_preta && totalConfirmados >= aula.capacidade_efetiva) {
+  // Se não é isento de agendamento e a aula está lotada, vai para lista de espera
+  if (!aluno.isentoAgendamento(settings) && totalConfirmados >= settings.limiteAgendamentos(aula.capacidade_efetiva)) {
     if (!aula.turma_id.configuracoes.permite_lista_espera) {
       throw new Error('Aula lotada e lista de espera não permitida');
     }
@@ -264,13 +494,24 @@ bookingSchema.statics.criarAgendamento = async function(aulaId, alunoId, tipoAge
     posicaoListaEspera = ultimaPosicao ? ultimaPosicao.posicao_lista_espera + 1 : 1;
   }
   
-  // Criar agendamento
-  const agendamento = new this({
+  // Criar agendamento (ou reaproveitar um cancelado, já que aula e aluno são únicos)
+  const agendamento = agendamentoExistente || new this({
     aula_id: aulaId,
-    aluno_id: alunoId,
+    aluno_id: alunoId
+  });
+  
+  agendamento.set({
     status: status,
     tipo_agendamento: tipoAgendamento,
-    posicao_lista_espera: posicaoListaEspera
+    posicao_lista_espera: posicaoListaEspera,
+    data_agendamento: new Date(),
+    data_cancelamento: null,
+    motivo_cancelamento: undefined,
+    recorrencia_id: opcoes.recorrencia_id || null,
+    // Oferta de vaga e no-show pertencem ao agendamento anterior
+    oferta_vaga: { status: null, data_oferta: null, expira_em: null, data_resposta: null },
+    data_no_show: null,
+    multa_no_show: undefined
   });
   
   await agendamento.save();
@@ -278,54 +519,232 @@ bookingSchema.statics.criarAgendamento = async function(aulaId, alunoId, tipoAge
   // Atualizar estatísticas da aula
   await aula.atualizarEstatisticas();
   
+  // Confirmação (ou posição na lista de espera) pela fila de notificações
+  await Notification.enfileirar('confirmacao_agendamento', {
+    aluno_id: alunoId,
+    referencia: { modelo: 'Booking', id: agendamento._id }
+  });
+  
   return agendamento;
 };
 
+// Método estático para check-in do aluno presente na academia (QR code da recepção)
+// Usa o agendamento confirmado ou, para aluno isento de agendamento, registra o walk-in na hora
+bookingSchema.statics.checkinNaAula = async function(aulaId, alunoId, dadosExtras = {}) {
+  const Lesson = mongoose.model('Lesson');
+  const Student = mongoose.model('Student');
+
+  const aula = await Lesson.findById(aulaId).populate('turma_id');
+  if (!aula) {
+    throw new Error('Aula não encontrada');
+  }
+
+  if (!aula.checkinLiberado(aula.turma_id)) {
+    throw new Error('Check-in não está liberado para esta aula');
+  }
+
+  let agendamento = await this.findOne({
+    aula_id: aulaId,
+    aluno_id: alunoId
+  });
+
+  if (agendamento && agendamento.checkin_realizado) {
+    throw new Error('Check-in já foi realizado');
+  }
+
+  if (!agendamento || STATUS_CANCELADOS.includes(agendamento.status)) {
+    const aluno = await Student.findById(alunoId);
+    if (!aluno) {
+      throw new Error('Aluno não encontrado');
+    }
+
+    const settings = await mongoose.model('Settings').getSettings();
+    if (!aluno.isentoAgendamento(settings)) {
+      throw new Error('Você não tem agendamento para esta aula');
+    }
+
+    if (!aula.configuracoes.permite_walkin) {
+      throw new Error('Esta aula não aceita walk-in');
+    }
+
+    agendamento = await this.criarAgendamento(aulaId, alunoId, 'walkin_preta');
+  }
+
+  if (agendamento.status === 'espera') {
+    throw new Error(`Você está na lista de espera desta aula (posição ${agendamento.posicao_lista_espera})`);
+  }
+
+  return agendamento.realizarCheckin(dadosExtras);
+};
+
+// Método estático para check-in sem escolher a aula (quiosque da recepção)
+// Usa a aula liberada em que o aluno está agendado ou, para aluno isento de agendamento,
+// a primeira aula liberada que aceita walk-in
+bookingSchema.statics.checkinAulaLiberada = async function(alunoId, dadosExtras = {}) {
+  const Lesson = mongoose.model('Lesson');
+  const Student = mongoose.model('Student');
+  
+  const aulas = await Lesson.buscarCheckinLiberado();
+  if (aulas.length === 0) {
+    throw new Error('Nenhuma aula com check-in liberado agora');
+  }
+  
+  const agendamentos = await this.find({
+    aluno_id: alunoId,
+    aula_id: { $in: aulas.map(aula => aula._id) },
+    status: { $nin: STATUS_CANCELADOS }
+  });
+  
+  let aula = aulas.find(item => agendamentos.some(agendamento => agendamento.aula_id.equals(item._id)));
+  
+  if (!aula) {
+    const aluno = await Student.findById(alunoId);
+    const settings = await mongoose.model('Settings').getSettings();
+    if (!aluno || !aluno.isentoAgendamento(settings)) {
+      throw new Error('Nenhum agendamento nas aulas com check-in liberado agora');
+    }
+    
+    aula = aulas.find(item => item.configuracoes.permite_walkin && item.turma_id.podeParticipar(aluno).pode);
+    if (!aula) {
+      throw new Error('Nenhuma aula liberada agora aceita walk-in');
+    }
+  }
+  
+  return this.checkinNaAula(aula._id, alunoId, dadosExtras);
+};
+
 // Método estático para processar no-shows
+// Marca quem não fez check-in e aplica as penalidades de no-show a cada um.
+// Pode ser executado de novo: só processa quem ainda está confirmado
 bookingSchema.statics.processarNoShows = async function(aulaId) {
   const agora = new Date();
   
   // Buscar aula
   const Lesson = mongoose.model('Lesson');
-  const aula = await Lesson.findById(aulaId);
+  const aula = await Lesson.findById(aulaId).populate('turma_id');
   
   if (!aula || aula.status !== 'finalizada') {
     throw new Error('Aula deve estar finalizada para processar no-shows');
   }
   
   // Marcar como no-show quem não fez check-in
-  const noShows = await this.updateMany({
+  const agendamentosSemCheckin = await this.find({
     aula_id: aulaId,
     status: 'confirmado',
     checkin_realizado: false
-  }, {
-    status: 'no_show'
   });
   
-  // Criar registros de falta
-  const agendamentosSemCheckin = await this.find({
-    aula_id: aulaId,
-    status: 'no_show'
-  });
+  if (agendamentosSemCheckin.length === 0) return 0;
   
-  const Attendance = mongoose.model('Attendance');
+  const settings = await mongoose.model('Settings').getSettings();
+  let processados = 0;
+  
+  // Cada agendamento é marcado e penalizado por vez; a falha de um não afeta os demais
   for (const agendamento of agendamentosSemCheckin) {
+    const marcado = await this.findOneAndUpdate(
+      { _id: agendamento._id, status: 'confirmado' },
+      { status: 'no_show', data_no_show: agora },
+      { new: true }
+    );
+    
+    if (!marcado) continue;
+    
+    try {
+      await this.penalizarNoShow(marcado, aula, settings, agora);
+      processados++;
+    } catch (error) {
+      // Volta para confirmado para que um novo processamento aplique as penalidades
+      await this.updateOne({ _id: marcado._id }, { status: 'confirmado', data_no_show: null });
+      
+      logger.error('Erro ao processar no-show', {
+        agendamento_id: marcado._id,
+        aula_id: aulaId,
+        error: error.message
+      });
+    }
+  }
+  
+  return processados;
+};
+
+// Método estático para aplicar as penalidades de um no-show: registra a falta,
+// lança a multa da turma e suspende os agendamentos de quem atingiu o limite configurado
+bookingSchema.statics.penalizarNoShow = async function(agendamento, aula = null, settings = null, agora = new Date()) {
+  const Attendance = mongoose.model('Attendance');
+  const Monthly = mongoose.model('Monthly');
+  const Student = mongoose.model('Student');
+  
+  if (!aula) {
+    aula = await mongoose.model('Lesson').findById(agendamento.aula_id).populate('turma_id');
+  }
+  const configuracoes = settings || await mongoose.model('Settings').getSettings();
+  
+  // Criar registro de falta (a presença pode já ter sido lançada manualmente)
+  const jaRegistrada = await Attendance.exists({ aula_id: aula._id, aluno_id: agendamento.aluno_id });
+  if (!jaRegistrada) {
     await Attendance.create({
-      aula_id: aulaId,
+      aula_id: aula._id,
       aluno_id: agendamento.aluno_id,
       modo: 'agendamento',
       status: 'falta',
-      observacao: 'No-show - não fez check-in'
+      observacao: agendamento.data_cancelamento
+        ? 'No-show - cancelamento fora do prazo'
+        : 'No-show - não fez check-in'
     });
   }
   
-  return noShows.modifiedCount;
+  const turma = aula.turma_id;
+  const multa = turma && turma.configuracoes.multa_no_show;
+  
+  // A multa já lançada num processamento anterior não é cobrada de novo
+  const multaLancada = agendamento.multa_no_show && agendamento.multa_no_show.valor > 0;
+  
+  if (multa && multa.ativa && multa.valor > 0 && !multaLancada) {
+    const item = {
+      tipo: 'no_show',
+      descricao: `No-show: ${turma.nome} em ${naAcademia(aula.hora_inicio).format('DD/MM/YYYY HH:mm')}`,
+      valor: multa.valor,
+      referencia: agendamento._id,
+      data: agora
+    };
+    const mensalidade = await Monthly.lancarItemExtra(agendamento.aluno_id, item, agora);
+    
+    await this.updateOne({ _id: agendamento._id }, {
+      multa_no_show: {
+        valor: item.valor,
+        descricao: item.descricao,
+        data: agora,
+        mensalidade_id: mensalidade ? mensalidade._id : null
+      }
+    });
+  }
+  
+  const suspensao = configuracoes.noShowSuspension;
+  
+  if (suspensao && suspensao.enabled) {
+    const inicioPeriodo = new Date(agora.getTime() - suspensao.windowDays * 24 * 60 * 60 * 1000);
+    const noShows = await this.countDocuments({
+      aluno_id: agendamento.aluno_id,
+      status: 'no_show',
+      data_no_show: { $gte: inicioPeriodo }
+    });
+    
+    if (noShows >= suspensao.limit) {
+      const aluno = await Student.findById(agendamento.aluno_id);
+      if (aluno) {
+        await aluno.suspenderAgendamento(
+          suspensao.suspensionDays,
+          `${noShows} no-shows nos últimos ${suspensao.windowDays} dias`
+        );
+      }
+    }
+  }
 };
 
 // Middleware para validações
 bookingSchema.pre('save', function(next) {
   // Se está sendo cancelado, limpar posição da lista de espera
-  if (this.status === 'cancelado') {
+  if (STATUS_CANCELADOS.includes(this.status) || this.status === 'no_show') {
     this.posicao_lista_espera = null;
   }
   
@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const Closure = require('./Closure');
+const { naAcademia, combinarDataHora } = require('../config/timezone');
+const { NOMES_FAIXAS } = require('../config/belts');
+
+// Dias da semana na ordem de moment().day() / Date.getDay()
+const DIAS_SEMANA = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+
+// Converter "HH:MM" em minutos do dia
+const paraMinutos = (hora) => {
+  const [h, m] = hora.split(':').map(Number);
+  return h * 60 + m;
+};
 
 const classSchema = new mongoose.Schema({
   nome: {
@@ -59,7 +71,7 @@ const classSchema = new mongoose.Schema({
   },
   faixas_permitidas: [{
     type: String,
-    enum: ['branca', 'cinza', 'amarela', 'laranja', 'verde', 'azul', 'roxa', 'marrom', 'preta']
+    enum: NOMES_FAIXAS
   }],
   tipo_aula: {
     type: String,
@@ -86,6 +98,13 @@ const classSchema = new mongoose.Schema({
     multa_no_show: {
       ativa: { type: Boolean, default: false },
       valor: { type: Number, default: 0 }
+    },
+    // Antecedência mínima (em horas) para cancelar sem penalidade; vazio usa a configuração da academia
+    prazo_cancelamento_horas: {
+      type: Number,
+      min: [0, 'Prazo de cancelamento deve ser positivo'],
+      max: [72, 'Prazo de cancelamento deve ser de no máximo 72 horas'],
+      default: null
     }
   },
   estatisticas: {
@@ -129,30 +148,26 @@ classSchema.virtual('duracao_minutos').get(function() {
 
 // Virtual para próxima aula
 classSchema.virtual('proxima_aula').get(function() {
-  const hoje = new Date();
-  const diasSemanaNum = {
-    'domingo': 0, 'segunda': 1, 'terca': 2, 'quarta': 3,
-    'quinta': 4, 'sexta': 5, 'sabado': 6
-  };
+  const agora = naAcademia();
   
-  const diasAula = this.dias_semana.map(dia => diasSemanaNum[dia]).sort();
-  const hojeDia = hoje.getDay();
-  
-  let proximoDia = diasAula.find(dia => dia > hojeDia);
-  if (!proximoDia) {
-    proximoDia = diasAula[0]; // Próxima semana
+  // Hoje (se a aula ainda não começou) ou um dos próximos 7 dias
+  for (let dias = 0; dias <= 7; dias++) {
+    const dia = agora.clone().add(dias, 'days');
+    
+    if (this.dias_semana.includes(DIAS_SEMANA[dia.day()])) {
+      const inicio = combinarDataHora(dia, this.hora_inicio);
+      if (inicio > agora.toDate()) return inicio;
+    }
   }
   
-  const diasAte = proximoDia > hojeDia ? proximoDia - hojeDia : 7 - hojeDia + proximoDia;
-  const proximaData = new Date(hoje);
-  proximaData.setDate(hoje.getDate() + diasAte);
-  
-  const [hora, minuto] = this.hora_inicio.split(':').map(Number);
-  proximaData.setHours(hora, minuto, 0, 0);
-  
-  return proximaData;
+  return null;
 });
 
+// Método estático para obter o dia da semana (como em dias_semana) de uma data na academia
+classSchema.statics.diaDaSemana = function(data) {
+  return DIAS_SEMANA[naAcademia(data).day()];
+};
+
 // Método para verificar se um aluno pode participar da turma
 classSchema.methods.podeParticipar = function(aluno) {
   // Verificar grupo
@@ -180,55 +195,137 @@ classSchema.methods.podeParticipar = function(aluno) {
 
 // Método para calcular horário limite de check-in
 classSchema.methods.calcularLimiteCheckin = function(dataAula) {
-  const [hora, minuto] = this.hora_inicio.split(':').map(Number);
-  const inicioAula = new Date(dataAula);
-  inicioAula.setHours(hora, minuto, 0, 0);
-  
-  const limiteCheckin = new Date(inicioAula);
-  limiteCheckin.setMinutes(limiteCheckin.getMinutes() - this.janela_checkin_minutos);
+  const inicioAula = combinarDataHora(dataAula, this.hora_inicio);
   
-  return limiteCheckin;
+  return new Date(inicioAula.getTime() - this.janela_checkin_minutos * 60 * 1000);
 };
 
 // Método para gerar aulas da semana
+// Dias e horários no timezone da academia, independente do timezone do servidor
 classSchema.methods.gerarAulasSemana = function(dataInicio, dataFim) {
   const aulas = [];
-  const diasSemanaNum = {
-    'domingo': 0, 'segunda': 1, 'terca': 2, 'quarta': 3,
-    'quinta': 4, 'sexta': 5, 'sabado': 6
-  };
+  const dia = naAcademia(dataInicio).startOf('day');
+  const ultimoDia = naAcademia(dataFim);
   
-  const diasAula = this.dias_semana.map(dia => diasSemanaNum[dia]);
-  const dataAtual = new Date(dataInicio);
-  
-  while (dataAtual <= dataFim) {
-    if (diasAula.includes(dataAtual.getDay())) {
-      const [horaInicio, minutoInicio] = this.hora_inicio.split(':').map(Number);
-      const [horaFim, minutoFim] = this.hora_fim.split(':').map(Number);
-      
-      const dataAula = new Date(dataAtual);
-      const inicioAula = new Date(dataAula);
-      inicioAula.setHours(horaInicio, minutoInicio, 0, 0);
-      
-      const fimAula = new Date(dataAula);
-      fimAula.setHours(horaFim, minutoFim, 0, 0);
-      
+  while (dia.isSameOrBefore(ultimoDia)) {
+    if (this.dias_semana.includes(DIAS_SEMANA[dia.day()])) {
       aulas.push({
         turma_id: this._id,
-        data: dataAula,
-        hora_inicio: inicioAula,
-        hora_fim: fimAula,
+        data: dia.toDate(),
+        hora_inicio: combinarDataHora(dia, this.hora_inicio),
+        hora_fim: combinarDataHora(dia, this.hora_fim),
         capacidade: this.capacidade,
         status: 'agendada'
       });
     }
     
-    dataAtual.setDate(dataAtual.getDate() + 1);
+    dia.add(1, 'day');
   }
   
   return aulas;
 };
 
+// Método para materializar as aulas da turma em um período
+// Dias que já têm aula (inclusive cancelada) são mantidos como estão, para que
+// uma aula cancelada manualmente não seja recriada; horários em que a academia
+// está fechada (feriados, recessos) são pulados
+classSchema.methods.materializarAulas = async function(dataInicio, dataFim, opcoes = {}) {
+  const Lesson = mongoose.model('Lesson');
+  const agora = opcoes.agora || new Date();
+  
+  const previstas = this.gerarAulasSemana(dataInicio, dataFim)
+    .filter(aula => aula.hora_inicio > agora);
+  
+  if (previstas.length === 0) return [];
+  
+  const inicioPeriodo = naAcademia(dataInicio).startOf('day').toDate();
+  const fimPeriodo = naAcademia(dataFim).endOf('day').toDate();
+  
+  const existentes = await Lesson.find({
+    turma_id: this._id,
+    hora_inicio: { $gte: inicioPeriodo, $lte: fimPeriodo }
+  }).select('hora_inicio');
+  
+  const diaDaAula = (aula) => naAcademia(aula.hora_inicio).format('YYYY-MM-DD');
+  const diasOcupados = new Set(existentes.map(diaDaAula));
+  const fechamentos = await Closure.buscarPeriodo(inicioPeriodo, fimPeriodo);
+  const criadas = [];
+  
+  for (const aula of previstas) {
+    if (diasOcupados.has(diaDaAula(aula))) continue;
+    if (fechamentos.some(fechamento => fechamento.sobrepoe(aula.hora_inicio, aula.hora_fim))) continue;
+    
+    criadas.push(await Lesson.create({
+      turma_id: aula.turma_id,
+      data: aula.data,
+      hora_inicio: aula.hora_inicio,
+      hora_fim: aula.hora_fim
+    }));
+  }
+  
+  // Alunos com reserva recorrente na turma são agendados nas novas aulas
+  await mongoose.model('RecurringBooking').agendarAulas(criadas);
+  
+  return criadas;
+};
+
+// Método para remover aulas futuras sem agendamentos nem presenças
+// Usado ao desativar a turma ou retirar dias da semana (opcoes.dias)
+classSchema.methods.removerAulasFuturasVazias = async function(opcoes = {}) {
+  const Lesson = mongoose.model('Lesson');
+  const Booking = mongoose.model('Booking');
+  const Attendance = mongoose.model('Attendance');
+  
+  const aulas = await Lesson.find({
+    turma_id: this._id,
+    status: 'agendada',
+    hora_inicio: { $gt: opcoes.agora || new Date() }
+  });
+  
+  const resultado = { removidas: 0, mantidas: 0 };
+  
+  for (const aula of aulas) {
+    if (opcoes.dias && !opcoes.dias.includes(DIAS_SEMANA[naAcademia(aula.hora_inicio).day()])) {
+      continue;
+    }
+    
+    const ocupada = await Booking.exists({
+      aula_id: aula._id,
+      status: { $in: ['confirmado', 'espera', 'presente'] }
+    }) || await Attendance.exists({ aula_id: aula._id });
+    
+    if (ocupada) {
+      resultado.mantidas++;
+      continue;
+    }
+    
+    await Booking.deleteMany({ aula_id: aula._id });
+    await Lesson.deleteOne({ _id: aula._id });
+    resultado.removidas++;
+  }
+  
+  return resultado;
+};
+
+// Método estático para verificar conflito de horário do instrutor
+classSchema.statics.verificarConflitoHorario = async function(dias, horaInicio, horaFim, instrutorId, turmaId = null) {
+  const query = {
+    ativa: true,
+    instrutor_id: instrutorId,
+    dias_semana: { $in: dias }
+  };
+  
+  if (turmaId) query._id = { $ne: turmaId };
+  
+  const turmas = await this.find(query).select('nome dias_semana hora_inicio hora_fim');
+  const inicio = paraMinutos(horaInicio);
+  const fim = paraMinutos(horaFim);
+  
+  return turmas.filter(turma =>
+    paraMinutos(turma.hora_inicio) < fim && paraMinutos(turma.hora_fim) > inicio
+  );
+};
+
 // Validação customizada para horários
 classSchema.pre('save', function(next) {
   const [horaInicio, minutoInicio] = this.hora_inicio.split(':').map(Number);
@@ -243,7 +340,7 @@ classSchema.pre('save', function(next) {
   
   // Se não tem faixas específicas, permite todas
   if (!this.faixas_permitidas || this.faixas_permitidas.length === 0) {
-    this.faixas_permitidas = ['branca', 'cinza', 'amarela', 'laranja', 'verde', 'azul', 'roxa', 'marrom', 'preta'];
+    this.faixas_permitidas = [...NOMES_FAIXAS];
   }
   
   next();
@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { getTimezone } = require('../config/timezone');
+const { feriadosNacionais } = require('../utils/brazilianHolidays');
+
+const HORARIO_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Dias (ou parte do dia) em que a academia não abre
+const closureSchema = new mongoose.Schema({
+  titulo: {
+    type: String,
+    required: [true, 'Título é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Título deve ter no máximo 100 caracteres']
+  },
+  tipo: {
+    type: String,
+    enum: ['feriado_nacional', 'feriado_local', 'recesso', 'evento', 'manutencao', 'outro'],
+    default: 'outro'
+  },
+  // Início do primeiro dia e fim do último dia, no timezone da academia
+  data_inicio: {
+    type: Date,
+    required: [true, 'Data de início é obrigatória']
+  },
+  data_fim: {
+    type: Date
+  },
+  // Fechamento parcial: apenas este horário em cada dia do período
+  hora_inicio: {
+    type: String,
+    match: [HORARIO_REGEX, 'Hora de início inválida (formato HH:MM)'],
+    default: null
+  },
+  hora_fim: {
+    type: String,
+    match: [HORARIO_REGEX, 'Hora de fim inválida (formato HH:MM)'],
+    default: null
+  },
+  observacoes: {
+    type: String,
+    maxlength: [300, 'Observações devem ter no máximo 300 caracteres']
+  },
+  // Feriados nacionais removidos ficam inativos para não serem reimportados
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  criado_por: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+closureSchema.index({ ativo: 1, data_inicio: 1, data_fim: 1 });
+closureSchema.index({ tipo: 1, data_inicio: 1 });
+
+// Virtual para fechamento de apenas parte do dia
+closureSchema.virtual('parcial').get(function() {
+  return Boolean(this.hora_inicio && this.hora_fim);
+});
+
+// Normalizar o período para dias inteiros e validar horários
+closureSchema.pre('validate', function(next) {
+  if (this.data_inicio) {
+    this.data_inicio = moment.tz(this.data_inicio, getTimezone()).startOf('day').toDate();
+    this.data_fim = moment.tz(this.data_fim || this.data_inicio, getTimezone()).endOf('day').toDate();
+
+    if (this.data_fim < this.data_inicio) {
+      this.invalidate('data_fim', 'Data de fim deve ser igual ou posterior à data de início');
+    }
+  }
+
+  if (Boolean(this.hora_inicio) !== Boolean(this.hora_fim)) {
+    this.invalidate('hora_fim', 'Informe hora de início e fim para fechamento parcial');
+  } else if (this.hora_inicio && this.hora_fim <= this.hora_inicio) {
+    this.invalidate('hora_fim', 'Hora de fim deve ser posterior à hora de início');
+  }
+
+  next();
+});
+
+// Método para verificar se o fechamento atinge um intervalo de horário
+closureSchema.methods.sobrepoe = function(inicio, fim) {
+  if (this.data_inicio >= fim || this.data_fim <= inicio) return false;
+  if (!this.parcial) return true;
+
+  // Fechamento parcial: comparar com a janela de cada dia do período
+  const [horaInicio, minutoInicio] = this.hora_inicio.split(':').map(Number);
+  const [horaFim, minutoFim] = this.hora_fim.split(':').map(Number);
+
+  const dia = moment.tz(Math.max(this.data_inicio, inicio), getTimezone()).startOf('day');
+  const ultimoDia = moment.tz(Math.min(this.data_fim, fim), getTimezone());
+
+  while (dia.isSameOrBefore(ultimoDia)) {
+    const janelaInicio = dia.clone().hour(horaInicio).minute(minutoInicio);
+    const janelaFim = dia.clone().hour(horaFim).minute(minutoFim);
+
+    if (janelaInicio.toDate() < fim && janelaFim.toDate() > inicio) return true;
+
+    dia.add(1, 'day');
+  }
+
+  return false;
+};
+
+// Método para cancelar as aulas agendadas dentro do fechamento
+closureSchema.methods.cancelarAulas = async function() {
+  const Lesson = mongoose.model('Lesson');
+  const Booking = mongoose.model('Booking');
+  const Notification = mongoose.model('Notification');
+
+  const aulas = await Lesson.find({
+    status: 'agendada',
+    hora_inicio: { $lt: this.data_fim },
+    hora_fim: { $gt: this.data_inicio }
+  });
+
+  let canceladas = 0;
+
+  for (const aula of aulas) {
+    if (!this.sobrepoe(aula.hora_inicio, aula.hora_fim)) continue;
+
+    const motivo = `Academia fechada: ${this.titulo}`;
+    await aula.cancelar(motivo);
+
+    const agendamentos = await Booking.find(
+      { aula_id: aula._id, status: { $in: ['confirmado', 'espera'] } },
+      '_id aluno_id'
+    );
+
+    await Booking.updateMany(
+      { _id: { $in: agendamentos.map(agendamento => agendamento._id) } },
+      {
+        status: 'cancelado',
+        data_cancelamento: new Date(),
+        motivo_cancelamento: 'Aula cancelada',
+        posicao_lista_espera: null
+      }
+    );
+
+    // Avisar cada aluno agendado (inclusive da lista de espera) pela fila de notificações
+    for (const agendamento of agendamentos) {
+      await Notification.enfileirar('cancelamento_aula', {
+        aluno_id: agendamento.aluno_id,
+        referencia: { modelo: 'Booking', id: agendamento._id },
+        dados: { motivo }
+      });
+    }
+
+    await aula.atualizarEstatisticas();
+    canceladas++;
+  }
+
+  return canceladas;
+};
+
+// Método estático para buscar os fechamentos ativos de um período
+closureSchema.statics.buscarPeriodo = function(inicio, fim) {
+  return this.find({
+    ativo: true,
+    data_inicio: { $lt: fim },
+    data_fim: { $gt: inicio }
+  }).sort({ data_inicio: 1 });
+};
+
+// Método estático para obter o fechamento que atinge um intervalo (ou null)
+closureSchema.statics.buscarFechamento = async function(inicio, fim) {
+  const fechamentos = await this.buscarPeriodo(inicio, fim);
+
+  return fechamentos.find(fechamento => fechamento.sobrepoe(inicio, fim)) || null;
+};
+
+// Método estático para adiar uma data até o próximo dia sem fechamento integral
+// (fechamentos parciais não impedem o dia)
+closureSchema.statics.proximoDiaAberto = async function(data) {
+  const dia = moment.tz(data, getTimezone());
+  const fechamentos = await this.buscarPeriodo(
+    dia.clone().startOf('day').toDate(),
+    dia.clone().add(90, 'days').toDate()
+  );
+  const integrais = fechamentos.filter(fechamento => !fechamento.parcial);
+
+  let fechamento = integrais.find(f => f.data_inicio <= dia.toDate() && f.data_fim >= dia.toDate());
+
+  while (fechamento) {
+    dia.add(1, 'day');
+    fechamento = integrais.find(f => f.data_inicio <= dia.toDate() && f.data_fim >= dia.toDate());
+  }
+
+  return dia.toDate();
+};
+
+// Método estático para importar os feriados nacionais de um ano
+// Feriados já importados (inclusive removidos) não são recriados; as aulas
+// agendadas nos feriados novos são canceladas
+closureSchema.statics.importarFeriadosNacionais = async function(ano, opcoes = {}) {
+  const feriados = feriadosNacionais(ano, { incluirFacultativos: opcoes.incluirFacultativos });
+  let importados = 0;
+  let canceladas = 0;
+
+  for (const feriado of feriados) {
+    const dia = moment.tz(feriado.data, 'YYYY-MM-DD', getTimezone());
+
+    const resultado = await this.updateOne(
+      { tipo: 'feriado_nacional', data_inicio: dia.clone().startOf('day').toDate() },
+      {
+        $setOnInsert: {
+          titulo: feriado.nome,
+          data_fim: dia.clone().endOf('day').toDate(),
+          ativo: true,
+          criado_por: opcoes.usuarioId || null
+        }
+      },
+      { upsert: true }
+    );
+
+    if (resultado.upsertedCount > 0) {
+      const fechamento = await this.findById(resultado.upsertedId);
+      canceladas += await fechamento.cancelarAulas();
+      importados++;
+    }
+  }
+
+  return { ano, total: feriados.length, importados, canceladas };
+};
+
+module.exports = mongoose.model('Closure', closureSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Contadores sequenciais atômicos (ex.: numeração de certificados por mês)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Chave do contador é obrigatória']
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Método estático para obter o próximo valor de um contador
+counterSchema.statics.proximoValor = async function(chave) {
+  const contador = await this.findOneAndUpdate(
+    { _id: chave },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return contador.seq;
+};
+
+// Método estático para garantir que o contador não fique abaixo de um valor
+counterSchema.statics.garantirMinimo = async function(chave, valor) {
+  const contador = await this.findOneAndUpdate(
+    { _id: chave },
+    { $max: { seq: valor } },
+    { new: true, upsert: true }
+  );
+
+  return contador.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { salvarCertificado, caminhoCertificado } = require('../utils/certificateGenerator');
+const Counter = require('./Counter');
+const { NOMES_FAIXAS, buscarFaixa, posicaoFaixa, verificarIdadeFaixa, proximaFaixa } = require('../config/belts');
 
 const graduationSchema = new mongoose.Schema({
   aluno_id: {
@@ -8,7 +11,7 @@ const graduationSchema = new mongoose.Schema({
   },
   faixa: {
     type: String,
-    enum: ['branca', 'cinza', 'amarela', 'laranja', 'verde', 'azul', 'roxa', 'marrom', 'preta'],
+    enum: NOMES_FAIXAS,
     required: [true, 'Faixa é obrigatória']
   },
   grau: {
@@ -96,6 +99,16 @@ const graduationSchema = new mongoose.Schema({
   validada_por: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  validada_em: Date,
+  invalidada_em: Date,
+  invalidada_por: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  motivo_invalidacao: {
+    type: String,
+    maxlength: [500, 'Motivo da invalidação deve ter no máximo 500 caracteres']
   }
 }, {
   timestamps: true,
@@ -109,6 +122,10 @@ graduationSchema.index({ faixa: 1, data: -1 });
 graduationSchema.index({ responsavel: 1, data: -1 });
 graduationSchema.index({ validada: 1 });
 graduationSchema.index({ 'cerimonia.data_cerimonia': 1 });
+graduationSchema.index(
+  { 'certificado.numero': 1 },
+  { unique: true, partialFilterExpression: { 'certificado.numero': { $type: 'string' } } }
+);
 
 // Virtual para nome completo da faixa
 graduationSchema.virtual('faixa_completa').get(function() {
@@ -144,16 +161,58 @@ graduationSchema.virtual('tempo_desde_graduacao').get(function() {
   }
 });
 
-// Método para gerar número do certificado
-graduationSchema.methods.gerarNumeroCertificado = function() {
+// Método para gerar número do certificado (sequencial por mês da graduação)
+graduationSchema.methods.gerarNumeroCertificado = async function() {
   const ano = this.data.getFullYear();
   const mes = String(this.data.getMonth() + 1).padStart(2, '0');
-  const sequencial = String(Math.floor(Math.random() * 10000)).padStart(4, '0');
+  const valor = await Counter.proximoValor(`certificado-${ano}${mes}`);
+  const sequencial = String(valor).padStart(4, '0');
   
   this.certificado.numero = `SJJ-${ano}${mes}-${sequencial}`;
   return this.certificado.numero;
 };
 
+// Método para renderizar e armazenar o PDF do certificado
+graduationSchema.methods.renderizarCertificado = async function() {
+  const Student = mongoose.model('Student');
+  const User = mongoose.model('User');
+  const Settings = mongoose.model('Settings');
+  
+  const aluno = this.populated('aluno_id')
+    ? this.aluno_id
+    : await Student.findById(this.aluno_id).select('nome');
+  const responsavel = this.populated('responsavel')
+    ? this.responsavel
+    : await User.findById(this.responsavel).select('nome');
+  
+  if (!aluno) {
+    throw new Error('Aluno não encontrado');
+  }
+  
+  const settings = await Settings.getSettings();
+  
+  this.certificado.arquivo = await salvarCertificado({
+    aluno: aluno.nome,
+    faixa: this.faixa,
+    grau: this.grau,
+    tipo_graduacao: this.tipo_graduacao,
+    data: this.data,
+    responsavel: responsavel ? responsavel.nome : '',
+    numero: this.certificado.numero,
+    url_verificacao: this.certificado.numero
+      ? this.constructor.urlVerificacao(this.certificado.numero)
+      : null,
+    academia: settings.toObject().academyInfo || {}
+  });
+  
+  return this.certificado.arquivo;
+};
+
+// Método para obter o caminho do arquivo do certificado
+graduationSchema.methods.caminhoCertificado = function() {
+  return caminhoCertificado(this.certificado.arquivo);
+};
+
 // Método para gerar certificado
 graduationSchema.methods.gerarCertificado = async function() {
   if (this.certificado.gerado) {
@@ -166,17 +225,49 @@ graduationSchema.methods.gerarCertificado = async function() {
   
   // Gerar número se não existe
   if (!this.certificado.numero) {
-    this.gerarNumeroCertificado();
+    await this.gerarNumeroCertificado();
   }
   
-  // Aqui seria implementada a geração do PDF do certificado
-  // Por enquanto, apenas marcamos como gerado
+  await this.renderizarCertificado();
+  
   this.certificado.gerado = true;
   this.certificado.data_geracao = new Date();
   
   return this.save();
 };
 
+// Método estático para montar a URL pública de verificação do certificado
+graduationSchema.statics.urlVerificacao = function(numero) {
+  const base = (process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  return `${base}/api/graduations/verify/${encodeURIComponent(numero)}`;
+};
+
+// Método estático para verificar a autenticidade de um certificado
+graduationSchema.statics.verificarCertificado = async function(numero) {
+  const graduacao = await this.findOne({ 'certificado.numero': numero })
+    .populate('aluno_id', 'nome')
+    .populate('responsavel', 'nome');
+  
+  if (!graduacao || !graduacao.certificado.gerado) {
+    return null;
+  }
+  
+  return {
+    numero: graduacao.certificado.numero,
+    aluno: graduacao.aluno_id ? graduacao.aluno_id.nome : null,
+    faixa: graduacao.faixa,
+    grau: graduacao.grau,
+    faixa_completa: graduacao.faixa_completa,
+    data_graduacao: graduacao.data,
+    responsavel: graduacao.responsavel ? graduacao.responsavel.nome : null,
+    data_emissao: graduacao.certificado.data_geracao,
+    status: graduacao.validada ? 'valido' : 'invalidado',
+    valido: graduacao.validada,
+    invalidado_em: graduacao.validada ? undefined : graduacao.invalidada_em,
+    motivo_invalidacao: graduacao.validada ? undefined : graduacao.motivo_invalidacao
+  };
+};
+
 // Método estático para criar graduação
 graduationSchema.statics.criarGraduacao = async function(dadosGraduacao) {
   const {
@@ -187,7 +278,8 @@ graduationSchema.statics.criarGraduacao = async function(dadosGraduacao) {
     nota = '',
     tipo_graduacao = 'promocao',
     criterios_atendidos = {},
-    observacoes = ''
+    observacoes = '',
+    forcar_graduacao = false
   } = dadosGraduacao;
   
   const Student = mongoose.model('Student');
@@ -198,10 +290,25 @@ graduationSchema.statics.criarGraduacao = async function(dadosGraduacao) {
     throw new Error('Aluno não encontrado');
   }
   
+  // Verificar se a faixa e o grau existem na escada de faixas
+  const definicao = buscarFaixa(faixa);
+  if (!definicao) {
+    throw new Error('Faixa inválida');
+  }
+  
+  if (grau < definicao.grauInicial || grau > definicao.grauMaximo) {
+    throw new Error(`Grau deve estar entre ${definicao.grauInicial} e ${definicao.grauMaximo} na faixa ${definicao.nome}`);
+  }
+  
+  // Verificar a idade exigida para a faixa
+  const motivoIdade = verificarIdadeFaixa(faixa, aluno.idade);
+  if (motivoIdade) {
+    throw new Error(motivoIdade);
+  }
+  
   // Verificar se a nova faixa é uma progressão válida
-  const ordemFaixas = ['branca', 'cinza', 'amarela', 'laranja', 'verde', 'azul', 'roxa', 'marrom', 'preta'];
-  const faixaAtualIndex = ordemFaixas.indexOf(aluno.faixa_atual);
-  const novaFaixaIndex = ordemFaixas.indexOf(faixa);
+  const faixaAtualIndex = posicaoFaixa(aluno.faixa_atual);
+  const novaFaixaIndex = posicaoFaixa(faixa);
   
   // Permitir graduação para mesma faixa (aumento de grau) ou faixa superior
   if (novaFaixaIndex < faixaAtualIndex) {
@@ -213,6 +320,29 @@ graduationSchema.statics.criarGraduacao = async function(dadosGraduacao) {
     throw new Error('Novo grau deve ser superior ao atual');
   }
   
+  // Verificar os requisitos da graduação (reconhecimento e transferência não dependem deles)
+  let criterios = criterios_atendidos;
+  if (['promocao', 'grau'].includes(tipo_graduacao)) {
+    const elegibilidade = await aluno.verificarElegibilidadeGraduacao({ faixa, grau });
+    
+    if (!elegibilidade.elegivel && !forcar_graduacao) {
+      // Motivos e detalhes seguem no erro para a rota devolver ao instrutor
+      const erro = new Error(`Aluno não atende aos requisitos da graduação: ${elegibilidade.motivos.join('; ')}`);
+      erro.motivos = elegibilidade.motivos;
+      erro.elegibilidade = elegibilidade;
+      throw erro;
+    }
+    
+    if (Object.keys(criterios).length === 0) {
+      const { dias_no_grau, presencas, assiduidade } = elegibilidade.criterios;
+      criterios = {
+        tempo_faixa_anterior: { dias: dias_no_grau.atual, atendido: dias_no_grau.ok },
+        presencas_minimas: { total: presencas.atual, atendido: presencas.ok },
+        assiduidade: { percentual: assiduidade.atual, atendido: assiduidade.ok }
+      };
+    }
+  }
+  
   // Criar graduação
   const graduacao = new this({
     aluno_id,
@@ -221,7 +351,7 @@ graduationSchema.statics.criarGraduacao = async function(dadosGraduacao) {
     responsavel,
     nota,
     tipo_graduacao,
-    criterios_atendidos,
+    criterios_atendidos: criterios,
     observacoes,
     validada_por: responsavel
   });
@@ -231,7 +361,6 @@ graduationSchema.statics.criarGraduacao = async function(dadosGraduacao) {
   // Atualizar faixa do aluno
   aluno.faixa_atual = faixa;
   aluno.graus = grau;
-  aluno.is_preta = faixa === 'preta';
   
   // Resetar dias na faixa atual
   aluno.estatisticas.dias_na_faixa_atual = 0;
@@ -273,24 +402,21 @@ graduationSchema.statics.historicoGraduacoes = async function(filtros = {}) {
 };
 
 // Método estático para relatório de elegibilidade
-graduationSchema.statics.relatorioElegibilidade = async function(requisitos = {}) {
-  const {
-    presencas_minimas = 50,
-    dias_minimos_faixa = 180,
-    assiduidade_minima = 70
-  } = requisitos;
+// Cada aluno é avaliado pelos requisitos cadastrados para a sua próxima graduação
+graduationSchema.statics.relatorioElegibilidade = async function(filtros = {}) {
+  const { grupo, faixa_atual } = filtros;
   
   const Student = mongoose.model('Student');
   
-  const alunos = await Student.find({ status: 'ativo' });
+  const query = { status: 'ativo' };
+  if (grupo) query.grupo = grupo;
+  if (faixa_atual) query.faixa_atual = faixa_atual;
+  
+  const alunos = await Student.find(query).sort({ nome: 1 });
   const elegibilidade = [];
   
   for (const aluno of alunos) {
-    const elegivel = aluno.verificarElegibilidadeGraduacao({
-      presencas_minimas,
-      dias_minimos_faixa,
-      assiduidade_minima
-    });
+    const elegivel = await aluno.verificarElegibilidadeGraduacao();
     
     // Buscar última graduação
     const ultimaGraduacao = await this.findOne({
@@ -301,49 +427,24 @@ graduationSchema.statics.relatorioElegibilidade = async function(requisitos = {}
       aluno: aluno,
       elegivel: elegivel.elegivel,
       criterios: elegivel.criterios,
+      motivos: elegivel.motivos,
+      requisitos: elegivel.requisitos,
       ultima_graduacao: ultimaGraduacao,
-      proxima_faixa: this.calcularProximaFaixa(aluno.faixa_atual, aluno.graus)
+      proxima_faixa: elegivel.proxima_faixa
     });
   }
   
   return elegibilidade.sort((a, b) => {
     if (a.elegivel && !b.elegivel) return -1;
     if (!a.elegivel && b.elegivel) return 1;
-    return b.criterios.assiduidade.atual - a.criterios.assiduidade.atual;
+    return (b.aluno.estatisticas.percentual_assiduidade || 0) - (a.aluno.estatisticas.percentual_assiduidade || 0);
   });
 };
 
-// Método estático para calcular próxima faixa
-graduationSchema.statics.calcularProximaFaixa = function(faixaAtual, grauAtual) {
-  const ordemFaixas = ['branca', 'cinza', 'amarela', 'laranja', 'verde', 'azul', 'roxa', 'marrom', 'preta'];
-  const grausMaximos = {
-    'branca': 4, 'cinza': 4, 'amarela': 4, 'laranja': 4,
-    'verde': 4, 'azul': 4, 'roxa': 4, 'marrom': 4, 'preta': 10
-  };
-  
-  const faixaIndex = ordemFaixas.indexOf(faixaAtual);
-  const maxGraus = grausMaximos[faixaAtual] || 0;
-  
-  // Se ainda pode aumentar grau na faixa atual
-  if (grauAtual < maxGraus) {
-    return {
-      faixa: faixaAtual,
-      grau: grauAtual + 1,
-      tipo: 'grau'
-    };
-  }
-  
-  // Se pode promover para próxima faixa
-  if (faixaIndex < ordemFaixas.length - 1) {
-    return {
-      faixa: ordemFaixas[faixaIndex + 1],
-      grau: 0,
-      tipo: 'promocao'
-    };
-  }
-  
-  // Já está na faixa máxima com grau máximo
-  return null;
+// Método estático para calcular próxima faixa (segue a escada de faixas da trilha do aluno)
+// Retorna null quando já está na faixa máxima da trilha com grau máximo
+graduationSchema.statics.calcularProximaFaixa = function(faixaAtual, grauAtual, grupo = 'adulto') {
+  return proximaFaixa(faixaAtual, grauAtual, grupo);
 };
 
 // Método estático para estatísticas de graduações
@@ -403,13 +504,17 @@ graduationSchema.statics.estatisticasGraduacoes = async function(periodo = 'ano'
 };
 
 // Middleware para validações
-graduationSchema.pre('save', function(next) {
-  // Gerar número do certificado se não existe
-  if (!this.certificado.numero && this.validada) {
-    this.gerarNumeroCertificado();
+graduationSchema.pre('save', async function(next) {
+  try {
+    // Gerar número do certificado se não existe
+    if (!this.certificado.numero && this.validada) {
+      await this.gerarNumeroCertificado();
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
   }
-  
-  next();
 });
 
 // Middleware pós-save para atualizar estatísticas do aluno
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { NOMES_FAIXAS, buscarFaixa } = require('../config/belts');
+
+// Requisitos usados quando não há linha cadastrada para a graduação
+const REQUISITOS_PADRAO = {
+  presencas_minimas: 50,
+  assiduidade_minima: 70,
+  dias_minimos_grau: 180,
+  dias_minimos_faixa: 0,
+  idade_minima: null
+};
+
+// Requisitos para receber uma faixa (ou um grau específico dela) em cada grupo
+const graduationRequirementSchema = new mongoose.Schema({
+  faixa: {
+    type: String,
+    enum: NOMES_FAIXAS,
+    required: [true, 'Faixa é obrigatória']
+  },
+  // null = vale para qualquer grau da faixa
+  grau: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: null
+  },
+  grupo: {
+    type: String,
+    enum: ['kids', 'adulto', 'ambos'],
+    default: 'ambos'
+  },
+  // Presenças desde a última graduação
+  presencas_minimas: {
+    type: Number,
+    min: [0, 'Presenças mínimas não podem ser negativas'],
+    default: REQUISITOS_PADRAO.presencas_minimas
+  },
+  assiduidade_minima: {
+    type: Number,
+    min: [0, 'Assiduidade mínima deve ser entre 0 e 100'],
+    max: [100, 'Assiduidade mínima deve ser entre 0 e 100'],
+    default: REQUISITOS_PADRAO.assiduidade_minima
+  },
+  // Tempo mínimo no grau anterior (desde a última graduação)
+  dias_minimos_grau: {
+    type: Number,
+    min: [0, 'Tempo mínimo no grau não pode ser negativo'],
+    default: REQUISITOS_PADRAO.dias_minimos_grau
+  },
+  // Tempo mínimo na faixa anterior (apenas para troca de faixa)
+  dias_minimos_faixa: {
+    type: Number,
+    min: [0, 'Tempo mínimo na faixa não pode ser negativo'],
+    default: REQUISITOS_PADRAO.dias_minimos_faixa
+  },
+  // Idade mínima da academia (a idade da escada de faixas é sempre exigida)
+  idade_minima: {
+    type: Number,
+    min: [0, 'Idade mínima não pode ser negativa'],
+    max: [100, 'Idade mínima deve ser no máximo 100'],
+    default: null
+  },
+  observacoes: {
+    type: String,
+    maxlength: [300, 'Observações devem ter no máximo 300 caracteres']
+  },
+  atualizado_por: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+graduationRequirementSchema.index({ faixa: 1, grau: 1, grupo: 1 }, { unique: true });
+
+// Validar o grau contra a escada de faixas
+graduationRequirementSchema.pre('validate', function(next) {
+  const definicao = buscarFaixa(this.faixa);
+
+  if (definicao && this.grau !== null && (this.grau < definicao.grauInicial || this.grau > definicao.grauMaximo)) {
+    this.invalidate('grau', `Grau deve estar entre ${definicao.grauInicial} e ${definicao.grauMaximo} na faixa ${definicao.nome}`);
+  }
+
+  next();
+});
+
+// Método estático para buscar os requisitos de uma graduação
+// A linha mais específica vence: grau exato antes de "qualquer grau", grupo do aluno antes de "ambos"
+graduationRequirementSchema.statics.buscarRequisitos = async function(faixa, grau, grupo) {
+  const linhas = await this.find({
+    faixa,
+    grau: { $in: [grau, null] },
+    grupo: { $in: [grupo, 'ambos'] }
+  });
+
+  const especificidade = (linha) => (linha.grau !== null ? 2 : 0) + (linha.grupo !== 'ambos' ? 1 : 0);
+  const [linha] = linhas.sort((a, b) => especificidade(b) - especificidade(a));
+
+  const requisitos = { ...REQUISITOS_PADRAO, origem: null };
+  if (linha) {
+    Object.keys(REQUISITOS_PADRAO).forEach(campo => {
+      requisitos[campo] = linha[campo];
+    });
+    requisitos.origem = linha._id;
+  }
+
+  // A idade da escada de faixas é o mínimo, mesmo sem linha cadastrada
+  const definicao = buscarFaixa(faixa);
+  if (definicao && definicao.idadeMinima !== null) {
+    requisitos.idade_minima = Math.max(requisitos.idade_minima || 0, definicao.idadeMinima);
+  }
+
+  return requisitos;
+};
+
+module.exports = mongoose.model('GraduationRequirement', graduationRequirementSchema);
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Hash SHA-256 da chave do quiosque (a chave em si nunca é gravada)
+const hashChave = (segredo) => crypto.createHash('sha256').update(segredo).digest('hex');
+
+// Tablet compartilhado da recepção, autenticado por chave própria (não é um usuário)
+const kioskDeviceSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: [true, 'Nome do quiosque é obrigatório'],
+    trim: true,
+    maxlength: [60, 'Nome deve ter no máximo 60 caracteres']
+  },
+  chave_hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  ultimo_acesso: Date,
+  ultimo_ip: String,
+  criado_por: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revogado_por: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  data_revogacao: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+kioskDeviceSchema.index({ ativo: 1 });
+
+// Método para revogar a chave do quiosque
+kioskDeviceSchema.methods.revogar = function(usuarioId) {
+  this.ativo = false;
+  this.revogado_por = usuarioId;
+  this.data_revogacao = new Date();
+
+  return this.save();
+};
+
+// Método estático para cadastrar quiosque
+// Retorna a chave em texto uma única vez: "<id>.<segredo>"
+kioskDeviceSchema.statics.cadastrar = async function(nome, usuarioId) {
+  const segredo = crypto.randomBytes(24).toString('base64url');
+  const quiosque = new this({
+    nome,
+    chave_hash: hashChave(segredo),
+    criado_por: usuarioId
+  });
+
+  await quiosque.save();
+
+  return { quiosque, chave: `${quiosque._id}.${segredo}` };
+};
+
+// Método estático para autenticar a chave enviada pelo quiosque
+kioskDeviceSchema.statics.autenticar = async function(chave) {
+  const [id, segredo] = String(chave || '').split('.');
+
+  if (!segredo || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const quiosque = await this.findOne({ _id: id, ativo: true }).select('+chave_hash');
+  if (!quiosque) {
+    return null;
+  }
+
+  const esperado = Buffer.from(quiosque.chave_hash);
+  const recebido = Buffer.from(hashChave(segredo));
+
+  return crypto.timingSafeEqual(esperado, recebido) ? quiosque : null;
+};
+
+module.exports = mongoose.model('KioskDevice', kioskDeviceSchema);
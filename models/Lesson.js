@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const paginate = require('./plugins/paginate');
+const { naAcademia } = require('../config/timezone');
 
 const lessonSchema = new mongoose.Schema({
   turma_id: {
@@ -105,6 +107,9 @@ lessonSchema.index({ data: 1, hora_inicio: 1 });
 lessonSchema.index({ status: 1 });
 lessonSchema.index({ 'configuracoes.checkin_liberado': 1 });
 
+// Paginação
+lessonSchema.plugin(paginate);
+
 // Virtual para capacidade efetiva
 lessonSchema.virtual('capacidade_efetiva').get(function() {
   return this.capacidade_override || (this.turma_id && this.turma_id.capacidade) || 0;
@@ -151,14 +156,13 @@ lessonSchema.virtual('tempo_ate_inicio').get(function() {
 });
 
 // Método para verificar se check-in está liberado
-lessonSchema.methods.checkinLiberado = function(turma) {
+// A janela é calculada sobre instantes absolutos, sem depender do relógio local
+lessonSchema.methods.checkinLiberado = function(turma, agora = new Date()) {
   if (!this.configuracoes.checkin_liberado) return false;
   if (this.status !== 'agendada') return false;
   
-  const agora = new Date();
   const janelaMinutos = turma ? turma.janela_checkin_minutos : 60;
-  const limiteCheckin = new Date(this.hora_inicio);
-  limiteCheckin.setMinutes(limiteCheckin.getMinutes() - janelaMinutos);
+  const limiteCheckin = new Date(this.hora_inicio.getTime() - janelaMinutos * 60 * 1000);
   
   return agora >= limiteCheckin && agora <= this.hora_inicio;
 };
@@ -214,13 +218,21 @@ lessonSchema.methods.atualizarEstatisticas = async function() {
 };
 
 // Método para finalizar aula
-lessonSchema.methods.finalizar = function(observacoes = '') {
+lessonSchema.methods.finalizar = async function(observacoes = '') {
   this.status = 'finalizada';
   if (observacoes) {
     this.observacoes = observacoes;
   }
   
-  return this.save();
+  await this.save();
+  
+  // Check-out de quem ainda estava no tatame
+  await mongoose.model('Attendance').encerrarPresencas(this);
+  
+  // Falta, multa e suspensão de quem agendou e não apareceu
+  await mongoose.model('Booking').processarNoShows(this._id);
+  
+  return this;
 };
 
 // Método para cancelar aula
@@ -263,6 +275,21 @@ lessonSchema.statics.verificarConflitos = async function(data, horaInicio, horaF
   };
 };
 
+// Método estático para listar as aulas com check-in liberado agora
+// A janela da turma é de no máximo 8 horas antes do início
+lessonSchema.statics.buscarCheckinLiberado = async function(agora = new Date()) {
+  const aulas = await this.find({
+    status: 'agendada',
+    'configuracoes.checkin_liberado': true,
+    hora_inicio: {
+      $gte: agora,
+      $lte: new Date(agora.getTime() + 8 * 60 * 60 * 1000)
+    }
+  }).populate('turma_id').sort({ hora_inicio: 1 });
+  
+  return aulas.filter(aula => aula.checkinLiberado(aula.turma_id, agora));
+};
+
 // Middleware para validações antes de salvar
 lessonSchema.pre('save', function(next) {
   // Validar que hora_fim é posterior a hora_inicio
@@ -271,10 +298,19 @@ lessonSchema.pre('save', function(next) {
   }
   
   // Validar que a data não é no passado (apenas para novas aulas)
-  if (this.isNew && this.data < new Date().setHours(0, 0, 0, 0)) {
+  if (this.isNew && this.data < naAcademia().startOf('day').toDate()) {
     return next(new Error('Não é possível criar aulas no passado'));
   }
   
+  // Aula remarcada volta a receber os lembretes
+  if (!this.isNew && this.isModified('hora_inicio')) {
+    this.configuracoes.notificacoes_enviadas = {
+      lembrete_24h: false,
+      lembrete_2h: false,
+      inicio_aula: false
+    };
+  }
+  
   next();
 });
 
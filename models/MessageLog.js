@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Registro de cada mensagem de SMS/WhatsApp enviada (ou ignorada)
+const messageLogSchema = new mongoose.Schema({
+  canal: {
+    type: String,
+    enum: ['sms', 'whatsapp'],
+    required: [true, 'Canal é obrigatório']
+  },
+  tipo: {
+    type: String,
+    required: [true, 'Tipo da mensagem é obrigatório']
+  },
+  aluno_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  para: {
+    type: String,
+    default: null
+  },
+  mensagem: {
+    type: String,
+    required: [true, 'Conteúdo da mensagem é obrigatório']
+  },
+  provedor: String,
+  sid: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['enviado', 'entregue', 'falha', 'ignorado'],
+    default: 'enviado'
+  },
+  status_provedor: String,
+  motivo: String,
+  erro: String,
+  referencia: {
+    modelo: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  data_entrega: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+messageLogSchema.index({ aluno_id: 1, createdAt: -1 });
+messageLogSchema.index({ sid: 1 }, { sparse: true });
+messageLogSchema.index({ 'referencia.modelo': 1, 'referencia.id': 1 });
+
+// Método estático para atualizar o status a partir do callback do provedor
+messageLogSchema.statics.atualizarStatusProvedor = async function(sid, statusProvedor, erro = null) {
+  const status = ['delivered', 'read'].includes(statusProvedor) ? 'entregue' :
+                 ['failed', 'undelivered'].includes(statusProvedor) ? 'falha' :
+                 null;
+
+  const atualizacao = { status_provedor: statusProvedor };
+
+  if (status) atualizacao.status = status;
+  if (status === 'entregue') atualizacao.data_entrega = new Date();
+  if (erro) atualizacao.erro = erro;
+
+  return this.findOneAndUpdate({ sid }, { $set: atualizacao }, { new: true });
+};
+
+module.exports = mongoose.model('MessageLog', messageLogSchema);
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { getTimezone } = require('../config/timezone');
+const Closure = require('./Closure');
+const paginate = require('./plugins/paginate');
+
+// Status que encerram a cobrança da mensalidade
+const STATUS_QUITADOS = ['pago', 'isento', 'cancelado'];
 
 const monthlySchema = new mongoose.Schema({
   aluno_id: {
@@ -45,6 +52,11 @@ const monthlySchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Valor dos juros deve ser positivo']
   },
+  dias_carencia: {
+    type: Number,
+    default: 0,
+    min: [0, 'Dias de carência devem ser positivos']
+  },
   bloqueio_checkin: {
     type: Boolean,
     default: false
@@ -62,6 +74,29 @@ const monthlySchema = new mongoose.Schema({
     },
     motivo: String
   },
+  // Cobranças avulsas somadas à mensalidade (ex.: multa por no-show)
+  itens_extras: [{
+    tipo: {
+      type: String,
+      enum: ['no_show', 'outro'],
+      default: 'outro'
+    },
+    descricao: {
+      type: String,
+      required: [true, 'Descrição do item é obrigatória'],
+      maxlength: [200, 'Descrição do item deve ter no máximo 200 caracteres']
+    },
+    valor: {
+      type: Number,
+      required: [true, 'Valor do item é obrigatório'],
+      min: [0, 'Valor do item deve ser positivo']
+    },
+    referencia: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    data: { type: Date, default: Date.now }
+  }],
   observacoes: {
     type: String,
     maxlength: [500, 'Observações devem ter no máximo 500 caracteres']
@@ -77,7 +112,7 @@ const monthlySchema = new mongoose.Schema({
   },
   forma_pagamento: {
     type: String,
-    enum: ['dinheiro', 'cartao_credito', 'cartao_debito', 'pix', 'boleto', 'transferencia', 'mercado_pago'],
+    enum: ['dinheiro', 'cartao_credito', 'cartao_debito', 'pix', 'boleto', 'transferencia', 'mercado_pago', null],
     default: null
   },
   comprovante: {
@@ -126,6 +161,9 @@ monthlySchema.index({ competencia: 1 });
 monthlySchema.index({ 'mercado_pago.payment_id': 1 });
 monthlySchema.index({ 'mercado_pago.external_reference': 1 });
 
+// Paginação
+monthlySchema.plugin(paginate);
+
 // Virtual para verificar se está em atraso
 monthlySchema.virtual('em_atraso').get(function() {
   if (this.status === 'pago' || this.status === 'isento') return false;
@@ -140,9 +178,14 @@ monthlySchema.virtual('dias_atraso').get(function() {
   return Math.floor(diferenca / (1000 * 60 * 60 * 24));
 });
 
+// Virtual para verificar se o atraso ainda está dentro da carência
+monthlySchema.virtual('em_carencia').get(function() {
+  return this.em_atraso && this.dias_atraso <= (this.dias_carencia || 0);
+});
+
 // Virtual para valor da multa calculado
 monthlySchema.virtual('multa_calculada').get(function() {
-  if (this.multa_tipo === 'nenhuma' || !this.em_atraso) return 0;
+  if (this.multa_tipo === 'nenhuma' || !this.em_atraso || this.em_carencia) return 0;
   
   if (this.multa_tipo === 'fixa') {
     return this.multa_valor;
@@ -155,7 +198,7 @@ monthlySchema.virtual('multa_calculada').get(function() {
 
 // Virtual para valor dos juros calculado
 monthlySchema.virtual('juros_calculados').get(function() {
-  if (this.juros_tipo === 'nenhum' || !this.em_atraso) return 0;
+  if (this.juros_tipo === 'nenhum' || !this.em_atraso || this.em_carencia) return 0;
   
   const diasAtraso = this.dias_atraso;
   
@@ -181,6 +224,11 @@ monthlySchema.virtual('desconto_calculado').get(function() {
   return 0;
 });
 
+// Virtual para soma dos itens extras (multa, juros e desconto incidem apenas sobre o valor)
+monthlySchema.virtual('valor_itens_extras').get(function() {
+  return (this.itens_extras || []).reduce((total, item) => total + item.valor, 0);
+});
+
 // Virtual para valor total a pagar
 monthlySchema.virtual('valor_total').get(function() {
   const valorBase = this.valor;
@@ -188,7 +236,7 @@ monthlySchema.virtual('valor_total').get(function() {
   const juros = this.juros_calculados;
   const desconto = this.desconto_calculado;
   
-  return Math.max(0, valorBase + multa + juros - desconto);
+  return Math.max(0, valorBase + multa + juros - desconto) + this.valor_itens_extras;
 });
 
 // Virtual para competência formatada
@@ -341,85 +389,189 @@ monthlySchema.methods.gerarLinkPagamento = async function() {
   }
 };
 
+// Método estático para lançar um item extra na próxima mensalidade em aberto do aluno
+// Retorna null quando não há mensalidade em aberto a vencer
+monthlySchema.statics.lancarItemExtra = async function(alunoId, item, referencia = new Date()) {
+  const inicioDia = moment.tz(referencia, getTimezone()).startOf('day').toDate();
+  
+  const mensalidade = await this.findOne({
+    aluno_id: alunoId,
+    status: 'em_aberto',
+    vencimento: { $gte: inicioDia }
+  }).sort({ vencimento: 1 });
+  
+  if (!mensalidade) return null;
+  
+  mensalidade.itens_extras.push(item);
+  mensalidade.historico_status.push({
+    status: mensalidade.status,
+    observacao: `Item extra lançado: ${item.descricao} (R$ ${item.valor.toFixed(2)})`
+  });
+  
+  return mensalidade.save();
+};
+
+// Tipos de multa das configurações mapeados para o schema
+const TIPOS_MULTA = {
+  percentage: 'percentual',
+  fixed: 'fixa'
+};
+
+// Método estático para calcular o vencimento de uma competência
+// (dias inexistentes no mês, como 31/02, caem no último dia do mês)
+monthlySchema.statics.calcularVencimento = function(competencia, diaVencimento) {
+  const inicioMes = moment.tz(`${competencia}-01`, 'YYYY-MM-DD', getTimezone());
+  const dia = Math.min(diaVencimento || 10, inicioMes.daysInMonth());
+  
+  return inicioMes.date(dia).toDate();
+};
+
 // Método estático para criar mensalidades em lote
-monthlySchema.statics.criarMensalidadesLote = async function(competencia, filtros = {}) {
+monthlySchema.statics.criarMensalidadesLote = async function(competencia, filtros = {}, settings = null) {
   const Student = mongoose.model('Student');
+  const Settings = mongoose.model('Settings');
+  
+  // Multa, juros e carência vêm das configurações vigentes
+  const configuracoes = settings || await Settings.getSettings();
   
   // Buscar alunos ativos
   const query = { status: 'ativo', ...filtros };
   const alunos = await Student.find(query);
   
+  // Alunos que já possuem mensalidade nesta competência
+  const existentes = await this.distinct('aluno_id', {
+    competencia: competencia,
+    aluno_id: { $in: alunos.map(aluno => aluno._id) }
+  });
+  const jaGerados = new Set(existentes.map(id => id.toString()));
+  
+  // Vencimento em dia de academia fechada é adiado para o próximo dia aberto
+  const vencimentos = new Map();
+  const vencimentoAberto = async (diaVencimento) => {
+    if (!vencimentos.has(diaVencimento)) {
+      vencimentos.set(
+        diaVencimento,
+        await Closure.proximoDiaAberto(this.calcularVencimento(competencia, diaVencimento))
+      );
+    }
+    
+    return vencimentos.get(diaVencimento);
+  };
+  
+  // Multas de no-show aplicadas quando não havia mensalidade em aberto entram na próxima gerada
+  const multasPendentes = await mongoose.model('Booking').find({
+    aluno_id: { $in: alunos.map(aluno => aluno._id) },
+    'multa_no_show.valor': { $gt: 0 },
+    'multa_no_show.mensalidade_id': null
+  });
+  
   const mensalidades = [];
-  const [ano, mes] = competencia.split('-').map(Number);
+  const multasLancadas = [];
   
   for (const aluno of alunos) {
-    // Verificar se já existe mensalidade para esta competência
-    const existente = await this.findOne({
+    if (jaGerados.has(aluno._id.toString())) continue;
+    
+    const multasAluno = multasPendentes.filter(booking => booking.aluno_id.equals(aluno._id));
+    
+    const mensalidade = new this({
       aluno_id: aluno._id,
-      competencia: competencia
+      competencia: competencia,
+      valor: aluno.valor_mensalidade,
+      vencimento: await vencimentoAberto(aluno.dia_vencimento || configuracoes.dueDayOfMonth),
+      multa_tipo: configuracoes.lateFeeValue > 0
+        ? TIPOS_MULTA[configuracoes.lateFeeType] || 'percentual'
+        : 'nenhuma',
+      multa_valor: configuracoes.lateFeeValue,
+      juros_tipo: configuracoes.dailyInterestRate > 0 ? 'percentual' : 'nenhum',
+      juros_valor: configuracoes.dailyInterestRate,
+      dias_carencia: configuracoes.gracePeriodDays,
+      itens_extras: multasAluno.map(booking => ({
+        tipo: 'no_show',
+        descricao: booking.multa_no_show.descricao || 'Multa por no-show',
+        valor: booking.multa_no_show.valor,
+        referencia: booking._id,
+        data: booking.multa_no_show.data
+      })),
+      historico_status: [{
+        status: 'em_aberto',
+        observacao: 'Mensalidade gerada automaticamente'
+      }]
     });
     
-    if (!existente) {
-      // Calcular data de vencimento
-      const vencimento = new Date(ano, mes - 1, aluno.dia_vencimento);
-      
-      const mensalidade = new this({
-        aluno_id: aluno._id,
-        competencia: competencia,
-        valor: aluno.valor_mensalidade,
-        vencimento: vencimento,
-        multa_tipo: process.env.DEFAULT_LATE_FEE_TYPE || 'percentual',
-        multa_valor: parseFloat(process.env.DEFAULT_LATE_FEE_VALUE) || 10,
-        juros_tipo: 'percentual',
-        juros_valor: parseFloat(process.env.DEFAULT_DAILY_INTEREST) || 0.033
-      });
-      
-      mensalidades.push(mensalidade);
-    }
+    mensalidades.push(mensalidade);
+    multasAluno.forEach(booking => multasLancadas.push({ booking, mensalidade }));
   }
   
   if (mensalidades.length > 0) {
     await this.insertMany(mensalidades);
   }
   
-  return mensalidades.length;
+  if (multasLancadas.length > 0) {
+    await mongoose.model('Booking').bulkWrite(multasLancadas.map(({ booking, mensalidade }) => ({
+      updateOne: {
+        filter: { _id: booking._id },
+        update: { $set: { 'multa_no_show.mensalidade_id': mensalidade._id } }
+      }
+    })));
+  }
+  
+  return {
+    geradas: mensalidades.length,
+    existentes: jaGerados.size
+  };
 };
 
 // Método estático para atualizar status de mensalidades em atraso
-monthlySchema.statics.atualizarStatusAtraso = async function() {
-  const hoje = new Date();
-  hoje.setHours(23, 59, 59, 999);
+monthlySchema.statics.atualizarStatusAtraso = async function(referencia = new Date(), settings = null) {
+  const Settings = mongoose.model('Settings');
+  const configuracoes = settings || await Settings.getSettings();
+  
+  const hoje = moment.tz(referencia, getTimezone()).startOf('day');
+  
+  // Atrasadas são as vencidas há mais dias que a carência configurada
+  const limiteCarencia = hoje.clone().subtract(configuracoes.gracePeriodDays || 0, 'days').toDate();
   
   // Marcar como atrasadas
   const atrasadas = await this.updateMany({
     status: 'em_aberto',
-    vencimento: { $lt: hoje }
+    vencimento: { $lt: limiteCarencia }
   }, {
-    status: 'atrasado'
+    $set: { status: 'atrasado' },
+    $push: {
+      historico_status: {
+        status: 'atrasado',
+        data: new Date(),
+        observacao: 'Mensalidade vencida'
+      }
+    }
   });
   
   // Aplicar bloqueios se configurado
-  const diasBloqueio = parseInt(process.env.DEFAULT_BLOCK_DAYS) || 7;
-  const dataBloqueio = new Date();
-  dataBloqueio.setDate(dataBloqueio.getDate() - diasBloqueio);
+  if (configuracoes.blockActions && configuracoes.blockActions.preventCheckin === false) {
+    return {
+      atrasadas: atrasadas.modifiedCount,
+      bloqueadas: 0
+    };
+  }
+  
+  const dataBloqueio = hoje.clone().subtract(configuracoes.blockAfterDays, 'days').toDate();
   
   const mensalidadesBloqueio = await this.find({
     status: 'atrasado',
-    vencimento: { $lt: dataBloqueio },
+    vencimento: { $lte: dataBloqueio },
     bloqueio_checkin: false
   }).populate('aluno_id');
   
-  const Student = mongoose.model('Student');
-  
   for (const mensalidade of mensalidadesBloqueio) {
     mensalidade.bloqueio_checkin = true;
     await mensalidade.save();
     
-    // Bloquear aluno
-    if (mensalidade.aluno_id) {
+    // Bloquear aluno (sem sobrescrever um bloqueio já existente)
+    if (mensalidade.aluno_id && !mensalidade.aluno_id.configuracoes.bloqueio_checkin) {
       await mensalidade.aluno_id.alterarBloqueioCheckin(
         true,
-        `Mensalidade em atraso - ${mensalidade.competencia_formatada}`
+        `Mensalidade em atraso - ${mensalidade.competencia_formatada}`,
+        'financeiro'
       );
     }
   }
@@ -430,6 +582,29 @@ monthlySchema.statics.atualizarStatusAtraso = async function() {
   };
 };
 
+// Método estático para remover o bloqueio por inadimplência do aluno
+// Só libera quando não há outras mensalidades em atraso; bloqueios manuais são mantidos
+monthlySchema.statics.liberarBloqueioFinanceiro = async function(alunoId) {
+  const Student = mongoose.model('Student');
+  const aluno = await Student.findById(alunoId);
+  
+  if (!aluno || !aluno.bloqueioFinanceiro()) {
+    return false;
+  }
+  
+  const outrasAtrasadas = await this.countDocuments({
+    aluno_id: aluno._id,
+    status: 'atrasado'
+  });
+  
+  if (outrasAtrasadas > 0) {
+    return false;
+  }
+  
+  await aluno.alterarBloqueioCheckin(false);
+  return true;
+};
+
 // Método estático para relatório financeiro
 monthlySchema.statics.relatorioFinanceiro = async function(filtros = {}) {
   const {
@@ -484,7 +659,7 @@ monthlySchema.statics.relatorioFinanceiro = async function(filtros = {}) {
 // Middleware para atualizar status automaticamente
 monthlySchema.pre('save', function(next) {
   // Atualizar status baseado na data
-  if (this.status === 'em_aberto' && this.em_atraso) {
+  if (this.status === 'em_aberto' && this.em_atraso && !this.em_carencia) {
     this.status = 'atrasado';
   }
   
@@ -494,6 +669,12 @@ monthlySchema.pre('save', function(next) {
       status: this.status,
       observacao: `Status alterado para ${this.status}`
     });
+    
+    // Mensalidade quitada não mantém mais o bloqueio de check-in
+    if (STATUS_QUITADOS.includes(this.status)) {
+      this.bloqueio_checkin = false;
+      this.$locals.quitada = true;
+    }
   }
   
   next();
@@ -501,24 +682,9 @@ monthlySchema.pre('save', function(next) {
 
 // Middleware pós-save para atualizar bloqueio do aluno
 monthlySchema.post('save', async function() {
-  if (this.aluno_id) {
-    const Student = mongoose.model('Student');
-    const aluno = await Student.findById(this.aluno_id);
-    
-    if (aluno) {
-      // Se mensalidade foi paga, remover bloqueio se não há outras pendências
-      if (this.status === 'pago' && aluno.configuracoes.bloqueio_checkin) {
-        const outrasAtrasadas = await this.constructor.countDocuments({
-          aluno_id: this.aluno_id,
-          status: 'atrasado',
-          _id: { $ne: this._id }
-        });
-        
-        if (outrasAtrasadas === 0) {
-          await aluno.alterarBloqueioCheckin(false);
-        }
-      }
-    }
+  if (this.aluno_id && this.$locals.quitada) {
+    this.$locals.quitada = false;
+    await this.constructor.liberarBloqueioFinanceiro(this.aluno_id);
   }
 });
 
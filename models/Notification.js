@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+
+// Canais de entrega das notificações
+const CANAIS = ['email', 'sms', 'whatsapp'];
+
+// Canais suportados por tipo (SMS/WhatsApp apenas onde há template curto)
+const CANAIS_POR_TIPO = {
+  lembrete_pagamento: CANAIS,
+  lembrete_aula: CANAIS
+};
+
+// Intervalo base e máximo entre tentativas (backoff exponencial)
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAXIMO_MS = 6 * 60 * 60 * 1000;
+
+// Fila persistente de notificações (outbox)
+const notificationSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: [
+      'lembrete_pagamento',
+      'confirmacao_pagamento',
+      'confirmacao_agendamento',
+      'promocao_lista_espera',
+      'cancelamento_aula',
+      'lembrete_aula',
+      'lembrete_aula_instrutor',
+      'graduacao'
+    ],
+    required: [true, 'Tipo da notificação é obrigatório']
+  },
+  aluno_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  referencia: {
+    modelo: {
+      type: String,
+      enum: ['Monthly', 'Booking', 'Lesson', 'Graduation'],
+      required: [true, 'Modelo de referência é obrigatório']
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'ID de referência é obrigatório']
+    }
+  },
+  dados: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  canais: [{
+    type: String,
+    enum: CANAIS
+  }],
+  canais_pendentes: [{
+    type: String,
+    enum: CANAIS
+  }],
+  status: {
+    type: String,
+    enum: ['pendente', 'processando', 'enviado', 'ignorado', 'falha', 'cancelado'],
+    default: 'pendente'
+  },
+  tentativas: {
+    type: Number,
+    default: 0
+  },
+  max_tentativas: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  proxima_tentativa: {
+    type: Date,
+    default: Date.now
+  },
+  ultimo_erro: String,
+  enviado_em: Date,
+  historico: [{
+    data: {
+      type: Date,
+      default: Date.now
+    },
+    tentativa: Number,
+    canal: {
+      type: String,
+      enum: CANAIS
+    },
+    enviado: Boolean,
+    motivo: String,
+    erro: String
+  }],
+  criado_por: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+notificationSchema.index({ status: 1, proxima_tentativa: 1 });
+notificationSchema.index({ aluno_id: 1, createdAt: -1 });
+notificationSchema.index({ 'referencia.modelo': 1, 'referencia.id': 1 });
+
+// Método estático para calcular o atraso da próxima tentativa
+notificationSchema.statics.calcularBackoff = function(tentativas) {
+  const atraso = BACKOFF_BASE_MS * Math.pow(2, Math.max(tentativas - 1, 0));
+  return Math.min(atraso, BACKOFF_MAXIMO_MS);
+};
+
+// Método estático para enfileirar uma notificação
+notificationSchema.statics.enfileirar = async function(tipo, opcoes) {
+  const canais = opcoes.canais || CANAIS_POR_TIPO[tipo] || ['email'];
+
+  return this.create({
+    tipo,
+    aluno_id: opcoes.aluno_id || null,
+    referencia: opcoes.referencia,
+    dados: opcoes.dados || {},
+    canais,
+    canais_pendentes: canais,
+    proxima_tentativa: opcoes.agendar_para || new Date(),
+    criado_por: opcoes.criado_por || null
+  });
+};
+
+// Método estático para reservar a próxima notificação pronta para envio
+// A troca atômica de status evita entrega duplicada por workers concorrentes
+notificationSchema.statics.reservarProxima = async function(agora = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'pendente', proxima_tentativa: { $lte: agora } },
+    { $set: { status: 'processando' }, $inc: { tentativas: 1 } },
+    { new: true, sort: { proxima_tentativa: 1 } }
+  );
+};
+
+// Método para registrar o resultado de uma tentativa de entrega
+// Canais com erro de envio continuam pendentes; os demais são concluídos
+notificationSchema.methods.registrarTentativa = function(resultados, agora = new Date()) {
+  const pendentes = [];
+
+  Object.entries(resultados).forEach(([canal, resultado]) => {
+    this.historico.push({
+      data: agora,
+      tentativa: this.tentativas,
+      canal,
+      enviado: resultado.enviado,
+      motivo: resultado.motivo,
+      erro: resultado.erro
+    });
+
+    if (resultado.motivo === 'erro_envio') {
+      pendentes.push(canal);
+      this.ultimo_erro = resultado.erro || resultado.motivo;
+    }
+  });
+
+  this.canais_pendentes = pendentes;
+
+  const algumEnviado = this.historico.some(entrada => entrada.enviado);
+
+  if (pendentes.length === 0) {
+    this.status = algumEnviado ? 'enviado' : 'ignorado';
+    this.enviado_em = algumEnviado ? agora : null;
+  } else if (this.tentativas >= this.max_tentativas) {
+    this.status = 'falha';
+  } else {
+    this.status = 'pendente';
+    this.proxima_tentativa = new Date(agora.getTime() + this.constructor.calcularBackoff(this.tentativas));
+  }
+
+  return this.save();
+};
+
+// Método para registrar falha inesperada (ex.: documento de referência removido)
+notificationSchema.methods.registrarErro = function(erro, agora = new Date()) {
+  this.ultimo_erro = erro;
+  this.historico.push({ data: agora, tentativa: this.tentativas, enviado: false, erro });
+
+  if (this.tentativas >= this.max_tentativas) {
+    this.status = 'falha';
+  } else {
+    this.status = 'pendente';
+    this.proxima_tentativa = new Date(agora.getTime() + this.constructor.calcularBackoff(this.tentativas));
+  }
+
+  return this.save();
+};
+
+// Método para reenviar uma notificação (nova rodada de tentativas)
+notificationSchema.methods.reenviar = function(canais = null) {
+  this.canais_pendentes = canais && canais.length ? canais : this.canais;
+  this.status = 'pendente';
+  this.tentativas = 0;
+  this.proxima_tentativa = new Date();
+  this.ultimo_erro = null;
+
+  return this.save();
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const paginate = require('./plugins/paginate');
 
 const orderSchema = new mongoose.Schema({
   numero_pedido: {
@@ -252,6 +253,9 @@ orderSchema.index({ 'pagamento.mercado_pago.payment_id': 1 });
 orderSchema.index({ vendedor: 1 });
 orderSchema.index({ origem: 1 });
 
+// Paginação
+orderSchema.plugin(paginate);
+
 // Virtual para status formatado
 orderSchema.virtual('status_formatado').get(function() {
   const statusMap = {
@@ -273,6 +277,11 @@ orderSchema.virtual('pode_cancelar').get(function() {
   return ['aguardando_pagamento', 'pagamento_confirmado', 'em_preparacao'].includes(this.status);
 });
 
+// Virtual para verificar se pode ser devolvido (só depois da entrega)
+orderSchema.virtual('pode_devolver').get(function() {
+  return this.status === 'entregue';
+});
+
 // Virtual para verificar se está pago
 orderSchema.virtual('esta_pago').get(function() {
   return this.pagamento.status === 'aprovado';
@@ -448,6 +457,55 @@ orderSchema.methods.processarPagamento = function(dadosPagamento) {
   return this.save();
 };
 
+// Método para baixar o estoque dos itens do pedido
+// Se algum item não tiver estoque, as baixas já feitas são desfeitas
+orderSchema.methods.baixarEstoque = async function() {
+  const Product = mongoose.model('Product');
+  const baixados = [];
+  
+  for (const item of this.itens) {
+    const baixou = await Product.baixarEstoque(item.produto_id, item.quantidade);
+    
+    if (!baixou) {
+      for (const baixado of baixados) {
+        await Product.devolverEstoque(baixado.produto_id, baixado.quantidade);
+      }
+      throw new Error(`Estoque insuficiente para o produto ${item.nome}`);
+    }
+    
+    baixados.push(item);
+  }
+  
+  return this;
+};
+
+// Método para devolver ao estoque os itens do pedido
+orderSchema.methods.devolverEstoque = async function() {
+  const Product = mongoose.model('Product');
+  
+  for (const item of this.itens) {
+    await Product.devolverEstoque(item.produto_id, item.quantidade);
+  }
+  
+  return this;
+};
+
+// Método estático para cancelar os pedidos não pagos no prazo
+// O estoque reservado na criação volta para a loja
+orderSchema.statics.expirarPedidosNaoPagos = async function(prazoHoras, agora = new Date()) {
+  const pedidos = await this.find({
+    status: 'aguardando_pagamento',
+    createdAt: { $lte: new Date(agora.getTime() - prazoHoras * 60 * 60 * 1000) }
+  });
+  
+  for (const pedido of pedidos) {
+    await pedido.cancelar(`Pagamento não confirmado em ${prazoHoras} horas`);
+    await pedido.devolverEstoque();
+  }
+  
+  return pedidos.length;
+};
+
 // Método estático para criar pedido
 orderSchema.statics.criarPedido = async function(dadosPedido) {
   const numeroPedido = await this.gerarNumeroPedido();
@@ -567,24 +625,4 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
-// Middleware para atualizar estoque após confirmação
-orderSchema.post('save', async function() {
-  if (this.isModified('status') && this.status === 'pagamento_confirmado') {
-    const Product = mongoose.model('Product');
-    
-    // Atualizar estoque dos produtos
-    for (const item of this.itens) {
-      try {
-        const produto = await Product.findById(item.produto_id);
-        if (produto) {
-          await produto.atualizarEstoque(item.quantidade, 'subtrair');
-          await produto.registrarVenda(item.quantidade);
-        }
-      } catch (error) {
-        console.error(`Erro ao atualizar estoque do produto ${item.produto_id}:`, error);
-      }
-    }
-  }
-});
-
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -299,6 +299,44 @@ productSchema.methods.registrarVenda = function(quantidade = 1) {
   return this.save();
 };
 
+// Método estático para baixar estoque de forma atômica
+// Retorna false se o produto não existir ou não tiver estoque suficiente
+productSchema.statics.baixarEstoque = async function(produtoId, quantidade) {
+  const controlado = await this.updateOne(
+    {
+      _id: produtoId,
+      'estoque.controlar': true,
+      'estoque.quantidade': { $gte: quantidade }
+    },
+    { $inc: { 'estoque.quantidade': -quantidade, 'estatisticas.vendas': quantidade } }
+  );
+  
+  if (controlado.modifiedCount > 0) return true;
+  
+  // Produtos sem controle de estoque apenas registram a venda
+  const livre = await this.updateOne(
+    { _id: produtoId, 'estoque.controlar': false },
+    { $inc: { 'estatisticas.vendas': quantidade } }
+  );
+  
+  return livre.modifiedCount > 0;
+};
+
+// Método estático para devolver ao estoque (cancelamento ou exclusão de pedido)
+productSchema.statics.devolverEstoque = async function(produtoId, quantidade) {
+  const controlado = await this.updateOne(
+    { _id: produtoId, 'estoque.controlar': true },
+    { $inc: { 'estoque.quantidade': quantidade, 'estatisticas.vendas': -quantidade } }
+  );
+  
+  if (controlado.modifiedCount === 0) {
+    await this.updateOne(
+      { _id: produtoId },
+      { $inc: { 'estatisticas.vendas': -quantidade } }
+    );
+  }
+};
+
 // Método estático para buscar produtos
 productSchema.statics.buscarProdutos = function(filtros = {}) {
   const {
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Booking = require('./Booking');
+const { naAcademia } = require('../config/timezone');
+
+// Formato das datas puladas (dia no timezone da academia)
+const FORMATO_DIA = 'YYYY-MM-DD';
+
+// Reserva recorrente: o aluno fica agendado nas aulas da turma nos dias escolhidos
+const recurringBookingSchema = new mongoose.Schema({
+  aluno_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Aluno é obrigatório']
+  },
+  turma_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Turma é obrigatória']
+  },
+  dias_semana: {
+    type: [{
+      type: String,
+      enum: ['segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado', 'domingo']
+    }],
+    validate: {
+      validator: dias => dias.length > 0,
+      message: 'Deve ter pelo menos um dia da semana'
+    }
+  },
+  ativa: {
+    type: Boolean,
+    default: true
+  },
+  // Dias (YYYY-MM-DD) em que o aluno não quer ser agendado
+  datas_puladas: [String],
+  criado_por: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  data_encerramento: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+recurringBookingSchema.index(
+  { aluno_id: 1, turma_id: 1 },
+  { unique: true, partialFilterExpression: { ativa: true } }
+);
+recurringBookingSchema.index({ turma_id: 1, ativa: 1 });
+
+// Método para verificar se a reserva cobre a aula (dia da semana escolhido e não pulado)
+recurringBookingSchema.methods.cobreAula = function(aula) {
+  const Class = mongoose.model('Class');
+
+  return this.dias_semana.includes(Class.diaDaSemana(aula.hora_inicio)) &&
+    !this.datas_puladas.includes(naAcademia(aula.hora_inicio).format(FORMATO_DIA));
+};
+
+// Método para agendar o aluno nas aulas cobertas pela reserva
+// Fica pausada enquanto o aluno não está ativo, está bloqueado ou com agendamentos suspensos;
+// capacidade, lista de espera e fechamentos são tratados por Booking.criarAgendamento
+recurringBookingSchema.methods.agendar = async function(aulas) {
+  const resultado = { agendados: 0, pausada: false };
+  if (!this.ativa) return resultado;
+
+  const aluno = await mongoose.model('Student').findById(this.aluno_id);
+  if (!aluno || aluno.status !== 'ativo' || aluno.configuracoes.bloqueio_checkin || aluno.agendamentoSuspenso()) {
+    resultado.pausada = true;
+    return resultado;
+  }
+
+  for (const aula of aulas) {
+    if (aula.status !== 'agendada' || !this.cobreAula(aula)) continue;
+
+    // Agendamentos anteriores, mesmo cancelados pelo aluno, são respeitados
+    // (os cancelados ao pausar a reserva são recriados quando ela é retomada)
+    if (await Booking.existeAgendamentoRespeitado(aula._id, this.aluno_id)) continue;
+
+    try {
+      await Booking.criarAgendamento(aula._id, this.aluno_id, 'normal', { recorrencia_id: this._id });
+      resultado.agendados++;
+    } catch (error) {
+      // Aula lotada sem lista de espera, fechamento ou aluno fora do perfil da turma
+      continue;
+    }
+  }
+
+  return resultado;
+};
+
+// Método para agendar as aulas já geradas da turma a partir de agora
+recurringBookingSchema.methods.agendarProximasAulas = async function(agora = new Date()) {
+  const aulas = await mongoose.model('Lesson').find({
+    turma_id: this.turma_id,
+    status: 'agendada',
+    hora_inicio: { $gt: agora }
+  }).sort({ hora_inicio: 1 });
+
+  return this.agendar(aulas);
+};
+
+// Método para pular uma data: marca o dia e cancela o agendamento já criado pela reserva
+// O cancelamento respeita o prazo sem penalidade do agendamento
+recurringBookingSchema.methods.pularData = async function(data, agora = new Date()) {
+  const dia = naAcademia(data);
+  const chave = dia.format(FORMATO_DIA);
+
+  const aula = await mongoose.model('Lesson').findOne({
+    turma_id: this.turma_id,
+    hora_inicio: { $gte: dia.clone().startOf('day').toDate(), $lte: dia.clone().endOf('day').toDate() }
+  });
+
+  const agendamento = aula && await Booking.findOne({
+    aula_id: aula._id,
+    aluno_id: this.aluno_id,
+    recorrencia_id: this._id,
+    status: { $in: ['confirmado', 'espera'] }
+  });
+
+  if (agendamento) {
+    const prazo = await agendamento.prazoCancelamento();
+    if (agendamento.status === 'confirmado' && agora > prazo) {
+      throw new Error(`O prazo para pular esta data terminou em ${naAcademia(prazo).format('DD/MM/YYYY HH:mm')}`);
+    }
+
+    await agendamento.cancelar('Data pulada na reserva recorrente');
+  }
+
+  if (!this.datas_puladas.includes(chave)) {
+    this.datas_puladas.push(chave);
+    await this.save();
+  }
+
+  return { data: chave, agendamento_cancelado: Boolean(agendamento) };
+};
+
+// Método para encerrar a reserva (agendamentos já criados são mantidos)
+recurringBookingSchema.methods.encerrar = function() {
+  this.ativa = false;
+  this.data_encerramento = new Date();
+
+  return this.save();
+};
+
+// Método estático para agendar as reservas recorrentes nas aulas recém-geradas
+recurringBookingSchema.statics.agendarAulas = async function(aulas) {
+  const resumo = { reservas: 0, agendados: 0, pausadas: 0 };
+  if (aulas.length === 0) return resumo;
+
+  const turmaIds = [...new Set(aulas.map(aula => aula.turma_id.toString()))];
+  const reservas = await this.find({ turma_id: { $in: turmaIds }, ativa: true });
+
+  for (const reserva of reservas) {
+    const aulasDaTurma = aulas.filter(aula => aula.turma_id.equals(reserva.turma_id));
+    const resultado = await reserva.agendar(aulasDaTurma);
+
+    resumo.reservas++;
+    resumo.agendados += resultado.agendados;
+    if (resultado.pausada) resumo.pausadas++;
+  }
+
+  return resumo;
+};
+
+// Método estático para agendar todas as reservas ativas nas aulas já geradas
+// (retoma as reservas que estavam pausadas)
+recurringBookingSchema.statics.agendarReservasAtivas = async function(agora = new Date()) {
+  const resumo = { reservas: 0, agendados: 0, pausadas: 0 };
+  const reservas = await this.find({ ativa: true });
+
+  for (const reserva of reservas) {
+    const resultado = await reserva.agendarProximasAulas(agora);
+
+    resumo.reservas++;
+    resumo.agendados += resultado.agendados;
+    if (resultado.pausada) resumo.pausadas++;
+  }
+
+  return resumo;
+};
+
+module.exports = mongoose.model('RecurringBooking', recurringBookingSchema);
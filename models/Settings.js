@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const { TIMEZONE_PADRAO, timezoneValido, setTimezone } = require('../config/timezone');
+const { NOMES_FAIXAS } = require('../config/belts');
+
+// Raio médio da Terra em metros (fórmula de haversine)
+const RAIO_TERRA_METROS = 6371000;
+
+const paraRadianos = (graus) => graus * Math.PI / 180;
+
+// Distância em metros entre duas coordenadas { latitude, longitude }
+const distanciaEmMetros = (origem, destino) => {
+  const dLat = paraRadianos(destino.latitude - origem.latitude);
+  const dLon = paraRadianos(destino.longitude - origem.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(paraRadianos(origem.latitude)) * Math.cos(paraRadianos(destino.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * RAIO_TERRA_METROS * Math.asin(Math.sqrt(a));
+};
 
 const settingsSchema = new mongoose.Schema({
   // Configurações de Check-in
@@ -26,6 +43,34 @@ const settingsSchema = new mongoose.Schema({
     description: 'Quantos minutos após o início da aula o check-in ainda é permitido'
   },
   
+  // Configurações de Geolocalização do Check-in
+  checkinGeofence: {
+    enabled: {
+      type: Boolean,
+      default: false,
+      description: 'Exigir que o aluno esteja na academia para fazer check-in pelo aplicativo'
+    },
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90,
+      description: 'Latitude da academia'
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180,
+      description: 'Longitude da academia'
+    },
+    radiusMeters: {
+      type: Number,
+      default: 150,
+      min: 20,
+      max: 5000,
+      description: 'Distância máxima da academia (em metros) para o check-in'
+    }
+  },
+  
   // Configurações de Capacidade
   defaultClassCapacity: {
     type: Number,
@@ -49,6 +94,26 @@ const settingsSchema = new mongoose.Schema({
     description: 'Percentual de overbooking permitido'
   },
   
+  // Configurações de Horário
+  timezone: {
+    type: String,
+    default: TIMEZONE_PADRAO,
+    validate: {
+      validator: timezoneValido,
+      message: 'Timezone inválido (use o formato IANA, ex.: America/Sao_Paulo)'
+    },
+    description: 'Timezone da academia para horários de aulas e check-in (jobs agendados passam a usá-lo após reiniciar)'
+  },
+  
+  // Configurações de Aulas
+  lessonGenerationWeeks: {
+    type: Number,
+    default: 4,
+    min: 1,
+    max: 12,
+    description: 'Semanas à frente com aulas geradas automaticamente'
+  },
+  
   // Configurações de Graduação
   blackBeltExemption: {
     type: Boolean,
@@ -57,11 +122,78 @@ const settingsSchema = new mongoose.Schema({
   },
   
   exemptBelts: {
-    type: [String],
-    default: ['preta', 'coral', 'vermelha'],
+    type: [{
+      type: String,
+      enum: NOMES_FAIXAS
+    }],
+    default: ['preta', 'coral', 'vermelha-branca', 'vermelha'],
     description: 'Faixas isentas de agendamento'
   },
   
+  // Configurações da Lista de Espera
+  waitlistOffer: {
+    acceptanceMinutes: {
+      type: Number,
+      default: 120,
+      min: 5,
+      max: 1440,
+      description: 'Prazo (em minutos) para o aluno aceitar a vaga oferecida da lista de espera'
+    },
+    autoConfirmMinutes: {
+      type: Number,
+      default: 60,
+      min: 0,
+      max: 720,
+      description: 'Com a aula a menos destes minutos, a vaga é confirmada direto, sem oferta'
+    }
+  },
+  
+  // Configurações de Cancelamento
+  cancellationCutoffHours: {
+    type: Number,
+    default: 2,
+    min: 0,
+    max: 72,
+    description: 'Antecedência mínima (em horas) para o aluno cancelar sem penalidade'
+  },
+  
+  lateCancellationPolicy: {
+    type: String,
+    enum: ['late_cancel', 'no_show'],
+    default: 'late_cancel',
+    description: 'Cancelamento fora do prazo: registrar como cancelamento tardio ou como no-show (com multa e suspensão)'
+  },
+  
+  // Configurações de No-show
+  noShowSuspension: {
+    enabled: {
+      type: Boolean,
+      default: false,
+      description: 'Suspender novos agendamentos do aluno após no-shows repetidos'
+    },
+    limit: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 20,
+      description: 'Quantidade de no-shows no período que gera a suspensão'
+    },
+    windowDays: {
+      type: Number,
+      default: 30,
+      min: 1,
+      max: 90,
+      description: 'Período (em dias) considerado na contagem de no-shows'
+    },
+    suspensionDays: {
+      type: Number,
+      default: 7,
+      min: 1,
+      max: 90,
+      description: 'Dias de suspensão dos agendamentos'
+    }
+  },
+  
   // Configurações de Multa e Juros
   lateFeeType: {
     type: String,
@@ -120,6 +252,15 @@ const settingsSchema = new mongoose.Schema({
     }
   },
   
+  // Configurações da Loja
+  orderPaymentDeadlineHours: {
+    type: Number,
+    default: 48,
+    min: 1,
+    max: 720,
+    description: 'Prazo (em horas) para pagar o pedido antes de ser cancelado e o estoque devolvido'
+  },
+  
   // Configurações de Mensalidade
   defaultMonthlyFee: {
     type: Number,
@@ -327,12 +468,32 @@ const settingsSchema = new mongoose.Schema({
 // Garantir que só existe um documento de configurações
 settingsSchema.index({}, { unique: true });
 
+// Geolocalização do check-in exige a localização da academia
+settingsSchema.pre('validate', function(next) {
+  const geofence = this.checkinGeofence;
+  
+  if (geofence.enabled && (typeof geofence.latitude !== 'number' || typeof geofence.longitude !== 'number')) {
+    this.invalidate('checkinGeofence', 'Informe latitude e longitude da academia para ativar a geolocalização do check-in');
+  }
+  
+  next();
+});
+
 // Middleware para atualizar lastUpdated
 settingsSchema.pre('save', function(next) {
   this.lastUpdated = new Date();
   next();
 });
 
+// Manter o timezone da academia em memória sempre que as configurações são lidas ou salvas
+settingsSchema.post('init', function(doc) {
+  if (timezoneValido(doc.timezone)) setTimezone(doc.timezone);
+});
+
+settingsSchema.post('save', function(doc) {
+  setTimezone(doc.timezone);
+});
+
 // Método estático para obter configurações
 settingsSchema.statics.getSettings = async function() {
   let settings = await this.findOne();
@@ -353,7 +514,8 @@ settingsSchema.statics.updateSettings = async function(updates, userId) {
   if (!settings) {
     settings = new this(updates);
   } else {
-    Object.assign(settings, updates);
+    // set() mescla objetos aninhados: atualizar um campo não apaga os demais do grupo
+    settings.set(updates);
     settings.version += 1;
   }
   
@@ -363,6 +525,30 @@ settingsSchema.statics.updateSettings = async function(updates, userId) {
   return settings;
 };
 
+// Método para verificar se uma localização está dentro do raio da academia
+settingsSchema.methods.verificarGeofence = function(localizacao) {
+  const { latitude, longitude, radiusMeters } = this.checkinGeofence;
+  const distancia = Math.round(distanciaEmMetros({ latitude, longitude }, localizacao));
+  
+  return {
+    dentro: distancia <= radiusMeters,
+    distancia,
+    raio: radiusMeters
+  };
+};
+
+// Método para calcular o limite de agendamentos de uma aula considerando o overbooking
+settingsSchema.methods.limiteAgendamentos = function(capacidade) {
+  if (!this.allowOverbooking) return capacidade;
+  
+  return Math.floor(capacidade * (1 + this.overbookingPercentage / 100));
+};
+
+// Método para verificar se a faixa está isenta de agendamento
+settingsSchema.methods.faixaIsenta = function(faixa) {
+  return this.blackBeltExemption && this.exemptBelts.includes(faixa);
+};
+
 // Método para obter configuração específica
 settingsSchema.methods.getSetting = function(path, defaultValue = null) {
   const keys = path.split('.');
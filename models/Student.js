@@ -1,4 +1,18 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { NOMES_FAIXAS, faixaPretaOuSuperior, verificarIdadeFaixa } = require('../config/belts');
+const GraduationRequirement = require('./GraduationRequirement');
+const Booking = require('./Booking');
+const { normalizePhone } = require('../config/sms');
+
+// Somente dígitos (CPF e PIN podem chegar formatados)
+const apenasDigitos = (valor) => (valor ? String(valor).replace(/\D/g, '') : valor);
+
+// PIN do quiosque é gravado como HMAC, nunca em texto
+const hashPinQuiosque = (pin) => crypto
+  .createHmac('sha256', process.env.KIOSK_PIN_SECRET || process.env.JWT_SECRET)
+  .update(String(pin))
+  .digest('hex');
 
 const studentSchema = new mongoose.Schema({
   usuario_id: {
@@ -16,6 +30,11 @@ const studentSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Data de nascimento é obrigatória']
   },
+  cpf: {
+    type: String,
+    set: apenasDigitos,
+    match: [/^\d{11}$/, 'CPF deve ter 11 dígitos']
+  },
   grupo: {
     type: String,
     enum: ['adulto', 'kids'],
@@ -23,7 +42,7 @@ const studentSchema = new mongoose.Schema({
   },
   faixa_atual: {
     type: String,
-    enum: ['branca', 'cinza', 'amarela', 'laranja', 'verde', 'azul', 'roxa', 'marrom', 'preta'],
+    enum: NOMES_FAIXAS,
     required: [true, 'Faixa atual é obrigatória'],
     default: 'branca'
   },
@@ -82,6 +101,11 @@ const studentSchema = new mongoose.Schema({
     email: String,
     whatsapp: String
   },
+  // Telefone de SMS/WhatsApp já normalizado, mantido pelo save para a busca pelo número de origem
+  telefone_notificacao: {
+    type: String,
+    default: null
+  },
   dados_medicos: {
     tipo_sanguineo: {
       type: String,
@@ -102,10 +126,35 @@ const studentSchema = new mongoose.Schema({
       default: false
     },
     motivo_bloqueio: String,
+    origem_bloqueio: {
+      type: String,
+      enum: ['financeiro', 'manual', null],
+      default: null
+    },
     data_bloqueio: Date,
+    // Suspensão de novos agendamentos por no-shows repetidos
+    agendamento_suspenso_ate: {
+      type: Date,
+      default: null
+    },
+    motivo_suspensao_agendamento: String,
     isento_agendamento: {
       type: Boolean,
       default: false
+    },
+    optout_sms: {
+      type: Boolean,
+      default: false
+    },
+    optout_whatsapp: {
+      type: Boolean,
+      default: false
+    },
+    data_optout: Date,
+    // PIN curto para check-in no quiosque da recepção
+    pin_quiosque: {
+      type: String,
+      select: false
     }
   },
   estatisticas: {
@@ -140,7 +189,10 @@ studentSchema.index({ faixa_atual: 1 });
 studentSchema.index({ status: 1 });
 studentSchema.index({ dia_vencimento: 1 });
 studentSchema.index({ 'configuracoes.bloqueio_checkin': 1 });
+studentSchema.index({ telefone_notificacao: 1 });
 studentSchema.index({ usuario_id: 1 });
+studentSchema.index({ cpf: 1 }, { unique: true, sparse: true });
+studentSchema.index({ 'configuracoes.pin_quiosque': 1 }, { unique: true, sparse: true });
 
 // Virtual para idade
 studentSchema.virtual('idade').get(function() {
@@ -176,16 +228,22 @@ studentSchema.virtual('menor_idade').get(function() {
 
 // Middleware para atualizar is_preta baseado na faixa
 studentSchema.pre('save', function(next) {
-  this.is_preta = this.faixa_atual === 'preta';
-  
-  // Se é faixa preta, isenta de agendamento
-  if (this.is_preta) {
-    this.configuracoes.isento_agendamento = true;
-  }
-  
+  this.is_preta = faixaPretaOuSuperior(this.faixa_atual);
+  next();
+});
+
+// Middleware para manter o telefone de notificação normalizado
+studentSchema.pre('save', function(next) {
+  this.telefone_notificacao = normalizePhone(this.telefoneNotificacao());
   next();
 });
 
+// Método para verificar se o aluno está isento de agendamento (pode treinar sem
+// reservar vaga): isenção individual ou faixa isenta nas configurações
+studentSchema.methods.isentoAgendamento = function(settings) {
+  return this.configuracoes.isento_agendamento || settings.faixaIsenta(this.faixa_atual);
+};
+
 // Método para calcular assiduidade
 studentSchema.methods.calcularAssiduidade = function() {
   const totalAulas = this.estatisticas.total_presencas + this.estatisticas.total_faltas;
@@ -198,36 +256,192 @@ studentSchema.methods.calcularAssiduidade = function() {
 };
 
 // Método para verificar elegibilidade para graduação
-studentSchema.methods.verificarElegibilidadeGraduacao = function(requisitos = {}) {
-  const {
-    presencas_minimas = 50,
-    dias_minimos_faixa = 180,
-    assiduidade_minima = 70
-  } = requisitos;
-  
-  const diasNaFaixa = this.estatisticas.dias_na_faixa_atual || 0;
-  const totalPresencas = this.estatisticas.total_presencas || 0;
+// Usa os requisitos cadastrados para a graduação pretendida (padrão: a próxima da escada de faixas)
+studentSchema.methods.verificarElegibilidadeGraduacao = async function(alvo = null) {
+  const Graduation = mongoose.model('Graduation');
+  const Attendance = mongoose.model('Attendance');
+  
+  const proxima = alvo || Graduation.calcularProximaFaixa(this.faixa_atual, this.graus, this.grupo);
+  if (!proxima) {
+    return {
+      elegivel: false,
+      proxima_faixa: null,
+      requisitos: null,
+      criterios: {},
+      motivos: ['Aluno já está na última graduação da sua trilha']
+    };
+  }
+  
+  const requisitos = await GraduationRequirement.buscarRequisitos(proxima.faixa, proxima.grau, this.grupo);
+  const trocaDeFaixa = proxima.faixa !== this.faixa_atual;
+  
+  // Tempo no grau (desde a última graduação) e na faixa (desde a primeira graduação nela)
+  const graduacoes = await Graduation.find({ aluno_id: this._id }).sort({ data: -1 }).select('faixa data');
+  const diasDesde = (data) => Math.floor((Date.now() - data.getTime()) / (1000 * 60 * 60 * 24));
+  
+  const ultima = graduacoes[0];
+  const indiceOutraFaixa = graduacoes.findIndex(graduacao => graduacao.faixa !== this.faixa_atual);
+  const naFaixa = indiceOutraFaixa === -1 ? graduacoes : graduacoes.slice(0, indiceOutraFaixa);
+  
+  const diasNoGrau = ultima ? diasDesde(ultima.data) : (this.estatisticas.dias_na_faixa_atual || 0);
+  const diasNaFaixa = naFaixa.length > 0 ? diasDesde(naFaixa[naFaixa.length - 1].data) : diasNoGrau;
+  
+  // Presenças desde a última graduação (sem histórico, o total do aluno)
+  const presencas = ultima
+    ? await Attendance.countDocuments({
+      aluno_id: this._id,
+      status: { $ne: 'falta' },
+      createdAt: { $gte: ultima.data }
+    })
+    : (this.estatisticas.total_presencas || 0);
+  
   const assiduidade = this.estatisticas.percentual_assiduidade || 0;
+  const idade = this.idade;
+  const minimoFaixa = trocaDeFaixa ? requisitos.dias_minimos_faixa : 0;
+  const motivoIdade = verificarIdadeFaixa(proxima.faixa, idade);
   
-  return {
-    elegivel: diasNaFaixa >= dias_minimos_faixa && 
-              totalPresencas >= presencas_minimas && 
-              assiduidade >= assiduidade_minima,
-    criterios: {
-      dias_na_faixa: { atual: diasNaFaixa, minimo: dias_minimos_faixa, ok: diasNaFaixa >= dias_minimos_faixa },
-      presencas: { atual: totalPresencas, minimo: presencas_minimas, ok: totalPresencas >= presencas_minimas },
-      assiduidade: { atual: assiduidade, minimo: assiduidade_minima, ok: assiduidade >= assiduidade_minima }
+  const criterios = {
+    dias_no_grau: { atual: diasNoGrau, minimo: requisitos.dias_minimos_grau, ok: diasNoGrau >= requisitos.dias_minimos_grau },
+    dias_na_faixa: { atual: diasNaFaixa, minimo: minimoFaixa, ok: diasNaFaixa >= minimoFaixa },
+    presencas: { atual: presencas, minimo: requisitos.presencas_minimas, ok: presencas >= requisitos.presencas_minimas },
+    assiduidade: { atual: assiduidade, minimo: requisitos.assiduidade_minima, ok: assiduidade >= requisitos.assiduidade_minima },
+    idade: {
+      atual: idade,
+      minimo: requisitos.idade_minima,
+      ok: !motivoIdade && (requisitos.idade_minima === null || idade >= requisitos.idade_minima)
     }
   };
+  
+  const motivos = [];
+  if (!criterios.dias_no_grau.ok) motivos.push(`Tempo no grau atual: ${diasNoGrau} de ${requisitos.dias_minimos_grau} dias`);
+  if (!criterios.dias_na_faixa.ok) motivos.push(`Tempo na faixa atual: ${diasNaFaixa} de ${minimoFaixa} dias`);
+  if (!criterios.presencas.ok) motivos.push(`Presenças desde a última graduação: ${presencas} de ${requisitos.presencas_minimas}`);
+  if (!criterios.assiduidade.ok) motivos.push(`Assiduidade: ${assiduidade}% de ${requisitos.assiduidade_minima}%`);
+  if (!criterios.idade.ok) motivos.push(motivoIdade || `Idade mínima para esta graduação é ${requisitos.idade_minima} anos`);
+  
+  return {
+    elegivel: motivos.length === 0,
+    proxima_faixa: proxima,
+    requisitos,
+    criterios,
+    motivos
+  };
+};
+
+// Método para verificar se o bloqueio atual é por inadimplência
+studentSchema.methods.bloqueioFinanceiro = function() {
+  if (!this.configuracoes.bloqueio_checkin) return false;
+  if (this.configuracoes.origem_bloqueio) {
+    return this.configuracoes.origem_bloqueio === 'financeiro';
+  }
+  
+  // Bloqueios anteriores ao campo de origem são identificados pelo motivo
+  return /^Mensalidade em atraso/.test(this.configuracoes.motivo_bloqueio || '');
 };
 
 // Método para bloquear/desbloquear check-in
-studentSchema.methods.alterarBloqueioCheckin = function(bloquear, motivo = '') {
+// O bloqueio pausa as reservas recorrentes e cancela os agendamentos futuros já criados por elas
+studentSchema.methods.alterarBloqueioCheckin = async function(bloquear, motivo = '', origem = 'manual') {
   this.configuracoes.bloqueio_checkin = bloquear;
   this.configuracoes.motivo_bloqueio = bloquear ? motivo : null;
+  this.configuracoes.origem_bloqueio = bloquear ? origem : null;
   this.configuracoes.data_bloqueio = bloquear ? new Date() : null;
   
+  await this.save();
+  
+  if (bloquear) {
+    await Booking.cancelarAgendamentosRecorrentes(this._id, 'check-in bloqueado');
+  }
+  
+  return this;
+};
+
+// Método para verificar se os agendamentos do aluno estão suspensos
+studentSchema.methods.agendamentoSuspenso = function(agora = new Date()) {
+  const suspensoAte = this.configuracoes.agendamento_suspenso_ate;
+  return Boolean(suspensoAte && suspensoAte > agora);
+};
+
+// Método para suspender novos agendamentos (uma suspensão em vigor nunca é encurtada)
+studentSchema.methods.suspenderAgendamento = function(dias, motivo = '') {
+  const ate = new Date(Date.now() + dias * 24 * 60 * 60 * 1000);
+  const atual = this.configuracoes.agendamento_suspenso_ate;
+  
+  this.configuracoes.agendamento_suspenso_ate = atual && atual > ate ? atual : ate;
+  this.configuracoes.motivo_suspensao_agendamento = motivo;
+  
+  return this.save();
+};
+
+// Método para encerrar a suspensão de agendamentos antes do prazo
+studentSchema.methods.liberarAgendamento = function() {
+  this.configuracoes.agendamento_suspenso_ate = null;
+  this.configuracoes.motivo_suspensao_agendamento = null;
+  
+  return this.save();
+};
+
+// Método para obter o telefone usado em SMS/WhatsApp
+// Alunos kids recebem no telefone do responsável financeiro
+studentSchema.methods.telefoneNotificacao = function() {
+  const contato = this.contato || {};
+  const responsavel = this.responsavel_financeiro || {};
+  
+  if (this.grupo === 'kids') {
+    return responsavel.telefone || contato.whatsapp || contato.telefone || null;
+  }
+  
+  return contato.whatsapp || contato.telefone || responsavel.telefone || null;
+};
+
+// Método para registrar opt-out (ou retorno) de SMS/WhatsApp
+studentSchema.methods.alterarOptout = function(canal, ativo) {
+  const canais = canal ? [canal] : ['sms', 'whatsapp'];
+  
+  canais.forEach(c => {
+    this.configuracoes[`optout_${c}`] = ativo;
+  });
+  this.configuracoes.data_optout = new Date();
+  
   return this.save();
 };
 
+// Método para definir o PIN do quiosque (gera um de 6 dígitos se não informado)
+// Retorna o PIN em texto, que não fica gravado
+studentSchema.methods.definirPinQuiosque = async function(pin) {
+  const gerar = !pin;
+  
+  for (let tentativa = 0; tentativa < 10; tentativa++) {
+    const candidato = gerar ? String(crypto.randomInt(0, 1000000)).padStart(6, '0') : String(pin);
+    const hash = hashPinQuiosque(candidato);
+    
+    const emUso = await this.constructor.exists({ 'configuracoes.pin_quiosque': hash, _id: { $ne: this._id } });
+    if (!emUso) {
+      this.configuracoes.pin_quiosque = hash;
+      await this.save();
+      
+      return candidato;
+    }
+    
+    if (!gerar) {
+      throw new Error('PIN já está em uso por outro aluno');
+    }
+  }
+  
+  throw new Error('Não foi possível gerar um PIN livre, tente novamente');
+};
+
+// Método estático para identificar o aluno no quiosque por PIN ou CPF
+studentSchema.statics.buscarPorPinOuCpf = function({ pin, cpf }) {
+  if (pin) {
+    return this.findOne({ 'configuracoes.pin_quiosque': hashPinQuiosque(apenasDigitos(pin)) });
+  }
+  
+  if (cpf) {
+    return this.findOne({ cpf: apenasDigitos(cpf) });
+  }
+  
+  return null;
+};
+
 module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * Plugin de paginação para os modelos
+ * Adiciona Model.paginate(query, options) com a mesma resposta usada pelas rotas:
+ * { docs, totalDocs, limit, page, totalPages, hasNextPage, hasPrevPage }
+ */
+const paginate = (schema) => {
+  schema.statics.paginate = async function(query = {}, options = {}) {
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.max(1, parseInt(options.limit) || 20);
+
+    let consulta = this.find(query)
+      .sort(options.sort || { createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    if (options.select) consulta = consulta.select(options.select);
+    if (options.populate) consulta = consulta.populate(options.populate);
+    if (options.lean) consulta = consulta.lean();
+
+    const [docs, totalDocs] = await Promise.all([
+      consulta,
+      this.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalDocs / limit);
+
+    return {
+      docs,
+      totalDocs,
+      limit,
+      page,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    };
+  };
+};
+
+module.exports = paginate;
@@ -0,0 +1,161 @@
+// Tablet da recepção: exibe o QR code rotativo de check-in da aula
+const API_BASE = '/api';
+const STORAGE_KEY = 'spartan_checkin_qr';
+
+// O token gira a cada 30s no servidor; buscar com folga para nunca exibir um expirado
+const REFRESH_INTERVAL = 15000;
+
+let session = null;
+let refreshTimer = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('qr-login-form').addEventListener('submit', handleLogin);
+    document.getElementById('qr-start').addEventListener('click', startDisplay);
+    document.getElementById('qr-back').addEventListener('click', stopDisplay);
+    document.getElementById('qr-logout').addEventListener('click', logout);
+
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+        try {
+            session = JSON.parse(saved);
+            loadLessons();
+        } catch (error) {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    }
+});
+
+async function apiCall(endpoint, method = 'GET', data = null) {
+    const options = {
+        method,
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    };
+
+    if (session && session.token) {
+        options.headers.Authorization = `Bearer ${session.token}`;
+    }
+
+    if (data) {
+        options.body = JSON.stringify(data);
+    }
+
+    const response = await fetch(`${API_BASE}${endpoint}`, options);
+    const result = await response.json();
+
+    if (response.status === 401) {
+        logout();
+    }
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Erro na requisição');
+    }
+
+    return result;
+}
+
+function showPanel(id) {
+    ['qr-login', 'qr-select', 'qr-display'].forEach(panel => {
+        document.getElementById(panel).classList.toggle('hidden', panel !== id);
+    });
+}
+
+function showMessage(text) {
+    document.getElementById('qr-message').textContent = text || '';
+}
+
+function formatTime(date) {
+    return new Date(date).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+}
+
+async function handleLogin(event) {
+    event.preventDefault();
+    showMessage('');
+
+    try {
+        const result = await apiCall('/auth/login', 'POST', {
+            email: document.getElementById('qr-email').value,
+            senha: document.getElementById('qr-senha').value
+        });
+
+        if (!['admin', 'instrutor'].includes(result.data.user.perfil)) {
+            throw new Error('Acesso restrito a administradores e instrutores');
+        }
+
+        session = { token: result.data.token, nome: result.data.user.nome };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+        document.getElementById('qr-senha').value = '';
+
+        await loadLessons();
+    } catch (error) {
+        showMessage(error.message);
+    }
+}
+
+async function loadLessons() {
+    try {
+        const result = await apiCall('/lessons/today');
+        const select = document.getElementById('qr-lesson');
+        const lessons = result.data.filter(lesson => lesson.status === 'agendada');
+
+        select.innerHTML = '';
+        lessons.forEach(lesson => {
+            const option = document.createElement('option');
+            option.value = lesson._id;
+            option.textContent = `${formatTime(lesson.hora_inicio)} - ${lesson.turma_id ? lesson.turma_id.nome : 'Aula'}`;
+            select.appendChild(option);
+        });
+
+        showPanel('qr-select');
+        showMessage(lessons.length ? '' : 'Nenhuma aula agendada para hoje');
+    } catch (error) {
+        showPanel('qr-login');
+        showMessage(error.message);
+    }
+}
+
+async function refreshQRCode(lessonId) {
+    try {
+        const result = await apiCall(`/lessons/${lessonId}/qr-token`);
+        const { qr_code, aula, checkin_liberado } = result.data;
+
+        document.getElementById('qr-image').src = qr_code;
+        document.getElementById('qr-lesson-info').textContent =
+            `${aula.turma || 'Aula'} - ${formatTime(aula.hora_inicio)}`;
+
+        showMessage(checkin_liberado
+            ? ''
+            : `Check-in liberado a partir das ${formatTime(aula.limite_checkin)}`);
+    } catch (error) {
+        stopDisplay();
+        showMessage(error.message);
+    }
+}
+
+function startDisplay() {
+    const lessonId = document.getElementById('qr-lesson').value;
+    if (!lessonId) return;
+
+    showPanel('qr-display');
+    refreshQRCode(lessonId);
+    refreshTimer = setInterval(() => refreshQRCode(lessonId), REFRESH_INTERVAL);
+}
+
+function stopDisplay() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    document.getElementById('qr-image').removeAttribute('src');
+
+    if (session) {
+        loadLessons();
+    }
+}
+
+function logout() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    session = null;
+    localStorage.removeItem(STORAGE_KEY);
+    showPanel('qr-login');
+}
@@ -0,0 +1,157 @@
+// Quiosque da recepção: check-in do aluno por PIN ou CPF, sem login individual
+const API_BASE = '/api';
+const STORAGE_KEY = 'spartan_kiosk_key';
+
+// Tempo que a confirmação fica na tela antes de limpar para o próximo aluno
+const RESULT_TIMEOUT = 5000;
+
+let kioskKey = localStorage.getItem(STORAGE_KEY);
+let mode = 'pin';
+let value = '';
+let resultTimer = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('kiosk-setup-form').addEventListener('submit', handleSetup);
+    document.getElementById('kiosk-keypad').addEventListener('click', handleKeypad);
+    document.getElementById('kiosk-submit').addEventListener('click', handleCheckin);
+    document.getElementById('kiosk-checkout').addEventListener('click', handleCheckout);
+
+    document.querySelectorAll('.kiosk-modes button').forEach(button => {
+        button.addEventListener('click', () => setMode(button.dataset.mode));
+    });
+
+    if (kioskKey) {
+        loadDevice();
+    } else {
+        showPanel('kiosk-setup');
+    }
+});
+
+async function apiCall(endpoint, method = 'GET', data = null) {
+    const options = {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Kiosk-Key': kioskKey
+        }
+    };
+
+    if (data) {
+        options.body = JSON.stringify(data);
+    }
+
+    const response = await fetch(`${API_BASE}${endpoint}`, options);
+    const result = await response.json();
+
+    // Chave revogada: voltar para a configuração
+    if (response.status === 401) {
+        localStorage.removeItem(STORAGE_KEY);
+        kioskKey = null;
+        showPanel('kiosk-setup');
+    }
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Erro na requisição');
+    }
+
+    return result;
+}
+
+function showPanel(id) {
+    ['kiosk-setup', 'kiosk-checkin'].forEach(panel => {
+        document.getElementById(panel).classList.toggle('hidden', panel !== id);
+    });
+}
+
+function showResult(text, type) {
+    const result = document.getElementById('kiosk-result');
+    result.textContent = text;
+    result.className = `kiosk-result ${type || ''}`;
+
+    clearTimeout(resultTimer);
+    if (text) {
+        resultTimer = setTimeout(() => showResult(''), RESULT_TIMEOUT);
+    }
+}
+
+async function handleSetup(event) {
+    event.preventDefault();
+
+    kioskKey = document.getElementById('kiosk-key').value.trim();
+    document.getElementById('kiosk-key').value = '';
+    await loadDevice();
+}
+
+async function loadDevice() {
+    try {
+        const result = await apiCall('/kiosk/me');
+
+        localStorage.setItem(STORAGE_KEY, kioskKey);
+        document.getElementById('kiosk-device').textContent = result.data.nome;
+        showPanel('kiosk-checkin');
+        showResult('');
+    } catch (error) {
+        showResult(error.message, 'error');
+    }
+}
+
+function setMode(newMode) {
+    mode = newMode;
+    setValue('');
+
+    document.querySelectorAll('.kiosk-modes button').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    document.getElementById('kiosk-input').type = mode === 'pin' ? 'password' : 'text';
+}
+
+function setValue(newValue) {
+    value = newValue;
+    document.getElementById('kiosk-input').value = value;
+}
+
+function handleKeypad(event) {
+    const key = event.target.dataset.key;
+    if (!key) return;
+
+    const maxLength = mode === 'pin' ? 8 : 11;
+
+    if (key === 'clear') {
+        setValue('');
+    } else if (key === 'back') {
+        setValue(value.slice(0, -1));
+    } else if (value.length < maxLength) {
+        setValue(value + key);
+    }
+}
+
+async function submitIdentification(endpoint, formatMessage) {
+    if (!value) return;
+
+    const buttons = [document.getElementById('kiosk-submit'), document.getElementById('kiosk-checkout')];
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+        const result = await apiCall(endpoint, 'POST', { [mode]: value });
+        showResult(formatMessage(result), 'success');
+    } catch (error) {
+        showResult(error.message, 'error');
+    } finally {
+        setValue('');
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+function handleCheckin() {
+    submitIdentification('/kiosk/checkin', result => {
+        const hora = new Date(result.data.hora_inicio)
+            .toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+
+        return `${result.message} ${result.data.turma || 'Aula'} às ${hora}`;
+    });
+}
+
+function handleCheckout() {
+    submitIdentification('/kiosk/checkout', result =>
+        `${result.message} Tempo de tatame: ${result.data.tempo_permanencia} min`);
+}
@@ -6,6 +6,7 @@ const Student = require('../models/Student');
 const Booking = require('../models/Booking');
 const { auth, adminOnly, adminOrInstructor } = require('../middleware/auth');
 const { validateAttendance, validateParams, validateQuery } = require('../middleware/validation');
+const { validarTokenCheckin } = require('../utils/checkinToken');
 
 const router = express.Router();
 
@@ -761,6 +762,69 @@ router.post('/bulk', [auth, adminOrInstructor], async (req, res) => {
   }
 });
 
+// @route   POST /api/attendance/qr-checkin
+// @desc    Check-in do aluno escaneando o QR code da recepção
+// @access  Private (Student)
+router.post('/qr-checkin', [auth, ...validateAttendance.qrCheckin], async (req, res) => {
+  try {
+    const student = await Student.findOne({ usuario_id: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Perfil de aluno não encontrado'
+      });
+    }
+    
+    if (student.configuracoes.bloqueio_checkin) {
+      return res.status(403).json({
+        success: false,
+        message: student.configuracoes.motivo_bloqueio || 'Check-in bloqueado. Verifique suas mensalidades.'
+      });
+    }
+    
+    // Token, janela de check-in e agendamento (ou walk-in de faixa preta) são validados aqui
+    let booking;
+    try {
+      const aulaId = validarTokenCheckin(req.body.token);
+      
+      booking = await Booking.checkinNaAula(aulaId, student._id, {
+        registrado_por: req.user._id,
+        ip: req.ip,
+        dispositivo: req.get('User-Agent'),
+        metodo_registro: 'qr_code'
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    const presenca = await Attendance.findOne({
+      aula_id: booking.aula_id,
+      aluno_id: student._id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Check-in realizado com sucesso',
+      data: {
+        agendamento_id: booking._id,
+        aula_id: booking.aula_id,
+        tipo_agendamento: booking.tipo_agendamento,
+        data_checkin: booking.data_checkin,
+        presenca_id: presenca ? presenca._id : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   PUT /api/attendance/:id
 // @desc    Atualizar presença
 // @access  Private (Admin/Instructor)
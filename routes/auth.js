@@ -7,6 +7,8 @@ const User = require('../models/User');
 const Student = require('../models/Student');
 const { handleValidationErrors } = require('../middleware/validation');
 const { auth, optionalAuth } = require('../middleware/auth');
+const { enviarResetSenha } = require('../utils/notificationService');
+const logger = require('../config/logger');
 
 const router = express.Router();
 
@@ -404,11 +406,22 @@ router.post('/forgot-password', [
     user.resetPasswordExpires = Date.now() + 60 * 60 * 1000; // 1 hora
     await user.save({ validateBeforeSave: false });
     
-    // Aqui você enviaria o email com o link de recuperação
-    // const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
-    
-    // Por enquanto, apenas log (em produção, implementar envio de email)
-    console.log(`Token de recuperação para ${email}: ${resetToken}`);
+    // Enviar email com o link de recuperação (sem FRONTEND_URL o link ficaria quebrado)
+    if (!process.env.FRONTEND_URL) {
+      logger.error('FRONTEND_URL não configurada: email de recuperação de senha não enviado', {
+        userId: user._id
+      });
+    } else {
+      const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+      const envio = await enviarResetSenha(user, resetUrl);
+      
+      if (!envio.enviado) {
+        logger.warn('Email de recuperação de senha não enviado', {
+          userId: user._id,
+          motivo: envio.motivo
+        });
+      }
+    }
     
     res.json({
       success: true,
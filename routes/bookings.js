@@ -1,13 +1,31 @@
 const express = require('express');
 const Booking = require('../models/Booking');
 const Lesson = require('../models/Lesson');
-const Class = require('../models/Class');
 const Student = require('../models/Student');
-const { auth, adminOnly, adminOrInstructor, ownerOrAdmin } = require('../middleware/auth');
+const Attendance = require('../models/Attendance');
+const Settings = require('../models/Settings');
+const logger = require('../config/logger');
+const { auth, adminOnly, adminOrInstructor } = require('../middleware/auth');
 const { validateBooking, validateParams, validateQuery } = require('../middleware/validation');
+const { naAcademia } = require('../config/timezone');
 
 const router = express.Router();
 
+// Buscar IDs das aulas que atendem aos filtros de turma e data
+const buscarAulasFiltradas = async ({ turma_id, data_inicio, data_fim }) => {
+  const query = {};
+  
+  if (turma_id) query.turma_id = turma_id;
+  if (data_inicio || data_fim) {
+    query.data = {};
+    if (data_inicio) query.data.$gte = new Date(data_inicio);
+    if (data_fim) query.data.$lte = new Date(data_fim);
+  }
+  
+  const aulas = await Lesson.find(query).select('_id');
+  return aulas.map(aula => aula._id);
+};
+
 // @route   GET /api/bookings
 // @desc    Listar agendamentos
 // @access  Private (Admin/Instructor)
@@ -21,8 +39,7 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
       turma_id,
       status,
       data_inicio,
-      data_fim,
-      grupo
+      data_fim
     } = req.query;
     
     const query = {};
@@ -30,25 +47,21 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
     // Filtros
     if (aluno_id) query.aluno_id = aluno_id;
     if (aula_id) query.aula_id = aula_id;
-    if (turma_id) query.turma_id = turma_id;
     if (status) query.status = status;
-    if (grupo) query.grupo = grupo;
     
-    // Filtro de data
-    if (data_inicio || data_fim) {
-      query.data = {};
-      if (data_inicio) query.data.$gte = new Date(data_inicio);
-      if (data_fim) query.data.$lte = new Date(data_fim);
+    // Filtros de turma e data são aplicados sobre as aulas
+    if (!aula_id && (turma_id || data_inicio || data_fim)) {
+      query.aula_id = { $in: await buscarAulasFiltradas({ turma_id, data_inicio, data_fim }) };
     }
     
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
-      sort: { data: -1, hora_inicio: -1 },
+      sort: { data_agendamento: -1 },
       populate: [
         {
           path: 'aluno_id',
-          select: 'nome grupo faixa_atual email telefone'
+          select: 'nome grupo faixa_atual contato'
         },
         {
           path: 'aula_id',
@@ -88,7 +101,7 @@ router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
       });
     }
     
-    const student = await Student.findOne({ user_id: req.user._id });
+    const student = await Student.findOne({ usuario_id: req.user._id });
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -102,33 +115,40 @@ router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
       status,
       data_inicio,
       data_fim,
-      futuras_apenas = false
+      futuras_apenas = false,
+      oferta_pendente = false
     } = req.query;
     
     const query = { aluno_id: student._id };
     
     if (status) query.status = status;
     
+    // Vagas da lista de espera oferecidas e ainda dentro do prazo de aceite
+    if (oferta_pendente === 'true') {
+      query.status = 'espera';
+      query['oferta_vaga.status'] = 'pendente';
+      query['oferta_vaga.expira_em'] = { $gt: new Date() };
+    }
+    
     // Filtro de data
     if (data_inicio || data_fim) {
-      query.data = {};
-      if (data_inicio) query.data.$gte = new Date(data_inicio);
-      if (data_fim) query.data.$lte = new Date(data_fim);
+      query.aula_id = { $in: await buscarAulasFiltradas({ data_inicio, data_fim }) };
     }
     
     // Apenas aulas futuras
     if (futuras_apenas === 'true') {
-      query.data = { $gte: new Date() };
+      const aulasFuturas = await Lesson.find({ hora_inicio: { $gte: new Date() } }).select('_id');
+      query.aula_id = { $in: aulasFuturas.map(aula => aula._id) };
     }
     
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
-      sort: { data: -1, hora_inicio: -1 },
+      sort: { data_agendamento: -1 },
       populate: [
         {
           path: 'aula_id',
-          select: 'data hora_inicio hora_fim status conteudo_ministrado',
+          select: 'data hora_inicio hora_fim status tema_aula',
           populate: {
             path: 'turma_id',
             select: 'nome grupo nivel'
@@ -164,7 +184,7 @@ router.get('/available-lessons', auth, async (req, res) => {
       });
     }
     
-    const student = await Student.findOne({ user_id: req.user._id });
+    const student = await Student.findOne({ usuario_id: req.user._id });
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -173,10 +193,10 @@ router.get('/available-lessons', auth, async (req, res) => {
     }
     
     // Verificar se o aluno pode fazer agendamentos
-    if (student.configuracoes.checkin_bloqueado) {
+    if (student.configuracoes.bloqueio_checkin) {
       return res.status(403).json({
         success: false,
-        message: 'Check-in bloqueado. Verifique suas mensalidades.'
+        message: student.configuracoes.motivo_bloqueio || 'Check-in bloqueado. Verifique suas mensalidades.'
       });
     }
     
@@ -193,34 +213,28 @@ router.get('/available-lessons', auth, async (req, res) => {
       endDate.setDate(endDate.getDate() + parseInt(dias));
     }
     
-    // Buscar aulas disponíveis
-    const query = {
+    // Buscar aulas futuras do período
+    const lessons = await Lesson.find({
       data: {
-        $gte: startDate,
+        $gte: naAcademia(startDate).startOf('day').toDate(),
         $lte: endDate
       },
-      status: 'agendada',
-      requer_agendamento: true
-    };
-    
-    // Filtrar por grupo do aluno
-    if (student.grupo !== 'ambos') {
-      query.$or = [
-        { grupo: student.grupo },
-        { grupo: 'ambos' }
-      ];
-    }
-    
-    const lessons = await Lesson.find(query)
-      .populate('turma_id', 'nome grupo nivel capacidade faixas_permitidas')
+      hora_inicio: { $gt: new Date() },
+      status: 'agendada'
+    })
+      .populate('turma_id')
       .sort({ data: 1, hora_inicio: 1 });
     
+    // Overbooking e isenção de agendamento vêm das configurações
+    const settings = await Settings.getSettings();
+    const isento = student.isentoAgendamento(settings);
+    
     // Filtrar aulas elegíveis e calcular vagas disponíveis
     const availableLessons = [];
     
     for (const lesson of lessons) {
-      // Verificar elegibilidade do aluno
-      if (!lesson.turma_id.verificarElegibilidadeAluno(student)) {
+      // Verificar elegibilidade do aluno (grupo, faixa e turma ativa)
+      if (!lesson.turma_id || !lesson.turma_id.podeParticipar(student).pode) {
         continue;
       }
       
@@ -228,7 +242,7 @@ router.get('/available-lessons', auth, async (req, res) => {
       const existingBooking = await Booking.findOne({
         aluno_id: student._id,
         aula_id: lesson._id,
-        status: { $in: ['confirmado', 'presente'] }
+        status: { $in: ['confirmado', 'espera', 'presente'] }
       });
       
       if (existingBooking) {
@@ -236,20 +250,21 @@ router.get('/available-lessons', auth, async (req, res) => {
       }
       
       // Calcular vagas disponíveis
-      const totalBookings = await Booking.countDocuments({
-        aula_id: lesson._id,
-        status: { $in: ['confirmado', 'presente'] }
-      });
+      const totalBookings = await Booking.contarVagasOcupadas(lesson._id);
       
-      const vagasDisponiveis = lesson.capacidade - totalBookings;
+      const vagasDisponiveis = Math.max(0, settings.limiteAgendamentos(lesson.capacidade_efetiva) - totalBookings);
+      const listaEspera = vagasDisponiveis === 0 && !isento;
       
-      if (vagasDisponiveis > 0) {
-        availableLessons.push({
-          ...lesson.toObject(),
-          vagas_disponiveis: vagasDisponiveis,
-          pode_agendar: true
-        });
+      if (listaEspera && !lesson.turma_id.configuracoes.permite_lista_espera) {
+        continue;
       }
+      
+      availableLessons.push({
+        ...lesson.toObject(),
+        vagas_disponiveis: vagasDisponiveis,
+        lista_espera: listaEspera,
+        pode_agendar: true
+      });
     }
     
     res.json({
@@ -284,7 +299,7 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
     const stats = await Booking.aggregate([
       {
         $match: {
-          data: { $gte: startDate }
+          data_agendamento: { $gte: startDate }
         }
       },
       {
@@ -301,15 +316,20 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
               $cond: [{ $eq: ['$status', 'presente'] }, 1, 0]
             }
           },
-          ausentes: {
+          faltas: {
             $sum: {
-              $cond: [{ $eq: ['$status', 'ausente'] }, 1, 0]
+              $cond: [{ $in: ['$status', ['falta', 'no_show']] }, 1, 0]
             }
           },
           cancelados: {
             $sum: {
               $cond: [{ $eq: ['$status', 'cancelado'] }, 1, 0]
             }
+          },
+          cancelados_tarde: {
+            $sum: {
+              $cond: [{ $eq: ['$status', 'cancelado_tarde'] }, 1, 0]
+            }
           }
         }
       }
@@ -319,12 +339,23 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
     const classStats = await Booking.aggregate([
       {
         $match: {
-          data: { $gte: startDate }
+          data_agendamento: { $gte: startDate }
         }
       },
+      {
+        $lookup: {
+          from: 'lessons',
+          localField: 'aula_id',
+          foreignField: '_id',
+          as: 'aula'
+        }
+      },
+      {
+        $unwind: '$aula'
+      },
       {
         $group: {
-          _id: '$turma_id',
+          _id: '$aula.turma_id',
           total_agendamentos: { $sum: 1 },
           presentes: {
             $sum: {
@@ -368,8 +399,9 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
       total: 0,
       confirmados: 0,
       presentes: 0,
-      ausentes: 0,
-      cancelados: 0
+      faltas: 0,
+      cancelados: 0,
+      cancelados_tarde: 0
     };
     
     // Calcular taxa de presença geral
@@ -398,10 +430,10 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
 router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
-      .populate('aluno_id', 'nome grupo faixa_atual email telefone')
+      .populate('aluno_id', 'nome grupo faixa_atual contato')
       .populate({
         path: 'aula_id',
-        select: 'data hora_inicio hora_fim status conteudo_ministrado',
+        select: 'data hora_inicio hora_fim status tema_aula',
         populate: {
           path: 'turma_id',
           select: 'nome grupo nivel'
@@ -417,7 +449,7 @@ router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
     
     // Verificar permissão
     if (req.user.perfil === 'aluno') {
-      const student = await Student.findOne({ user_id: req.user._id });
+      const student = await Student.findOne({ usuario_id: req.user._id });
       if (!student || !booking.aluno_id._id.equals(student._id)) {
         return res.status(403).json({
           success: false,
@@ -451,7 +483,7 @@ router.post('/', [auth, ...validateBooking.create], async (req, res) => {
       studentId = req.body.aluno_id;
     } else if (req.user.perfil === 'aluno') {
       // Se for aluno, só pode agendar para si mesmo
-      const student = await Student.findOne({ user_id: req.user._id });
+      const student = await Student.findOne({ usuario_id: req.user._id });
       if (!student) {
         return res.status(404).json({
           success: false,
@@ -482,16 +514,26 @@ router.post('/', [auth, ...validateBooking.create], async (req, res) => {
       });
     }
     
-    if (student.configuracoes.checkin_bloqueado) {
+    if (student.configuracoes.bloqueio_checkin) {
       return res.status(400).json({
         success: false,
-        message: 'Check-in bloqueado. Verifique suas mensalidades.'
+        message: student.configuracoes.motivo_bloqueio || 'Check-in bloqueado. Verifique suas mensalidades.'
+      });
+    }
+    
+    // Suspensão por no-shows vale para o aluno; a administração ainda pode agendar por ele
+    if (req.user.perfil === 'aluno' && student.agendamentoSuspenso()) {
+      return res.status(403).json({
+        success: false,
+        message: `Agendamentos suspensos até ${naAcademia(student.configuracoes.agendamento_suspenso_ate).format('DD/MM/YYYY HH:mm')} (${student.configuracoes.motivo_suspensao_agendamento})`,
+        data: {
+          suspenso_ate: student.configuracoes.agendamento_suspenso_ate
+        }
       });
     }
     
     // Verificar se a aula existe
-    const lesson = await Lesson.findById(req.body.aula_id)
-      .populate('turma_id');
+    const lesson = await Lesson.findById(req.body.aula_id);
     
     if (!lesson) {
       return res.status(404).json({
@@ -508,68 +550,35 @@ router.post('/', [auth, ...validateBooking.create], async (req, res) => {
     }
     
     // Verificar se a aula é no futuro
-    const now = new Date();
-    const lessonDateTime = new Date(lesson.data);
-    const [hours, minutes] = lesson.hora_inicio.split(':');
-    lessonDateTime.setHours(parseInt(hours), parseInt(minutes));
-    
-    if (lessonDateTime <= now) {
+    if (lesson.hora_inicio <= new Date()) {
       return res.status(400).json({
         success: false,
         message: 'Não é possível agendar aulas no passado'
       });
     }
     
-    // Verificar elegibilidade do aluno
-    if (!lesson.turma_id.verificarElegibilidadeAluno(student)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Aluno não é elegível para esta turma'
-      });
-    }
-    
-    // Verificar se já tem agendamento
-    const existingBooking = await Booking.findOne({
-      aluno_id: studentId,
-      aula_id: req.body.aula_id,
-      status: { $in: ['confirmado', 'presente'] }
-    });
+    // Tipos especiais de agendamento são definidos apenas pela administração
+    const tipoAgendamento = req.user.perfil === 'admin' && req.body.tipo_agendamento
+      ? req.body.tipo_agendamento
+      : 'normal';
     
-    if (existingBooking) {
+    // Elegibilidade, duplicidade, capacidade e lista de espera ficam no modelo
+    let booking;
+    try {
+      booking = await Booking.criarAgendamento(lesson._id, student._id, tipoAgendamento);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Aluno já possui agendamento para esta aula'
+        message: error.message
       });
     }
     
-    // Verificar capacidade
-    const totalBookings = await Booking.countDocuments({
-      aula_id: req.body.aula_id,
-      status: { $in: ['confirmado', 'presente'] }
-    });
-    
-    if (totalBookings >= lesson.capacidade) {
-      return res.status(400).json({
-        success: false,
-        message: 'Aula lotada'
-      });
-    }
-    
-    // Criar agendamento
-    const bookingData = {
-      aluno_id: studentId,
-      aula_id: req.body.aula_id,
-      turma_id: lesson.turma_id._id,
-      data: lesson.data,
-      hora_inicio: lesson.hora_inicio,
-      hora_fim: lesson.hora_fim,
-      grupo: lesson.grupo,
-      status: 'confirmado',
-      agendado_por: req.user._id,
-      observacoes: req.body.observacoes
+    booking.observacoes = req.body.observacoes;
+    booking.metadata = {
+      ip_agendamento: req.ip,
+      user_agent: req.get('User-Agent'),
+      origem: req.user.perfil === 'admin' ? 'admin' : 'web'
     };
-    
-    const booking = new Booking(bookingData);
     await booking.save();
     
     await booking.populate([
@@ -586,7 +595,9 @@ router.post('/', [auth, ...validateBooking.create], async (req, res) => {
     
     res.status(201).json({
       success: true,
-      message: 'Agendamento criado com sucesso',
+      message: booking.status === 'espera'
+        ? `Aula lotada. Você está na posição ${booking.posicao_lista_espera} da lista de espera`
+        : 'Agendamento criado com sucesso',
       data: booking
     });
   } catch (error) {
@@ -605,8 +616,7 @@ router.put('/:id/cancel', [auth, ...validateParams.mongoId], async (req, res) =>
   try {
     const { motivo } = req.body;
     
-    const booking = await Booking.findById(req.params.id)
-      .populate('aula_id', 'data hora_inicio status');
+    const booking = await Booking.findById(req.params.id);
     
     if (!booking) {
       return res.status(404).json({
@@ -617,7 +627,7 @@ router.put('/:id/cancel', [auth, ...validateParams.mongoId], async (req, res) =>
     
     // Verificar permissão
     if (req.user.perfil === 'aluno') {
-      const student = await Student.findOne({ user_id: req.user._id });
+      const student = await Student.findOne({ usuario_id: req.user._id });
       if (!student || !booking.aluno_id.equals(student._id)) {
         return res.status(403).json({
           success: false,
@@ -626,49 +636,108 @@ router.put('/:id/cancel', [auth, ...validateParams.mongoId], async (req, res) =>
       }
     }
     
-    if (booking.status === 'cancelado') {
+    if (['cancelado', 'cancelado_tarde'].includes(booking.status)) {
       return res.status(400).json({
         success: false,
         message: 'Agendamento já está cancelado'
       });
     }
     
-    if (booking.status === 'presente') {
+    if (['presente', 'falta', 'no_show'].includes(booking.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Não é possível cancelar agendamento com presença confirmada'
+        message: 'Não é possível cancelar agendamento de aula já registrada'
       });
     }
     
-    // Verificar se pode cancelar (ex: até 2 horas antes)
-    const now = new Date();
-    const lessonDateTime = new Date(booking.aula_id.data);
-    const [hours, minutes] = booking.aula_id.hora_inicio.split(':');
-    lessonDateTime.setHours(parseInt(hours), parseInt(minutes));
+    // Fora do prazo o cancelamento é penalizado (lista de espera pode sair a qualquer momento)
+    const settings = await Settings.getSettings();
+    const prazoCancelamento = await booking.prazoCancelamento(settings);
+    const cancelamentoTardio = booking.status === 'confirmado' &&
+      new Date() > prazoCancelamento &&
+      req.user.perfil !== 'admin';
     
-    const hoursUntilLesson = (lessonDateTime - now) / (1000 * 60 * 60);
+    let status = 'cancelado';
+    if (cancelamentoTardio) {
+      status = settings.lateCancellationPolicy === 'no_show' ? 'no_show' : 'cancelado_tarde';
+    }
     
-    if (hoursUntilLesson < 2 && req.user.perfil !== 'admin') {
-      return res.status(400).json({
+    // Libera a vaga e promove o próximo da lista de espera
+    await booking.cancelar(motivo || 'Cancelado pelo usuário', true, status);
+    
+    if (cancelamentoTardio) {
+      logger.info('Cancelamento fora do prazo', {
+        bookingId: booking._id,
+        userId: req.user._id,
+        status
+      });
+    }
+    
+    const prazoFormatado = naAcademia(prazoCancelamento).format('DD/MM/YYYY HH:mm');
+    
+    res.json({
+      success: true,
+      message: cancelamentoTardio
+        ? `Agendamento cancelado fora do prazo (até ${prazoFormatado}) e registrado como ${status === 'no_show' ? 'no-show' : 'cancelamento tardio'}`
+        : 'Agendamento cancelado com sucesso',
+      data: {
+        id: booking._id,
+        status: booking.status,
+        motivo_cancelamento: booking.motivo_cancelamento,
+        prazo_cancelamento: prazoCancelamento,
+        cancelamento_tardio: cancelamentoTardio
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/accept-offer
+// @desc    Aceitar a vaga oferecida da lista de espera
+// @access  Private (Student/Admin)
+router.put('/:id/accept-offer', [auth, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    
+    if (!booking) {
+      return res.status(404).json({
         success: false,
-        message: 'Cancelamento deve ser feito com pelo menos 2 horas de antecedência'
+        message: 'Agendamento não encontrado'
       });
     }
     
-    booking.status = 'cancelado';
-    booking.motivo_cancelamento = motivo || 'Cancelado pelo usuário';
-    booking.cancelado_em = new Date();
-    booking.cancelado_por = req.user._id;
+    // Verificar permissão
+    if (req.user.perfil === 'aluno') {
+      const student = await Student.findOne({ usuario_id: req.user._id });
+      if (!student || !booking.aluno_id.equals(student._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acesso negado'
+        });
+      }
+    }
     
-    await booking.save();
+    try {
+      await booking.aceitarOferta();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     res.json({
       success: true,
-      message: 'Agendamento cancelado com sucesso',
+      message: 'Vaga confirmada com sucesso',
       data: {
         id: booking._id,
         status: booking.status,
-        motivo_cancelamento: booking.motivo_cancelamento
+        oferta_vaga: booking.oferta_vaga
       }
     });
   } catch (error) {
@@ -680,13 +749,12 @@ router.put('/:id/cancel', [auth, ...validateParams.mongoId], async (req, res) =>
   }
 });
 
-// @route   PUT /api/bookings/:id/checkin
-// @desc    Fazer check-in
-// @access  Private (Student/Admin/Instructor)
-router.put('/:id/checkin', [auth, ...validateParams.mongoId], async (req, res) => {
+// @route   PUT /api/bookings/:id/decline-offer
+// @desc    Recusar a vaga oferecida (a vaga segue para o próximo da lista)
+// @access  Private (Student/Admin)
+router.put('/:id/decline-offer', [auth, ...validateParams.mongoId], async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id)
-      .populate('aula_id', 'data hora_inicio hora_fim status');
+    const booking = await Booking.findById(req.params.id);
     
     if (!booking) {
       return res.status(404).json({
@@ -697,7 +765,7 @@ router.put('/:id/checkin', [auth, ...validateParams.mongoId], async (req, res) =
     
     // Verificar permissão
     if (req.user.perfil === 'aluno') {
-      const student = await Student.findOne({ user_id: req.user._id });
+      const student = await Student.findOne({ usuario_id: req.user._id });
       if (!student || !booking.aluno_id.equals(student._id)) {
         return res.status(403).json({
           success: false,
@@ -706,43 +774,132 @@ router.put('/:id/checkin', [auth, ...validateParams.mongoId], async (req, res) =
       }
     }
     
-    if (booking.status !== 'confirmado') {
+    try {
+      await booking.recusarOferta();
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Apenas agendamentos confirmados podem fazer check-in'
+        message: error.message
       });
     }
     
-    // Verificar se a aula está em andamento ou se é o horário correto
-    const now = new Date();
-    const lessonDate = new Date(booking.aula_id.data);
-    const [startHours, startMinutes] = booking.aula_id.hora_inicio.split(':');
-    const [endHours, endMinutes] = booking.aula_id.hora_fim.split(':');
+    res.json({
+      success: true,
+      message: 'Vaga recusada. Você saiu da lista de espera',
+      data: {
+        id: booking._id,
+        status: booking.status,
+        oferta_vaga: booking.oferta_vaga
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/checkin
+// @desc    Fazer check-in (registra a presença na aula)
+// @access  Private (Student/Admin/Instructor)
+router.put('/:id/checkin', [auth, ...validateParams.mongoId, ...validateBooking.checkin], async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
     
-    const lessonStart = new Date(lessonDate);
-    lessonStart.setHours(parseInt(startHours), parseInt(startMinutes));
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agendamento não encontrado'
+      });
+    }
     
-    const lessonEnd = new Date(lessonDate);
-    lessonEnd.setHours(parseInt(endHours), parseInt(endMinutes));
+    // Verificar permissão
+    if (req.user.perfil === 'aluno') {
+      const student = await Student.findOne({ usuario_id: req.user._id });
+      if (!student || !booking.aluno_id.equals(student._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acesso negado'
+        });
+      }
+      
+      if (student.configuracoes.bloqueio_checkin) {
+        return res.status(403).json({
+          success: false,
+          message: student.configuracoes.motivo_bloqueio || 'Check-in bloqueado. Verifique suas mensalidades.'
+        });
+      }
+    }
+    
+    // Localização do aparelho, quando informada
+    const localizacao = req.body.latitude !== undefined
+      ? { latitude: Number(req.body.latitude), longitude: Number(req.body.longitude) }
+      : undefined;
     
-    // Permitir check-in 15 minutos antes até 30 minutos após o início
-    const checkinStart = new Date(lessonStart);
-    checkinStart.setMinutes(checkinStart.getMinutes() - 15);
+    const settings = await Settings.getSettings();
+    const geofenceAtivo = settings.checkinGeofence.enabled;
+    const geofence = geofenceAtivo && localizacao ? settings.verificarGeofence(localizacao) : null;
     
-    const checkinEnd = new Date(lessonStart);
-    checkinEnd.setMinutes(checkinEnd.getMinutes() + 30);
+    // Aluno precisa estar na academia; administração e instrutores registram sem a validação
+    if (geofenceAtivo && req.user.perfil === 'aluno') {
+      if (!geofence) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ative a localização do aparelho para fazer check-in'
+        });
+      }
+      
+      if (!geofence.dentro) {
+        logger.audit('checkin_fora_da_academia', {
+          userId: req.user._id,
+          bookingId: booking._id,
+          distancia: geofence.distancia,
+          raio: geofence.raio
+        });
+        
+        return res.status(403).json({
+          success: false,
+          message: `Você está a ${geofence.distancia} m da academia. O check-in só pode ser feito a até ${geofence.raio} m`
+        });
+      }
+    }
     
-    if (now < checkinStart || now > checkinEnd) {
+    const liberadoSemGeofence = geofenceAtivo && req.user.perfil !== 'aluno';
+    
+    // Janela de check-in e status do agendamento são validados no modelo
+    try {
+      await booking.realizarCheckin({
+        registrado_por: req.user._id,
+        ip: req.ip,
+        dispositivo: req.get('User-Agent'),
+        localizacao,
+        distancia_academia: geofence ? geofence.distancia : undefined,
+        geofence_liberado_por: liberadoSemGeofence ? req.user._id : undefined,
+        metodo_registro: req.user.perfil === 'aluno' ? 'automatico' : 'manual'
+      });
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Check-in só é permitido entre 15 minutos antes e 30 minutos após o início da aula'
+        message: error.message
       });
     }
     
-    booking.status = 'presente';
-    booking.checkin_em = now;
+    if (liberadoSemGeofence) {
+      logger.audit('checkin_geofence_liberado', {
+        userId: req.user._id,
+        perfil: req.user.perfil,
+        bookingId: booking._id,
+        alunoId: booking.aluno_id,
+        distancia: geofence ? geofence.distancia : null
+      });
+    }
     
-    await booking.save();
+    const presenca = await Attendance.findOne({
+      aula_id: booking.aula_id,
+      aluno_id: booking.aluno_id
+    });
     
     res.json({
       success: true,
@@ -750,7 +907,74 @@ router.put('/:id/checkin', [auth, ...validateParams.mongoId], async (req, res) =
       data: {
         id: booking._id,
         status: booking.status,
-        checkin_em: booking.checkin_em
+        data_checkin: booking.data_checkin,
+        presenca_id: presenca ? presenca._id : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/checkout
+// @desc    Fazer check-out (registra o tempo de permanência na aula)
+// @access  Private (Student/Admin/Instructor)
+router.put('/:id/checkout', [auth, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agendamento não encontrado'
+      });
+    }
+    
+    // Verificar permissão
+    if (req.user.perfil === 'aluno') {
+      const student = await Student.findOne({ usuario_id: req.user._id });
+      if (!student || !booking.aluno_id.equals(student._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acesso negado'
+        });
+      }
+    }
+    
+    const presenca = await Attendance.findOne({
+      aula_id: booking.aula_id,
+      aluno_id: booking.aluno_id
+    });
+    
+    if (!presenca) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in deve ser realizado antes do check-out'
+      });
+    }
+    
+    try {
+      await presenca.realizarCheckout();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Check-out realizado com sucesso',
+      data: {
+        id: booking._id,
+        presenca_id: presenca._id,
+        status: presenca.status,
+        checkout_hora: presenca.checkout_hora,
+        tempo_permanencia: presenca.tempo_permanencia
       }
     });
   } catch (error) {
@@ -763,7 +987,7 @@ router.put('/:id/checkin', [auth, ...validateParams.mongoId], async (req, res) =
 });
 
 // @route   PUT /api/bookings/:id/mark-absent
-// @desc    Marcar como ausente
+// @desc    Marcar como ausente (registra a falta na aula)
 // @access  Private (Admin/Instructor)
 router.put('/:id/mark-absent', [auth, adminOrInstructor, ...validateParams.mongoId], async (req, res) => {
   try {
@@ -783,10 +1007,16 @@ router.put('/:id/mark-absent', [auth, adminOrInstructor, ...validateParams.mongo
       });
     }
     
-    booking.status = 'ausente';
-    booking.marcado_ausente_em = new Date();
-    booking.marcado_ausente_por = req.user._id;
+    try {
+      await Attendance.registrarFalta(booking.aula_id, booking.aluno_id, req.body.motivo);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     
+    booking.status = 'falta';
     await booking.save();
     
     res.json({
@@ -794,8 +1024,7 @@ router.put('/:id/mark-absent', [auth, adminOrInstructor, ...validateParams.mongo
       message: 'Agendamento marcado como ausente',
       data: {
         id: booking._id,
-        status: booking.status,
-        marcado_ausente_em: booking.marcado_ausente_em
+        status: booking.status
       }
     });
   } catch (error) {
@@ -830,6 +1059,12 @@ router.delete('/:id', [auth, adminOnly, ...validateParams.mongoId], async (req,
     
     await Booking.findByIdAndDelete(req.params.id);
     
+    // Atualizar vagas e lista de espera da aula
+    const lesson = await Lesson.findById(booking.aula_id);
+    if (lesson) {
+      await lesson.atualizarEstatisticas();
+    }
+    
     res.json({
       success: true,
       message: 'Agendamento deletado com sucesso'
@@ -843,4 +1078,4 @@ router.delete('/:id', [auth, adminOnly, ...validateParams.mongoId], async (req,
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
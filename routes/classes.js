@@ -6,6 +6,7 @@ const Student = require('../models/Student');
 const User = require('../models/User');
 const { auth, adminOnly, adminOrInstructor } = require('../middleware/auth');
 const { validateClass, validateParams, validateQuery } = require('../middleware/validation');
+const { materializeClass } = require('../jobs/lessonGenerationJob');
 
 const router = express.Router();
 
@@ -328,7 +329,7 @@ router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validateClass
       const dias = req.body.dias_semana || turma.dias_semana;
       const horaInicio = req.body.hora_inicio || turma.hora_inicio;
       const horaFim = req.body.hora_fim || turma.hora_fim;
-      const instrutor = req.body.instrutor || turma.instrutor;
+      const instrutor = req.body.instrutor || turma.instrutor_id;
       
       const conflictingClasses = await Class.verificarConflitoHorario(
         dias,
@@ -347,18 +348,41 @@ router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validateClass
       }
     }
     
-    const updatedClass = await Class.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('instrutor', 'nome email telefone');
+    const diasAnteriores = [...turma.dias_semana];
+    const { instrutor, ...dados } = req.body;
+    
+    turma.set(dados);
+    if (instrutor) turma.instrutor_id = instrutor;
+    await turma.save();
+    
+    // Dias retirados da grade perdem as aulas futuras ainda vazias
+    let aulas = null;
+    if (req.body.dias_semana && turma.ativa) {
+      const diasRemovidos = diasAnteriores.filter(dia => !turma.dias_semana.includes(dia));
+      const resultado = diasRemovidos.length > 0
+        ? await turma.removerAulasFuturasVazias({ dias: diasRemovidos })
+        : { removidas: 0, mantidas: 0 };
+      const criadas = await materializeClass(turma);
+      
+      aulas = { ...resultado, geradas: criadas.length };
+    }
+    
+    await turma.populate('instrutor_id', 'nome email telefone');
     
     res.json({
       success: true,
       message: 'Turma atualizada com sucesso',
-      data: updatedClass
+      data: turma,
+      aulas
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Erro interno do servidor',
@@ -380,16 +404,26 @@ router.put('/:id/toggle-status', [auth, adminOnly, ...validateParams.mongoId], a
       });
     }
     
-    turma.ativo = !turma.ativo;
+    turma.ativa = !turma.ativa;
     await turma.save();
     
+    // Turma desativada perde as aulas futuras vazias; reativada volta a ser gerada
+    let aulas;
+    if (turma.ativa) {
+      const criadas = await materializeClass(turma);
+      aulas = { geradas: criadas.length };
+    } else {
+      aulas = await turma.removerAulasFuturasVazias();
+    }
+    
     res.json({
       success: true,
-      message: `Turma ${turma.ativo ? 'ativada' : 'desativada'} com sucesso`,
+      message: `Turma ${turma.ativa ? 'ativada' : 'desativada'} com sucesso`,
       data: {
         id: turma._id,
         nome: turma.nome,
-        ativo: turma.ativo
+        ativa: turma.ativa,
+        aulas
       }
     });
   } catch (error) {
@@ -480,14 +514,15 @@ router.post('/:id/generate-lessons', [auth, adminOnly, ...validateParams.mongoId
       });
     }
     
-    if (!turma.ativo) {
+    if (!turma.ativa) {
       return res.status(400).json({
         success: false,
         message: 'Não é possível gerar aulas para turma inativa'
       });
     }
     
-    const lessons = await turma.gerarAulasSemana(new Date(data_inicio), new Date(data_fim));
+    // Datas que já têm aula são ignoradas
+    const lessons = await turma.materializarAulas(new Date(data_inicio), new Date(data_fim));
     
     res.json({
       success: true,
@@ -0,0 +1,305 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const Closure = require('../models/Closure');
+const { feriadosNacionais } = require('../utils/brazilianHolidays');
+const { auth, adminOnly } = require('../middleware/auth');
+const { validateClosure, validateParams } = require('../middleware/validation');
+const logger = require('../config/logger');
+const { getTimezone } = require('../config/timezone');
+
+const router = express.Router();
+
+// Campos que podem ser definidos pela administração
+const CAMPOS_FECHAMENTO = ['titulo', 'tipo', 'data_inicio', 'data_fim', 'hora_inicio', 'hora_fim', 'observacoes', 'ativo'];
+
+// Extrair os campos permitidos, lendo datas como dias do timezone da academia
+// ("2026-12-24" é o dia 24 em São Paulo, não meia-noite UTC)
+const extrairCampos = (body) => {
+  const dados = {};
+
+  CAMPOS_FECHAMENTO.forEach(campo => {
+    if (body[campo] !== undefined) dados[campo] = body[campo];
+  });
+
+  ['data_inicio', 'data_fim'].forEach(campo => {
+    if (dados[campo]) dados[campo] = moment.tz(dados[campo], getTimezone()).toDate();
+  });
+
+  return dados;
+};
+
+// @route   GET /api/closures
+// @desc    Listar fechamentos (padrão: ano atual)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { ano, data_inicio, data_fim, tipo, incluir_inativos } = req.query;
+
+    const referencia = moment.tz(getTimezone()).year(parseInt(ano) || moment.tz(getTimezone()).year());
+    const inicio = data_inicio
+      ? moment.tz(data_inicio, getTimezone()).startOf('day')
+      : referencia.clone().startOf('year');
+    const fim = data_fim
+      ? moment.tz(data_fim, getTimezone()).endOf('day')
+      : referencia.clone().endOf('year');
+
+    const query = {
+      data_inicio: { $lte: fim.toDate() },
+      data_fim: { $gte: inicio.toDate() }
+    };
+
+    if (tipo) query.tipo = tipo;
+
+    // Fechamentos removidos só aparecem para a administração
+    if (!(incluir_inativos === 'true' && req.user.perfil === 'admin')) {
+      query.ativo = true;
+    }
+
+    const fechamentos = await Closure.find(query)
+      .populate('criado_por', 'nome')
+      .sort({ data_inicio: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        periodo: {
+          inicio: inicio.toDate(),
+          fim: fim.toDate()
+        },
+        fechamentos
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/closures/holidays/:ano
+// @desc    Tabela de feriados nacionais do ano (inclui pontos facultativos)
+// @access  Private (Admin only)
+router.get('/holidays/:ano', [auth, adminOnly], async (req, res) => {
+  try {
+    const ano = parseInt(req.params.ano);
+
+    if (!ano || ano < 2000 || ano > 2100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ano inválido'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: feriadosNacionais(ano, { incluirFacultativos: true })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/closures/holidays
+// @desc    Importar os feriados nacionais de um ano como fechamentos
+// @access  Private (Admin only)
+router.post('/holidays', [auth, adminOnly, ...validateClosure.holidays], async (req, res) => {
+  try {
+    const { ano, incluir_facultativos } = req.body;
+
+    const resultado = await Closure.importarFeriadosNacionais(parseInt(ano), {
+      incluirFacultativos: incluir_facultativos === true || incluir_facultativos === 'true',
+      usuarioId: req.user._id
+    });
+
+    logger.audit('Feriados nacionais importados', {
+      ...resultado,
+      usuario: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: `${resultado.importados} feriados importados para ${resultado.ano}`,
+      data: resultado
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/closures/:id
+// @desc    Obter fechamento por ID
+// @access  Private
+router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const fechamento = await Closure.findById(req.params.id)
+      .populate('criado_por', 'nome');
+
+    if (!fechamento) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fechamento não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: fechamento
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/closures
+// @desc    Criar fechamento (dia, período ou parte do dia) e cancelar as aulas atingidas
+// @access  Private (Admin only)
+router.post('/', [auth, adminOnly, ...validateClosure.create], async (req, res) => {
+  try {
+    const fechamento = new Closure({
+      ...extrairCampos(req.body),
+      ativo: true,
+      criado_por: req.user._id
+    });
+
+    try {
+      await fechamento.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const canceladas = await fechamento.cancelarAulas();
+
+    logger.audit('Fechamento criado', {
+      fechamento_id: fechamento._id,
+      titulo: fechamento.titulo,
+      aulas_canceladas: canceladas,
+      usuario: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: canceladas > 0
+        ? `Fechamento criado; ${canceladas} aulas canceladas`
+        : 'Fechamento criado com sucesso',
+      data: {
+        ...fechamento.toJSON(),
+        aulas_canceladas: canceladas
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/closures/:id
+// @desc    Atualizar fechamento
+// @access  Private (Admin only)
+router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validateClosure.update], async (req, res) => {
+  try {
+    const fechamento = await Closure.findById(req.params.id);
+
+    if (!fechamento) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fechamento não encontrado'
+      });
+    }
+
+    const dados = extrairCampos(req.body);
+
+    // Feriado nacional mantém o tipo para não ser reimportado
+    if (fechamento.tipo === 'feriado_nacional') delete dados.tipo;
+
+    fechamento.set(dados);
+
+    try {
+      await fechamento.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const canceladas = fechamento.ativo ? await fechamento.cancelarAulas() : 0;
+
+    res.json({
+      success: true,
+      message: 'Fechamento atualizado com sucesso',
+      data: {
+        ...fechamento.toJSON(),
+        aulas_canceladas: canceladas
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/closures/:id
+// @desc    Remover fechamento (feriados nacionais são apenas desativados)
+// @access  Private (Admin only)
+router.delete('/:id', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const fechamento = await Closure.findById(req.params.id);
+
+    if (!fechamento) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fechamento não encontrado'
+      });
+    }
+
+    // Feriado nacional desativado não volta na próxima importação
+    if (fechamento.tipo === 'feriado_nacional') {
+      fechamento.ativo = false;
+      await fechamento.save();
+    } else {
+      await fechamento.deleteOne();
+    }
+
+    logger.audit('Fechamento removido', {
+      fechamento_id: fechamento._id,
+      titulo: fechamento.titulo,
+      usuario: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Fechamento removido com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
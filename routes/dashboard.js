@@ -8,6 +8,9 @@ const Lesson = require('../models/Lesson');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Booking = require('../models/Booking');
+const Monthly = require('../models/Monthly');
+const { createQuickPaymentLink } = require('../config/mercadopago');
+const { notificarLembretePagamento, resolverDestinatarioAluno } = require('../utils/notificationService');
 
 const router = express.Router();
 
@@ -541,41 +544,64 @@ router.post('/resend-payment-link/:paymentId', auth, adminOrInstructor, async (r
   try {
     const { paymentId } = req.params;
     
-    const payment = await Payment.findById(paymentId)
-      .populate({
-        path: 'student',
-        populate: {
-          path: 'user',
-          select: 'name email phone'
-        }
-      });
+    const mensalidade = await Monthly.findById(paymentId)
+      .populate('aluno_id', 'nome usuario_id contato responsavel_financeiro');
     
-    if (!payment) {
+    if (!mensalidade) {
       return res.status(404).json({
         success: false,
         message: 'Mensalidade não encontrada'
       });
     }
     
-    if (payment.status !== 'pending') {
+    if (!['em_aberto', 'atrasado'].includes(mensalidade.status)) {
       return res.status(400).json({
         success: false,
         message: 'Mensalidade já foi paga ou cancelada'
       });
     }
     
-    // TODO: Implementar reenvio do link
-    // const paymentLink = await generatePaymentLink(payment);
-    // await sendPaymentLinkEmail(payment.student.user.email, paymentLink);
-    // await sendPaymentLinkSMS(payment.student.user.phone, paymentLink);
+    const destinatario = await resolverDestinatarioAluno(mensalidade.aluno_id);
+    
+    // Gerar novo link de pagamento no Mercado Pago
+    const externalReference = `${mensalidade.aluno_id._id}:${mensalidade._id}:${mensalidade.competencia}`;
+    let paymentLink;
+    
+    try {
+      paymentLink = await createQuickPaymentLink(
+        mensalidade.valor_total,
+        `Mensalidade ${mensalidade.competencia_formatada}`,
+        externalReference,
+        destinatario && destinatario.email
+      );
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        message: 'Erro ao gerar link de pagamento',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+    
+    mensalidade.mercado_pago.preference_id = paymentLink.preference_id;
+    mensalidade.mercado_pago.external_reference = externalReference;
+    await mensalidade.save();
+    
+    // Enviar o link por email
+    const dias = moment(mensalidade.vencimento).startOf('day').diff(moment().startOf('day'), 'days');
+    const envio = await notificarLembretePagamento(mensalidade, dias, paymentLink.payment_url);
     
     res.json({
       success: true,
-      message: 'Link de pagamento reenviado com sucesso',
+      message: envio.enviado
+        ? 'Link de pagamento reenviado com sucesso'
+        : 'Link de pagamento gerado, mas o email não foi enviado',
       data: {
-        paymentId: payment._id,
-        studentName: payment.student.user.name,
-        amount: payment.totalAmount
+        paymentId: mensalidade._id,
+        studentName: mensalidade.aluno_id.nome,
+        amount: mensalidade.valor_total,
+        paymentUrl: paymentLink.payment_url,
+        emailSent: envio.enviado,
+        reason: envio.motivo
       }
     });
     
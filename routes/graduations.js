@@ -1,11 +1,60 @@
 const express = require('express');
+const fs = require('fs');
 const Graduation = require('../models/Graduation');
 const Student = require('../models/Student');
+const GraduationRequirement = require('../models/GraduationRequirement');
 const { auth, adminOnly, adminOrInstructor } = require('../middleware/auth');
 const { validateGraduation, validateParams, validateQuery } = require('../middleware/validation');
+const { formatarFaixa } = require('../utils/certificateGenerator');
+const { posicaoFaixa, buscarFaixa } = require('../config/belts');
+const logger = require('../config/logger');
 
 const router = express.Router();
 
+// Escapar texto para exibição em HTML
+const escaparHtml = (texto) => String(texto == null ? '' : texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Página simples exibida ao escanear o QR code do certificado
+const paginaVerificacao = (numero, certificado) => {
+  const linhas = certificado
+    ? `
+      <p class="status ${certificado.valido ? 'valido' : 'invalido'}">
+        ${certificado.valido ? 'Certificado válido' : 'Certificado invalidado'}
+      </p>
+      <p><strong>Aluno:</strong> ${escaparHtml(certificado.aluno)}</p>
+      <p><strong>Faixa:</strong> ${escaparHtml(formatarFaixa(certificado.faixa, certificado.grau))}</p>
+      <p><strong>Data da graduação:</strong> ${new Date(certificado.data_graduacao).toLocaleDateString('pt-BR')}</p>
+      <p><strong>Responsável:</strong> ${escaparHtml(certificado.responsavel)}</p>
+      ${certificado.valido ? '' : `<p><strong>Motivo:</strong> ${escaparHtml(certificado.motivo_invalidacao)}</p>`}`
+    : '<p class="status invalido">Certificado não encontrado</p>';
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Verificação de Certificado ${escaparHtml(numero)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f4f4f4; margin: 0; padding: 20px; }
+    .card { max-width: 480px; margin: 40px auto; background: #fff; border-radius: 8px; padding: 24px; box-shadow: 0 2px 8px rgba(0,0,0,.1); }
+    h1 { font-size: 20px; color: #1e3c72; margin-top: 0; }
+    .status { font-weight: bold; font-size: 18px; }
+    .valido { color: #2e7d32; }
+    .invalido { color: #c62828; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Certificado nº ${escaparHtml(numero)}</h1>${linhas}
+  </div>
+</body>
+</html>`;
+};
+
 // @route   GET /api/graduations
 // @desc    Listar graduações
 // @access  Private (Admin/Instructor)
@@ -134,50 +183,26 @@ router.get('/eligibility', [auth, adminOrInstructor], async (req, res) => {
   try {
     const { grupo, faixa_atual } = req.query;
     
-    const query = {
-      status: 'ativo'
-    };
-    
-    if (grupo) query.grupo = grupo;
-    if (faixa_atual) query.faixa_atual = faixa_atual;
-    
-    const students = await Student.find(query)
-      .select('nome grupo faixa_atual grau_atual data_ultima_graduacao estatisticas')
-      .sort({ nome: 1 });
-    
-    const eligibilityReport = [];
-    
-    for (const student of students) {
-      try {
-        const eligibility = await Graduation.relatorioElegibilidade(student._id);
-        
-        eligibilityReport.push({
-          aluno: {
-            id: student._id,
-            nome: student.nome,
-            grupo: student.grupo,
-            faixa_atual: student.faixa_atual,
-            grau_atual: student.grau_atual,
-            data_ultima_graduacao: student.data_ultima_graduacao
-          },
-          elegibilidade: eligibility
-        });
-      } catch (error) {
-        eligibilityReport.push({
-          aluno: {
-            id: student._id,
-            nome: student.nome,
-            grupo: student.grupo,
-            faixa_atual: student.faixa_atual,
-            grau_atual: student.grau_atual
-          },
-          elegibilidade: {
-            elegivel: false,
-            motivos: ['Erro ao verificar elegibilidade']
-          }
-        });
+    // Requisitos por faixa/grau e grupo vêm da tabela de requisitos de graduação
+    const relatorio = await Graduation.relatorioElegibilidade({ grupo, faixa_atual });
+    
+    const eligibilityReport = relatorio.map(item => ({
+      aluno: {
+        id: item.aluno._id,
+        nome: item.aluno.nome,
+        grupo: item.aluno.grupo,
+        faixa_atual: item.aluno.faixa_atual,
+        grau_atual: item.aluno.graus,
+        data_ultima_graduacao: item.ultima_graduacao ? item.ultima_graduacao.data : null
+      },
+      elegibilidade: {
+        elegivel: item.elegivel,
+        proxima_faixa: item.proxima_faixa,
+        requisitos: item.requisitos,
+        criterios: item.criterios,
+        motivos: item.motivos
       }
-    }
+    }));
     
     // Separar elegíveis e não elegíveis
     const eligible = eligibilityReport.filter(r => r.elegibilidade.elegivel);
@@ -204,6 +229,114 @@ router.get('/eligibility', [auth, adminOrInstructor], async (req, res) => {
   }
 });
 
+// @route   GET /api/graduations/requirements
+// @desc    Listar requisitos de graduação por faixa/grau e grupo
+// @access  Private (Admin/Instructor)
+router.get('/requirements', [auth, adminOrInstructor], async (req, res) => {
+  try {
+    const requisitos = await GraduationRequirement.find()
+      .populate('atualizado_por', 'nome');
+    
+    // Ordem da escada de faixas; "qualquer grau" antes dos graus específicos
+    requisitos.sort((a, b) => posicaoFaixa(a.faixa) - posicaoFaixa(b.faixa) ||
+      (a.grau === null ? -1 : a.grau) - (b.grau === null ? -1 : b.grau) ||
+      a.grupo.localeCompare(b.grupo));
+    
+    res.json({
+      success: true,
+      data: requisitos
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/graduations/requirements
+// @desc    Criar ou atualizar os requisitos de uma faixa/grau e grupo
+// @access  Private (Admin only)
+router.put('/requirements', [auth, adminOnly, ...validateGraduation.requirement], async (req, res) => {
+  try {
+    const chave = {
+      faixa: req.body.faixa,
+      grau: req.body.grau === undefined ? null : req.body.grau,
+      grupo: req.body.grupo || 'ambos'
+    };
+    
+    const requisito = await GraduationRequirement.findOne(chave) || new GraduationRequirement(chave);
+    const criado = requisito.isNew;
+    
+    ['presencas_minimas', 'assiduidade_minima', 'dias_minimos_grau', 'dias_minimos_faixa', 'idade_minima', 'observacoes']
+      .filter(campo => req.body[campo] !== undefined)
+      .forEach(campo => requisito.set(campo, req.body[campo]));
+    requisito.atualizado_por = req.user._id;
+    
+    try {
+      await requisito.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.audit('requisito_graduacao_atualizado', {
+      userId: req.user._id,
+      requisitoId: requisito._id,
+      ...chave
+    });
+    
+    res.status(criado ? 201 : 200).json({
+      success: true,
+      message: criado ? 'Requisitos de graduação criados com sucesso' : 'Requisitos de graduação atualizados com sucesso',
+      data: requisito
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/graduations/requirements/:id
+// @desc    Remover requisitos (a graduação volta aos requisitos gerais da faixa ou ao padrão)
+// @access  Private (Admin only)
+router.delete('/requirements/:id', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const requisito = await GraduationRequirement.findByIdAndDelete(req.params.id);
+    if (!requisito) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requisitos de graduação não encontrados'
+      });
+    }
+    
+    logger.audit('requisito_graduacao_removido', {
+      userId: req.user._id,
+      requisitoId: requisito._id,
+      faixa: requisito.faixa,
+      grau: requisito.grau,
+      grupo: requisito.grupo
+    });
+    
+    res.json({
+      success: true,
+      message: 'Requisitos de graduação removidos com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/graduations/stats
 // @desc    Estatísticas de graduações
 // @access  Private (Admin/Instructor)
@@ -324,6 +457,48 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
   }
 });
 
+// @route   GET /api/graduations/verify/:numero
+// @desc    Verificar autenticidade de um certificado pelo número
+// @access  Public
+router.get('/verify/:numero', async (req, res) => {
+  try {
+    const numero = String(req.params.numero || '').trim().toUpperCase();
+    
+    if (!/^SJJ-\d{6}-\d{4,}$/.test(numero)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Número de certificado inválido'
+      });
+    }
+    
+    const certificado = await Graduation.verificarCertificado(numero);
+    
+    if (!certificado) {
+      return res.status(404).format({
+        json: () => res.json({
+          success: false,
+          message: 'Certificado não encontrado'
+        }),
+        html: () => res.send(paginaVerificacao(numero, null))
+      });
+    }
+    
+    res.format({
+      json: () => res.json({
+        success: true,
+        data: certificado
+      }),
+      html: () => res.send(paginaVerificacao(numero, certificado))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/graduations/:id
 // @desc    Obter graduação por ID
 // @access  Private
@@ -385,35 +560,32 @@ router.post('/', [auth, adminOrInstructor, ...validateGraduation.create], async
       });
     }
     
-    // Verificar elegibilidade
-    const eligibility = await Graduation.relatorioElegibilidade(student._id);
-    if (!eligibility.elegivel && req.body.forcar_graduacao !== true) {
-      return res.status(400).json({
-        success: false,
-        message: 'Aluno não é elegível para graduação',
-        motivos: eligibility.motivos,
-        detalhes: eligibility
-      });
-    }
-    
-    // Calcular próxima faixa se não fornecida
+    // Calcular próxima faixa se não fornecida (grau 0 informado é mantido)
     let { faixa, grau } = req.body;
-    if (!faixa || !grau) {
+    if (faixa === undefined || grau === undefined) {
       const proximaFaixa = Graduation.calcularProximaFaixa(
         student.faixa_atual,
-        student.grau_atual,
+        student.graus,
         student.grupo
       );
       
-      if (!proximaFaixa) {
-        return res.status(400).json({
-          success: false,
-          message: 'Não foi possível calcular a próxima faixa'
-        });
+      if (faixa === undefined) {
+        if (!proximaFaixa) {
+          return res.status(400).json({
+            success: false,
+            message: 'Não foi possível calcular a próxima faixa'
+          });
+        }
+        
+        faixa = proximaFaixa.faixa;
       }
       
-      faixa = faixa || proximaFaixa.faixa;
-      grau = grau || proximaFaixa.grau;
+      // O grau calculado só vale para a faixa da próxima graduação; outra faixa começa no grau inicial
+      if (grau === undefined) {
+        grau = proximaFaixa && proximaFaixa.faixa === faixa
+          ? proximaFaixa.grau
+          : buscarFaixa(faixa).grauInicial;
+      }
     }
     
     const graduationData = {
@@ -421,11 +593,23 @@ router.post('/', [auth, adminOrInstructor, ...validateGraduation.create], async
       faixa,
       grau,
       grupo: student.grupo,
+      forcar_graduacao: req.body.forcar_graduacao === true,
       responsavel: req.user._id,
       data: req.body.data || new Date()
     };
     
-    const graduation = await Graduation.criarGraduacao(graduationData);
+    // Progressão, grau e idade são validados pela escada de faixas e a
+    // elegibilidade pelos requisitos cadastrados para a graduação pretendida
+    let graduation;
+    try {
+      graduation = await Graduation.criarGraduacao(graduationData);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        ...(error.elegibilidade && { motivos: error.motivos, detalhes: error.elegibilidade })
+      });
+    }
     
     await graduation.populate([
       { path: 'aluno_id', select: 'nome grupo faixa_atual' },
@@ -438,14 +622,6 @@ router.post('/', [auth, adminOrInstructor, ...validateGraduation.create], async
       data: graduation
     });
   } catch (error) {
-    if (error.message.includes('progressão de faixa inválida') || 
-        error.message.includes('já possui graduação')) {
-      return res.status(400).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
     res.status(500).json({
       success: false,
       message: 'Erro interno do servidor',
@@ -628,14 +804,15 @@ router.post('/:id/generate-certificate', [auth, adminOrInstructor, ...validatePa
       });
     }
     
-    const certificate = await graduation.gerarCertificado();
+    await graduation.gerarCertificado();
     
     res.json({
       success: true,
       message: 'Certificado gerado com sucesso',
       data: {
         id: graduation._id,
-        certificado: certificate
+        certificado: graduation.certificado,
+        download_url: `/api/graduations/${graduation._id}/certificate`
       }
     });
   } catch (error) {
@@ -653,7 +830,8 @@ router.post('/:id/generate-certificate', [auth, adminOrInstructor, ...validatePa
 router.get('/:id/certificate', [auth, ...validateParams.mongoId], async (req, res) => {
   try {
     const graduation = await Graduation.findById(req.params.id)
-      .populate('aluno_id', 'nome');
+      .populate('aluno_id', 'nome')
+      .populate('responsavel', 'nome');
     
     if (!graduation) {
       return res.status(404).json({
@@ -680,16 +858,32 @@ router.get('/:id/certificate', [auth, ...validateParams.mongoId], async (req, re
       });
     }
     
-    // Aqui você implementaria a lógica para servir o arquivo do certificado
-    // Por exemplo, se estiver armazenado no sistema de arquivos ou cloud storage
+    // Renderizar novamente se o arquivo não estiver disponível no disco
+    let caminho = graduation.caminhoCertificado();
+    if (!caminho || !fs.existsSync(caminho)) {
+      await graduation.renderizarCertificado();
+      await graduation.save();
+      caminho = graduation.caminhoCertificado();
+    }
     
-    res.json({
-      success: true,
-      data: {
-        certificado: graduation.certificado,
-        download_url: `/certificates/${graduation.certificado.arquivo}`
-      }
-    });
+    res.type('application/pdf');
+    res.attachment(`certificado-${graduation.certificado.numero}.pdf`);
+    fs.createReadStream(caminho)
+      .on('error', (error) => {
+        // Falha na leitura depois do início do envio só pode encerrar a resposta
+        if (res.headersSent) {
+          return res.destroy(error);
+        }
+        
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({
+          success: false,
+          message: 'Erro interno do servidor',
+          error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+      })
+      .pipe(res);
   } catch (error) {
     res.status(500).json({
       success: false,
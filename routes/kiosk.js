@@ -0,0 +1,286 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const KioskDevice = require('../models/KioskDevice');
+const Student = require('../models/Student');
+const Booking = require('../models/Booking');
+const Attendance = require('../models/Attendance');
+const { auth, adminOnly, kioskAuth } = require('../middleware/auth');
+const { validateKiosk, validateParams } = require('../middleware/validation');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+// Tentativas de PIN/CPF não encontrados por quiosque (evita adivinhar PINs)
+// Roda depois de kioskAuth: a recepção compartilha um IP, então a contagem é por
+// aparelho e só o PIN/CPF desconhecido (404) conta; recusas de aluno encontrado
+// (sem agendamento, bloqueado) não travam o quiosque
+const kioskLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutos
+  max: 20,
+  message: {
+    success: false,
+    message: 'Muitas tentativas sem sucesso, aguarde alguns minutos.'
+  },
+  keyGenerator: (req) => req.kiosk._id.toString(),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 404
+});
+
+// @route   GET /api/kiosk/devices
+// @desc    Listar quiosques cadastrados
+// @access  Private (Admin)
+router.get('/devices', [auth, adminOnly], async (req, res) => {
+  try {
+    const quiosques = await KioskDevice.find()
+      .populate('criado_por', 'nome')
+      .sort({ ativo: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: quiosques
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/kiosk/devices
+// @desc    Cadastrar quiosque (a chave é exibida apenas nesta resposta)
+// @access  Private (Admin)
+router.post('/devices', [auth, adminOnly, ...validateKiosk.device], async (req, res) => {
+  try {
+    const { quiosque, chave } = await KioskDevice.cadastrar(req.body.nome, req.user._id);
+
+    logger.audit('quiosque_cadastrado', {
+      userId: req.user._id,
+      kioskId: quiosque._id,
+      nome: quiosque.nome
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiosque cadastrado. Guarde a chave: ela não será exibida novamente',
+      data: {
+        id: quiosque._id,
+        nome: quiosque.nome,
+        chave
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/kiosk/devices/:id
+// @desc    Revogar a chave do quiosque
+// @access  Private (Admin)
+router.delete('/devices/:id', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const quiosque = await KioskDevice.findById(req.params.id);
+    if (!quiosque) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiosque não encontrado'
+      });
+    }
+
+    if (!quiosque.ativo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quiosque já está revogado'
+      });
+    }
+
+    await quiosque.revogar(req.user._id);
+
+    logger.audit('quiosque_revogado', {
+      userId: req.user._id,
+      kioskId: quiosque._id,
+      nome: quiosque.nome
+    });
+
+    res.json({
+      success: true,
+      message: 'Quiosque revogado com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/kiosk/students/:id/pin
+// @desc    Definir o PIN de check-in do aluno (gera um se não informado)
+// @access  Private (Admin)
+router.put('/students/:id/pin', [auth, adminOnly, ...validateParams.mongoId, ...validateKiosk.pin], async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aluno não encontrado'
+      });
+    }
+
+    let pin;
+    try {
+      pin = await student.definirPinQuiosque(req.body.pin);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'PIN do quiosque definido. Informe-o ao aluno: ele não será exibido novamente',
+      data: {
+        aluno_id: student._id,
+        pin
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/kiosk/me
+// @desc    Dados do quiosque autenticado (valida a chave do tablet)
+// @access  Kiosk
+router.get('/me', kioskAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      id: req.kiosk._id,
+      nome: req.kiosk.nome
+    }
+  });
+});
+
+// @route   POST /api/kiosk/checkin
+// @desc    Check-in do aluno no quiosque por PIN ou CPF
+// @access  Kiosk
+router.post('/checkin', [kioskAuth, kioskLimiter, ...validateKiosk.identificacao], async (req, res) => {
+  try {
+    const student = await Student.buscarPorPinOuCpf(req.body);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'PIN ou CPF não encontrado'
+      });
+    }
+
+    if (student.status !== 'ativo') {
+      return res.status(403).json({
+        success: false,
+        message: 'Matrícula não está ativa. Procure a recepção.'
+      });
+    }
+
+    if (student.configuracoes.bloqueio_checkin) {
+      return res.status(403).json({
+        success: false,
+        message: student.configuracoes.motivo_bloqueio || 'Check-in bloqueado. Verifique suas mensalidades.'
+      });
+    }
+
+    // Aula liberada agora, agendamento (ou walk-in de faixa preta) e janela são validados no modelo
+    let booking;
+    try {
+      booking = await Booking.checkinAulaLiberada(student._id, {
+        ip: req.ip,
+        dispositivo: `Quiosque: ${req.kiosk.nome}`,
+        quiosque_id: req.kiosk._id,
+        metodo_registro: 'manual'
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await booking.populate({
+      path: 'aula_id',
+      select: 'hora_inicio turma_id',
+      populate: { path: 'turma_id', select: 'nome' }
+    });
+
+    // Tela compartilhada: devolver apenas o necessário para a confirmação
+    res.json({
+      success: true,
+      message: `Check-in realizado. Bom treino, ${student.nome.split(' ')[0]}!`,
+      data: {
+        aluno: student.nome,
+        turma: booking.aula_id.turma_id ? booking.aula_id.turma_id.nome : null,
+        hora_inicio: booking.aula_id.hora_inicio,
+        data_checkin: booking.data_checkin
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/kiosk/checkout
+// @desc    Check-out do aluno no quiosque por PIN ou CPF
+// @access  Kiosk
+router.post('/checkout', [kioskAuth, kioskLimiter, ...validateKiosk.identificacao], async (req, res) => {
+  try {
+    const student = await Student.buscarPorPinOuCpf(req.body);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'PIN ou CPF não encontrado'
+      });
+    }
+
+    const presenca = await Attendance.buscarEmAberto(student._id);
+    if (!presenca) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nenhum check-in em aberto para fazer check-out'
+      });
+    }
+
+    await presenca.realizarCheckout();
+
+    res.json({
+      success: true,
+      message: `Check-out realizado. Até a próxima, ${student.nome.split(' ')[0]}!`,
+      data: {
+        aluno: student.nome,
+        checkout_hora: presenca.checkout_hora,
+        tempo_permanencia: presenca.tempo_permanencia
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -3,13 +3,67 @@ const Lesson = require('../models/Lesson');
 const Class = require('../models/Class');
 const Booking = require('../models/Booking');
 const Attendance = require('../models/Attendance');
+const Closure = require('../models/Closure');
 const Student = require('../models/Student');
 const User = require('../models/User');
-const { auth, adminOnly, adminOrInstructor, ownerOrAdmin } = require('../middleware/auth');
+const { auth, adminOnly, adminOrInstructor } = require('../middleware/auth');
 const { validateLesson, validateParams, validateQuery } = require('../middleware/validation');
+const { naAcademia } = require('../config/timezone');
+const { gerarTokenCheckin, gerarImagemQRCode } = require('../utils/checkinToken');
 
 const router = express.Router();
 
+// O instrutor da aula é o da turma, salvo quando há substituto
+const populateInstrutores = [
+  {
+    path: 'turma_id',
+    select: 'nome grupo nivel capacidade instrutor_id',
+    populate: { path: 'instrutor_id', select: 'nome email' }
+  },
+  { path: 'instrutor_substituto', select: 'nome email' }
+];
+
+// Campos que podem ser informados ao criar ou editar uma aula
+const CAMPOS_AULA = [
+  'data',
+  'hora_inicio',
+  'hora_fim',
+  'capacidade_override',
+  'instrutor_substituto',
+  'tema_aula',
+  'tecnicas_ensinadas',
+  'observacoes'
+];
+
+// Buscar IDs das aulas agendadas pelo aluno vinculado ao usuário
+const buscarAulasDoAluno = async (usuarioId) => {
+  const student = await Student.findOne({ usuario_id: usuarioId });
+  if (!student) return null;
+  
+  return Booking.find({
+    aluno_id: student._id,
+    status: { $in: ['confirmado', 'espera', 'presente'] }
+  }).distinct('aula_id');
+};
+
+// Verificar se o instrutor já tem outra aula no mesmo horário
+const verificarConflitoInstrutor = async ({ horaInicio, horaFim, instrutorId, aulaId = null }) => {
+  const query = {
+    status: { $ne: 'cancelada' },
+    hora_inicio: { $lt: horaFim },
+    hora_fim: { $gt: horaInicio }
+  };
+  
+  if (aulaId) query._id = { $ne: aulaId };
+  
+  const aulas = await Lesson.find(query).populate('turma_id', 'instrutor_id');
+  
+  return aulas.some(aula => {
+    const instrutor = aula.instrutor_substituto || (aula.turma_id && aula.turma_id.instrutor_id);
+    return instrutor && instrutor.equals(instrutorId);
+  });
+};
+
 // @route   GET /api/lessons
 // @desc    Listar aulas
 // @access  Private (Admin/Instructor)
@@ -30,14 +84,19 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
     
     // Filtros
     if (turma_id) query.turma_id = turma_id;
+    if (status) query.status = status;
+    
+    // Instrutor e grupo pertencem à turma
+    if (grupo && !turma_id) {
+      query.turma_id = { $in: await Class.find({ grupo }).distinct('_id') };
+    }
     if (instrutor) {
+      const turmasInstrutor = await Class.find({ instrutor_id: instrutor }).distinct('_id');
       query.$or = [
-        { instrutor: instrutor },
+        { turma_id: { $in: turmasInstrutor }, instrutor_substituto: null },
         { instrutor_substituto: instrutor }
       ];
     }
-    if (status) query.status = status;
-    if (grupo) query.grupo = grupo;
     
     // Filtro de data
     if (data_inicio || data_fim) {
@@ -50,20 +109,7 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
       page: parseInt(page),
       limit: parseInt(limit),
       sort: { data: -1, hora_inicio: -1 },
-      populate: [
-        {
-          path: 'turma_id',
-          select: 'nome grupo nivel capacidade'
-        },
-        {
-          path: 'instrutor',
-          select: 'nome email'
-        },
-        {
-          path: 'instrutor_substituto',
-          select: 'nome email'
-        }
-      ]
+      populate: populateInstrutores
     };
     
     const lessons = await Lesson.paginate(query, options);
@@ -86,41 +132,24 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
 // @access  Private
 router.get('/today', auth, async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
+    // "Hoje" é o dia corrente no timezone da academia
     const query = {
-      data: {
-        $gte: today,
-        $lt: tomorrow
+      hora_inicio: {
+        $gte: naAcademia().startOf('day').toDate(),
+        $lte: naAcademia().endOf('day').toDate()
       }
     };
     
-    // Se for aluno, filtrar apenas suas turmas
+    // Se for aluno, filtrar apenas as aulas que agendou
     if (req.user.perfil === 'aluno') {
-      const student = await Student.findOne({ user_id: req.user._id });
-      if (student) {
-        // Buscar agendamentos do aluno para hoje
-        const bookings = await Booking.find({
-          aluno_id: student._id,
-          data: {
-            $gte: today,
-            $lt: tomorrow
-          },
-          status: { $in: ['confirmado', 'presente'] }
-        }).select('aula_id');
-        
-        const lessonIds = bookings.map(booking => booking.aula_id);
+      const lessonIds = await buscarAulasDoAluno(req.user._id);
+      if (lessonIds) {
         query._id = { $in: lessonIds };
       }
     }
     
     const lessons = await Lesson.find(query)
-      .populate('turma_id', 'nome grupo nivel')
-      .populate('instrutor', 'nome')
-      .populate('instrutor_substituto', 'nome')
+      .populate(populateInstrutores)
       .sort({ hora_inicio: 1 });
     
     res.json({
@@ -143,48 +172,37 @@ router.get('/week', auth, async (req, res) => {
   try {
     const { data } = req.query;
     
-    // Calcular início e fim da semana
-    const baseDate = data ? new Date(data) : new Date();
-    const startOfWeek = new Date(baseDate);
-    const dayOfWeek = startOfWeek.getDay();
-    const diff = startOfWeek.getDate() - dayOfWeek + (dayOfWeek === 0 ? -6 : 1); // Segunda-feira
-    startOfWeek.setDate(diff);
-    startOfWeek.setHours(0, 0, 0, 0);
-    
-    const endOfWeek = new Date(startOfWeek);
-    endOfWeek.setDate(endOfWeek.getDate() + 6);
-    endOfWeek.setHours(23, 59, 59, 999);
+    // Calcular início (segunda-feira) e fim da semana no timezone da academia
+    const baseDate = data ? naAcademia(data) : naAcademia();
+    const startOfWeek = baseDate.clone().isoWeekday(1).startOf('day').toDate();
+    const endOfWeek = baseDate.clone().isoWeekday(7).endOf('day').toDate();
     
     const query = {
-      data: {
+      hora_inicio: {
         $gte: startOfWeek,
         $lte: endOfWeek
       }
     };
     
-    // Se for aluno, filtrar apenas suas turmas
+    // Se for aluno, filtrar apenas as aulas que agendou
     if (req.user.perfil === 'aluno') {
-      const student = await Student.findOne({ user_id: req.user._id });
-      if (student) {
-        const bookings = await Booking.find({
-          aluno_id: student._id,
-          data: {
-            $gte: startOfWeek,
-            $lte: endOfWeek
-          },
-          status: { $in: ['confirmado', 'presente'] }
-        }).select('aula_id');
-        
-        const lessonIds = bookings.map(booking => booking.aula_id);
+      const lessonIds = await buscarAulasDoAluno(req.user._id);
+      if (lessonIds) {
         query._id = { $in: lessonIds };
       }
     }
     
-    const lessons = await Lesson.find(query)
-      .populate('turma_id', 'nome grupo nivel')
-      .populate('instrutor', 'nome')
-      .populate('instrutor_substituto', 'nome')
-      .sort({ data: 1, hora_inicio: 1 });
+    const [aulasSemana, fechamentos] = await Promise.all([
+      Lesson.find(query)
+        .populate(populateInstrutores)
+        .sort({ data: 1, hora_inicio: 1 }),
+      Closure.buscarPeriodo(startOfWeek, endOfWeek)
+    ]);
+    
+    // Aulas em horário de academia fechada não entram na grade
+    const lessons = aulasSemana.filter(lesson =>
+      !fechamentos.some(fechamento => fechamento.sobrepoe(lesson.hora_inicio, lesson.hora_fim))
+    );
     
     // Organizar por dia da semana
     const weekSchedule = {
@@ -200,7 +218,7 @@ router.get('/week', auth, async (req, res) => {
     const dayNames = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
     
     lessons.forEach(lesson => {
-      const dayName = dayNames[lesson.data.getDay()];
+      const dayName = dayNames[naAcademia(lesson.hora_inicio).day()];
       if (weekSchedule[dayName]) {
         weekSchedule[dayName].push(lesson);
       }
@@ -213,7 +231,8 @@ router.get('/week', auth, async (req, res) => {
           inicio: startOfWeek,
           fim: endOfWeek
         },
-        aulas: weekSchedule
+        aulas: weekSchedule,
+        fechamentos
       }
     });
   } catch (error) {
@@ -266,9 +285,9 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
             }
           },
           total_agendamentos: { $sum: '$estatisticas.total_agendados' },
-          total_presencas: { $sum: '$estatisticas.presentes' },
-          total_faltas: { $sum: '$estatisticas.faltas' },
-          media_ocupacao: { $avg: '$taxa_presenca' }
+          total_presencas: { $sum: '$estatisticas.total_presentes' },
+          total_faltas: { $sum: '$estatisticas.total_faltas' },
+          media_ocupacao: { $avg: '$estatisticas.taxa_presenca' }
         }
       }
     ]);
@@ -281,14 +300,25 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
           status: { $in: ['finalizada', 'em_andamento'] }
         }
       },
+      {
+        $lookup: {
+          from: 'classes',
+          localField: 'turma_id',
+          foreignField: '_id',
+          as: 'turma'
+        }
+      },
+      {
+        $unwind: '$turma'
+      },
       {
         $group: {
           _id: {
-            $ifNull: ['$instrutor_substituto', '$instrutor']
+            $ifNull: ['$instrutor_substituto', '$turma.instrutor_id']
           },
           total_aulas: { $sum: 1 },
-          total_presencas: { $sum: '$estatisticas.presentes' },
-          media_presencas: { $avg: '$estatisticas.presentes' }
+          total_presencas: { $sum: '$estatisticas.total_presentes' },
+          media_presencas: { $avg: '$estatisticas.total_presentes' }
         }
       },
       {
@@ -353,9 +383,7 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
 router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
   try {
     const lesson = await Lesson.findById(req.params.id)
-      .populate('turma_id', 'nome grupo nivel capacidade')
-      .populate('instrutor', 'nome email telefone')
-      .populate('instrutor_substituto', 'nome email telefone');
+      .populate(populateInstrutores);
     
     if (!lesson) {
       return res.status(404).json({
@@ -366,7 +394,7 @@ router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
     
     // Verificar permissão
     if (req.user.perfil === 'aluno') {
-      const student = await Student.findOne({ user_id: req.user._id });
+      const student = await Student.findOne({ usuario_id: req.user._id });
       if (student) {
         const booking = await Booking.findOne({
           aluno_id: student._id,
@@ -421,44 +449,34 @@ router.post('/', [auth, adminOnly, ...validateLesson.create], async (req, res) =
     }
     
     // Verificar conflitos de horário
-    const conflictingLessons = await Lesson.find({
-      data: req.body.data,
-      $or: [
-        {
-          hora_inicio: { $lt: req.body.hora_fim },
-          hora_fim: { $gt: req.body.hora_inicio }
-        }
-      ],
-      $or: [
-        { instrutor: req.body.instrutor_substituto || turma.instrutor },
-        { instrutor_substituto: req.body.instrutor_substituto || turma.instrutor }
-      ],
-      status: { $ne: 'cancelada' }
+    const temConflito = await verificarConflitoInstrutor({
+      horaInicio: new Date(req.body.hora_inicio),
+      horaFim: new Date(req.body.hora_fim),
+      instrutorId: req.body.instrutor_substituto || turma.instrutor_id
     });
     
-    if (conflictingLessons.length > 0) {
+    if (temConflito) {
       return res.status(400).json({
         success: false,
         message: 'Conflito de horário detectado para o instrutor'
       });
     }
     
-    const lessonData = {
-      ...req.body,
-      instrutor: turma.instrutor,
-      grupo: turma.grupo,
-      nivel: turma.nivel,
-      capacidade: turma.capacidade
-    };
+    const lesson = new Lesson({ turma_id: turma._id });
+    CAMPOS_AULA.forEach(campo => {
+      if (req.body[campo] !== undefined) lesson.set(campo, req.body[campo]);
+    });
     
-    const lesson = new Lesson(lessonData);
-    await lesson.save();
+    try {
+      await lesson.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     
-    await lesson.populate([
-      { path: 'turma_id', select: 'nome grupo nivel capacidade' },
-      { path: 'instrutor', select: 'nome email' },
-      { path: 'instrutor_substituto', select: 'nome email' }
-    ]);
+    await lesson.populate(populateInstrutores);
     
     res.status(201).json({
       success: true,
@@ -506,20 +524,26 @@ router.put('/:id', [auth, adminOrInstructor, ...validateParams.mongoId, ...valid
       }
     }
     
-    const updatedLesson = await Lesson.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate([
-      { path: 'turma_id', select: 'nome grupo nivel capacidade' },
-      { path: 'instrutor', select: 'nome email' },
-      { path: 'instrutor_substituto', select: 'nome email' }
-    ]);
+    // Salvar pelo documento para que a remarcação reinicie os lembretes
+    CAMPOS_AULA.forEach(campo => {
+      if (req.body[campo] !== undefined) lesson.set(campo, req.body[campo]);
+    });
+    
+    try {
+      await lesson.save();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    await lesson.populate(populateInstrutores);
     
     res.json({
       success: true,
       message: 'Aula atualizada com sucesso',
-      data: updatedLesson
+      data: lesson
     });
   } catch (error) {
     res.status(500).json({
@@ -551,7 +575,6 @@ router.put('/:id/start', [auth, adminOrInstructor, ...validateParams.mongoId], a
     }
     
     lesson.status = 'em_andamento';
-    lesson.hora_inicio_real = new Date();
     await lesson.save();
     
     res.json({
@@ -559,8 +582,7 @@ router.put('/:id/start', [auth, adminOrInstructor, ...validateParams.mongoId], a
       message: 'Aula iniciada com sucesso',
       data: {
         id: lesson._id,
-        status: lesson.status,
-        hora_inicio_real: lesson.hora_inicio_real
+        status: lesson.status
       }
     });
   } catch (error) {
@@ -577,7 +599,7 @@ router.put('/:id/start', [auth, adminOrInstructor, ...validateParams.mongoId], a
 // @access  Private (Admin/Instructor)
 router.put('/:id/finish', [auth, adminOrInstructor, ...validateParams.mongoId], async (req, res) => {
   try {
-    const { observacoes, conteudo_ministrado } = req.body;
+    const { observacoes, tema_aula, tecnicas_ensinadas } = req.body;
     
     const lesson = await Lesson.findById(req.params.id);
     if (!lesson) {
@@ -594,20 +616,56 @@ router.put('/:id/finish', [auth, adminOrInstructor, ...validateParams.mongoId],
       });
     }
     
-    lesson.status = 'finalizada';
-    lesson.hora_fim_real = new Date();
-    if (observacoes) lesson.observacoes = observacoes;
-    if (conteudo_ministrado) lesson.conteudo_ministrado = conteudo_ministrado;
+    if (tema_aula) lesson.tema_aula = tema_aula;
+    if (tecnicas_ensinadas) lesson.tecnicas_ensinadas = tecnicas_ensinadas;
     
-    await lesson.save();
+    await lesson.finalizar(observacoes);
     
     res.json({
       success: true,
       message: 'Aula finalizada com sucesso',
       data: {
         id: lesson._id,
-        status: lesson.status,
-        hora_fim_real: lesson.hora_fim_real
+        status: lesson.status
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/lessons/:id/checkout
+// @desc    Check-out em lote (sem aluno_ids, encerra todos que ainda estão no tatame)
+// @access  Private (Admin/Instructor)
+router.put('/:id/checkout', [auth, adminOrInstructor, ...validateParams.mongoId, ...validateLesson.checkout], async (req, res) => {
+  try {
+    const lesson = await Lesson.findById(req.params.id);
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aula não encontrada'
+      });
+    }
+    
+    if (lesson.status === 'cancelada') {
+      return res.status(400).json({
+        success: false,
+        message: 'Aula cancelada não tem presenças para encerrar'
+      });
+    }
+    
+    const total = await Attendance.encerrarPresencas(lesson, { alunoIds: req.body.aluno_ids });
+    
+    res.json({
+      success: true,
+      message: `Check-out registrado para ${total} aluno(s)`,
+      data: {
+        id: lesson._id,
+        checkouts: total
       }
     });
   } catch (error) {
@@ -648,29 +706,28 @@ router.put('/:id/cancel', [auth, adminOnly, ...validateParams.mongoId], async (r
       });
     }
     
-    lesson.status = 'cancelada';
-    lesson.motivo_cancelamento = motivo;
-    lesson.cancelada_em = new Date();
-    lesson.cancelada_por = req.user._id;
-    
-    await lesson.save();
+    await lesson.cancelar(motivo);
     
-    // Cancelar todos os agendamentos
+    // Cancelar todos os agendamentos ativos
     await Booking.updateMany(
-      { aula_id: lesson._id },
-      { 
+      { aula_id: lesson._id, status: { $in: ['confirmado', 'espera'] } },
+      {
         status: 'cancelado',
-        motivo_cancelamento: 'Aula cancelada'
+        data_cancelamento: new Date(),
+        motivo_cancelamento: 'Aula cancelada',
+        posicao_lista_espera: null
       }
     );
     
+    await lesson.atualizarEstatisticas();
+    
     res.json({
       success: true,
       message: 'Aula cancelada com sucesso',
       data: {
         id: lesson._id,
         status: lesson.status,
-        motivo_cancelamento: lesson.motivo_cancelamento
+        motivo_cancelamento: lesson.observacoes
       }
     });
   } catch (error) {
@@ -687,7 +744,7 @@ router.put('/:id/cancel', [auth, adminOnly, ...validateParams.mongoId], async (r
 // @access  Private (Admin/Instructor)
 router.get('/:id/bookings', [auth, adminOrInstructor, ...validateParams.mongoId], async (req, res) => {
   try {
-    const lesson = await Lesson.findById(req.params.id);
+    const lesson = await Lesson.findById(req.params.id).populate('turma_id', 'capacidade');
     if (!lesson) {
       return res.status(404).json({
         success: false,
@@ -696,8 +753,8 @@ router.get('/:id/bookings', [auth, adminOrInstructor, ...validateParams.mongoId]
     }
     
     const bookings = await Booking.find({ aula_id: req.params.id })
-      .populate('aluno_id', 'nome grupo faixa_atual email telefone')
-      .sort({ status: 1, createdAt: 1 });
+      .populate('aluno_id', 'nome grupo faixa_atual contato')
+      .sort({ status: 1, posicao_lista_espera: 1, createdAt: 1 });
     
     res.json({
       success: true,
@@ -708,15 +765,67 @@ router.get('/:id/bookings', [auth, adminOrInstructor, ...validateParams.mongoId]
           hora_inicio: lesson.hora_inicio,
           hora_fim: lesson.hora_fim,
           status: lesson.status,
-          capacidade: lesson.capacidade
+          capacidade: lesson.capacidade_efetiva
         },
         agendamentos: bookings,
         estatisticas: {
           total: bookings.length,
           confirmados: bookings.filter(b => b.status === 'confirmado').length,
+          lista_espera: bookings.filter(b => b.status === 'espera').length,
           presentes: bookings.filter(b => b.status === 'presente').length,
-          ausentes: bookings.filter(b => b.status === 'ausente').length,
-          cancelados: bookings.filter(b => b.status === 'cancelado').length
+          faltas: bookings.filter(b => ['falta', 'no_show'].includes(b.status)).length,
+          cancelados: bookings.filter(b => b.status === 'cancelado').length,
+          cancelados_tarde: bookings.filter(b => b.status === 'cancelado_tarde').length
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/lessons/:id/qr-token
+// @desc    QR code rotativo de check-in da aula (tablet da recepção)
+// @access  Private (Admin/Instructor)
+router.get('/:id/qr-token', [auth, adminOrInstructor, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const lesson = await Lesson.findById(req.params.id).populate('turma_id', 'nome janela_checkin_minutos');
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aula não encontrada'
+      });
+    }
+    
+    if (lesson.status !== 'agendada') {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in por QR code disponível apenas para aulas agendadas'
+      });
+    }
+    
+    // O token muda a cada intervalo de rotação; o tablet busca um novo antes de expirar
+    const { token, expira_em } = gerarTokenCheckin(lesson._id);
+    
+    res.json({
+      success: true,
+      data: {
+        token,
+        expira_em,
+        qr_code: await gerarImagemQRCode(token),
+        checkin_liberado: lesson.checkinLiberado(lesson.turma_id),
+        aula: {
+          id: lesson._id,
+          turma: lesson.turma_id ? lesson.turma_id.nome : null,
+          hora_inicio: lesson.hora_inicio,
+          hora_fim: lesson.hora_fim,
+          limite_checkin: lesson.turma_id
+            ? new Date(lesson.hora_inicio.getTime() - lesson.turma_id.janela_checkin_minutos * 60 * 1000)
+            : null
         }
       }
     });
@@ -743,8 +852,8 @@ router.get('/:id/attendance', [auth, adminOrInstructor, ...validateParams.mongoI
     }
     
     const attendance = await Attendance.find({ aula_id: req.params.id })
-      .populate('aluno_id', 'nome grupo faixa_atual email telefone')
-      .sort({ 'aluno_id.nome': 1 });
+      .populate('aluno_id', 'nome grupo faixa_atual contato')
+      .sort({ checkin_hora: 1 });
     
     res.json({
       success: true,
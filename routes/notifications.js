@@ -0,0 +1,196 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const MessageLog = require('../models/MessageLog');
+const { auth, adminOnly } = require('../middleware/auth');
+const { validateParams, validateQuery } = require('../middleware/validation');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Listar notificações da fila (histórico de entregas)
+// @access  Private (Admin only)
+router.get('/', [auth, adminOnly, ...validateQuery.pagination], async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      tipo,
+      aluno_id,
+      data_inicio,
+      data_fim
+    } = req.query;
+
+    const query = {};
+
+    // Filtros
+    if (status) query.status = status;
+    if (tipo) query.tipo = tipo;
+    if (aluno_id) query.aluno_id = aluno_id;
+
+    // Filtro de data
+    if (data_inicio || data_fim) {
+      query.createdAt = {};
+      if (data_inicio) query.createdAt.$gte = new Date(data_inicio);
+      if (data_fim) query.createdAt.$lte = new Date(data_fim);
+    }
+
+    const pagina = parseInt(page);
+    const limite = parseInt(limit);
+
+    const [docs, totalDocs] = await Promise.all([
+      Notification.find(query)
+        .populate('aluno_id', 'nome grupo')
+        .sort({ createdAt: -1 })
+        .skip((pagina - 1) * limite)
+        .limit(limite),
+      Notification.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        docs,
+        totalDocs,
+        limit: limite,
+        page: pagina,
+        totalPages: Math.ceil(totalDocs / limite)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/notifications/:id
+// @desc    Obter notificação com as mensagens de SMS/WhatsApp enviadas
+// @access  Private (Admin only)
+router.get('/:id', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const notificacao = await Notification.findById(req.params.id)
+      .populate('aluno_id', 'nome grupo contato')
+      .populate('criado_por', 'nome');
+
+    if (!notificacao) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notificação não encontrada'
+      });
+    }
+
+    const mensagens = await MessageLog.find({
+      'referencia.modelo': notificacao.referencia.modelo,
+      'referencia.id': notificacao.referencia.id
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        notificacao,
+        mensagens
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/notifications/:id/resend
+// @desc    Reenviar notificação (todos os canais ou os informados)
+// @access  Private (Admin only)
+router.post('/:id/resend', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const { canais } = req.body;
+
+    const notificacao = await Notification.findById(req.params.id);
+    if (!notificacao) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notificação não encontrada'
+      });
+    }
+
+    if (notificacao.status === 'processando') {
+      return res.status(409).json({
+        success: false,
+        message: 'Notificação está sendo processada'
+      });
+    }
+
+    if (canais !== undefined) {
+      const invalidos = Array.isArray(canais)
+        ? canais.filter(canal => !notificacao.canais.includes(canal))
+        : [canais];
+
+      if (invalidos.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Canais inválidos para esta notificação: ${invalidos.join(', ')}`
+        });
+      }
+    }
+
+    await notificacao.reenviar(canais);
+
+    logger.audit('Reenvio de notificação', {
+      notificacao_id: notificacao._id,
+      canais: notificacao.canais_pendentes,
+      usuario: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Notificação reenfileirada para envio',
+      data: notificacao
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/cancel
+// @desc    Cancelar notificação pendente
+// @access  Private (Admin only)
+router.put('/:id/cancel', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const notificacao = await Notification.findOneAndUpdate(
+      { _id: req.params.id, status: 'pendente' },
+      { $set: { status: 'cancelado' } },
+      { new: true }
+    );
+
+    if (!notificacao) {
+      return res.status(400).json({
+        success: false,
+        message: 'Apenas notificações pendentes podem ser canceladas'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notificação cancelada com sucesso',
+      data: notificacao
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,13 @@ const express = require('express');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Student = require('../models/Student');
-const { auth, adminOnly, adminOrInstructor, ownerOrAdmin } = require('../middleware/auth');
+const { auth, adminOnly, adminOrInstructor } = require('../middleware/auth');
 const { validateOrder, validateParams, validateQuery } = require('../middleware/validation');
+const logger = require('../config/logger');
 
 const router = express.Router();
 
-// @route   GET /api/orders
+// @route   GET /api/store/orders
 // @desc    Listar pedidos
 // @access  Private (Admin/Instructor)
 router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (req, res) => {
@@ -15,7 +16,7 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
     const {
       page = 1,
       limit = 20,
-      cliente_id,
+      aluno_id,
       status,
       data_inicio,
       data_fim,
@@ -27,43 +28,39 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
     const query = {};
     
     // Filtros
-    if (cliente_id) query.cliente_id = cliente_id;
+    if (aluno_id) query['cliente.aluno_id'] = aluno_id;
     if (status) query.status = status;
     
     // Filtro de data
     if (data_inicio || data_fim) {
-      query.data_pedido = {};
-      if (data_inicio) query.data_pedido.$gte = new Date(data_inicio);
-      if (data_fim) query.data_pedido.$lte = new Date(data_fim);
+      query.createdAt = {};
+      if (data_inicio) query.createdAt.$gte = new Date(data_inicio);
+      if (data_fim) query.createdAt.$lte = new Date(data_fim);
     }
     
     // Filtro de valor
     if (valor_min || valor_max) {
-      query.valor_total = {};
-      if (valor_min) query.valor_total.$gte = parseFloat(valor_min);
-      if (valor_max) query.valor_total.$lte = parseFloat(valor_max);
+      query['valores.total'] = {};
+      if (valor_min) query['valores.total'].$gte = parseFloat(valor_min);
+      if (valor_max) query['valores.total'].$lte = parseFloat(valor_max);
     }
     
     // Busca textual
     if (busca) {
       query.$or = [
         { numero_pedido: { $regex: busca, $options: 'i' } },
-        { 'observacoes': { $regex: busca, $options: 'i' } }
+        { 'cliente.nome': { $regex: busca, $options: 'i' } }
       ];
     }
     
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
-      sort: { data_pedido: -1 },
+      sort: { createdAt: -1 },
       populate: [
-        {
-          path: 'cliente_id',
-          select: 'nome email telefone'
-        },
         {
           path: 'itens.produto_id',
-          select: 'nome codigo preco categoria'
+          select: 'nome sku preco categoria'
         }
       ]
     };
@@ -83,7 +80,7 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
   }
 });
 
-// @route   GET /api/orders/my
+// @route   GET /api/store/orders/my
 // @desc    Meus pedidos (aluno)
 // @access  Private (Student)
 router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
@@ -95,7 +92,7 @@ router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
       });
     }
     
-    const student = await Student.findOne({ user_id: req.user._id });
+    const student = await Student.findOne({ usuario_id: req.user._id });
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -109,17 +106,17 @@ router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
       status
     } = req.query;
     
-    const query = { cliente_id: student._id };
+    const query = { 'cliente.aluno_id': student._id };
     if (status) query.status = status;
     
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
-      sort: { data_pedido: -1 },
+      sort: { createdAt: -1 },
       populate: [
         {
           path: 'itens.produto_id',
-          select: 'nome codigo preco categoria imagens'
+          select: 'nome sku preco categoria imagens'
         }
       ]
     };
@@ -139,7 +136,7 @@ router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
   }
 });
 
-// @route   GET /api/orders/stats
+// @route   GET /api/store/orders/stats
 // @desc    Estatísticas de pedidos
 // @access  Private (Admin/Instructor)
 router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
@@ -150,7 +147,7 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
     startDate.setDate(startDate.getDate() - parseInt(periodo));
     
     const matchQuery = {
-      data_pedido: { $gte: startDate }
+      createdAt: { $gte: startDate }
     };
     
     // Estatísticas gerais
@@ -160,13 +157,13 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
         $group: {
           _id: null,
           total_pedidos: { $sum: 1 },
-          valor_total: { $sum: '$valor_total' },
-          ticket_medio: { $avg: '$valor_total' },
-          pendentes: {
-            $sum: { $cond: [{ $eq: ['$status', 'pendente'] }, 1, 0] }
+          valor_total: { $sum: '$valores.total' },
+          ticket_medio: { $avg: '$valores.total' },
+          aguardando_pagamento: {
+            $sum: { $cond: [{ $eq: ['$status', 'aguardando_pagamento'] }, 1, 0] }
           },
-          confirmados: {
-            $sum: { $cond: [{ $eq: ['$status', 'confirmado'] }, 1, 0] }
+          pagos: {
+            $sum: { $cond: [{ $eq: ['$status', 'pagamento_confirmado'] }, 1, 0] }
           },
           entregues: {
             $sum: { $cond: [{ $eq: ['$status', 'entregue'] }, 1, 0] }
@@ -184,12 +181,12 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
       {
         $group: {
           _id: {
-            ano: { $year: '$data_pedido' },
-            mes: { $month: '$data_pedido' },
-            dia: { $dayOfMonth: '$data_pedido' }
+            ano: { $year: '$createdAt' },
+            mes: { $month: '$createdAt' },
+            dia: { $dayOfMonth: '$createdAt' }
           },
           total_pedidos: { $sum: 1 },
-          valor_total: { $sum: '$valor_total' }
+          valor_total: { $sum: '$valores.total' }
         }
       },
       {
@@ -205,7 +202,7 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
         $group: {
           _id: '$itens.produto_id',
           quantidade_vendida: { $sum: '$itens.quantidade' },
-          valor_total: { $sum: { $multiply: ['$itens.quantidade', '$itens.preco_unitario'] } },
+          valor_total: { $sum: '$itens.preco_total' },
           pedidos: { $addToSet: '$_id' }
         }
       },
@@ -240,27 +237,18 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
       { $match: matchQuery },
       {
         $group: {
-          _id: '$cliente_id',
+          _id: '$cliente.aluno_id',
+          nome: { $first: '$cliente.nome' },
+          email: { $first: '$cliente.email' },
           total_pedidos: { $sum: 1 },
-          valor_total: { $sum: '$valor_total' },
-          ticket_medio: { $avg: '$valor_total' }
+          valor_total: { $sum: '$valores.total' },
+          ticket_medio: { $avg: '$valores.total' }
         }
       },
-      {
-        $lookup: {
-          from: 'students',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'cliente_info'
-        }
-      },
-      {
-        $unwind: '$cliente_info'
-      },
       {
         $project: {
-          nome: '$cliente_info.nome',
-          email: '$cliente_info.email',
+          nome: 1,
+          email: 1,
           total_pedidos: 1,
           valor_total: 1,
           ticket_medio: 1
@@ -284,8 +272,8 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
           total_pedidos: 0,
           valor_total: 0,
           ticket_medio: 0,
-          pendentes: 0,
-          confirmados: 0,
+          aguardando_pagamento: 0,
+          pagos: 0,
           entregues: 0,
           cancelados: 0
         },
@@ -303,15 +291,14 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
   }
 });
 
-// @route   GET /api/orders/:id
+// @route   GET /api/store/orders/:id
 // @desc    Obter pedido por ID
 // @access  Private
 router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
-      .populate('cliente_id', 'nome email telefone grupo')
-      .populate('itens.produto_id', 'nome codigo categoria imagens')
-      .populate('atualizado_por', 'nome email');
+      .populate('itens.produto_id', 'nome sku categoria imagens')
+      .populate('historico.usuario', 'nome email');
     
     if (!order) {
       return res.status(404).json({
@@ -322,8 +309,8 @@ router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
     
     // Verificar permissão
     if (req.user.perfil === 'aluno') {
-      const student = await Student.findOne({ user_id: req.user._id });
-      if (!student || !order.cliente_id._id.equals(student._id)) {
+      const student = await Student.findOne({ usuario_id: req.user._id });
+      if (!student || !order.cliente.aluno_id.equals(student._id)) {
         return res.status(403).json({
           success: false,
           message: 'Acesso negado'
@@ -344,23 +331,22 @@ router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
   }
 });
 
-// @route   POST /api/orders
+// @route   POST /api/store/orders
 // @desc    Criar pedido
 // @access  Private
 router.post('/', [auth, ...validateOrder.create], async (req, res) => {
   try {
-    let cliente_id;
+    let student;
     
-    // Se for admin, pode criar pedido para qualquer cliente
-    if (req.user.perfil === 'admin' && req.body.cliente_id) {
-      const student = await Student.findById(req.body.cliente_id);
+    // Se for admin, pode criar pedido para qualquer aluno
+    if (req.user.perfil === 'admin' && req.body.cliente && req.body.cliente.aluno_id) {
+      student = await Student.findById(req.body.cliente.aluno_id);
       if (!student) {
         return res.status(404).json({
           success: false,
           message: 'Cliente não encontrado'
         });
       }
-      cliente_id = req.body.cliente_id;
     } else {
       // Para alunos, o pedido é sempre para eles mesmos
       if (req.user.perfil !== 'aluno') {
@@ -370,7 +356,7 @@ router.post('/', [auth, ...validateOrder.create], async (req, res) => {
         });
       }
       
-      const student = await Student.findOne({ user_id: req.user._id });
+      student = await Student.findOne({ usuario_id: req.user._id });
       if (!student) {
         return res.status(404).json({
           success: false,
@@ -384,13 +370,10 @@ router.post('/', [auth, ...validateOrder.create], async (req, res) => {
           message: 'Apenas alunos ativos podem fazer pedidos'
         });
       }
-      
-      cliente_id = student._id;
     }
     
     // Validar itens do pedido
     const itensValidados = [];
-    let valorTotal = 0;
     
     for (const item of req.body.itens) {
       const product = await Product.findById(item.produto_id);
@@ -402,75 +385,95 @@ router.post('/', [auth, ...validateOrder.create], async (req, res) => {
         });
       }
       
-      if (!product.ativo || !product.disponivel) {
+      if (!product.visivel) {
         return res.status(400).json({
           success: false,
           message: `Produto ${product.nome} não está disponível`
         });
       }
       
-      if (product.estoque < item.quantidade) {
+      if (product.estoque.controlar && product.estoque.quantidade < item.quantidade) {
         return res.status(400).json({
           success: false,
-          message: `Estoque insuficiente para o produto ${product.nome}. Disponível: ${product.estoque}`
+          message: `Estoque insuficiente para o produto ${product.nome}. Disponível: ${product.estoque.quantidade}`
         });
       }
       
-      const itemValidado = {
+      itensValidados.push({
         produto_id: product._id,
-        nome_produto: product.nome,
+        nome: product.nome,
+        sku: product.sku,
         quantidade: item.quantidade,
-        preco_unitario: product.preco,
-        subtotal: product.preco * item.quantidade
-      };
-      
-      itensValidados.push(itemValidado);
-      valorTotal += itemValidado.subtotal;
+        preco_unitario: product.preco_efetivo,
+        preco_total: product.preco_efetivo * item.quantidade,
+        variantes: item.variantes,
+        observacoes: item.observacoes
+      });
     }
     
-    // Gerar número do pedido
-    const numeroPedido = await Order.gerarNumeroPedido();
+    const emailCliente = student.contato.email ||
+      student.responsavel_financeiro.email ||
+      (req.user.perfil === 'aluno' ? req.user.email : null);
     
-    const orderData = {
-      numero_pedido: numeroPedido,
-      cliente_id,
+    if (!emailCliente) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aluno não possui email cadastrado'
+      });
+    }
+    
+    const order = new Order({
+      numero_pedido: await Order.gerarNumeroPedido(),
+      cliente: {
+        aluno_id: student._id,
+        nome: student.nome,
+        email: emailCliente,
+        telefone: student.contato.telefone
+      },
       itens: itensValidados,
-      valor_total: valorTotal,
-      status: 'pendente',
-      data_pedido: new Date(),
-      observacoes: req.body.observacoes,
-      endereco_entrega: req.body.endereco_entrega
-    };
+      valores: { subtotal: 0, total: 0 },
+      tipo_entrega: req.body.tipo_entrega,
+      endereco_entrega: req.body.endereco_entrega,
+      pagamento: { metodo: req.body.pagamento.metodo },
+      observacoes: { cliente: req.body.observacoes },
+      origem: req.user.perfil === 'admin' ? 'presencial' : 'loja_online',
+      vendedor: req.user.perfil === 'admin' ? req.user._id : undefined,
+      historico: [{
+        status: 'aguardando_pagamento',
+        observacao: 'Pedido criado',
+        usuario: req.user._id
+      }]
+    });
     
-    const order = new Order(orderData);
-    await order.save();
+    order.calcularValores();
+    await order.validate();
     
-    // Atualizar estoque dos produtos
-    for (const item of itensValidados) {
-      await Product.findByIdAndUpdate(
-        item.produto_id,
-        {
-          $inc: { 
-            estoque: -item.quantidade,
-            vendas: item.quantidade
-          },
-          $push: {
-            historico_estoque: {
-              data: new Date(),
-              operacao: 'subtract',
-              quantidade: item.quantidade,
-              motivo: `Venda - Pedido ${numeroPedido}`,
-              usuario: req.user._id
-            }
-          }
-        }
-      );
+    // Baixar estoque antes de gravar: a baixa é atômica e falha se outro pedido levou as unidades
+    try {
+      await order.baixarEstoque();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
     }
     
-    await order.populate([
-      { path: 'cliente_id', select: 'nome email telefone' },
-      { path: 'itens.produto_id', select: 'nome codigo categoria' }
-    ]);
+    try {
+      await order.save();
+    } catch (error) {
+      await order.devolverEstoque();
+      throw error;
+    }
+    
+    logger.audit('Pedido criado', {
+      pedido_id: order._id,
+      numero_pedido: order.numero_pedido,
+      aluno_id: student._id,
+      total: order.valores.total,
+      usuario: req.user._id
+    });
+    
+    await order.populate('itens.produto_id', 'nome sku categoria');
     
     res.status(201).json({
       success: true,
@@ -486,14 +489,14 @@ router.post('/', [auth, ...validateOrder.create], async (req, res) => {
   }
 });
 
-// @route   PUT /api/orders/:id/status
+// @route   PUT /api/store/orders/:id/status
 // @desc    Atualizar status do pedido
 // @access  Private (Admin/Instructor)
 router.put('/:id/status', [auth, adminOrInstructor, ...validateParams.mongoId], async (req, res) => {
   try {
-    const { status, observacoes } = req.body;
+    const { status, observacao } = req.body;
     
-    const statusValidos = ['pendente', 'confirmado', 'preparando', 'pronto', 'entregue', 'cancelado'];
+    const statusValidos = Order.schema.path('status').enumValues;
     if (!statusValidos.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -510,72 +513,54 @@ router.put('/:id/status', [auth, adminOrInstructor, ...validateParams.mongoId],
       });
     }
     
-    // Não permitir alterar pedidos já entregues ou cancelados
-    if (['entregue', 'cancelado'].includes(order.status)) {
+    // Não permitir alterar pedidos já encerrados (o entregue ainda pode ser devolvido)
+    const encerrado = ['cancelado', 'devolvido'].includes(order.status) ||
+      (order.status === 'entregue' && status !== 'devolvido');
+    if (encerrado) {
       return res.status(400).json({
         success: false,
-        message: `Não é possível alterar pedido ${order.status}`
+        message: `Não é possível alterar pedido com status ${order.status_formatado}`
       });
     }
     
-    const statusAnterior = order.status;
-    
-    // Se estiver cancelando, devolver produtos ao estoque
-    if (status === 'cancelado' && statusAnterior !== 'cancelado') {
-      for (const item of order.itens) {
-        await Product.findByIdAndUpdate(
-          item.produto_id,
-          {
-            $inc: { 
-              estoque: item.quantidade,
-              vendas: -item.quantidade
-            },
-            $push: {
-              historico_estoque: {
-                data: new Date(),
-                operacao: 'add',
-                quantidade: item.quantidade,
-                motivo: `Cancelamento - Pedido ${order.numero_pedido}`,
-                usuario: req.user._id
-              }
-            }
-          }
-        );
-      }
+    // Devolução só acontece depois que o cliente recebeu os produtos
+    if (status === 'devolvido' && !order.pode_devolver) {
+      return res.status(400).json({
+        success: false,
+        message: 'Apenas pedidos entregues podem ser devolvidos'
+      });
     }
     
-    order.status = status;
-    order.atualizado_em = new Date();
-    order.atualizado_por = req.user._id;
-    
-    if (observacoes) {
-      order.observacoes = observacoes;
-    }
+    const statusAnterior = order.status;
     
-    // Registrar data específica do status
-    switch (status) {
-      case 'confirmado':
-        order.data_confirmacao = new Date();
-        break;
-      case 'entregue':
-        order.data_entrega = new Date();
-        break;
-      case 'cancelado':
-        order.data_cancelamento = new Date();
-        break;
+    // Cancelamento devolve os produtos ao estoque
+    if (status === 'cancelado') {
+      if (!order.pode_cancelar) {
+        return res.status(400).json({
+          success: false,
+          message: 'Pedido não pode ser cancelado no status atual'
+        });
+      }
+      
+      await order.cancelar(observacao || 'Cancelado pela administração', req.user._id);
+      await order.devolverEstoque();
+    } else {
+      await order.atualizarStatus(status, observacao, req.user._id);
+      
+      // Produtos devolvidos voltam ao estoque (por isso o DELETE não devolve de novo)
+      if (status === 'devolvido') {
+        await order.devolverEstoque();
+      }
     }
     
-    await order.save();
-    
     res.json({
       success: true,
-      message: `Status do pedido alterado para ${status}`,
+      message: `Status do pedido alterado para ${order.status_formatado}`,
       data: {
         id: order._id,
         numero_pedido: order.numero_pedido,
         status_anterior: statusAnterior,
-        status_atual: status,
-        atualizado_em: order.atualizado_em
+        status_atual: order.status
       }
     });
   } catch (error) {
@@ -587,8 +572,8 @@ router.put('/:id/status', [auth, adminOrInstructor, ...validateParams.mongoId],
   }
 });
 
-// @route   PUT /api/orders/:id
-// @desc    Atualizar pedido
+// @route   PUT /api/store/orders/:id
+// @desc    Atualizar dados de entrega e observações do pedido
 // @access  Private (Admin only)
 router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validateOrder.update], async (req, res) => {
   try {
@@ -608,23 +593,21 @@ router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validateOrder
       });
     }
     
-    const updatedOrder = await Order.findByIdAndUpdate(
-      req.params.id,
-      {
-        ...req.body,
-        atualizado_em: new Date(),
-        atualizado_por: req.user._id
-      },
-      { new: true, runValidators: true }
-    ).populate([
-      { path: 'cliente_id', select: 'nome email telefone' },
-      { path: 'itens.produto_id', select: 'nome codigo categoria' }
-    ]);
+    // Itens e valores só mudam por cancelamento e novo pedido, para não desalinhar o estoque
+    const camposPermitidos = ['tipo_entrega', 'endereco_entrega', 'observacoes', 'data_entrega_prevista'];
+    camposPermitidos.forEach(campo => {
+      if (req.body[campo] !== undefined) {
+        order.set(campo, req.body[campo]);
+      }
+    });
+    
+    await order.save();
+    await order.populate('itens.produto_id', 'nome sku categoria');
     
     res.json({
       success: true,
       message: 'Pedido atualizado com sucesso',
-      data: updatedOrder
+      data: order
     });
   } catch (error) {
     res.status(500).json({
@@ -635,7 +618,7 @@ router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validateOrder
   }
 });
 
-// @route   DELETE /api/orders/:id
+// @route   DELETE /api/store/orders/:id
 // @desc    Deletar pedido
 // @access  Private (Admin only)
 router.delete('/:id', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
@@ -657,31 +640,18 @@ router.delete('/:id', [auth, adminOnly, ...validateParams.mongoId], async (req,
     }
     
     // Se o pedido não estava cancelado, devolver produtos ao estoque
-    if (order.status !== 'cancelado') {
-      for (const item of order.itens) {
-        await Product.findByIdAndUpdate(
-          item.produto_id,
-          {
-            $inc: { 
-              estoque: item.quantidade,
-              vendas: -item.quantidade
-            },
-            $push: {
-              historico_estoque: {
-                data: new Date(),
-                operacao: 'add',
-                quantidade: item.quantidade,
-                motivo: `Exclusão - Pedido ${order.numero_pedido}`,
-                usuario: req.user._id
-              }
-            }
-          }
-        );
-      }
+    if (!['cancelado', 'devolvido'].includes(order.status)) {
+      await order.devolverEstoque();
     }
     
     await Order.findByIdAndDelete(req.params.id);
     
+    logger.audit('Pedido deletado', {
+      pedido_id: order._id,
+      numero_pedido: order.numero_pedido,
+      usuario: req.user._id
+    });
+    
     res.json({
       success: true,
       message: 'Pedido deletado com sucesso'
@@ -695,4 +665,4 @@ router.delete('/:id', [auth, adminOnly, ...validateParams.mongoId], async (req,
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
-const Payment = require('../models/Payment');
+const Monthly = require('../models/Monthly');
 const Student = require('../models/Student');
+const Notification = require('../models/Notification');
 const { auth, adminOnly, adminOrInstructor, ownerOrAdmin } = require('../middleware/auth');
-const { validatePayment, validateParams, validateQuery } = require('../middleware/validation');
+const { validatePayment, validateMonthly, validateParams, validateQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -16,7 +17,7 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
       limit = 20,
       aluno_id,
       status,
-      mes,
+      competencia,
       ano,
       vencimento_inicio,
       vencimento_fim,
@@ -30,14 +31,17 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
     // Filtros
     if (aluno_id) query.aluno_id = aluno_id;
     if (status) query.status = status;
-    if (mes) query.mes = parseInt(mes);
-    if (ano) query.ano = parseInt(ano);
+    if (competencia) {
+      query.competencia = competencia;
+    } else if (ano) {
+      query.competencia = { $regex: `^${parseInt(ano)}-` };
+    }
     
     // Filtro de vencimento
     if (vencimento_inicio || vencimento_fim) {
-      query.data_vencimento = {};
-      if (vencimento_inicio) query.data_vencimento.$gte = new Date(vencimento_inicio);
-      if (vencimento_fim) query.data_vencimento.$lte = new Date(vencimento_fim);
+      query.vencimento = {};
+      if (vencimento_inicio) query.vencimento.$gte = new Date(vencimento_inicio);
+      if (vencimento_fim) query.vencimento.$lte = new Date(vencimento_fim);
     }
     
     // Filtro de valor
@@ -52,7 +56,7 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
       const students = await Student.find({
         $or: [
           { nome: { $regex: busca, $options: 'i' } },
-          { email: { $regex: busca, $options: 'i' } }
+          { 'contato.email': { $regex: busca, $options: 'i' } }
         ]
       }).select('_id');
       
@@ -67,20 +71,20 @@ router.get('/', [auth, adminOrInstructor, ...validateQuery.pagination], async (r
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
-      sort: { data_vencimento: -1 },
+      sort: { vencimento: -1 },
       populate: [
         {
           path: 'aluno_id',
-          select: 'nome email telefone grupo status'
+          select: 'nome contato grupo status'
         }
       ]
     };
     
-    const payments = await Payment.paginate(query, options);
+    const mensalidades = await Monthly.paginate(query, options);
     
     res.json({
       success: true,
-      data: payments
+      data: mensalidades
     });
   } catch (error) {
     res.status(500).json({
@@ -103,7 +107,7 @@ router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
       });
     }
     
-    const student = await Student.findOne({ user_id: req.user._id });
+    const student = await Student.findOne({ usuario_id: req.user._id });
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -120,18 +124,18 @@ router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
     
     const query = { aluno_id: student._id };
     if (status) query.status = status;
-    if (ano) query.ano = parseInt(ano);
+    if (ano) query.competencia = { $regex: `^${parseInt(ano)}-` };
     
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
-      sort: { data_vencimento: -1 }
+      sort: { vencimento: -1 }
     };
     
-    const payments = await Payment.paginate(query, options);
+    const mensalidades = await Monthly.paginate(query, options);
     
     // Calcular estatísticas do aluno
-    const stats = await Payment.aggregate([
+    const stats = await Monthly.aggregate([
       { $match: { aluno_id: student._id } },
       {
         $group: {
@@ -140,17 +144,17 @@ router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
           pagas: {
             $sum: { $cond: [{ $eq: ['$status', 'pago'] }, 1, 0] }
           },
-          pendentes: {
-            $sum: { $cond: [{ $eq: ['$status', 'pendente'] }, 1, 0] }
+          em_aberto: {
+            $sum: { $cond: [{ $eq: ['$status', 'em_aberto'] }, 1, 0] }
           },
-          vencidas: {
-            $sum: { $cond: [{ $eq: ['$status', 'vencido'] }, 1, 0] }
+          atrasadas: {
+            $sum: { $cond: [{ $eq: ['$status', 'atrasado'] }, 1, 0] }
           },
           valor_total_pago: {
             $sum: { $cond: [{ $eq: ['$status', 'pago'] }, '$valor_pago', 0] }
           },
           valor_pendente: {
-            $sum: { $cond: [{ $ne: ['$status', 'pago'] }, '$valor', 0] }
+            $sum: { $cond: [{ $in: ['$status', ['em_aberto', 'atrasado']] }, '$valor', 0] }
           }
         }
       }
@@ -159,12 +163,12 @@ router.get('/my', [auth, ...validateQuery.pagination], async (req, res) => {
     res.json({
       success: true,
       data: {
-        ...payments,
+        ...mensalidades,
         estatisticas: stats[0] || {
           total: 0,
           pagas: 0,
-          pendentes: 0,
-          vencidas: 0,
+          em_aberto: 0,
+          atrasadas: 0,
           valor_total_pago: 0,
           valor_pendente: 0
         }
@@ -195,30 +199,30 @@ router.get('/overdue', [auth, adminOrInstructor, ...validateQuery.pagination], a
     }
     
     const query = {
-      status: { $in: ['pendente', 'vencido'] },
-      data_vencimento: { $lt: hoje }
+      status: { $in: ['em_aberto', 'atrasado'] },
+      vencimento: { $lt: hoje }
     };
     
     if (dias_vencimento) {
-      query.data_vencimento.$gte = dataLimite;
+      query.vencimento.$gte = dataLimite;
     }
     
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
-      sort: { data_vencimento: 1 },
+      sort: { vencimento: 1 },
       populate: [
         {
           path: 'aluno_id',
-          select: 'nome email telefone grupo status'
+          select: 'nome contato grupo status'
         }
       ]
     };
     
-    const overduePayments = await Payment.paginate(query, options);
+    const mensalidadesVencidas = await Monthly.paginate(query, options);
     
     // Calcular estatísticas de inadimplência
-    const overdueStats = await Payment.aggregate([
+    const overdueStats = await Monthly.aggregate([
       { $match: query },
       {
         $group: {
@@ -233,7 +237,7 @@ router.get('/overdue', [auth, adminOrInstructor, ...validateQuery.pagination], a
     res.json({
       success: true,
       data: {
-        ...overduePayments,
+        ...mensalidadesVencidas,
         estatisticas: {
           total_vencidas: overdueStats[0]?.total_vencidas || 0,
           valor_total_vencido: overdueStats[0]?.valor_total_vencido || 0,
@@ -260,20 +264,20 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
     let matchQuery = {};
     
     if (ano) {
-      matchQuery.ano = parseInt(ano);
+      matchQuery.competencia = { $regex: `^${parseInt(ano)}-` };
     } else {
       const currentDate = new Date();
       const startDate = new Date();
       startDate.setMonth(startDate.getMonth() - parseInt(periodo));
       
-      matchQuery.data_vencimento = {
+      matchQuery.vencimento = {
         $gte: startDate,
         $lte: currentDate
       };
     }
     
     // Estatísticas gerais
-    const generalStats = await Payment.aggregate([
+    const generalStats = await Monthly.aggregate([
       { $match: matchQuery },
       {
         $group: {
@@ -286,11 +290,14 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
           pagas: {
             $sum: { $cond: [{ $eq: ['$status', 'pago'] }, 1, 0] }
           },
-          pendentes: {
-            $sum: { $cond: [{ $eq: ['$status', 'pendente'] }, 1, 0] }
+          em_aberto: {
+            $sum: { $cond: [{ $eq: ['$status', 'em_aberto'] }, 1, 0] }
+          },
+          atrasadas: {
+            $sum: { $cond: [{ $eq: ['$status', 'atrasado'] }, 1, 0] }
           },
-          vencidas: {
-            $sum: { $cond: [{ $eq: ['$status', 'vencido'] }, 1, 0] }
+          isentas: {
+            $sum: { $cond: [{ $eq: ['$status', 'isento'] }, 1, 0] }
           },
           canceladas: {
             $sum: { $cond: [{ $eq: ['$status', 'cancelado'] }, 1, 0] }
@@ -299,36 +306,30 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
       }
     ]);
     
-    // Receita por mês
-    const monthlyRevenue = await Payment.aggregate([
+    // Receita por competência
+    const monthlyRevenue = await Monthly.aggregate([
       { $match: { ...matchQuery, status: 'pago' } },
       {
         $group: {
-          _id: {
-            ano: '$ano',
-            mes: '$mes'
-          },
+          _id: '$competencia',
           total_recebido: { $sum: '$valor_pago' },
           quantidade: { $sum: 1 }
         }
       },
       {
-        $sort: { '_id.ano': 1, '_id.mes': 1 }
+        $sort: { _id: 1 }
       }
     ]);
     
-    // Taxa de inadimplência por mês
-    const defaultRateByMonth = await Payment.aggregate([
+    // Taxa de inadimplência por competência
+    const defaultRateByMonth = await Monthly.aggregate([
       { $match: matchQuery },
       {
         $group: {
-          _id: {
-            ano: '$ano',
-            mes: '$mes'
-          },
+          _id: '$competencia',
           total: { $sum: 1 },
-          vencidas: {
-            $sum: { $cond: [{ $eq: ['$status', 'vencido'] }, 1, 0] }
+          atrasadas: {
+            $sum: { $cond: [{ $eq: ['$status', 'atrasado'] }, 1, 0] }
           }
         }
       },
@@ -336,35 +337,35 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
         $project: {
           _id: 1,
           total: 1,
-          vencidas: 1,
+          atrasadas: 1,
           taxa_inadimplencia: {
             $cond: [
               { $gt: ['$total', 0] },
-              { $multiply: [{ $divide: ['$vencidas', '$total'] }, 100] },
+              { $multiply: [{ $divide: ['$atrasadas', '$total'] }, 100] },
               0
             ]
           }
         }
       },
       {
-        $sort: { '_id.ano': 1, '_id.mes': 1 }
+        $sort: { _id: 1 }
       }
     ]);
     
     // Alunos com mais mensalidades em atraso
-    const defaultingStudents = await Payment.aggregate([
+    const defaultingStudents = await Monthly.aggregate([
       {
         $match: {
-          status: 'vencido',
-          data_vencimento: { $lt: new Date() }
+          status: 'atrasado',
+          vencimento: { $lt: new Date() }
         }
       },
       {
         $group: {
           _id: '$aluno_id',
-          mensalidades_vencidas: { $sum: 1 },
-          valor_total_vencido: { $sum: '$valor' },
-          mais_antiga: { $min: '$data_vencimento' }
+          mensalidades_atrasadas: { $sum: 1 },
+          valor_total_atrasado: { $sum: '$valor' },
+          mais_antiga: { $min: '$vencimento' }
         }
       },
       {
@@ -381,10 +382,10 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
       {
         $project: {
           nome: '$aluno_info.nome',
-          email: '$aluno_info.email',
+          email: '$aluno_info.contato.email',
           grupo: '$aluno_info.grupo',
-          mensalidades_vencidas: 1,
-          valor_total_vencido: 1,
+          mensalidades_atrasadas: 1,
+          valor_total_atrasado: 1,
           mais_antiga: 1,
           dias_em_atraso: {
             $divide: [
@@ -395,13 +396,13 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
         }
       },
       {
-        $sort: { mensalidades_vencidas: -1, valor_total_vencido: -1 }
+        $sort: { mensalidades_atrasadas: -1, valor_total_atrasado: -1 }
       },
       { $limit: 20 }
     ]);
     
     // Formas de pagamento mais utilizadas
-    const paymentMethods = await Payment.aggregate([
+    const paymentMethods = await Monthly.aggregate([
       { $match: { ...matchQuery, status: 'pago' } },
       {
         $group: {
@@ -420,20 +421,21 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
       valor_total: 0,
       valor_recebido: 0,
       pagas: 0,
-      pendentes: 0,
-      vencidas: 0,
+      em_aberto: 0,
+      atrasadas: 0,
+      isentas: 0,
       canceladas: 0
     };
     
     // Calcular taxas
-    stats.taxa_pagamento = stats.total_mensalidades > 0 
-      ? (stats.pagas / stats.total_mensalidades) * 100 
+    stats.taxa_pagamento = stats.total_mensalidades > 0
+      ? (stats.pagas / stats.total_mensalidades) * 100
       : 0;
-    stats.taxa_inadimplencia = stats.total_mensalidades > 0 
-      ? (stats.vencidas / stats.total_mensalidades) * 100 
+    stats.taxa_inadimplencia = stats.total_mensalidades > 0
+      ? (stats.atrasadas / stats.total_mensalidades) * 100
       : 0;
-    stats.ticket_medio = stats.pagas > 0 
-      ? stats.valor_recebido / stats.pagas 
+    stats.ticket_medio = stats.pagas > 0
+      ? stats.valor_recebido / stats.pagas
       : 0;
     
     res.json({
@@ -461,10 +463,10 @@ router.get('/stats', [auth, adminOrInstructor], async (req, res) => {
 // @access  Private
 router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id)
-      .populate('aluno_id', 'nome email telefone grupo status');
+    const mensalidade = await Monthly.findById(req.params.id)
+      .populate('aluno_id', 'nome contato grupo status');
     
-    if (!payment) {
+    if (!mensalidade) {
       return res.status(404).json({
         success: false,
         message: 'Mensalidade não encontrada'
@@ -473,8 +475,8 @@ router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
     
     // Verificar permissão
     if (req.user.perfil === 'aluno') {
-      const student = await Student.findOne({ user_id: req.user._id });
-      if (!student || !payment.aluno_id._id.equals(student._id)) {
+      const student = await Student.findOne({ usuario_id: req.user._id });
+      if (!student || !mensalidade.aluno_id._id.equals(student._id)) {
         return res.status(403).json({
           success: false,
           message: 'Acesso negado'
@@ -484,7 +486,7 @@ router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
     
     res.json({
       success: true,
-      data: payment
+      data: mensalidade
     });
   } catch (error) {
     res.status(500).json({
@@ -498,10 +500,12 @@ router.get('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
 // @route   POST /api/payments
 // @desc    Criar mensalidade
 // @access  Private (Admin only)
-router.post('/', [auth, adminOnly, ...validatePayment.create], async (req, res) => {
+router.post('/', [auth, adminOnly, ...validateMonthly.create], async (req, res) => {
   try {
+    const { aluno_id, competencia, valor, vencimento, observacoes } = req.body;
+    
     // Verificar se o aluno existe
-    const student = await Student.findById(req.body.aluno_id);
+    const student = await Student.findById(aluno_id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -509,33 +513,37 @@ router.post('/', [auth, adminOnly, ...validatePayment.create], async (req, res)
       });
     }
     
-    // Verificar se já existe mensalidade para o mesmo mês/ano
-    const existingPayment = await Payment.findOne({
-      aluno_id: req.body.aluno_id,
-      mes: req.body.mes,
-      ano: req.body.ano
-    });
+    // Verificar se já existe mensalidade para a mesma competência
+    const existente = await Monthly.findOne({ aluno_id, competencia });
     
-    if (existingPayment) {
+    if (existente) {
       return res.status(400).json({
         success: false,
-        message: 'Já existe mensalidade para este aluno no mês/ano informado'
+        message: 'Já existe mensalidade para este aluno na competência informada'
       });
     }
     
-    const payment = new Payment({
-      ...req.body,
-      criado_por: req.user._id
+    const mensalidade = new Monthly({
+      aluno_id,
+      competencia,
+      valor: parseFloat(valor),
+      vencimento: new Date(vencimento),
+      observacoes,
+      historico_status: [{
+        status: 'em_aberto',
+        usuario: req.user._id,
+        observacao: 'Mensalidade criada manualmente'
+      }]
     });
     
-    await payment.save();
+    await mensalidade.save();
     
-    await payment.populate('aluno_id', 'nome email telefone grupo');
+    await mensalidade.populate('aluno_id', 'nome contato grupo');
     
     res.status(201).json({
       success: true,
       message: 'Mensalidade criada com sucesso',
-      data: payment
+      data: mensalidade
     });
   } catch (error) {
     res.status(500).json({
@@ -551,67 +559,34 @@ router.post('/', [auth, adminOnly, ...validatePayment.create], async (req, res)
 // @access  Private (Admin only)
 router.post('/generate-batch', [auth, adminOnly], async (req, res) => {
   try {
-    const { mes, ano, valor, data_vencimento, grupo, incluir_inativos = false } = req.body;
+    const { competencia, grupo } = req.body;
     
-    if (!mes || !ano || !valor || !data_vencimento) {
+    if (!competencia || !/^\d{4}-\d{2}$/.test(competencia)) {
       return res.status(400).json({
         success: false,
-        message: 'Mês, ano, valor e data de vencimento são obrigatórios'
+        message: 'Competência é obrigatória no formato YYYY-MM'
       });
     }
     
-    // Buscar alunos
-    const query = incluir_inativos ? {} : { status: 'ativo' };
-    if (grupo) query.grupo = grupo;
-    
-    const students = await Student.find(query).select('_id nome grupo');
-    
-    if (students.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Nenhum aluno encontrado com os critérios informados'
-      });
-    }
-    
-    // Verificar mensalidades já existentes
-    const existingPayments = await Payment.find({
-      aluno_id: { $in: students.map(s => s._id) },
-      mes: parseInt(mes),
-      ano: parseInt(ano)
-    }).select('aluno_id');
-    
-    const existingStudentIds = existingPayments.map(p => p.aluno_id.toString());
-    const studentsToCreate = students.filter(s => !existingStudentIds.includes(s._id.toString()));
+    // Valor e vencimento vêm do cadastro de cada aluno, como na geração mensal automática
+    const resultado = await Monthly.criarMensalidadesLote(competencia, grupo ? { grupo } : {});
     
-    if (studentsToCreate.length === 0) {
+    if (resultado.geradas === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Todos os alunos já possuem mensalidade para este período'
+        message: resultado.existentes > 0
+          ? 'Todos os alunos já possuem mensalidade para esta competência'
+          : 'Nenhum aluno ativo encontrado com os critérios informados'
       });
     }
     
-    // Criar mensalidades
-    const paymentsToCreate = studentsToCreate.map(student => ({
-      aluno_id: student._id,
-      mes: parseInt(mes),
-      ano: parseInt(ano),
-      valor: parseFloat(valor),
-      data_vencimento: new Date(data_vencimento),
-      status: 'pendente',
-      criado_por: req.user._id
-    }));
-    
-    const createdPayments = await Payment.insertMany(paymentsToCreate);
-    
     res.status(201).json({
       success: true,
-      message: `${createdPayments.length} mensalidades criadas com sucesso`,
+      message: `${resultado.geradas} mensalidades criadas com sucesso`,
       data: {
-        total_criadas: createdPayments.length,
-        total_alunos: students.length,
-        ja_existiam: existingPayments.length,
-        periodo: `${mes}/${ano}`,
-        valor: parseFloat(valor)
+        total_criadas: resultado.geradas,
+        ja_existiam: resultado.existentes,
+        competencia
       }
     });
   } catch (error) {
@@ -626,38 +601,38 @@ router.post('/generate-batch', [auth, adminOnly], async (req, res) => {
 // @route   PUT /api/payments/:id
 // @desc    Atualizar mensalidade
 // @access  Private (Admin only)
-router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validatePayment.update], async (req, res) => {
+router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validateMonthly.update], async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id);
-    if (!payment) {
+    const mensalidade = await Monthly.findById(req.params.id);
+    if (!mensalidade) {
       return res.status(404).json({
         success: false,
         message: 'Mensalidade não encontrada'
       });
     }
     
-    // Não permitir alterar mensalidades pagas
-    if (payment.status === 'pago' && req.body.status !== 'pago') {
+    // Mensalidades encerradas só mudam pelas ações de pagamento, isenção e cancelamento
+    if (['pago', 'isento', 'cancelado'].includes(mensalidade.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Não é possível alterar mensalidade já paga'
+        message: `Não é possível alterar mensalidade com status ${mensalidade.status}`
       });
     }
     
-    const updatedPayment = await Payment.findByIdAndUpdate(
-      req.params.id,
-      {
-        ...req.body,
-        atualizado_em: new Date(),
-        atualizado_por: req.user._id
-      },
-      { new: true, runValidators: true }
-    ).populate('aluno_id', 'nome email telefone grupo');
+    const { valor, vencimento, observacoes } = req.body;
+    
+    if (valor !== undefined) mensalidade.valor = parseFloat(valor);
+    if (vencimento !== undefined) mensalidade.vencimento = new Date(vencimento);
+    if (observacoes !== undefined) mensalidade.observacoes = observacoes;
+    
+    await mensalidade.save();
+    
+    await mensalidade.populate('aluno_id', 'nome contato grupo');
     
     res.json({
       success: true,
       message: 'Mensalidade atualizada com sucesso',
-      data: updatedPayment
+      data: mensalidade
     });
   } catch (error) {
     res.status(500).json({
@@ -673,22 +648,22 @@ router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validatePayme
 // @access  Private (Admin/Instructor)
 router.put('/:id/pay', [auth, adminOrInstructor, ...validateParams.mongoId, ...validatePayment.payment], async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id);
-    if (!payment) {
+    const mensalidade = await Monthly.findById(req.params.id);
+    if (!mensalidade) {
       return res.status(404).json({
         success: false,
         message: 'Mensalidade não encontrada'
       });
     }
     
-    if (payment.status === 'pago') {
+    if (mensalidade.status === 'pago') {
       return res.status(400).json({
         success: false,
         message: 'Mensalidade já está paga'
       });
     }
     
-    if (payment.status === 'cancelado') {
+    if (mensalidade.status === 'cancelado') {
       return res.status(400).json({
         success: false,
         message: 'Não é possível pagar mensalidade cancelada'
@@ -697,35 +672,88 @@ router.put('/:id/pay', [auth, adminOrInstructor, ...validateParams.mongoId, ...v
     
     const {
       valor_pago,
-      forma_pagamento,
+      metodo,
       data_pagamento,
-      observacoes_pagamento,
-      desconto = 0,
-      juros = 0
+      observacoes
     } = req.body;
     
-    payment.status = 'pago';
-    payment.valor_pago = valor_pago || payment.valor;
-    payment.forma_pagamento = forma_pagamento;
-    payment.data_pagamento = data_pagamento ? new Date(data_pagamento) : new Date();
-    payment.observacoes_pagamento = observacoes_pagamento;
-    payment.desconto = desconto;
-    payment.juros = juros;
-    payment.recebido_por = req.user._id;
-    payment.atualizado_em = new Date();
-    payment.atualizado_por = req.user._id;
-    
-    await payment.save();
-    
-    await payment.populate([
-      { path: 'aluno_id', select: 'nome email telefone grupo' },
-      { path: 'recebido_por', select: 'nome email' }
-    ]);
+    // O bloqueio financeiro do aluno é liberado pelo hook do modelo
+    await mensalidade.registrarPagamento({
+      valor_pago: valor_pago !== undefined ? parseFloat(valor_pago) : mensalidade.valor_total,
+      forma_pagamento: metodo,
+      data_pagamento: data_pagamento ? new Date(data_pagamento) : new Date(),
+      usuario: req.user._id,
+      observacao: observacoes
+    });
+    
+    await Notification.enfileirar('confirmacao_pagamento', {
+      aluno_id: mensalidade.aluno_id,
+      referencia: { modelo: 'Monthly', id: mensalidade._id },
+      criado_por: req.user._id
+    });
+    
+    await mensalidade.populate('aluno_id', 'nome contato grupo configuracoes');
     
     res.json({
       success: true,
       message: 'Pagamento registrado com sucesso',
-      data: payment
+      data: mensalidade
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/payments/:id/exempt
+// @desc    Isentar mensalidade
+// @access  Private (Admin only)
+router.put('/:id/exempt', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const { motivo } = req.body;
+    
+    if (!motivo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Motivo da isenção é obrigatório'
+      });
+    }
+    
+    const mensalidade = await Monthly.findById(req.params.id);
+    if (!mensalidade) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mensalidade não encontrada'
+      });
+    }
+    
+    if (['pago', 'cancelado', 'isento'].includes(mensalidade.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Não é possível isentar mensalidade com status ${mensalidade.status}`
+      });
+    }
+    
+    mensalidade.status = 'isento';
+    mensalidade.historico_status.push({
+      status: 'isento',
+      usuario: req.user._id,
+      observacao: motivo
+    });
+    
+    await mensalidade.save();
+    
+    res.json({
+      success: true,
+      message: 'Mensalidade isentada com sucesso',
+      data: {
+        id: mensalidade._id,
+        status: mensalidade.status,
+        motivo
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -750,45 +778,45 @@ router.put('/:id/cancel', [auth, adminOnly, ...validateParams.mongoId], async (r
       });
     }
     
-    const payment = await Payment.findById(req.params.id);
-    if (!payment) {
+    const mensalidade = await Monthly.findById(req.params.id);
+    if (!mensalidade) {
       return res.status(404).json({
         success: false,
         message: 'Mensalidade não encontrada'
       });
     }
     
-    if (payment.status === 'pago') {
+    if (mensalidade.status === 'pago') {
       return res.status(400).json({
         success: false,
         message: 'Não é possível cancelar mensalidade já paga'
       });
     }
     
-    if (payment.status === 'cancelado') {
+    if (mensalidade.status === 'cancelado') {
       return res.status(400).json({
         success: false,
         message: 'Mensalidade já está cancelada'
       });
     }
     
-    payment.status = 'cancelado';
-    payment.data_cancelamento = new Date();
-    payment.motivo_cancelamento = motivo;
-    payment.cancelado_por = req.user._id;
-    payment.atualizado_em = new Date();
-    payment.atualizado_por = req.user._id;
+    mensalidade.status = 'cancelado';
+    mensalidade.historico_status.push({
+      status: 'cancelado',
+      usuario: req.user._id,
+      observacao: motivo
+    });
     
-    await payment.save();
+    await mensalidade.save();
     
     res.json({
       success: true,
       message: 'Mensalidade cancelada com sucesso',
       data: {
-        id: payment._id,
-        status: payment.status,
-        data_cancelamento: payment.data_cancelamento,
-        motivo_cancelamento: payment.motivo_cancelamento
+        id: mensalidade._id,
+        status: mensalidade.status,
+        data_cancelamento: new Date(),
+        motivo_cancelamento: motivo
       }
     });
   } catch (error) {
@@ -805,8 +833,8 @@ router.put('/:id/cancel', [auth, adminOnly, ...validateParams.mongoId], async (r
 // @access  Private (Admin only)
 router.delete('/:id', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id);
-    if (!payment) {
+    const mensalidade = await Monthly.findById(req.params.id);
+    if (!mensalidade) {
       return res.status(404).json({
         success: false,
         message: 'Mensalidade não encontrada'
@@ -814,14 +842,14 @@ router.delete('/:id', [auth, adminOnly, ...validateParams.mongoId], async (req,
     }
     
     // Não permitir deletar mensalidades pagas
-    if (payment.status === 'pago') {
+    if (mensalidade.status === 'pago') {
       return res.status(400).json({
         success: false,
         message: 'Não é possível deletar mensalidade já paga'
       });
     }
     
-    await Payment.findByIdAndDelete(req.params.id);
+    await Monthly.findByIdAndDelete(req.params.id);
     
     res.json({
       success: true,
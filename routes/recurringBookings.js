@@ -0,0 +1,256 @@
+const express = require('express');
+const RecurringBooking = require('../models/RecurringBooking');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const { auth } = require('../middleware/auth');
+const { validateRecurringBooking, validateParams } = require('../middleware/validation');
+const { naAcademia } = require('../config/timezone');
+
+const router = express.Router();
+
+// Buscar a reserva verificando se o usuário pode alterá-la (o próprio aluno ou admin)
+const buscarReservaPermitida = async (req, res) => {
+  const reserva = await RecurringBooking.findById(req.params.id);
+  if (!reserva) {
+    res.status(404).json({
+      success: false,
+      message: 'Reserva recorrente não encontrada'
+    });
+    return null;
+  }
+
+  if (req.user.perfil === 'aluno') {
+    const student = await Student.findOne({ usuario_id: req.user._id });
+    if (!student || !reserva.aluno_id.equals(student._id)) {
+      res.status(403).json({
+        success: false,
+        message: 'Acesso negado'
+      });
+      return null;
+    }
+  } else if (req.user.perfil !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Acesso negado'
+    });
+    return null;
+  }
+
+  return reserva;
+};
+
+// @route   GET /api/recurring-bookings
+// @desc    Listar reservas recorrentes (aluno vê apenas as suas)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { aluno_id, turma_id, ativa } = req.query;
+    const query = {};
+
+    if (req.user.perfil === 'aluno') {
+      const student = await Student.findOne({ usuario_id: req.user._id });
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dados do aluno não encontrados'
+        });
+      }
+      query.aluno_id = student._id;
+    } else if (aluno_id) {
+      query.aluno_id = aluno_id;
+    }
+
+    if (turma_id) query.turma_id = turma_id;
+    if (ativa !== undefined) query.ativa = ativa === 'true';
+
+    const reservas = await RecurringBooking.find(query)
+      .populate('aluno_id', 'nome faixa_atual status')
+      .populate('turma_id', 'nome hora_inicio hora_fim dias_semana')
+      .sort({ ativa: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: reservas
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/recurring-bookings
+// @desc    Criar reserva recorrente e agendar as aulas já geradas
+// @access  Private (Student/Admin)
+router.post('/', [auth, ...validateRecurringBooking.create], async (req, res) => {
+  try {
+    let student;
+
+    // Se for admin, pode criar para qualquer aluno
+    if (req.user.perfil === 'admin' && req.body.aluno_id) {
+      student = await Student.findById(req.body.aluno_id);
+    } else if (req.user.perfil === 'aluno') {
+      student = await Student.findOne({ usuario_id: req.user._id });
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Acesso negado'
+      });
+    }
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aluno não encontrado'
+      });
+    }
+
+    if (req.user.perfil === 'aluno' && student.agendamentoSuspenso()) {
+      return res.status(403).json({
+        success: false,
+        message: `Agendamentos suspensos até ${naAcademia(student.configuracoes.agendamento_suspenso_ate).format('DD/MM/YYYY HH:mm')}`
+      });
+    }
+
+    const turma = await Class.findById(req.body.turma_id);
+    if (!turma) {
+      return res.status(404).json({
+        success: false,
+        message: 'Turma não encontrada'
+      });
+    }
+
+    const dias = [...new Set(req.body.dias_semana)];
+    const semAula = dias.filter(dia => !turma.dias_semana.includes(dia));
+    if (semAula.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `A turma não tem aula em: ${semAula.join(', ')}`
+      });
+    }
+
+    const podeParticipar = turma.podeParticipar(student);
+    if (!podeParticipar.pode) {
+      return res.status(400).json({
+        success: false,
+        message: podeParticipar.motivo
+      });
+    }
+
+    if (await RecurringBooking.exists({ aluno_id: student._id, turma_id: turma._id, ativa: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aluno já tem reserva recorrente nesta turma'
+      });
+    }
+
+    const reserva = await RecurringBooking.create({
+      aluno_id: student._id,
+      turma_id: turma._id,
+      dias_semana: dias,
+      criado_por: req.user._id
+    });
+
+    const resultado = await reserva.agendarProximasAulas();
+
+    res.status(201).json({
+      success: true,
+      message: 'Reserva recorrente criada com sucesso',
+      data: {
+        reserva,
+        agendados: resultado.agendados,
+        pausada: resultado.pausada
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/recurring-bookings/:id/skip
+// @desc    Pular uma data da reserva (cancela o agendamento do dia, se houver)
+// @access  Private (Student/Admin)
+router.put('/:id/skip', [auth, ...validateParams.mongoId, ...validateRecurringBooking.skip], async (req, res) => {
+  try {
+    const reserva = await buscarReservaPermitida(req, res);
+    if (!reserva) return;
+
+    if (!reserva.ativa) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reserva recorrente está encerrada'
+      });
+    }
+
+    if (naAcademia(req.body.data).isBefore(naAcademia(), 'day')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Não é possível pular uma data que já passou'
+      });
+    }
+
+    let resultado;
+    try {
+      resultado = await reserva.pularData(req.body.data);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Data pulada com sucesso',
+      data: {
+        id: reserva._id,
+        ...resultado,
+        datas_puladas: reserva.datas_puladas
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/recurring-bookings/:id
+// @desc    Encerrar reserva recorrente (agendamentos já criados são mantidos)
+// @access  Private (Student/Admin)
+router.delete('/:id', [auth, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const reserva = await buscarReservaPermitida(req, res);
+    if (!reserva) return;
+
+    if (!reserva.ativa) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reserva recorrente já está encerrada'
+      });
+    }
+
+    await reserva.encerrar();
+
+    res.json({
+      success: true,
+      message: 'Reserva recorrente encerrada com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
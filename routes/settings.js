@@ -3,9 +3,19 @@ const { body, validationResult } = require('express-validator');
 const { auth, adminOnly } = require('../middleware/auth');
 const Settings = require('../models/Settings');
 const logger = require('../config/logger');
+const { timezoneValido } = require('../config/timezone');
+const { NOMES_FAIXAS } = require('../config/belts');
+const { rescheduleJobs } = require('../jobs/monthlyPaymentJob');
+const { rescheduleLessonGenerationJobs } = require('../jobs/lessonGenerationJob');
 
 const router = express.Router();
 
+// Reagendar os jobs com horário fixo após mudança do dia de geração ou do timezone
+const reagendarJobs = (settings) => {
+  rescheduleJobs(settings);
+  rescheduleLessonGenerationJobs();
+};
+
 /**
  * Obter todas as configurações
  */
@@ -22,7 +32,9 @@ router.get('/', auth, async (req, res) => {
         defaultClassCapacity: settings.defaultClassCapacity,
         blackBeltExemption: settings.blackBeltExemption,
         exemptBelts: settings.exemptBelts,
-        academyInfo: settings.academyInfo
+        academyInfo: settings.academyInfo,
+        timezone: settings.timezone,
+        checkinGeofence: settings.checkinGeofence
       };
       
       return res.json({
@@ -102,12 +114,46 @@ router.put('/', [
     .withMessage('Check-in depois deve ser entre 0 e 120 minutos'),
   body('defaultClassCapacity').optional().isInt({ min: 1, max: 100 })
     .withMessage('Capacidade padrão deve ser entre 1 e 100'),
+  body('timezone').optional().custom(timezoneValido)
+    .withMessage('Timezone inválido (use o formato IANA, ex.: America/Sao_Paulo)'),
+  body('lessonGenerationWeeks').optional().isInt({ min: 1, max: 12 })
+    .withMessage('Semanas de geração de aulas deve ser entre 1 e 12'),
+  body('checkinGeofence.enabled').optional().isBoolean()
+    .withMessage('Geolocalização do check-in deve ser verdadeiro ou falso'),
+  body('checkinGeofence.latitude').optional().isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude da academia deve ser entre -90 e 90'),
+  body('checkinGeofence.longitude').optional().isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude da academia deve ser entre -180 e 180'),
+  body('checkinGeofence.radiusMeters').optional().isInt({ min: 20, max: 5000 })
+    .withMessage('Raio do check-in deve ser entre 20 e 5000 metros'),
+  body('waitlistOffer.acceptanceMinutes').optional().isInt({ min: 5, max: 1440 })
+    .withMessage('Prazo para aceitar a vaga deve ser entre 5 e 1440 minutos'),
+  body('waitlistOffer.autoConfirmMinutes').optional().isInt({ min: 0, max: 720 })
+    .withMessage('Antecedência da confirmação automática deve ser entre 0 e 720 minutos'),
+  body('exemptBelts').optional().isArray()
+    .withMessage('Faixas isentas deve ser uma lista'),
+  body('exemptBelts.*').optional().isIn(NOMES_FAIXAS)
+    .withMessage('Faixa isenta inválida'),
+  body('cancellationCutoffHours').optional().isFloat({ min: 0, max: 72 })
+    .withMessage('Prazo de cancelamento deve ser entre 0 e 72 horas'),
+  body('lateCancellationPolicy').optional().isIn(['late_cancel', 'no_show'])
+    .withMessage('Política de cancelamento tardio inválida'),
+  body('noShowSuspension.enabled').optional().isBoolean()
+    .withMessage('Suspensão por no-show deve ser verdadeiro ou falso'),
+  body('noShowSuspension.limit').optional().isInt({ min: 1, max: 20 })
+    .withMessage('Limite de no-shows deve ser entre 1 e 20'),
+  body('noShowSuspension.windowDays').optional().isInt({ min: 1, max: 90 })
+    .withMessage('Período de contagem de no-shows deve ser entre 1 e 90 dias'),
+  body('noShowSuspension.suspensionDays').optional().isInt({ min: 1, max: 90 })
+    .withMessage('Dias de suspensão deve ser entre 1 e 90'),
   body('lateFeeValue').optional().isFloat({ min: 0 })
     .withMessage('Valor da multa deve ser maior ou igual a 0'),
   body('dailyInterestRate').optional().isFloat({ min: 0, max: 1 })
     .withMessage('Taxa de juros deve ser entre 0 e 1'),
   body('blockAfterDays').optional().isInt({ min: 1, max: 90 })
     .withMessage('Dias para bloqueio deve ser entre 1 e 90'),
+  body('orderPaymentDeadlineHours').optional().isInt({ min: 1, max: 720 })
+    .withMessage('Prazo de pagamento do pedido deve ser entre 1 e 720 horas'),
   body('defaultMonthlyFee').optional().isFloat({ min: 0 })
     .withMessage('Mensalidade padrão deve ser maior ou igual a 0'),
   body('dueDayOfMonth').optional().isInt({ min: 1, max: 31 })
@@ -129,6 +175,9 @@ router.put('/', [
     const updates = req.body;
     const settings = await Settings.updateSettings(updates, req.user.id);
     
+    // Reagendar os jobs se o dia de geração ou o timezone mudou
+    reagendarJobs(settings);
+    
     logger.info(`Configurações atualizadas por ${req.user.name}`, {
       userId: req.user.id,
       updates: Object.keys(updates)
@@ -141,6 +190,14 @@ router.put('/', [
     });
     
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: Object.values(error.errors).map(erro => erro.message)
+      });
+    }
+    
     logger.error('Erro ao atualizar configurações:', error);
     res.status(500).json({
       success: false,
@@ -162,6 +219,7 @@ router.put('/:section', [
     const updates = { [section]: req.body };
     
     const settings = await Settings.updateSettings(updates, req.user.id);
+    reagendarJobs(settings);
     
     logger.info(`Seção ${section} atualizada por ${req.user.name}`, {
       userId: req.user.id,
@@ -200,6 +258,7 @@ router.post('/reset', [
       const updates = { [section]: defaultSettings[section] };
       
       const settings = await Settings.updateSettings(updates, req.user.id);
+      reagendarJobs(settings);
       
       logger.info(`Seção ${section} resetada por ${req.user.name}`, {
         userId: req.user.id,
@@ -217,6 +276,7 @@ router.post('/reset', [
       const settings = await Settings.getSettings();
       settings.updatedBy = req.user.id;
       await settings.save();
+      reagendarJobs(settings);
       
       logger.info(`Todas as configurações resetadas por ${req.user.name}`, {
         userId: req.user.id
@@ -4,8 +4,11 @@ const User = require('../models/User');
 const Attendance = require('../models/Attendance');
 const Monthly = require('../models/Monthly');
 const Graduation = require('../models/Graduation');
+const Booking = require('../models/Booking');
 const { auth, adminOnly, adminOrInstructor, canAccessStudent } = require('../middleware/auth');
 const { validateStudent, validateParams, validateQuery } = require('../middleware/validation');
+const { naAcademia } = require('../config/timezone');
+const logger = require('../config/logger');
 
 const router = express.Router();
 
@@ -280,7 +283,14 @@ router.post('/', [auth, adminOnly, ...validateStudent.create], async (req, res)
       const competenciaInicial = req.body.competencia_inicial || new Date().toISOString().slice(0, 7);
       const quantidadeMeses = req.body.quantidade_meses || 12;
       
-      await Monthly.criarMensalidadesLote([student._id], competenciaInicial, quantidadeMeses);
+      const [ano, mes] = competenciaInicial.split('-').map(Number);
+
+      for (let i = 0; i < quantidadeMeses; i++) {
+        const data = new Date(ano, mes - 1 + i, 1);
+        const competencia = `${data.getFullYear()}-${String(data.getMonth() + 1).padStart(2, '0')}`;
+
+        await Monthly.criarMensalidadesLote(competencia, { _id: student._id });
+      }
     }
     
     res.status(201).json({
@@ -321,16 +331,14 @@ router.put('/:id', [auth, adminOnly, ...validateParams.mongoId, ...validateStude
       }
     }
     
-    const updatedStudent = await Student.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Salvar pelo documento para que os hooks recalculem os campos derivados (telefone de notificação, faixa-preta)
+    student.set(req.body);
+    await student.save();
     
     res.json({
       success: true,
       message: 'Aluno atualizado com sucesso',
-      data: updatedStudent
+      data: student
     });
   } catch (error) {
     res.status(500).json({
@@ -375,6 +383,12 @@ router.put('/:id/status', [auth, adminOnly, ...validateParams.mongoId], async (r
     
     await student.save();
     
+    // Fora de ativo as reservas recorrentes ficam pausadas: os agendamentos futuros
+    // já criados por elas são cancelados sem penalidade para não virarem no-show
+    if (statusAnterior === 'ativo' && status !== 'ativo') {
+      await Booking.cancelarAgendamentosRecorrentes(student._id, `aluno ${status}`);
+    }
+    
     res.json({
       success: true,
       message: 'Status do aluno atualizado com sucesso',
@@ -428,6 +442,46 @@ router.put('/:id/checkin-block', [auth, adminOnly, ...validateParams.mongoId], a
   }
 });
 
+// @route   DELETE /api/students/:id/booking-suspension
+// @desc    Encerrar a suspensão de agendamentos por no-show
+// @access  Private (Admin only)
+router.delete('/:id/booking-suspension', [auth, adminOnly, ...validateParams.mongoId], async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aluno não encontrado'
+      });
+    }
+    
+    if (!student.agendamentoSuspenso()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Agendamentos do aluno não estão suspensos'
+      });
+    }
+    
+    await student.liberarAgendamento();
+    
+    logger.audit('suspensao_agendamento_encerrada', {
+      userId: req.user._id,
+      studentId: student._id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Suspensão de agendamentos encerrada com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/students/:id/attendance
 // @desc    Histórico de presenças do aluno
 // @access  Private (Admin/Instructor/Own)
@@ -484,18 +538,41 @@ router.get('/:id/attendance/stats', [auth, canAccessStudent, ...validateParams.m
       });
     }
     
-    const stats = await Attendance.relatorioAssiduidade(
-      req.params.id,
-      parseInt(periodo)
-    );
+    const dataInicio = new Date(Date.now() - parseInt(periodo) * 24 * 60 * 60 * 1000);
     
-    const assiduidade = await student.calcularAssiduidade(parseInt(periodo));
+    const [stats] = await Attendance.relatorioAssiduidade({
+      aluno_id: req.params.id,
+      data_inicio: dataInicio
+    });
+    
+    // Tempo de tatame: total geral, no período e por mês nos últimos 12 meses
+    const inicioMeses = naAcademia().startOf('month').subtract(11, 'months').toDate();
+    const [tatameTotal, tatamePeriodo, tatameMeses] = await Promise.all([
+      Attendance.tempoDeTatame(req.params.id),
+      Attendance.tempoDeTatame(req.params.id, dataInicio),
+      Attendance.tempoDeTatame(req.params.id, inicioMeses)
+    ]);
+    
+    const assiduidade = student.calcularAssiduidade();
     
     res.json({
       success: true,
       data: {
-        ...stats,
-        percentual_assiduidade: assiduidade
+        periodo_dias: parseInt(periodo),
+        total_aulas: stats ? stats.total_aulas : 0,
+        presencas: stats ? stats.presencas : 0,
+        faltas: stats ? stats.faltas : 0,
+        atrasos: stats ? stats.atrasos : 0,
+        percentual_presenca: stats ? stats.percentual_presenca : 0,
+        percentual_assiduidade: assiduidade,
+        tempo_tatame: {
+          total_minutos: tatameTotal.minutos,
+          total_horas: tatameTotal.horas,
+          periodo_minutos: tatamePeriodo.minutos,
+          periodo_horas: tatamePeriodo.horas,
+          media_minutos_por_aula: tatameTotal.media_minutos,
+          por_mes: tatameMeses.por_mes
+        }
       }
     });
   } catch (error) {
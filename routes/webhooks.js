@@ -1,9 +1,13 @@
 const express = require('express');
 const { MercadoPagoConfig, Payment: MPPayment } = require('mercadopago');
-const Payment = require('../models/Payment');
+const mongoose = require('mongoose');
+const twilio = require('twilio');
+const Monthly = require('../models/Monthly');
 const Student = require('../models/Student');
+const MessageLog = require('../models/MessageLog');
+const Notification = require('../models/Notification');
+const { normalizePhone } = require('../config/sms');
 const logger = require('../config/logger');
-const moment = require('moment-timezone');
 
 const router = express.Router();
 
@@ -13,13 +17,24 @@ const client = new MercadoPagoConfig({
 });
 const mpPayment = new MPPayment(client);
 
+/**
+ * Extrair o ID da mensalidade do external_reference
+ * Formato gerado pela mensalidade: aluno_id:mensalidade_id:competencia
+ */
+const extractMonthlyId = (externalReference) => {
+  const partes = String(externalReference).split(':');
+  return partes.length > 1 ? partes[1] : partes[0];
+};
+
 /**
  * Webhook do Mercado Pago
  * Processa notificações de pagamento
  */
-router.post('/mercadopago', async (req, res) => {
+router.post(['/mercadopago', '/mercado-pago'], async (req, res) => {
   try {
-    const { type, data } = req.body;
+    // O corpo chega como Buffer (express.raw) para permitir validar a assinatura
+    const body = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString() || '{}') : req.body;
+    const { type, data } = body;
     
     logger.info('Webhook Mercado Pago recebido:', { type, data });
     
@@ -45,17 +60,14 @@ router.post('/mercadopago', async (req, res) => {
         return res.status(400).json({ error: 'External reference missing' });
       }
       
+      const monthlyId = extractMonthlyId(externalReference);
+      
       // Buscar mensalidade no banco
-      const payment = await Payment.findById(externalReference)
-        .populate({
-          path: 'student',
-          populate: {
-            path: 'user',
-            select: 'name email'
-          }
-        });
+      const mensalidade = mongoose.isValidObjectId(monthlyId)
+        ? await Monthly.findById(monthlyId)
+        : null;
       
-      if (!payment) {
+      if (!mensalidade) {
         logger.error('Mensalidade não encontrada:', externalReference);
         return res.status(404).json({ error: 'Payment not found in database' });
       }
@@ -63,23 +75,24 @@ router.post('/mercadopago', async (req, res) => {
       // Processar status do pagamento
       switch (paymentData.status) {
         case 'approved':
-          await processApprovedPayment(payment, paymentData);
+          await processApprovedPayment(mensalidade, paymentData);
           break;
           
         case 'rejected':
-          await processRejectedPayment(payment, paymentData);
+          await processRejectedPayment(mensalidade, paymentData);
           break;
           
         case 'cancelled':
-          await processCancelledPayment(payment, paymentData);
+          await processCancelledPayment(mensalidade, paymentData);
           break;
           
         case 'refunded':
-          await processRefundedPayment(payment, paymentData);
+          await processRefundedPayment(mensalidade, paymentData);
           break;
           
         case 'pending':
-          await processPendingPayment(payment, paymentData);
+        case 'in_process':
+          await processPendingPayment(mensalidade, paymentData);
           break;
           
         default:
@@ -95,54 +108,52 @@ router.post('/mercadopago', async (req, res) => {
   }
 });
 
+/**
+ * Registrar na mensalidade o status atual do pagamento no Mercado Pago
+ */
+const updateMPData = (mensalidade, mpPaymentData) => {
+  mensalidade.mercado_pago = {
+    ...(mensalidade.mercado_pago ? mensalidade.mercado_pago.toObject() : {}),
+    payment_id: String(mpPaymentData.id),
+    status: mpPaymentData.status,
+    status_detail: mpPaymentData.status_detail,
+    last_modified: new Date()
+  };
+};
+
 /**
  * Processar pagamento aprovado
  */
-const processApprovedPayment = async (payment, mpPaymentData) => {
+const processApprovedPayment = async (mensalidade, mpPaymentData) => {
   try {
-    logger.info(`Processando pagamento aprovado: ${payment._id}`);
+    logger.info(`Processando pagamento aprovado: ${mensalidade._id}`);
     
-    // Atualizar status da mensalidade
-    const updatedPayment = await Payment.findByIdAndUpdate(
-      payment._id,
-      {
-        status: 'paid',
-        paidAt: new Date(mpPaymentData.date_approved),
-        paidAmount: mpPaymentData.transaction_amount,
-        paymentMethod: mpPaymentData.payment_method_id,
-        mpPaymentId: mpPaymentData.id,
-        mpStatus: mpPaymentData.status,
-        mpStatusDetail: mpPaymentData.status_detail,
-        transactionData: {
-          installments: mpPaymentData.installments,
-          payerEmail: mpPaymentData.payer?.email,
-          payerName: mpPaymentData.payer?.first_name + ' ' + mpPaymentData.payer?.last_name,
-          cardLastFourDigits: mpPaymentData.card?.last_four_digits,
-          authorizationCode: mpPaymentData.authorization_code
-        }
-      },
-      { new: true }
-    );
-    
-    // Desbloquear aluno se estava bloqueado por atraso
-    if (payment.student.isBlocked && payment.student.blockReason?.includes('atraso')) {
-      await Student.findByIdAndUpdate(
-        payment.student._id,
-        {
-          isBlocked: false,
-          blockReason: null,
-          blockedAt: null,
-          unblockedAt: new Date()
-        }
-      );
-      
-      logger.info(`Aluno ${payment.student._id} desbloqueado após pagamento`);
+    if (mensalidade.status === 'pago') {
+      logger.info(`Mensalidade ${mensalidade._id} já estava paga`);
+      return;
     }
     
-    logger.info(`Pagamento ${payment._id} confirmado com sucesso`);
+    // Marca a mensalidade como paga; o modelo libera o bloqueio por atraso
+    await mensalidade.processarPagamentoMP({
+      payment_id: String(mpPaymentData.id),
+      status: mpPaymentData.status,
+      status_detail: mpPaymentData.status_detail,
+      payment_method_id: mpPaymentData.payment_method_id,
+      payment_type_id: mpPaymentData.payment_type_id,
+      transaction_amount: mpPaymentData.transaction_amount,
+      net_received_amount: mpPaymentData.transaction_details?.net_received_amount,
+      fee_details: mpPaymentData.fee_details,
+      date_approved: mpPaymentData.date_approved,
+      date_created: mpPaymentData.date_created,
+      last_modified: mpPaymentData.date_last_updated
+    });
+    
+    logger.info(`Pagamento ${mensalidade._id} confirmado com sucesso`);
     
-    // TODO: Enviar confirmação por email/SMS
-    // await sendPaymentConfirmation(updatedPayment);
+    await Notification.enfileirar('confirmacao_pagamento', {
+      aluno_id: mensalidade.aluno_id,
+      referencia: { modelo: 'Monthly', id: mensalidade._id }
+    });
     
   } catch (error) {
     logger.error('Erro ao processar pagamento aprovado:', error);
@@ -152,25 +163,17 @@ const processApprovedPayment = async (payment, mpPaymentData) => {
 /**
  * Processar pagamento rejeitado
  */
-const processRejectedPayment = async (payment, mpPaymentData) => {
+const processRejectedPayment = async (mensalidade, mpPaymentData) => {
   try {
-    logger.info(`Processando pagamento rejeitado: ${payment._id}`);
+    logger.info(`Processando pagamento rejeitado: ${mensalidade._id}`);
     
-    await Payment.findByIdAndUpdate(
-      payment._id,
-      {
-        mpPaymentId: mpPaymentData.id,
-        mpStatus: mpPaymentData.status,
-        mpStatusDetail: mpPaymentData.status_detail,
-        rejectedAt: new Date(),
-        rejectionReason: mpPaymentData.status_detail
-      }
-    );
+    updateMPData(mensalidade, mpPaymentData);
+    await mensalidade.save();
     
-    logger.info(`Pagamento ${payment._id} rejeitado: ${mpPaymentData.status_detail}`);
+    logger.info(`Pagamento ${mensalidade._id} rejeitado: ${mpPaymentData.status_detail}`);
     
     // TODO: Notificar aluno sobre rejeição
-    // await sendPaymentRejectionNotification(payment, mpPaymentData.status_detail);
+    // await sendPaymentRejectionNotification(mensalidade, mpPaymentData.status_detail);
     
   } catch (error) {
     logger.error('Erro ao processar pagamento rejeitado:', error);
@@ -180,21 +183,14 @@ const processRejectedPayment = async (payment, mpPaymentData) => {
 /**
  * Processar pagamento cancelado
  */
-const processCancelledPayment = async (payment, mpPaymentData) => {
+const processCancelledPayment = async (mensalidade, mpPaymentData) => {
   try {
-    logger.info(`Processando pagamento cancelado: ${payment._id}`);
+    logger.info(`Processando pagamento cancelado: ${mensalidade._id}`);
     
-    await Payment.findByIdAndUpdate(
-      payment._id,
-      {
-        mpPaymentId: mpPaymentData.id,
-        mpStatus: mpPaymentData.status,
-        mpStatusDetail: mpPaymentData.status_detail,
-        cancelledAt: new Date()
-      }
-    );
+    updateMPData(mensalidade, mpPaymentData);
+    await mensalidade.save();
     
-    logger.info(`Pagamento ${payment._id} cancelado`);
+    logger.info(`Pagamento ${mensalidade._id} cancelado`);
     
   } catch (error) {
     logger.error('Erro ao processar pagamento cancelado:', error);
@@ -204,26 +200,29 @@ const processCancelledPayment = async (payment, mpPaymentData) => {
 /**
  * Processar estorno
  */
-const processRefundedPayment = async (payment, mpPaymentData) => {
+const processRefundedPayment = async (mensalidade, mpPaymentData) => {
   try {
-    logger.info(`Processando estorno: ${payment._id}`);
+    logger.info(`Processando estorno: ${mensalidade._id}`);
     
-    await Payment.findByIdAndUpdate(
-      payment._id,
-      {
-        status: 'refunded',
-        mpPaymentId: mpPaymentData.id,
-        mpStatus: mpPaymentData.status,
-        mpStatusDetail: mpPaymentData.status_detail,
-        refundedAt: new Date(),
-        refundedAmount: mpPaymentData.refunded_amount || mpPaymentData.transaction_amount
-      }
-    );
+    updateMPData(mensalidade, mpPaymentData);
+    
+    // Mensalidade estornada volta a ficar pendente
+    if (mensalidade.status === 'pago') {
+      mensalidade.status = 'em_aberto';
+      mensalidade.valor_pago = 0;
+      mensalidade.data_pagamento = null;
+      mensalidade.historico_status.push({
+        status: 'em_aberto',
+        observacao: `Pagamento estornado via Mercado Pago - ID: ${mpPaymentData.id}`
+      });
+    }
     
-    logger.info(`Pagamento ${payment._id} estornado`);
+    await mensalidade.save();
+    
+    logger.info(`Pagamento ${mensalidade._id} estornado`);
     
     // TODO: Notificar sobre estorno
-    // await sendRefundNotification(payment);
+    // await sendRefundNotification(mensalidade);
     
   } catch (error) {
     logger.error('Erro ao processar estorno:', error);
@@ -233,27 +232,122 @@ const processRefundedPayment = async (payment, mpPaymentData) => {
 /**
  * Processar pagamento pendente
  */
-const processPendingPayment = async (payment, mpPaymentData) => {
+const processPendingPayment = async (mensalidade, mpPaymentData) => {
   try {
-    logger.info(`Processando pagamento pendente: ${payment._id}`);
+    logger.info(`Processando pagamento pendente: ${mensalidade._id}`);
     
-    await Payment.findByIdAndUpdate(
-      payment._id,
-      {
-        mpPaymentId: mpPaymentData.id,
-        mpStatus: mpPaymentData.status,
-        mpStatusDetail: mpPaymentData.status_detail,
-        pendingReason: mpPaymentData.status_detail
-      }
-    );
+    updateMPData(mensalidade, mpPaymentData);
+    await mensalidade.save();
     
-    logger.info(`Pagamento ${payment._id} pendente: ${mpPaymentData.status_detail}`);
+    logger.info(`Pagamento ${mensalidade._id} pendente: ${mpPaymentData.status_detail}`);
     
   } catch (error) {
     logger.error('Erro ao processar pagamento pendente:', error);
   }
 };
 
+// Palavras-chave de descadastro e retorno das mensagens
+const PALAVRAS_OPTOUT = ['SAIR', 'PARAR', 'CANCELAR', 'STOP'];
+const PALAVRAS_OPTIN = ['VOLTAR', 'INICIAR', 'START'];
+
+/**
+ * Validar a assinatura das requisições da Twilio
+ * Ignorada quando o provedor não é a Twilio (ex.: provedor falso em testes)
+ */
+const validateTwilioWebhook = (req, res, next) => {
+  const token = process.env.SMS_AUTH_TOKEN;
+  const provider = process.env.SMS_PROVIDER ||
+    (process.env.NODE_ENV === 'test' ? 'fake' : 'twilio');
+
+  if (provider !== 'twilio' || !token) return next();
+
+  const baseUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  const valido = twilio.validateRequest(
+    token,
+    req.get('X-Twilio-Signature') || '',
+    `${baseUrl}${req.originalUrl}`,
+    req.body || {}
+  );
+
+  if (!valido) {
+    logger.security('Assinatura inválida no webhook da Twilio', 'medium', { ip: req.ip });
+    return res.status(403).json({ error: 'Invalid signature' });
+  }
+
+  next();
+};
+
+/**
+ * Webhook de mensagens recebidas da Twilio (SMS e WhatsApp)
+ * Registra opt-out (SAIR) e retorno (VOLTAR) dos alunos com o telefone de origem
+ */
+router.post('/twilio', validateTwilioWebhook, async (req, res) => {
+  try {
+    const origem = String(req.body.From || '');
+    const canal = origem.startsWith('whatsapp:') ? 'whatsapp' : 'sms';
+    const telefone = normalizePhone(origem.replace('whatsapp:', ''));
+    const comando = String(req.body.Body || '').trim().toUpperCase();
+
+    const optout = PALAVRAS_OPTOUT.includes(comando);
+    const optin = PALAVRAS_OPTIN.includes(comando);
+
+    logger.info('Mensagem recebida da Twilio:', { canal, telefone, comando });
+
+    let resposta = null;
+
+    if (telefone && (optout || optin)) {
+      const encontrados = await Student.find({ telefone_notificacao: telefone });
+
+      for (const aluno of encontrados) {
+        await aluno.alterarOptout(canal, optout);
+      }
+
+      logger.audit(optout ? 'Opt-out de mensagens' : 'Retorno às mensagens', {
+        canal,
+        telefone,
+        alunos: encontrados.map(aluno => aluno._id)
+      });
+
+      resposta = optout
+        ? 'Você não receberá mais mensagens. Responda VOLTAR para voltar a receber.'
+        : 'Você voltou a receber nossas mensagens.';
+    }
+
+    const twiml = new twilio.twiml.MessagingResponse();
+    if (resposta) twiml.message(resposta);
+
+    res.type('text/xml').status(200).send(twiml.toString());
+
+  } catch (error) {
+    logger.error('Erro no webhook da Twilio:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Webhook de status de entrega da Twilio
+ * Atualiza o registro da mensagem no MessageLog
+ */
+router.post('/twilio/status', validateTwilioWebhook, async (req, res) => {
+  try {
+    const { MessageSid, MessageStatus, ErrorCode } = req.body;
+
+    if (MessageSid && MessageStatus) {
+      await MessageLog.atualizarStatusProvedor(
+        MessageSid,
+        MessageStatus,
+        ErrorCode ? `Erro Twilio ${ErrorCode}` : null
+      );
+    }
+
+    res.status(200).json({ success: true });
+
+  } catch (error) {
+    logger.error('Erro no webhook de status da Twilio:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * Webhook genérico para outros eventos
  */
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { connectDB, disconnectDB } = require('../config/database');
+const logger = require('../config/logger');
+
+// Diretório com os arquivos de migração (executados em ordem alfabética)
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Coleção que registra as migrações já aplicadas
+const COLLECTION = 'migrations';
+
+/**
+ * Listar migrações disponíveis no diretório
+ */
+const listarMigracoes = () => {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(arquivo => arquivo.endsWith('.js'))
+    .sort()
+    .map(arquivo => ({
+      nome: path.basename(arquivo, '.js'),
+      ...require(path.join(MIGRATIONS_DIR, arquivo))
+    }));
+};
+
+/**
+ * Executar migrações pendentes
+ * @param {Object} options - { listar: apenas exibe o status das migrações }
+ */
+const runMigrations = async (options = {}) => {
+  const colecao = mongoose.connection.collection(COLLECTION);
+  const aplicadas = new Set(
+    (await colecao.find({}, { projection: { nome: 1 } }).toArray()).map(m => m.nome)
+  );
+
+  const migracoes = listarMigracoes();
+  const resultados = [];
+
+  for (const migracao of migracoes) {
+    if (aplicadas.has(migracao.nome)) {
+      resultados.push({ nome: migracao.nome, status: 'aplicada' });
+      continue;
+    }
+
+    if (options.listar) {
+      resultados.push({ nome: migracao.nome, status: 'pendente' });
+      continue;
+    }
+
+    logger.info(`Executando migração ${migracao.nome}`, { descricao: migracao.descricao });
+
+    const inicio = Date.now();
+    const resultado = await migracao.up();
+
+    await colecao.insertOne({
+      nome: migracao.nome,
+      descricao: migracao.descricao,
+      resultado,
+      aplicada_em: new Date(),
+      duracao_ms: Date.now() - inicio
+    });
+
+    logger.info(`Migração ${migracao.nome} aplicada`, { resultado });
+    resultados.push({ nome: migracao.nome, status: 'executada', resultado });
+  }
+
+  return resultados;
+};
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {
+    listar: args.includes('--list')
+  };
+
+  connectDB()
+    .then(() => runMigrations(options))
+    .then(async (resultados) => {
+      resultados.forEach(({ nome, status }) => console.log(`${status.padEnd(10)} ${nome}`));
+      console.log('✅ Migrações concluídas!');
+      await disconnectDB();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Erro na migração:', error.message);
+      await disconnectDB();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runMigrations,
+  listarMigracoes
+};
@@ -0,0 +1,84 @@
+const Graduation = require('../../models/Graduation');
+const Counter = require('../../models/Counter');
+const logger = require('../../config/logger');
+
+// Formato dos números de certificado: SJJ-AAAAMM-NNNN
+const PADRAO_NUMERO = /^SJJ-(\d{6})-(\d+)$/;
+
+module.exports = {
+  descricao: 'Sincroniza os contadores de certificados, renumera duplicados e cria índice único',
+
+  up: async () => {
+    // 1. Posicionar os contadores mensais após o maior sequencial já emitido
+    const numeros = await Graduation.find(
+      { 'certificado.numero': { $type: 'string' } },
+      { 'certificado.numero': 1 }
+    ).lean();
+
+    const maximos = {};
+    numeros.forEach(({ certificado }) => {
+      const match = PADRAO_NUMERO.exec(certificado.numero);
+      if (!match) return;
+
+      const [, competencia, sequencial] = match;
+      maximos[competencia] = Math.max(maximos[competencia] || 0, Number(sequencial));
+    });
+
+    for (const [competencia, maximo] of Object.entries(maximos)) {
+      await Counter.garantirMinimo(`certificado-${competencia}`, maximo);
+    }
+
+    // 2. Renumerar duplicados, preservando o certificado mais antigo de cada número
+    const duplicados = await Graduation.aggregate([
+      { $match: { 'certificado.numero': { $type: 'string' } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: '$certificado.numero',
+          graduacoes: { $push: '$_id' },
+          total: { $sum: 1 }
+        }
+      },
+      { $match: { total: { $gt: 1 } } }
+    ]);
+
+    let renumerados = 0;
+
+    for (const grupo of duplicados) {
+      const [, ...repetidos] = grupo.graduacoes;
+
+      for (const id of repetidos) {
+        const graduacao = await Graduation.findById(id);
+        const numeroAnterior = graduacao.certificado.numero;
+        const novoNumero = await graduacao.gerarNumeroCertificado();
+
+        // Atualização direta para não disparar os hooks de save; o PDF
+        // antigo pertence ao certificado preservado e será regerado no download
+        await Graduation.updateOne(
+          { _id: id },
+          {
+            $set: { 'certificado.numero': novoNumero },
+            $unset: { 'certificado.arquivo': '' }
+          }
+        );
+
+        logger.info('Certificado renumerado', {
+          graduacao: id.toString(),
+          numero_anterior: numeroAnterior,
+          numero_novo: novoNumero
+        });
+
+        renumerados++;
+      }
+    }
+
+    // 3. Criar o índice único agora que não há mais colisões
+    await Graduation.createIndexes();
+
+    return {
+      competencias: Object.keys(maximos).length,
+      numeros_duplicados: duplicados.length,
+      certificados_renumerados: renumerados
+    };
+  }
+};
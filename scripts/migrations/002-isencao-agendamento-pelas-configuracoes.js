@@ -0,0 +1,35 @@
+const Student = require('../../models/Student');
+const logger = require('../../config/logger');
+
+module.exports = {
+  descricao: 'Remove a isenção de agendamento gravada nas faixas-pretas (passa a vir de exemptBelts); ' +
+    'isenções individuais dadas a faixas-pretas também são removidas e os alunos afetados ficam listados no resultado',
+
+  up: async () => {
+    // Até aqui o save do aluno marcava a isenção para toda faixa-preta; agora a
+    // isenção por faixa vem das configurações e o campo fica só para exceções
+    // individuais. Não há como distinguir a marcação automática de uma isenção
+    // dada de propósito, então os alunos afetados são registrados para revisão.
+    const alunos = await Student.find(
+      { faixa_atual: 'preta', 'configuracoes.isento_agendamento': true },
+      'nome'
+    );
+
+    // Atualização direta para não disparar os hooks de save
+    const resultado = await Student.updateMany(
+      { _id: { $in: alunos.map(aluno => aluno._id) } },
+      { $set: { 'configuracoes.isento_agendamento': false } }
+    );
+
+    if (alunos.length > 0) {
+      logger.warn('Isenção de agendamento removida de faixas-pretas: revise as isenções individuais', {
+        alunos: alunos.map(aluno => aluno.nome)
+      });
+    }
+
+    return {
+      alunos_atualizados: resultado.modifiedCount,
+      alunos: alunos.map(aluno => ({ id: aluno._id, nome: aluno.nome }))
+    };
+  }
+};
@@ -0,0 +1,72 @@
+const Student = require('../../models/Student');
+const Class = require('../../models/Class');
+const Graduation = require('../../models/Graduation');
+const Settings = require('../../models/Settings');
+const { FAIXAS, NOMES_FAIXAS, faixaPretaOuSuperior } = require('../../config/belts');
+
+// Faixas aceitas antes da escada de faixas (lista completa de faixas_permitidas)
+const FAIXAS_ANTIGAS = ['branca', 'cinza', 'amarela', 'laranja', 'verde', 'azul', 'roxa', 'marrom', 'preta'];
+
+module.exports = {
+  descricao: 'Adapta alunos, graduações, turmas e configurações à escada de faixas (infantis combinadas, coral e vermelha)',
+
+  up: async () => {
+    // Atualizações diretas para não disparar os hooks de save
+    const resultado = {
+      alunos_promovidos: 0,
+      graduacoes_promovidas: 0,
+      graus_ajustados: 0,
+      turmas_atualizadas: 0,
+      configuracoes_atualizadas: 0
+    };
+
+    // 1. Faixa preta com 7º grau ou mais passa para a coral/vermelha correspondente
+    const acimaDaPreta = FAIXAS.filter(item => faixaPretaOuSuperior(item.faixa) && item.faixa !== 'preta');
+
+    for (const definicao of acimaDaPreta) {
+      const graus = { $gte: definicao.grauInicial, $lte: definicao.grauMaximo };
+
+      const alunos = await Student.updateMany(
+        { faixa_atual: 'preta', graus },
+        { $set: { faixa_atual: definicao.faixa, is_preta: true } }
+      );
+      resultado.alunos_promovidos += alunos.modifiedCount;
+
+      const graduacoes = await Graduation.updateMany(
+        { faixa: 'preta', grau: graus },
+        { $set: { faixa: definicao.faixa } }
+      );
+      resultado.graduacoes_promovidas += graduacoes.modifiedCount;
+    }
+
+    // 2. Limitar os graus ao máximo de cada faixa
+    for (const definicao of FAIXAS) {
+      const ajustados = await Student.updateMany(
+        { faixa_atual: definicao.faixa, graus: { $gt: definicao.grauMaximo } },
+        { $set: { graus: definicao.grauMaximo } }
+      );
+      resultado.graus_ajustados += ajustados.modifiedCount;
+    }
+
+    // 3. Turmas abertas a todas as faixas passam a aceitar as novas
+    const turmas = await Class.updateMany(
+      { faixas_permitidas: { $all: FAIXAS_ANTIGAS } },
+      { $set: { faixas_permitidas: NOMES_FAIXAS } }
+    );
+    resultado.turmas_atualizadas = turmas.modifiedCount;
+
+    // 4. Faixas isentas: remover nomes desconhecidos e incluir a vermelha e branca
+    const removidas = await Settings.updateMany(
+      { exemptBelts: { $elemMatch: { $nin: NOMES_FAIXAS } } },
+      { $pull: { exemptBelts: { $nin: NOMES_FAIXAS } } }
+    );
+
+    const incluidas = await Settings.updateMany(
+      { $and: [{ exemptBelts: 'vermelha' }, { exemptBelts: { $ne: 'vermelha-branca' } }] },
+      { $addToSet: { exemptBelts: 'vermelha-branca' } }
+    );
+    resultado.configuracoes_atualizadas = removidas.modifiedCount + incluidas.modifiedCount;
+
+    return resultado;
+  }
+};
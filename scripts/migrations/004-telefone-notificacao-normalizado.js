@@ -0,0 +1,36 @@
+const Student = require('../../models/Student');
+const { normalizePhone } = require('../../config/sms');
+
+module.exports = {
+  descricao: 'Preenche o telefone de notificação normalizado dos alunos usado no opt-out por SMS/WhatsApp',
+
+  up: async () => {
+    const alunos = await Student.find(
+      {
+        $or: [
+          { 'contato.telefone': { $ne: null } },
+          { 'contato.whatsapp': { $ne: null } },
+          { 'responsavel_financeiro.telefone': { $ne: null } }
+        ]
+      },
+      'grupo contato responsavel_financeiro telefone_notificacao'
+    );
+
+    // Atualização direta para não disparar os hooks de save
+    const atualizacoes = alunos
+      .map(aluno => ({ aluno, telefone: normalizePhone(aluno.telefoneNotificacao()) }))
+      .filter(({ aluno, telefone }) => telefone !== aluno.telefone_notificacao)
+      .map(({ aluno, telefone }) => ({
+        updateOne: {
+          filter: { _id: aluno._id },
+          update: { $set: { telefone_notificacao: telefone } }
+        }
+      }));
+
+    if (atualizacoes.length > 0) {
+      await Student.bulkWrite(atualizacoes);
+    }
+
+    return { alunos_atualizados: atualizacoes.length };
+  }
+};
@@ -3,12 +3,19 @@ const fs = require('fs');
 const path = require('path');
 const { connectDB, disconnectDB } = require('./config/database');
 const logger = require('./config/logger');
+const { getTimezone } = require('./config/timezone');
+const Settings = require('./models/Settings');
 const {
   generateMonthlyPayments,
-  calculatePenalties,
+  calculateLateFees,
   sendPaymentReminders,
   initializeJobs
 } = require('./jobs/monthlyPaymentJob');
+const { initializeNotificationJobs } = require('./jobs/notificationJob');
+const { initializeLessonReminderJobs } = require('./jobs/lessonReminderJob');
+const { initializeLessonGenerationJobs } = require('./jobs/lessonGenerationJob');
+const { initializeWaitlistOfferJobs } = require('./jobs/waitlistOfferJob');
+const { initializeOrderExpirationJobs } = require('./jobs/orderExpirationJob');
 
 // Criar diretórios necessários se não existirem
 const createDirectories = () => {
@@ -43,9 +50,18 @@ async function startServer() {
     await connectDB();
     logger.info('✅ Banco de dados conectado com sucesso');
 
+    // Carregar o timezone da academia antes de agendar os jobs
+    await Settings.getSettings();
+    logger.info(`🕒 Timezone da academia: ${getTimezone()}`);
+
     // Inicializar jobs agendados apenas em produção
     if (NODE_ENV === 'production') {
-      initializeJobs();
+      await initializeJobs();
+      initializeNotificationJobs();
+      initializeLessonReminderJobs();
+      initializeLessonGenerationJobs();
+      initializeWaitlistOfferJobs();
+      initializeOrderExpirationJobs();
       logger.info('✅ Jobs agendados inicializados');
     } else {
       logger.info('ℹ️  Jobs agendados desabilitados em desenvolvimento');
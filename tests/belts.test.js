@@ -0,0 +1,67 @@
+const Student = require('../models/Student');
+const Graduation = require('../models/Graduation');
+const {
+  NOMES_FAIXAS,
+  posicaoFaixa,
+  faixaPretaOuSuperior,
+  verificarIdadeFaixa
+} = require('../config/belts');
+
+describe('Escada de faixas', () => {
+  it('deve ordenar faixas infantis entre a branca e a azul', () => {
+    expect(NOMES_FAIXAS[0]).toBe('branca');
+    expect(posicaoFaixa('cinza-branca')).toBeLessThan(posicaoFaixa('verde-preta'));
+    expect(posicaoFaixa('verde-preta')).toBeLessThan(posicaoFaixa('azul'));
+    expect(NOMES_FAIXAS[NOMES_FAIXAS.length - 1]).toBe('vermelha');
+  });
+
+  it('deve aceitar as novas faixas nos models', () => {
+    const aluno = new Student({
+      nome: 'Pedro Lima',
+      data_nascimento: new Date('2016-03-10'),
+      grupo: 'kids',
+      faixa_atual: 'amarela-preta',
+      valor_mensalidade: 120
+    });
+
+    expect(aluno.validateSync()).toBeUndefined();
+  });
+
+  it('deve tratar coral e vermelha como faixa preta ou superior', () => {
+    expect(faixaPretaOuSuperior('marrom')).toBe(false);
+    expect(faixaPretaOuSuperior('preta')).toBe(true);
+    expect(faixaPretaOuSuperior('coral')).toBe(true);
+    expect(faixaPretaOuSuperior('vermelha')).toBe(true);
+  });
+
+  it('deve verificar a idade mínima e máxima da faixa', () => {
+    expect(verificarIdadeFaixa('azul', 15)).toMatch(/Idade mínima/);
+    expect(verificarIdadeFaixa('azul', 16)).toBeNull();
+    expect(verificarIdadeFaixa('amarela', 20)).toMatch(/até 15 anos/);
+    expect(verificarIdadeFaixa('branca', 5)).toBeNull();
+  });
+
+  describe('Próxima graduação', () => {
+    it('deve subir o grau até o máximo da faixa', () => {
+      expect(Graduation.calcularProximaFaixa('azul', 2)).toEqual({ faixa: 'azul', grau: 3, tipo: 'grau' });
+      expect(Graduation.calcularProximaFaixa('azul', 4)).toEqual({ faixa: 'roxa', grau: 0, tipo: 'promocao' });
+    });
+
+    it('deve seguir a trilha infantil do aluno kids', () => {
+      expect(Graduation.calcularProximaFaixa('branca', 4, 'kids')).toEqual({ faixa: 'cinza-branca', grau: 0, tipo: 'promocao' });
+      expect(Graduation.calcularProximaFaixa('verde-preta', 4, 'kids')).toBeNull();
+    });
+
+    it('deve levar o adulto com faixa infantil para a azul', () => {
+      expect(Graduation.calcularProximaFaixa('branca', 4, 'adulto')).toEqual({ faixa: 'azul', grau: 0, tipo: 'promocao' });
+      expect(Graduation.calcularProximaFaixa('verde', 4, 'adulto')).toEqual({ faixa: 'azul', grau: 0, tipo: 'promocao' });
+    });
+
+    it('deve continuar os graus da preta na coral e nas vermelhas', () => {
+      expect(Graduation.calcularProximaFaixa('preta', 6)).toEqual({ faixa: 'coral', grau: 7, tipo: 'promocao' });
+      expect(Graduation.calcularProximaFaixa('coral', 7)).toEqual({ faixa: 'vermelha-branca', grau: 8, tipo: 'promocao' });
+      expect(Graduation.calcularProximaFaixa('vermelha', 9)).toEqual({ faixa: 'vermelha', grau: 10, tipo: 'grau' });
+      expect(Graduation.calcularProximaFaixa('vermelha', 10)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Attendance = require('../models/Attendance');
+const Settings = require('../models/Settings');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+
+const MINUTO_MS = 60 * 1000;
+
+describe('Overbooking e isenção de agendamento', () => {
+  describe('Regras das configurações', () => {
+    it('deve limitar à capacidade sem overbooking', () => {
+      const settings = new Settings({ allowOverbooking: false, overbookingPercentage: 20 });
+
+      expect(settings.limiteAgendamentos(10)).toBe(10);
+    });
+
+    it('deve acrescentar o percentual de overbooking (arredondando para baixo)', () => {
+      const settings = new Settings({ allowOverbooking: true, overbookingPercentage: 15 });
+
+      expect(settings.limiteAgendamentos(10)).toBe(11);
+      expect(settings.limiteAgendamentos(20)).toBe(23);
+    });
+
+    it('deve isentar apenas as faixas configuradas', () => {
+      const settings = new Settings({ exemptBelts: ['marrom', 'preta'] });
+
+      expect(settings.faixaIsenta('preta')).toBe(true);
+      expect(settings.faixaIsenta('marrom')).toBe(true);
+      expect(settings.faixaIsenta('roxa')).toBe(false);
+    });
+
+    it('não deve isentar nenhuma faixa com blackBeltExemption desligado', () => {
+      const settings = new Settings({ blackBeltExemption: false });
+
+      expect(settings.faixaIsenta('preta')).toBe(false);
+    });
+
+    it('deve respeitar a isenção individual do aluno', () => {
+      const settings = new Settings({ blackBeltExemption: false });
+      const aluno = new Student({ faixa_atual: 'azul', configuracoes: { isento_agendamento: true } });
+
+      expect(aluno.isentoAgendamento(settings)).toBe(true);
+      expect(new Student({ faixa_atual: 'preta' }).isentoAgendamento(settings)).toBe(false);
+    });
+  });
+
+  describe('Agendamento e walk-in', () => {
+    let mongod;
+    let turma;
+    let aula;
+    let contador;
+
+    const criarAluno = (faixa = 'branca') => {
+      contador++;
+
+      return Student.create({
+        nome: `Aluno ${contador}`,
+        data_nascimento: new Date('1995-06-20'),
+        grupo: 'adulto',
+        faixa_atual: faixa,
+        valor_mensalidade: 150
+      });
+    };
+
+    // Ocupar as vagas da aula com alunos faixa branca
+    const lotarAula = async (vagas) => {
+      for (let i = 0; i < vagas; i++) {
+        const aluno = await criarAluno();
+        await Booking.criarAgendamento(aula._id, aluno._id);
+      }
+    };
+
+    beforeAll(async () => {
+      mongod = await MongoMemoryServer.create();
+      await mongoose.connect(mongod.getUri());
+    });
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongod) await mongod.stop();
+    });
+
+    beforeEach(async () => {
+      await Promise.all([
+        User.deleteMany({}),
+        Student.deleteMany({}),
+        Class.deleteMany({}),
+        Lesson.deleteMany({}),
+        Booking.deleteMany({}),
+        Attendance.deleteMany({}),
+        Settings.deleteMany({})
+      ]);
+
+      contador = 0;
+
+      const instrutor = await User.create({
+        nome: 'Professor Silva',
+        email: 'silva@example.com',
+        telefone: '11977776666',
+        senha: 'Senha123',
+        perfil: 'instrutor'
+      });
+
+      turma = await Class.create({
+        nome: 'Adulto Noite',
+        grupo: 'adulto',
+        dias_semana: ['segunda'],
+        hora_inicio: '19:00',
+        hora_fim: '20:00',
+        capacidade: 2,
+        instrutor_id: instrutor._id
+      });
+
+      // Aula começando em 30 minutos: dentro da janela de check-in
+      const inicio = new Date(Date.now() + 30 * MINUTO_MS);
+      aula = await Lesson.create({
+        turma_id: turma._id,
+        data: inicio,
+        hora_inicio: inicio,
+        hora_fim: new Date(inicio.getTime() + 60 * MINUTO_MS)
+      });
+    });
+
+    it('deve mandar para a lista de espera com a aula lotada e sem overbooking', async () => {
+      await lotarAula(2);
+
+      const aluno = await criarAluno();
+      const agendamento = await Booking.criarAgendamento(aula._id, aluno._id);
+
+      expect(agendamento.status).toBe('espera');
+    });
+
+    it('deve confirmar acima da capacidade até o limite de overbooking', async () => {
+      await Settings.updateSettings({ allowOverbooking: true, overbookingPercentage: 50 });
+      await lotarAula(2);
+
+      const terceiro = await criarAluno();
+      expect((await Booking.criarAgendamento(aula._id, terceiro._id)).status).toBe('confirmado');
+
+      const quarto = await criarAluno();
+      expect((await Booking.criarAgendamento(aula._id, quarto._id)).status).toBe('espera');
+    });
+
+    it('deve confirmar faixa isenta mesmo com a aula lotada', async () => {
+      await lotarAula(2);
+
+      const preta = await criarAluno('preta');
+      const agendamento = await Booking.criarAgendamento(aula._id, preta._id);
+
+      expect(agendamento.status).toBe('confirmado');
+    });
+
+    it('deve tratar faixa preta como os demais com blackBeltExemption desligado', async () => {
+      await Settings.updateSettings({ blackBeltExemption: false });
+      await lotarAula(2);
+
+      const preta = await criarAluno('preta');
+      const agendamento = await Booking.criarAgendamento(aula._id, preta._id);
+
+      expect(agendamento.status).toBe('espera');
+    });
+
+    it('deve usar a lista de faixas isentas das configurações', async () => {
+      await Settings.updateSettings({ exemptBelts: ['marrom'] });
+      await lotarAula(2);
+
+      const marrom = await criarAluno('marrom');
+      expect((await Booking.criarAgendamento(aula._id, marrom._id)).status).toBe('confirmado');
+
+      const preta = await criarAluno('preta');
+      expect((await Booking.criarAgendamento(aula._id, preta._id)).status).toBe('espera');
+    });
+
+    it('deve registrar walk-in de faixa isenta sem agendamento', async () => {
+      const preta = await criarAluno('preta');
+
+      const agendamento = await Booking.checkinNaAula(aula._id, preta._id);
+
+      expect(agendamento.tipo_agendamento).toBe('walkin_preta');
+      expect(agendamento.status).toBe('presente');
+    });
+
+    it('deve recusar walk-in quando a faixa não está isenta', async () => {
+      await Settings.updateSettings({ blackBeltExemption: false });
+      const preta = await criarAluno('preta');
+
+      await expect(Booking.checkinNaAula(aula._id, preta._id))
+        .rejects.toThrow('Você não tem agendamento para esta aula');
+    });
+
+    it('deve permitir walk-in com isenção individual', async () => {
+      await Settings.updateSettings({ blackBeltExemption: false });
+      const aluno = await criarAluno('azul');
+      aluno.configuracoes.isento_agendamento = true;
+      await aluno.save();
+
+      const agendamento = await Booking.checkinNaAula(aula._id, aluno._id);
+
+      expect(agendamento.tipo_agendamento).toBe('walkin_preta');
+    });
+  });
+});
@@ -0,0 +1,357 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const Settings = require('../models/Settings');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+const MINUTO_MS = 60 * 1000;
+
+describe('Agendamentos → check-in → presença', () => {
+  let mongod;
+  let turma;
+  let aluno;
+  let tokenAluno;
+  let tokenInstrutor;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  // Criar aula que começa em "minutos" a partir de agora
+  const criarAula = (minutos, dados = {}) => {
+    const inicio = new Date(Date.now() + minutos * MINUTO_MS);
+
+    return Lesson.create({
+      turma_id: turma._id,
+      data: inicio,
+      hora_inicio: inicio,
+      hora_fim: new Date(inicio.getTime() + 60 * MINUTO_MS),
+      ...dados
+    });
+  };
+
+  // Criar aluno com usuário de acesso
+  const criarAluno = async (nome, email) => {
+    const usuario = await User.create({
+      nome,
+      email,
+      telefone: '11988887777',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+
+    const student = await Student.create({
+      usuario_id: usuario._id,
+      nome,
+      data_nascimento: new Date('1995-06-20'),
+      grupo: 'adulto',
+      valor_mensalidade: 150
+    });
+
+    return { usuario, student, token: gerarToken(usuario) };
+  };
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      Attendance.deleteMany({}),
+      Notification.deleteMany({}),
+      Settings.deleteMany({})
+    ]);
+
+    const instrutor = await User.create({
+      nome: 'Professor Silva',
+      email: 'silva@example.com',
+      telefone: '11977776666',
+      senha: 'Senha123',
+      perfil: 'instrutor'
+    });
+    tokenInstrutor = gerarToken(instrutor);
+
+    turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: instrutor._id
+    });
+
+    const criado = await criarAluno('Joana Prado', 'joana@example.com');
+    aluno = criado.student;
+    tokenAluno = criado.token;
+  });
+
+  it('deve agendar, fazer check-in e registrar a presença', async () => {
+    const aula = await criarAula(30);
+
+    const agendamento = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ aula_id: aula._id.toString() })
+      .expect(201);
+
+    expect(agendamento.body.data.status).toBe('confirmado');
+    expect(await Notification.countDocuments({ tipo: 'confirmacao_agendamento' })).toBe(1);
+
+    const bookingId = agendamento.body.data._id;
+
+    const checkin = await request(app)
+      .put(`/api/bookings/${bookingId}/checkin`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .expect(200);
+
+    expect(checkin.body.data.status).toBe('presente');
+    expect(checkin.body.data.presenca_id).toBeTruthy();
+
+    const presenca = await Attendance.findOne({ aula_id: aula._id, aluno_id: aluno._id });
+    expect(presenca.status).toBe('presente');
+    expect(presenca.modo).toBe('agendamento');
+
+    const atualizado = await Student.findById(aluno._id);
+    expect(atualizado.estatisticas.total_presencas).toBe(1);
+
+    const lista = await request(app)
+      .get(`/api/lessons/${aula._id}/attendance`)
+      .set('Authorization', `Bearer ${tokenInstrutor}`)
+      .expect(200);
+
+    expect(lista.body.data.presencas).toHaveLength(1);
+
+    // Segundo check-in é recusado
+    await request(app)
+      .put(`/api/bookings/${bookingId}/checkin`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .expect(400);
+
+    expect(await Attendance.countDocuments()).toBe(1);
+  });
+
+  it('não deve permitir check-in fora da janela da turma', async () => {
+    const aula = await criarAula(5 * 60);
+
+    const agendamento = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ aula_id: aula._id.toString() })
+      .expect(201);
+
+    const response = await request(app)
+      .put(`/api/bookings/${agendamento.body.data._id}/checkin`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .expect(400);
+
+    expect(response.body.message).toMatch(/Check-in não está liberado/);
+    expect(await Attendance.countDocuments()).toBe(0);
+  });
+
+  it('deve colocar na lista de espera e promover ao cancelar', async () => {
+    const aula = await criarAula(3 * 60, { capacidade_override: 1 });
+    const outro = await criarAluno('Rafael Lima', 'rafael@example.com');
+
+    const primeiro = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ aula_id: aula._id.toString() })
+      .expect(201);
+
+    const segundo = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${outro.token}`)
+      .send({ aula_id: aula._id.toString() })
+      .expect(201);
+
+    expect(segundo.body.data.status).toBe('espera');
+    expect(segundo.body.data.posicao_lista_espera).toBe(1);
+
+    await request(app)
+      .put(`/api/bookings/${primeiro.body.data._id}/cancel`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ motivo: 'Imprevisto' })
+      .expect(200);
+
+    // A vaga é oferecida com prazo e fica reservada até a resposta
+    const oferta = await request(app)
+      .get('/api/bookings/my?oferta_pendente=true')
+      .set('Authorization', `Bearer ${outro.token}`)
+      .expect(200);
+
+    expect(oferta.body.data.docs).toHaveLength(1);
+    expect(oferta.body.data.docs[0].oferta_pendente).toBe(true);
+    expect(await Notification.countDocuments({ tipo: 'promocao_lista_espera' })).toBe(1);
+
+    await request(app)
+      .put(`/api/bookings/${segundo.body.data._id}/accept-offer`)
+      .set('Authorization', `Bearer ${outro.token}`)
+      .expect(200);
+
+    const promovido = await Booking.findById(segundo.body.data._id);
+    expect(promovido.status).toBe('confirmado');
+    expect(promovido.oferta_vaga.status).toBe('aceita');
+  });
+
+  it('deve passar a vaga para o próximo quando a oferta expira', async () => {
+    const aula = await criarAula(5 * 60, { capacidade_override: 1 });
+    const segundo = await criarAluno('Rafael Lima', 'rafael@example.com');
+    const terceiro = await criarAluno('Bruna Costa', 'bruna@example.com');
+
+    const confirmado = await Booking.criarAgendamento(aula._id, aluno._id);
+    const espera1 = await Booking.criarAgendamento(aula._id, segundo.student._id);
+    const espera2 = await Booking.criarAgendamento(aula._id, terceiro.student._id);
+
+    await confirmado.cancelar('Imprevisto');
+
+    const ofertado = await Booking.findById(espera1._id);
+    expect(ofertado.oferta_vaga.status).toBe('pendente');
+
+    // Vaga reservada: um novo aluno entra na lista de espera
+    const novo = await criarAluno('Caio Souza', 'caio@example.com');
+    expect((await Booking.criarAgendamento(aula._id, novo.student._id)).status).toBe('espera');
+
+    const expiradas = await Booking.expirarOfertasVaga(new Date(ofertado.oferta_vaga.expira_em.getTime() + 1000));
+    expect(expiradas).toBe(1);
+
+    const expirado = await Booking.findById(espera1._id);
+    expect(expirado.status).toBe('cancelado');
+    expect(expirado.oferta_vaga.status).toBe('expirada');
+
+    const proximo = await Booking.findById(espera2._id);
+    expect(proximo.status).toBe('espera');
+    expect(proximo.oferta_vaga.status).toBe('pendente');
+  });
+
+  it('deve reaproveitar o agendamento cancelado sem a oferta e o no-show anteriores', async () => {
+    const aula = await criarAula(3 * 60, { capacidade_override: 1 });
+    const outro = await criarAluno('Rafael Lima', 'rafael@example.com');
+
+    const primeiro = await Booking.criarAgendamento(aula._id, aluno._id);
+    const espera = await Booking.criarAgendamento(aula._id, outro.student._id);
+
+    // Oferta recusada e falta de um cancelamento fora do prazo anterior
+    await primeiro.cancelar('Imprevisto');
+    await (await Booking.findById(espera._id)).recusarOferta();
+    await Booking.updateOne({ _id: espera._id }, {
+      data_no_show: new Date(),
+      multa_no_show: { valor: 30, descricao: 'No-show', data: new Date() }
+    });
+
+    const novo = await Booking.criarAgendamento(aula._id, outro.student._id);
+
+    expect(novo._id.toString()).toBe(espera._id.toString());
+    expect(novo.status).toBe('confirmado');
+
+    const salvo = await Booking.findById(espera._id);
+    expect(salvo.oferta_vaga.status).toBeNull();
+    expect(salvo.oferta_vaga.expira_em).toBeNull();
+    expect(salvo.oferta_vaga.data_resposta).toBeNull();
+    expect(salvo.data_no_show).toBeNull();
+    expect(salvo.toObject().multa_no_show).toBeUndefined();
+    expect(salvo.temOfertaPendente()).toBe(false);
+  });
+
+  it('deve confirmar direto quando a aula está próxima', async () => {
+    const aula = await criarAula(30, { capacidade_override: 1 });
+    const outro = await criarAluno('Rafael Lima', 'rafael@example.com');
+
+    const primeiro = await Booking.criarAgendamento(aula._id, aluno._id);
+    const segundo = await Booking.criarAgendamento(aula._id, outro.student._id);
+
+    await primeiro.cancelar('Imprevisto');
+
+    const promovido = await Booking.findById(segundo._id);
+    expect(promovido.status).toBe('confirmado');
+    expect(promovido.oferta_vaga.status).toBeNull();
+  });
+
+  it('deve registrar o cancelamento fora do prazo e ainda promover a lista de espera', async () => {
+    const aula = await criarAula(30, { capacidade_override: 1 });
+    const outro = await criarAluno('Rafael Lima', 'rafael@example.com');
+
+    const primeiro = await Booking.criarAgendamento(aula._id, aluno._id);
+    const segundo = await Booking.criarAgendamento(aula._id, outro.student._id);
+
+    const response = await request(app)
+      .put(`/api/bookings/${primeiro._id}/cancel`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({})
+      .expect(200);
+
+    expect(response.body.data.status).toBe('cancelado_tarde');
+    expect(response.body.data.cancelamento_tardio).toBe(true);
+    expect(new Date(response.body.data.prazo_cancelamento).getTime())
+      .toBe(aula.hora_inicio.getTime() - 2 * 60 * MINUTO_MS);
+    expect(response.body.message).toMatch(/fora do prazo/);
+
+    expect((await Booking.findById(segundo._id)).status).toBe('confirmado');
+  });
+
+  it('deve usar o prazo da turma e a política de no-show da academia', async () => {
+    await Settings.updateSettings({ lateCancellationPolicy: 'no_show' });
+
+    const semPrazo = await criarAula(30);
+    const agendamento = await Booking.criarAgendamento(semPrazo._id, aluno._id);
+
+    const response = await request(app)
+      .put(`/api/bookings/${agendamento._id}/cancel`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({})
+      .expect(200);
+
+    expect(response.body.data.status).toBe('no_show');
+    expect((await Attendance.findOne({ aula_id: semPrazo._id })).status).toBe('falta');
+
+    turma.configuracoes.prazo_cancelamento_horas = 0;
+    await turma.save();
+
+    const outraAula = await criarAula(20);
+    const noPrazo = await Booking.criarAgendamento(outraAula._id, aluno._id);
+
+    const cancelado = await request(app)
+      .put(`/api/bookings/${noPrazo._id}/cancel`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({})
+      .expect(200);
+
+    expect(cancelado.body.data.status).toBe('cancelado');
+    expect(cancelado.body.data.cancelamento_tardio).toBe(false);
+  });
+
+  it('deve recusar agendamento de aluno bloqueado', async () => {
+    const aula = await criarAula(3 * 60);
+    await aluno.alterarBloqueioCheckin(true, 'Mensalidade em atraso', 'financeiro');
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ aula_id: aula._id.toString() })
+      .expect(400);
+
+    expect(response.body.message).toBe('Mensalidade em atraso');
+    expect(await Booking.countDocuments()).toBe(0);
+  });
+});
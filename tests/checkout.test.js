@@ -0,0 +1,156 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Attendance = require('../models/Attendance');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+const MINUTO_MS = 60 * 1000;
+
+describe('Check-out e tempo de tatame', () => {
+  let mongod;
+  let aula;
+  let aluno;
+  let booking;
+  let tokenAluno;
+  let tokenInstrutor;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      Attendance.deleteMany({})
+    ]);
+
+    const instrutor = await User.create({
+      nome: 'Professor Silva',
+      email: 'silva@example.com',
+      telefone: '11977776666',
+      senha: 'Senha123',
+      perfil: 'instrutor'
+    });
+    tokenInstrutor = gerarToken(instrutor);
+
+    const turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: instrutor._id
+    });
+
+    const inicio = new Date(Date.now() + 30 * MINUTO_MS);
+    aula = await Lesson.create({
+      turma_id: turma._id,
+      data: inicio,
+      hora_inicio: inicio,
+      hora_fim: new Date(inicio.getTime() + 60 * MINUTO_MS)
+    });
+
+    const usuario = await User.create({
+      nome: 'Joana Prado',
+      email: 'joana@example.com',
+      telefone: '11988887777',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+    tokenAluno = gerarToken(usuario);
+
+    aluno = await Student.create({
+      usuario_id: usuario._id,
+      nome: 'Joana Prado',
+      data_nascimento: new Date('1995-06-20'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+
+    booking = await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+    await booking.realizarCheckin({ metodo_registro: 'automatico' });
+  });
+
+  it('deve fazer o check-out do próprio aluno e marcar saída antecipada', async () => {
+    const response = await request(app)
+      .put(`/api/bookings/${booking._id}/checkout`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .expect(200);
+
+    expect(response.body.data.status).toBe('saida_antecipada');
+    expect(response.body.data.tempo_permanencia).toBeGreaterThanOrEqual(0);
+
+    await request(app)
+      .put(`/api/bookings/${booking._id}/checkout`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .expect(400);
+  });
+
+  it('deve fazer o check-out de todos ao finalizar a aula', async () => {
+    await request(app)
+      .put(`/api/lessons/${aula._id}/start`)
+      .set('Authorization', `Bearer ${tokenInstrutor}`)
+      .expect(200);
+
+    await request(app)
+      .put(`/api/lessons/${aula._id}/finish`)
+      .set('Authorization', `Bearer ${tokenInstrutor}`)
+      .expect(200);
+
+    const presenca = await Attendance.findOne({ aula_id: aula._id, aluno_id: aluno._id });
+    expect(presenca.checkout_hora).not.toBeNull();
+    expect(presenca.status).not.toBe('saida_antecipada');
+  });
+
+  it('deve encerrar as presenças em aberto em lote', async () => {
+    const response = await request(app)
+      .put(`/api/lessons/${aula._id}/checkout`)
+      .set('Authorization', `Bearer ${tokenInstrutor}`)
+      .send({})
+      .expect(200);
+
+    expect(response.body.data.checkouts).toBe(1);
+  });
+
+  it('deve somar o tempo de tatame total e por mês', async () => {
+    await Attendance.updateOne(
+      { aula_id: aula._id },
+      { checkin_hora: new Date('2026-01-15T21:50:00Z'), checkout_hora: new Date('2026-01-15T23:00:00Z'), tempo_permanencia: 70 }
+    );
+
+    const tatame = await Attendance.tempoDeTatame(aluno._id);
+    expect(tatame.minutos).toBe(70);
+    expect(tatame.por_mes).toEqual([{ mes: '2026-01', minutos: 70, horas: 1.2, aulas: 1 }]);
+
+    const response = await request(app)
+      .get(`/api/students/${aluno._id}/attendance/stats`)
+      .set('Authorization', `Bearer ${tokenInstrutor}`)
+      .expect(200);
+
+    expect(response.body.data.tempo_tatame.total_minutos).toBe(70);
+  });
+});
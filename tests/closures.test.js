@@ -0,0 +1,243 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Closure = require('../models/Closure');
+const Monthly = require('../models/Monthly');
+const Notification = require('../models/Notification');
+const Settings = require('../models/Settings');
+const { feriadosNacionais } = require('../utils/brazilianHolidays');
+const { generateLessons } = require('../jobs/lessonGenerationJob');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+const TIMEZONE = process.env.TIMEZONE || 'America/Sao_Paulo';
+
+// Ano seguinte: datas sempre no futuro
+const ANO = new Date().getFullYear() + 1;
+const dia = (data) => moment.tz(`${ANO}-${data}`, TIMEZONE).toDate();
+
+describe('Feriados nacionais', () => {
+  it('deve calcular as datas móveis a partir da Páscoa', () => {
+    const datas = feriadosNacionais(2026, { incluirFacultativos: true })
+      .reduce((mapa, feriado) => ({ ...mapa, [feriado.nome]: feriado.data }), {});
+
+    expect(datas['Sexta-feira Santa']).toBe('2026-04-03');
+    expect(datas['Carnaval (terça-feira)']).toBe('2026-02-17');
+    expect(datas['Corpus Christi']).toBe('2026-06-04');
+  });
+
+  it('deve omitir pontos facultativos e a Consciência Negra antes de 2024', () => {
+    const feriados = feriadosNacionais(2023);
+
+    expect(feriados.some(feriado => feriado.facultativo)).toBe(false);
+    expect(feriados.map(feriado => feriado.data)).not.toContain('2023-11-20');
+    expect(feriadosNacionais(2024).map(feriado => feriado.data)).toContain('2024-11-20');
+  });
+});
+
+describe('Calendário de fechamentos', () => {
+  let mongod;
+  let turma;
+  let aluno;
+  let tokenAdmin;
+  let tokenAluno;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  // Criar aula da turma em uma data (MM-DD) às 19:00
+  const criarAula = (data) => {
+    const inicio = moment.tz(`${ANO}-${data} 19:00`, TIMEZONE).toDate();
+
+    return Lesson.create({
+      turma_id: turma._id,
+      data: inicio,
+      hora_inicio: inicio,
+      hora_fim: new Date(inicio.getTime() + 60 * 60 * 1000)
+    });
+  };
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      Closure.deleteMany({}),
+      Monthly.deleteMany({}),
+      Notification.deleteMany({}),
+      Settings.deleteMany({})
+    ]);
+
+    const admin = await User.create({
+      nome: 'Administrador',
+      email: 'admin@example.com',
+      telefone: '11966665555',
+      senha: 'Senha123',
+      perfil: 'admin'
+    });
+    tokenAdmin = gerarToken(admin);
+
+    const instrutor = await User.create({
+      nome: 'Professor Silva',
+      email: 'silva@example.com',
+      telefone: '11977776666',
+      senha: 'Senha123',
+      perfil: 'instrutor'
+    });
+
+    turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado', 'domingo'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: instrutor._id
+    });
+
+    const usuario = await User.create({
+      nome: 'Joana Prado',
+      email: 'joana@example.com',
+      telefone: '11988887777',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+    tokenAluno = gerarToken(usuario);
+
+    aluno = await Student.create({
+      usuario_id: usuario._id,
+      nome: 'Joana Prado',
+      data_nascimento: new Date('1995-06-20'),
+      grupo: 'adulto',
+      dia_vencimento: 25,
+      valor_mensalidade: 150
+    });
+  });
+
+  it('deve cancelar as aulas e agendamentos atingidos por um novo fechamento', async () => {
+    const aula = await criarAula('12-24');
+    const aulaForaDoPeriodo = await criarAula('12-27');
+    await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+
+    const response = await request(app)
+      .post('/api/closures')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ titulo: 'Recesso de fim de ano', tipo: 'recesso', data_inicio: `${ANO}-12-24`, data_fim: `${ANO}-12-26` })
+      .expect(201);
+
+    expect(response.body.data.aulas_canceladas).toBe(1);
+    expect(response.body.data.data_inicio).toBe(dia('12-24').toISOString());
+
+    expect((await Lesson.findById(aula._id)).status).toBe('cancelada');
+    expect((await Lesson.findById(aulaForaDoPeriodo._id)).status).toBe('agendada');
+    expect((await Booking.findOne({ aula_id: aula._id })).status).toBe('cancelado');
+  });
+
+  it('deve avisar os alunos agendados e da lista de espera da aula cancelada', async () => {
+    const aula = await criarAula('12-24');
+    const outro = await Student.create({
+      nome: 'Rafael Lima',
+      data_nascimento: new Date('1990-02-10'),
+      grupo: 'adulto',
+      valor_mensalidade: 150
+    });
+    const confirmado = await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+    const espera = await Booking.create({ aula_id: aula._id, aluno_id: outro._id, status: 'espera', posicao_lista_espera: 1 });
+
+    const fechamento = await Closure.create({ titulo: 'Natal', tipo: 'feriado_nacional', data_inicio: dia('12-24') });
+    expect(await fechamento.cancelarAulas()).toBe(1);
+
+    const notificacoes = await Notification.find({ tipo: 'cancelamento_aula' });
+    expect(notificacoes.map(n => n.referencia.id.toString()).sort())
+      .toEqual([confirmado._id.toString(), espera._id.toString()].sort());
+    expect(notificacoes[0].dados.motivo).toBe('Academia fechada: Natal');
+    expect(notificacoes[0].canais).toEqual(['email']);
+  });
+
+  it('deve atingir apenas o horário de um fechamento parcial', async () => {
+    const aula = await criarAula('11-03');
+
+    await Closure.create({ titulo: 'Manutenção do tatame', data_inicio: dia('11-03'), hora_inicio: '08:00', hora_fim: '12:00' });
+    expect(await Closure.buscarFechamento(aula.hora_inicio, aula.hora_fim)).toBeNull();
+
+    await Closure.create({ titulo: 'Evento externo', data_inicio: dia('11-03'), hora_inicio: '18:30', hora_fim: '21:00' });
+    const fechamento = await Closure.buscarFechamento(aula.hora_inicio, aula.hora_fim);
+    expect(fechamento.titulo).toBe('Evento externo');
+  });
+
+  it('deve recusar agendamento em horário de academia fechada', async () => {
+    const aula = await criarAula('09-07');
+    await Closure.importarFeriadosNacionais(ANO);
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ aula_id: aula._id.toString() })
+      .expect(400);
+
+    expect(response.body.message).toMatch(/Academia fechada/);
+    expect(await Booking.countDocuments()).toBe(0);
+  });
+
+  it('não deve gerar aulas em feriados', async () => {
+    await Settings.create({ lessonGenerationWeeks: 1 });
+
+    // Natal do ano seguinte e os dias da semana ao redor
+    const referencia = moment.tz(`${ANO}-12-22 10:00`, TIMEZONE).toDate();
+    await generateLessons(referencia);
+
+    const aulas = await Lesson.find().sort({ hora_inicio: 1 });
+    const dias = aulas.map(aula => moment.tz(aula.hora_inicio, TIMEZONE).format('MM-DD'));
+
+    expect(dias).toContain('12-24');
+    expect(dias).not.toContain('12-25');
+    expect(await Closure.countDocuments({ tipo: 'feriado_nacional' })).toBeGreaterThan(0);
+  });
+
+  it('deve adiar o vencimento que cai em dia fechado', async () => {
+    await Closure.importarFeriadosNacionais(ANO);
+
+    await Monthly.criarMensalidadesLote(`${ANO}-12`);
+
+    const mensalidade = await Monthly.findOne({ aluno_id: aluno._id });
+    expect(mensalidade.vencimento).toEqual(dia('12-26'));
+  });
+
+  it('deve desativar feriado nacional removido sem reimportá-lo', async () => {
+    await Closure.importarFeriadosNacionais(ANO);
+    const natal = await Closure.findOne({ tipo: 'feriado_nacional', data_inicio: dia('12-25') });
+
+    await request(app)
+      .delete(`/api/closures/${natal._id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+
+    const resultado = await Closure.importarFeriadosNacionais(ANO);
+    expect(resultado.importados).toBe(0);
+
+    const atualizado = await Closure.findById(natal._id);
+    expect(atualizado.ativo).toBe(false);
+    expect(await Closure.buscarFechamento(dia('12-25'), dia('12-26'))).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Attendance = require('../models/Attendance');
+const Settings = require('../models/Settings');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+// Academia na Av. Paulista; Praça da Sé fica a cerca de 2,6 km
+const ACADEMIA = { latitude: -23.5614, longitude: -46.6559 };
+const NA_ACADEMIA = { latitude: -23.5620, longitude: -46.6565 };
+const LONGE = { latitude: -23.5505, longitude: -46.6333 };
+
+describe('Check-in com geolocalização', () => {
+  let mongod;
+  let booking;
+  let tokenAluno;
+  let tokenAdmin;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  const fazerCheckin = (token, localizacao = {}) => request(app)
+    .put(`/api/bookings/${booking._id}/checkin`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(localizacao);
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      Attendance.deleteMany({}),
+      Settings.deleteMany({})
+    ]);
+
+    await Settings.create({
+      checkinGeofence: { enabled: true, ...ACADEMIA, radiusMeters: 150 }
+    });
+
+    const admin = await User.create({
+      nome: 'Administrador',
+      email: 'admin@example.com',
+      telefone: '11966665555',
+      senha: 'Senha123',
+      perfil: 'admin'
+    });
+    tokenAdmin = gerarToken(admin);
+
+    const turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: admin._id
+    });
+
+    // Aula começando em 30 minutos: dentro da janela de check-in
+    const inicio = new Date(Date.now() + 30 * 60 * 1000);
+    const aula = await Lesson.create({
+      turma_id: turma._id,
+      data: inicio,
+      hora_inicio: inicio,
+      hora_fim: new Date(inicio.getTime() + 60 * 60 * 1000)
+    });
+
+    const usuario = await User.create({
+      nome: 'Joana Prado',
+      email: 'joana@example.com',
+      telefone: '11988887777',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+    tokenAluno = gerarToken(usuario);
+
+    const aluno = await Student.create({
+      usuario_id: usuario._id,
+      nome: 'Joana Prado',
+      data_nascimento: new Date('1995-06-20'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+
+    booking = await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+  });
+
+  it('deve aceitar check-in dentro do raio da academia', async () => {
+    await fazerCheckin(tokenAluno, NA_ACADEMIA).expect(200);
+
+    const presenca = await Attendance.findOne({ aula_id: booking.aula_id });
+    expect(presenca.metadata.localizacao.latitude).toBe(NA_ACADEMIA.latitude);
+    expect(presenca.metadata.distancia_academia).toBeLessThanOrEqual(150);
+  });
+
+  it('deve recusar check-in longe da academia', async () => {
+    const response = await fazerCheckin(tokenAluno, LONGE).expect(403);
+
+    expect(response.body.message).toMatch(/da academia/);
+    expect(await Attendance.countDocuments()).toBe(0);
+    expect((await Booking.findById(booking._id)).status).toBe('confirmado');
+  });
+
+  it('deve exigir a localização do aparelho', async () => {
+    const response = await fazerCheckin(tokenAluno).expect(400);
+
+    expect(response.body.message).toMatch(/localização/);
+  });
+
+  it('deve permitir que a administração libere o check-in e registrar quem liberou', async () => {
+    await fazerCheckin(tokenAdmin).expect(200);
+
+    const presenca = await Attendance.findOne({ aula_id: booking.aula_id });
+    expect(presenca.metadata.metodo_registro).toBe('manual');
+    expect(presenca.metadata.geofence_liberado_por).toBeDefined();
+  });
+
+  it('não deve exigir localização com a geolocalização desativada', async () => {
+    await Settings.updateOne({}, { 'checkinGeofence.enabled': false });
+
+    await fazerCheckin(tokenAluno).expect(200);
+  });
+});
@@ -0,0 +1,239 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Graduation = require('../models/Graduation');
+const GraduationRequirement = require('../models/GraduationRequirement');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+describe('Requisitos de graduação por faixa', () => {
+  let mongod;
+  let admin;
+  let tokenAdmin;
+  let aluno;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Graduation.deleteMany({}),
+      GraduationRequirement.deleteMany({})
+    ]);
+
+    admin = await User.create({
+      nome: 'Mestre Costa',
+      email: 'costa@example.com',
+      telefone: '11977776666',
+      senha: 'Senha123',
+      perfil: 'admin'
+    });
+    tokenAdmin = gerarToken(admin);
+
+    aluno = await Student.create({
+      nome: 'Joana Prado',
+      data_nascimento: new Date('1995-06-20'),
+      grupo: 'adulto',
+      faixa_atual: 'azul',
+      graus: 4,
+      valor_mensalidade: 150,
+      estatisticas: { total_presencas: 80, percentual_assiduidade: 85, dias_na_faixa_atual: 400 }
+    });
+  });
+
+  it('deve usar o requisito mais específico para a faixa, o grau e o grupo', async () => {
+    await GraduationRequirement.create({ faixa: 'roxa', presencas_minimas: 30 });
+    await GraduationRequirement.create({ faixa: 'roxa', grau: 0, grupo: 'adulto', presencas_minimas: 20 });
+
+    expect((await GraduationRequirement.buscarRequisitos('roxa', 0, 'adulto')).presencas_minimas).toBe(20);
+    expect((await GraduationRequirement.buscarRequisitos('roxa', 1, 'adulto')).presencas_minimas).toBe(30);
+    expect((await GraduationRequirement.buscarRequisitos('marrom', 0, 'adulto')).presencas_minimas).toBe(50);
+  });
+
+  it('deve exigir ao menos a idade mínima da escada de faixas', async () => {
+    await GraduationRequirement.create({ faixa: 'marrom', idade_minima: 15 });
+
+    const requisitos = await GraduationRequirement.buscarRequisitos('marrom', 0, 'adulto');
+
+    expect(requisitos.idade_minima).toBe(18);
+  });
+
+  it('deve avaliar a próxima graduação pelos requisitos cadastrados', async () => {
+    await GraduationRequirement.create({ faixa: 'roxa', grupo: 'adulto', presencas_minimas: 100 });
+
+    const elegibilidade = await aluno.verificarElegibilidadeGraduacao();
+
+    expect(elegibilidade.proxima_faixa).toEqual({ faixa: 'roxa', grau: 0, tipo: 'promocao' });
+    expect(elegibilidade.elegivel).toBe(false);
+    expect(elegibilidade.criterios.presencas).toEqual({ atual: 80, minimo: 100, ok: false });
+    expect(elegibilidade.motivos).toHaveLength(1);
+  });
+
+  it('deve exigir o tempo mínimo na faixa anterior para trocar de faixa', async () => {
+    await Graduation.create({
+      aluno_id: aluno._id,
+      faixa: 'azul',
+      grau: 0,
+      data: new Date(Date.now() - 300 * DIA_MS),
+      responsavel: admin._id
+    });
+    await Graduation.create({
+      aluno_id: aluno._id,
+      faixa: 'azul',
+      grau: 4,
+      data: new Date(Date.now() - 200 * DIA_MS),
+      responsavel: admin._id
+    });
+    await GraduationRequirement.create({
+      faixa: 'roxa',
+      presencas_minimas: 0,
+      dias_minimos_grau: 180,
+      dias_minimos_faixa: 365
+    });
+
+    const elegibilidade = await aluno.verificarElegibilidadeGraduacao();
+
+    expect(elegibilidade.criterios.dias_no_grau.ok).toBe(true);
+    expect(elegibilidade.criterios.dias_na_faixa).toEqual({ atual: 300, minimo: 365, ok: false });
+  });
+
+  it('deve recusar a graduação sem os requisitos, a menos que seja forçada', async () => {
+    await GraduationRequirement.create({ faixa: 'roxa', presencas_minimas: 100 });
+
+    await expect(Graduation.criarGraduacao({
+      aluno_id: aluno._id,
+      faixa: 'roxa',
+      grau: 0,
+      responsavel: admin._id
+    })).rejects.toThrow(/não atende aos requisitos/);
+
+    const graduacao = await Graduation.criarGraduacao({
+      aluno_id: aluno._id,
+      faixa: 'roxa',
+      grau: 0,
+      responsavel: admin._id,
+      forcar_graduacao: true
+    });
+
+    expect(graduacao.criterios_atendidos.presencas_minimas.atendido).toBe(false);
+    expect((await Student.findById(aluno._id)).faixa_atual).toBe('roxa');
+  });
+
+  it('deve devolver os motivos quando a graduação pela API não atende aos requisitos', async () => {
+    await GraduationRequirement.create({ faixa: 'roxa', presencas_minimas: 100 });
+
+    const response = await request(app)
+      .post('/api/graduations')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ aluno_id: aluno._id.toString(), faixa: 'roxa', grau: 0 })
+      .expect(400);
+
+    expect(response.body.message).toMatch(/não atende aos requisitos/);
+    expect(response.body.motivos).toHaveLength(1);
+    expect(response.body.detalhes.criterios.presencas.ok).toBe(false);
+    expect(await Graduation.countDocuments()).toBe(0);
+  });
+
+  it('deve promover para o grau 0 informado na nova faixa', async () => {
+    aluno.graus = 2;
+    await aluno.save();
+
+    const response = await request(app)
+      .post('/api/graduations')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ aluno_id: aluno._id.toString(), faixa: 'roxa', grau: 0 })
+      .expect(201);
+
+    expect(response.body.data.faixa).toBe('roxa');
+    expect(response.body.data.grau).toBe(0);
+
+    const atualizado = await Student.findById(aluno._id);
+    expect(atualizado.faixa_atual).toBe('roxa');
+    expect(atualizado.graus).toBe(0);
+  });
+
+  it('deve usar o grau inicial da faixa informada sem grau', async () => {
+    aluno.graus = 2;
+    await aluno.save();
+
+    const response = await request(app)
+      .post('/api/graduations')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ aluno_id: aluno._id.toString(), faixa: 'roxa' })
+      .expect(201);
+
+    expect(response.body.data.grau).toBe(0);
+  });
+
+  it('deve permitir ao admin editar os requisitos e refletir na elegibilidade do aluno', async () => {
+    const criado = await request(app)
+      .put('/api/graduations/requirements')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ faixa: 'roxa', grupo: 'adulto', presencas_minimas: 60, dias_minimos_grau: 90 })
+      .expect(201);
+
+    await request(app)
+      .put('/api/graduations/requirements')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ faixa: 'roxa', grupo: 'adulto', presencas_minimas: 90 })
+      .expect(200);
+
+    expect(await GraduationRequirement.countDocuments()).toBe(1);
+
+    const response = await request(app)
+      .get(`/api/students/${aluno._id}/graduation-eligibility`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+
+    expect(response.body.data.requisitos.origem).toBe(criado.body.data._id);
+    expect(response.body.data.requisitos.presencas_minimas).toBe(90);
+    expect(response.body.data.requisitos.dias_minimos_grau).toBe(90);
+    expect(response.body.data.elegivel).toBe(false);
+  });
+
+  it('deve recusar grau inexistente na faixa', async () => {
+    const response = await request(app)
+      .put('/api/graduations/requirements')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ faixa: 'coral', grau: 3 })
+      .expect(400);
+
+    expect(response.body.message).toMatch(/Grau deve estar entre 7 e 7/);
+  });
+
+  it('deve listar a elegibilidade com os requisitos de cada aluno', async () => {
+    await GraduationRequirement.create({
+      faixa: 'roxa',
+      presencas_minimas: 10,
+      dias_minimos_grau: 0,
+      assiduidade_minima: 50
+    });
+
+    const response = await request(app)
+      .get('/api/graduations/eligibility')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+
+    expect(response.body.data.resumo.elegiveis).toBe(1);
+    expect(response.body.data.elegiveis[0].elegibilidade.proxima_faixa.faixa).toBe('roxa');
+  });
+});
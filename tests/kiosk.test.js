@@ -0,0 +1,176 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Attendance = require('../models/Attendance');
+const KioskDevice = require('../models/KioskDevice');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Quiosque de check-in', () => {
+  let mongod;
+  let aula;
+  let aluno;
+  let chave;
+  let tokenAdmin;
+  let tokenAluno;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  const checkin = (dados, chaveQuiosque = chave) => request(app)
+    .post('/api/kiosk/checkin')
+    .set('X-Kiosk-Key', chaveQuiosque)
+    .send(dados);
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      Attendance.deleteMany({}),
+      KioskDevice.deleteMany({})
+    ]);
+
+    const admin = await User.create({
+      nome: 'Administrador',
+      email: 'admin@example.com',
+      telefone: '11966665555',
+      senha: 'Senha123',
+      perfil: 'admin'
+    });
+    tokenAdmin = gerarToken(admin);
+
+    const turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: admin._id
+    });
+
+    // Aula começando em 30 minutos: dentro da janela de check-in
+    const inicio = new Date(Date.now() + 30 * 60 * 1000);
+    aula = await Lesson.create({
+      turma_id: turma._id,
+      data: inicio,
+      hora_inicio: inicio,
+      hora_fim: new Date(inicio.getTime() + 60 * 60 * 1000)
+    });
+
+    const usuario = await User.create({
+      nome: 'Joana Prado',
+      email: 'joana@example.com',
+      telefone: '11988887777',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+    tokenAluno = gerarToken(usuario);
+
+    aluno = await Student.create({
+      usuario_id: usuario._id,
+      nome: 'Joana Prado',
+      cpf: '529.982.247-25',
+      data_nascimento: new Date('1995-06-20'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+
+    const response = await request(app)
+      .post('/api/kiosk/devices')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ nome: 'Tablet da recepção' })
+      .expect(201);
+    chave = response.body.data.chave;
+  });
+
+  it('deve fazer check-in pelo PIN na aula agendada', async () => {
+    await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+
+    const pin = await request(app)
+      .put(`/api/kiosk/students/${aluno._id}/pin`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({})
+      .expect(200);
+
+    const response = await checkin({ pin: pin.body.data.pin }).expect(200);
+    expect(response.body.data.turma).toBe('Adulto Noite');
+
+    const presenca = await Attendance.findOne({ aula_id: aula._id, aluno_id: aluno._id });
+    expect(presenca.metadata.metodo_registro).toBe('manual');
+    expect(presenca.metadata.quiosque_id).toBeDefined();
+  });
+
+  it('deve fazer check-in pelo CPF sem pontuação', async () => {
+    await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+
+    await checkin({ cpf: '52998224725' }).expect(200);
+
+    expect((await Booking.findOne({ aula_id: aula._id })).status).toBe('presente');
+  });
+
+  it('deve recusar aluno sem agendamento nas aulas liberadas', async () => {
+    const response = await checkin({ cpf: '52998224725' }).expect(400);
+
+    expect(response.body.message).toMatch(/Nenhum agendamento/);
+  });
+
+  it('deve recusar aluno com check-in bloqueado', async () => {
+    await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+    await aluno.alterarBloqueioCheckin(true, 'Mensalidade em atraso', 'financeiro');
+
+    const response = await checkin({ cpf: '52998224725' }).expect(403);
+    expect(response.body.message).toBe('Mensalidade em atraso');
+  });
+
+  it('não deve aceitar token de usuário nem chave revogada', async () => {
+    await request(app)
+      .post('/api/kiosk/checkin')
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ cpf: '52998224725' })
+      .expect(401);
+
+    const [id] = chave.split('.');
+    await request(app)
+      .delete(`/api/kiosk/devices/${id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+
+    await checkin({ cpf: '52998224725' }).expect(401);
+  });
+
+  it('não deve repetir o mesmo PIN entre alunos', async () => {
+    const outro = await Student.create({
+      nome: 'Carlos Lima',
+      data_nascimento: new Date('1990-01-10'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+
+    await aluno.definirPinQuiosque('4321');
+    await expect(outro.definirPinQuiosque('4321')).rejects.toThrow(/já está em uso/);
+  });
+});
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const cron = require('node-cron');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Settings = require('../models/Settings');
+require('../models/Attendance');
+const {
+  generateLessons,
+  initializeLessonGenerationJobs,
+  rescheduleLessonGenerationJobs
+} = require('../jobs/lessonGenerationJob');
+const { getTimezone, setTimezone } = require('../config/timezone');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+
+describe('Job de geração de aulas', () => {
+  let mongod;
+  let turma;
+  let referencia;
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      Settings.deleteMany({})
+    ]);
+
+    // Próximo domingo às 10:00 (aulas não podem ser criadas no passado)
+    referencia = new Date();
+    referencia.setDate(referencia.getDate() + 7 - referencia.getDay());
+    referencia.setHours(10, 0, 0, 0);
+
+    const instrutor = await User.create({
+      nome: 'Professor Silva',
+      email: 'silva@example.com',
+      telefone: '11977776666',
+      senha: 'Senha123',
+      perfil: 'instrutor'
+    });
+
+    turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda', 'quarta'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: instrutor._id
+    });
+
+    await Settings.create({ lessonGenerationWeeks: 2 });
+  });
+
+  it('deve gerar as aulas do horizonte configurado', async () => {
+    const resumo = await generateLessons(referencia);
+
+    expect(resumo).toEqual({ turmas: 1, geradas: 4 });
+
+    const aulas = await Lesson.find().sort({ hora_inicio: 1 });
+    expect(aulas.map(aula => aula.hora_inicio.getDay())).toEqual([1, 3, 1, 3]);
+    expect(aulas.every(aula => aula.hora_inicio.getHours() === 19)).toBe(true);
+  });
+
+  it('não deve duplicar aulas nem recriar aulas canceladas', async () => {
+    await generateLessons(referencia);
+
+    const primeira = await Lesson.findOne().sort({ hora_inicio: 1 });
+    primeira.status = 'cancelada';
+    await primeira.save();
+
+    const resumo = await generateLessons(referencia);
+
+    expect(resumo.geradas).toBe(0);
+    expect(await Lesson.countDocuments()).toBe(4);
+    expect(await Lesson.countDocuments({ status: 'cancelada' })).toBe(1);
+  });
+
+  it('deve ignorar turmas inativas', async () => {
+    turma.ativa = false;
+    await turma.save();
+
+    const resumo = await generateLessons(referencia);
+
+    expect(resumo).toEqual({ turmas: 0, geradas: 0 });
+    expect(await Lesson.countDocuments()).toBe(0);
+  });
+
+  it('deve remover apenas aulas futuras vazias dos dias retirados', async () => {
+    await generateLessons(referencia);
+
+    const aluno = await Student.create({
+      nome: 'Joana Prado',
+      data_nascimento: new Date('1994-04-02'),
+      grupo: 'adulto',
+      valor_mensalidade: 150
+    });
+
+    const aulas = await Lesson.find().sort({ hora_inicio: 1 });
+    const quartas = aulas.filter(aula => aula.hora_inicio.getDay() === 3);
+    await Booking.create({ aula_id: quartas[0]._id, aluno_id: aluno._id });
+
+    const resultado = await turma.removerAulasFuturasVazias({ dias: ['quarta'], agora: referencia });
+
+    expect(resultado).toEqual({ removidas: 1, mantidas: 1 });
+    expect(await Lesson.countDocuments()).toBe(3);
+    expect(await Lesson.exists({ _id: quartas[0]._id })).toBeTruthy();
+  });
+
+  it('deve reagendar a geração de aulas quando o timezone muda', () => {
+    const timezoneOriginal = getTimezone();
+
+    try {
+      initializeLessonGenerationJobs();
+      expect(rescheduleLessonGenerationJobs()).toBe(false);
+
+      setTimezone('Europe/Lisbon');
+      expect(rescheduleLessonGenerationJobs()).toBe(true);
+
+      // Já reagendado no novo timezone
+      expect(rescheduleLessonGenerationJobs()).toBe(false);
+    } finally {
+      cron.getTasks().forEach(tarefa => tarefa.stop());
+      setTimezone(timezoneOriginal);
+    }
+  });
+});
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+require('../models/Attendance');
+const { sendLessonReminders } = require('../jobs/lessonReminderJob');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+
+const HORA_MS = 60 * 60 * 1000;
+
+describe('Job de lembretes de aula', () => {
+  let mongod;
+  let turma;
+  let aluno;
+  let agora;
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  // Criar aula que começa em "horas" a partir de agora com um agendamento confirmado
+  const criarAula = async (horas) => {
+    const inicio = new Date(agora.getTime() + horas * HORA_MS);
+
+    const aula = await Lesson.create({
+      turma_id: turma._id,
+      data: inicio,
+      hora_inicio: inicio,
+      hora_fim: new Date(inicio.getTime() + HORA_MS)
+    });
+
+    await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+
+    return aula;
+  };
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+
+    agora = new Date();
+
+    const instrutor = await User.create({
+      nome: 'Professor Silva',
+      email: 'silva@example.com',
+      telefone: '11977776666',
+      senha: 'Senha123',
+      perfil: 'instrutor'
+    });
+
+    turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: instrutor._id
+    });
+
+    aluno = await Student.create({
+      nome: 'Joana Prado',
+      data_nascimento: new Date('1994-04-02'),
+      grupo: 'adulto',
+      valor_mensalidade: 150
+    });
+  });
+
+  it('deve enfileirar o lembrete de 24h para alunos e instrutor', async () => {
+    const aula = await criarAula(20);
+
+    const resumo = await sendLessonReminders(agora);
+    expect(resumo).toEqual({ aulas: 1, alunos: 1, instrutores: 1 });
+
+    const notificacoes = await Notification.find().sort({ tipo: 1 });
+    expect(notificacoes.map(n => n.tipo)).toEqual(['lembrete_aula', 'lembrete_aula_instrutor']);
+    expect(notificacoes.every(n => n.dados.janela === '24h')).toBe(true);
+
+    const atualizada = await Lesson.findById(aula._id);
+    expect(atualizada.configuracoes.notificacoes_enviadas.lembrete_24h).toBe(true);
+    expect(atualizada.configuracoes.notificacoes_enviadas.lembrete_2h).toBe(false);
+  });
+
+  it('deve enviar cada lembrete apenas uma vez', async () => {
+    await criarAula(20);
+
+    await sendLessonReminders(agora);
+    const segunda = await sendLessonReminders(new Date(agora.getTime() + 15 * 60 * 1000));
+
+    expect(segunda.aulas).toBe(0);
+    expect(await Notification.countDocuments({ tipo: 'lembrete_aula' })).toBe(1);
+
+    // Na janela de 2h chega o segundo lembrete
+    const proxima = await sendLessonReminders(new Date(agora.getTime() + 19 * HORA_MS));
+    expect(proxima.alunos).toBe(1);
+    expect(await Notification.countDocuments({ tipo: 'lembrete_aula', 'dados.janela': '2h' })).toBe(1);
+  });
+
+  it('deve enviar apenas o lembrete de 2h para aulas próximas', async () => {
+    const aula = await criarAula(1);
+
+    await sendLessonReminders(agora);
+
+    const notificacoes = await Notification.find({ tipo: 'lembrete_aula' });
+    expect(notificacoes.map(n => n.dados.janela)).toEqual(['2h']);
+
+    const atualizada = await Lesson.findById(aula._id);
+    expect(atualizada.configuracoes.notificacoes_enviadas.lembrete_24h).toBe(true);
+    expect(atualizada.configuracoes.notificacoes_enviadas.lembrete_2h).toBe(true);
+  });
+
+  it('não deve notificar o instrutor quando desabilitado na turma', async () => {
+    turma.configuracoes.notificar_instrutor = false;
+    await turma.save();
+    await criarAula(20);
+
+    const resumo = await sendLessonReminders(agora);
+
+    expect(resumo.instrutores).toBe(0);
+    expect(await Notification.countDocuments({ tipo: 'lembrete_aula_instrutor' })).toBe(0);
+  });
+
+  it('deve retomar uma aula interrompida sem duplicar lembretes', async () => {
+    const aula = await criarAula(20);
+    const agendamento = await Booking.findOne({ aula_id: aula._id });
+
+    // Lembrete enfileirado, mas a aula não chegou a ser marcada
+    await Notification.enfileirar('lembrete_aula', {
+      aluno_id: aluno._id,
+      referencia: { modelo: 'Booking', id: agendamento._id },
+      dados: { janela: '24h', hora_inicio: aula.hora_inicio }
+    });
+
+    const resumo = await sendLessonReminders(agora);
+
+    expect(resumo.alunos).toBe(0);
+    expect(await Notification.countDocuments({ tipo: 'lembrete_aula' })).toBe(1);
+  });
+
+  it('deve voltar a lembrar uma aula remarcada', async () => {
+    const aula = await criarAula(20);
+    await sendLessonReminders(agora);
+
+    // Remarcada para uma hora depois: os lembretes enviados são zerados pelo save
+    const remarcada = await Lesson.findById(aula._id);
+    remarcada.hora_inicio = new Date(aula.hora_inicio.getTime() + HORA_MS);
+    remarcada.hora_fim = new Date(aula.hora_fim.getTime() + HORA_MS);
+    await remarcada.save();
+
+    const resumo = await sendLessonReminders(new Date(agora.getTime() + 15 * 60 * 1000));
+
+    expect(resumo).toEqual({ aulas: 1, alunos: 1, instrutores: 1 });
+
+    const lembretes = await Notification.find({ tipo: 'lembrete_aula', 'dados.janela': '24h' });
+    expect(lembretes).toHaveLength(2);
+    expect(lembretes.map(n => n.dados.hora_inicio.getTime()).sort())
+      .toEqual([aula.hora_inicio.getTime(), remarcada.hora_inicio.getTime()].sort());
+  });
+});
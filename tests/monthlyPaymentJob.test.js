@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const moment = require('moment-timezone');
+const cron = require('node-cron');
+const Student = require('../models/Student');
+const Monthly = require('../models/Monthly');
+const Settings = require('../models/Settings');
+const {
+  generateMonthlyPayments,
+  calculateLateFees,
+  sendPaymentReminders,
+  generationCronExpression,
+  isGenerationDay,
+  initializeJobs,
+  rescheduleJobs
+} = require('../jobs/monthlyPaymentJob');
+const { getTimezone, setTimezone } = require('../config/timezone');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+
+const TIMEZONE = process.env.TIMEZONE || 'America/Sao_Paulo';
+const dia = (data) => moment.tz(data, TIMEZONE).toDate();
+
+describe('Job de mensalidades', () => {
+  let mongod;
+  let aluno;
+  let alunoFimDeMes;
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Student.deleteMany({}),
+      Monthly.deleteMany({}),
+      Settings.deleteMany({})
+    ]);
+
+    aluno = await Student.create({
+      nome: 'Aluno Dia 10',
+      data_nascimento: new Date('1990-05-10'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+
+    alunoFimDeMes = await Student.create({
+      nome: 'Aluno Dia 31',
+      data_nascimento: new Date('1992-08-20'),
+      grupo: 'adulto',
+      dia_vencimento: 31,
+      valor_mensalidade: 180
+    });
+
+    await Student.create({
+      nome: 'Aluno Inativo',
+      data_nascimento: new Date('1988-01-15'),
+      grupo: 'adulto',
+      valor_mensalidade: 150,
+      status: 'inativo'
+    });
+  });
+
+  it('deve gerar as mensalidades da competência usando vencimento e valor de cada aluno', async () => {
+    const resultado = await generateMonthlyPayments(dia('2026-02-01'));
+
+    expect(resultado).toEqual({ competencia: '2026-02', geradas: 2, existentes: 0 });
+
+    const mensalidade = await Monthly.findOne({ aluno_id: aluno._id });
+    expect(mensalidade.competencia).toBe('2026-02');
+    expect(mensalidade.valor).toBe(150);
+    expect(mensalidade.status).toBe('em_aberto');
+    expect(mensalidade.vencimento).toEqual(dia('2026-02-10'));
+    expect(mensalidade.multa_tipo).toBe('percentual');
+    expect(mensalidade.multa_valor).toBe(10);
+    expect(mensalidade.dias_carencia).toBe(3);
+
+    // Dia 31 em fevereiro cai no último dia do mês
+    const fimDeMes = await Monthly.findOne({ aluno_id: alunoFimDeMes._id });
+    expect(fimDeMes.valor).toBe(180);
+    expect(fimDeMes.vencimento).toEqual(dia('2026-02-28'));
+  });
+
+  it('não deve duplicar mensalidades ao executar novamente', async () => {
+    await generateMonthlyPayments(dia('2026-02-01'));
+    const resultado = await generateMonthlyPayments(dia('2026-02-15'));
+
+    expect(resultado.geradas).toBe(0);
+    expect(resultado.existentes).toBe(2);
+    expect(await Monthly.countDocuments()).toBe(2);
+  });
+
+  it('deve processar um mês de cobrança de ponta a ponta', async () => {
+    await generateMonthlyPayments(dia('2026-02-01'));
+
+    // Lembrete 3 dias antes do vencimento
+    const lembretes = await sendPaymentReminders(dia('2026-02-07'));
+    expect(lembretes).toHaveLength(1);
+    expect(lembretes[0].aluno_id).toEqual(aluno._id);
+    expect(lembretes[0].dias).toBe(3);
+
+    // No dia do vencimento ainda não está atrasada
+    let resultado = await calculateLateFees(dia('2026-02-10'));
+    expect(resultado.atrasadas).toBe(0);
+
+    // Durante a carência (3 dias) a mensalidade continua em aberto
+    resultado = await calculateLateFees(dia('2026-02-13'));
+    expect(resultado.atrasadas).toBe(0);
+
+    // Lembrete de atraso 3 dias após o vencimento
+    const atrasados = await sendPaymentReminders(dia('2026-02-13'));
+    expect(atrasados.map(l => l.dias)).toEqual([-3]);
+
+    // Vencida a carência passa a estar atrasada, sem bloqueio
+    resultado = await calculateLateFees(dia('2026-02-14'));
+    expect(resultado).toEqual({ atrasadas: 1, bloqueadas: 0 });
+
+    let mensalidade = await Monthly.findOne({ aluno_id: aluno._id });
+    expect(mensalidade.status).toBe('atrasado');
+
+    // Após os dias configurados para bloqueio o check-in é bloqueado
+    resultado = await calculateLateFees(dia('2026-02-17'));
+    expect(resultado.bloqueadas).toBe(1);
+
+    let alunoAtualizado = await Student.findById(aluno._id);
+    expect(alunoAtualizado.configuracoes.bloqueio_checkin).toBe(true);
+
+    // O pagamento libera o check-in
+    mensalidade = await Monthly.findOne({ aluno_id: aluno._id });
+    await mensalidade.registrarPagamento({
+      valor_pago: 165,
+      forma_pagamento: 'pix',
+      data_pagamento: dia('2026-02-18')
+    });
+
+    alunoAtualizado = await Student.findById(aluno._id);
+    expect(alunoAtualizado.configuracoes.bloqueio_checkin).toBe(false);
+
+    // A mensalidade do outro aluno segue em aberto até o fim do mês
+    const fimDeMes = await Monthly.findOne({ aluno_id: alunoFimDeMes._id });
+    expect(fimDeMes.status).toBe('em_aberto');
+  });
+
+  it('deve liberar o bloqueio financeiro apenas sem outras mensalidades atrasadas', async () => {
+    await generateMonthlyPayments(dia('2026-01-01'));
+    await generateMonthlyPayments(dia('2026-02-01'));
+    await calculateLateFees(dia('2026-02-20'));
+
+    let alunoAtualizado = await Student.findById(aluno._id);
+    expect(alunoAtualizado.configuracoes.bloqueio_checkin).toBe(true);
+    expect(alunoAtualizado.configuracoes.origem_bloqueio).toBe('financeiro');
+
+    // Isentar janeiro não libera enquanto fevereiro segue atrasado
+    const janeiro = await Monthly.findOne({ aluno_id: aluno._id, competencia: '2026-01' });
+    janeiro.status = 'isento';
+    await janeiro.save();
+
+    alunoAtualizado = await Student.findById(aluno._id);
+    expect(alunoAtualizado.configuracoes.bloqueio_checkin).toBe(true);
+
+    // Cancelar fevereiro quita a última pendência
+    const fevereiro = await Monthly.findOne({ aluno_id: aluno._id, competencia: '2026-02' });
+    fevereiro.status = 'cancelado';
+    await fevereiro.save();
+
+    alunoAtualizado = await Student.findById(aluno._id);
+    expect(alunoAtualizado.configuracoes.bloqueio_checkin).toBe(false);
+    expect(alunoAtualizado.configuracoes.origem_bloqueio).toBeNull();
+  });
+
+  it('deve manter bloqueios manuais após o pagamento', async () => {
+    await generateMonthlyPayments(dia('2026-02-01'));
+    await calculateLateFees(dia('2026-02-20'));
+
+    // Bloqueio manual aplicado pela academia por outro motivo
+    const alunoBloqueado = await Student.findById(aluno._id);
+    await alunoBloqueado.alterarBloqueioCheckin(true, 'Atestado médico pendente');
+
+    const mensalidade = await Monthly.findOne({ aluno_id: aluno._id });
+    await mensalidade.registrarPagamento({ valor_pago: 150, forma_pagamento: 'dinheiro' });
+
+    const alunoAtualizado = await Student.findById(aluno._id);
+    expect(alunoAtualizado.configuracoes.bloqueio_checkin).toBe(true);
+    expect(alunoAtualizado.configuracoes.motivo_bloqueio).toBe('Atestado médico pendente');
+  });
+
+  it('deve usar as configurações vigentes em cada execução', async () => {
+    await Settings.updateSettings({
+      lateFeeType: 'fixed',
+      lateFeeValue: 15,
+      gracePeriodDays: 0,
+      blockAfterDays: 2,
+      reminderDays: [5]
+    });
+
+    await generateMonthlyPayments(dia('2026-02-01'));
+
+    const mensalidade = await Monthly.findOne({ aluno_id: aluno._id });
+    expect(mensalidade.multa_tipo).toBe('fixa');
+    expect(mensalidade.multa_valor).toBe(15);
+    expect(mensalidade.dias_carencia).toBe(0);
+
+    const lembretes = await sendPaymentReminders(dia('2026-02-05'));
+    expect(lembretes).toHaveLength(1);
+    expect(lembretes[0].dias).toBe(5);
+
+    // Sem carência fica atrasada no dia seguinte e bloqueia após 2 dias
+    expect((await calculateLateFees(dia('2026-02-11'))).atrasadas).toBe(1);
+    expect((await calculateLateFees(dia('2026-02-12'))).bloqueadas).toBe(1);
+  });
+
+  it('deve agendar a geração para o dia configurado', () => {
+    expect(generationCronExpression(5)).toBe('0 0 5 * *');
+    expect(generationCronExpression(31)).toBe('0 0 28-31 * *');
+
+    // Em meses curtos a geração ocorre no último dia
+    expect(isGenerationDay(dia('2026-02-28'), 31)).toBe(true);
+    expect(isGenerationDay(dia('2026-03-28'), 31)).toBe(false);
+    expect(isGenerationDay(dia('2026-03-31'), 31)).toBe(true);
+  });
+
+  it('deve reagendar os jobs com horário fixo quando o timezone muda', async () => {
+    const timezoneOriginal = getTimezone();
+
+    try {
+      await initializeJobs();
+
+      const settings = await Settings.getSettings();
+      expect(rescheduleJobs(settings)).toBe(false);
+
+      const atualizadas = await Settings.updateSettings({ timezone: 'Europe/Lisbon' });
+      expect(rescheduleJobs(atualizadas)).toBe(true);
+
+      // Já reagendados no novo timezone
+      expect(rescheduleJobs(atualizadas)).toBe(false);
+    } finally {
+      cron.getTasks().forEach(tarefa => tarefa.stop());
+      setTimezone(timezoneOriginal);
+    }
+  });
+});
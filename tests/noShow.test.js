@@ -0,0 +1,220 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Attendance = require('../models/Attendance');
+const Monthly = require('../models/Monthly');
+const Settings = require('../models/Settings');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+const MINUTO_MS = 60 * 1000;
+
+describe('Penalidades de no-show', () => {
+  let mongod;
+  let turma;
+  let aula;
+  let aluno;
+  let booking;
+  let tokenAluno;
+  let tokenInstrutor;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  const finalizarAula = async () => {
+    await request(app)
+      .put(`/api/lessons/${aula._id}/start`)
+      .set('Authorization', `Bearer ${tokenInstrutor}`)
+      .expect(200);
+
+    await request(app)
+      .put(`/api/lessons/${aula._id}/finish`)
+      .set('Authorization', `Bearer ${tokenInstrutor}`)
+      .expect(200);
+  };
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      Attendance.deleteMany({}),
+      Monthly.deleteMany({}),
+      Settings.deleteMany({})
+    ]);
+
+    const instrutor = await User.create({
+      nome: 'Professor Silva',
+      email: 'silva@example.com',
+      telefone: '11977776666',
+      senha: 'Senha123',
+      perfil: 'instrutor'
+    });
+    tokenInstrutor = gerarToken(instrutor);
+
+    turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: instrutor._id,
+      configuracoes: {
+        multa_no_show: { ativa: true, valor: 20 }
+      }
+    });
+
+    const inicio = new Date(Date.now() + 30 * MINUTO_MS);
+    aula = await Lesson.create({
+      turma_id: turma._id,
+      data: inicio,
+      hora_inicio: inicio,
+      hora_fim: new Date(inicio.getTime() + 60 * MINUTO_MS)
+    });
+
+    const usuario = await User.create({
+      nome: 'Joana Prado',
+      email: 'joana@example.com',
+      telefone: '11988887777',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+    tokenAluno = gerarToken(usuario);
+
+    aluno = await Student.create({
+      usuario_id: usuario._id,
+      nome: 'Joana Prado',
+      data_nascimento: new Date('1995-06-20'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+
+    booking = await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+  });
+
+  it('deve marcar no-show, registrar falta e lançar a multa na mensalidade em aberto', async () => {
+    const mensalidade = await Monthly.create({
+      aluno_id: aluno._id,
+      competencia: '2099-01',
+      valor: 150,
+      vencimento: new Date('2099-01-10T12:00:00Z')
+    });
+
+    await finalizarAula();
+
+    const atualizado = await Booking.findById(booking._id);
+    expect(atualizado.status).toBe('no_show');
+    expect(atualizado.multa_no_show.mensalidade_id).toEqual(mensalidade._id);
+
+    const falta = await Attendance.findOne({ aula_id: aula._id, aluno_id: aluno._id });
+    expect(falta.status).toBe('falta');
+
+    const cobrada = await Monthly.findById(mensalidade._id);
+    expect(cobrada.itens_extras).toHaveLength(1);
+    expect(cobrada.itens_extras[0].tipo).toBe('no_show');
+    expect(cobrada.valor_total).toBe(170);
+  });
+
+  it('deve levar a multa para a próxima mensalidade gerada', async () => {
+    await finalizarAula();
+
+    const pendente = await Booking.findById(booking._id);
+    expect(pendente.multa_no_show.valor).toBe(20);
+    expect(pendente.multa_no_show.mensalidade_id).toBeNull();
+
+    await Monthly.criarMensalidadesLote('2099-02');
+
+    const mensalidade = await Monthly.findOne({ aluno_id: aluno._id, competencia: '2099-02' });
+    expect(mensalidade.itens_extras).toHaveLength(1);
+    expect(mensalidade.valor_total).toBe(170);
+
+    const lancada = await Booking.findById(booking._id);
+    expect(lancada.multa_no_show.mensalidade_id).toEqual(mensalidade._id);
+  });
+
+  it('não deve cobrar quem fez check-in', async () => {
+    await booking.realizarCheckin({ metodo_registro: 'automatico' });
+
+    await finalizarAula();
+
+    const atualizado = await Booking.findById(booking._id);
+    expect(atualizado.status).toBe('presente');
+    expect(atualizado.multa_no_show.valor).toBeUndefined();
+  });
+
+  it('deve suspender os agendamentos ao atingir o limite de no-shows', async () => {
+    await Settings.updateSettings({ noShowSuspension: { enabled: true, limit: 1 } });
+
+    await finalizarAula();
+
+    const suspenso = await Student.findById(aluno._id);
+    expect(suspenso.agendamentoSuspenso()).toBe(true);
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ aula_id: aula._id.toString() })
+      .expect(403);
+
+    expect(response.body.message).toMatch(/Agendamentos suspensos até/);
+    expect(response.body.data.suspenso_ate).toBeDefined();
+  });
+
+  it('deve penalizar os demais alunos quando a penalidade de um falha e permitir reprocessar', async () => {
+    const outroAluno = await Student.create({
+      nome: 'Rafael Costa',
+      data_nascimento: new Date('1992-02-11'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+    const outroBooking = await Booking.create({ aula_id: aula._id, aluno_id: outroAluno._id });
+
+    const lancarItemExtra = jest.spyOn(Monthly, 'lancarItemExtra')
+      .mockRejectedValueOnce(new Error('Falha ao lançar a multa'));
+
+    try {
+      await finalizarAula();
+    } finally {
+      lancarItemExtra.mockRestore();
+    }
+
+    // A falha devolve o agendamento para confirmado; o outro aluno é penalizado normalmente
+    const [falhou, penalizado] = await Promise.all([
+      Booking.findById(booking._id),
+      Booking.findById(outroBooking._id)
+    ]);
+    expect(falhou.status).toBe('confirmado');
+    expect(penalizado.status).toBe('no_show');
+    expect(penalizado.multa_no_show.valor).toBe(20);
+
+    expect(await Booking.processarNoShows(aula._id)).toBe(1);
+
+    const reprocessado = await Booking.findById(booking._id);
+    expect(reprocessado.status).toBe('no_show');
+    expect(reprocessado.multa_no_show.valor).toBe(20);
+    expect(await Attendance.countDocuments({ aula_id: aula._id, status: 'falta' })).toBe(2);
+  });
+});
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Student = require('../models/Student');
+const Monthly = require('../models/Monthly');
+const Settings = require('../models/Settings');
+const Notification = require('../models/Notification');
+const { setProvider, createFakeProvider } = require('../config/sms');
+const { processNotificationQueue } = require('../jobs/notificationJob');
+
+// Configurar ambiente de teste (emails em JSON e SMS pelo provedor falso)
+process.env.NODE_ENV = 'test';
+process.env.EMAIL_TRANSPORT = 'json';
+
+describe('Fila de notificações', () => {
+  let mongod;
+  let mensalidade;
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Student.deleteMany({}),
+      Monthly.deleteMany({}),
+      Settings.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+
+    setProvider(createFakeProvider());
+
+    await Settings.updateSettings({
+      integrations: { sms: { enabled: true } },
+      notificationChannels: { email: true, sms: true, whatsapp: false }
+    });
+
+    const aluno = await Student.create({
+      nome: 'Carlos Dias',
+      data_nascimento: new Date('1990-01-15'),
+      grupo: 'adulto',
+      valor_mensalidade: 150,
+      contato: { email: 'carlos@example.com', telefone: '11988887777' }
+    });
+
+    mensalidade = await Monthly.create({
+      aluno_id: aluno._id,
+      competencia: '2026-02',
+      valor: 150,
+      vencimento: new Date('2030-02-10T03:00:00Z')
+    });
+  });
+
+  it('deve entregar a notificação nos canais configurados', async () => {
+    const notificacao = await Notification.enfileirar('lembrete_pagamento', {
+      aluno_id: mensalidade.aluno_id,
+      referencia: { modelo: 'Monthly', id: mensalidade._id },
+      dados: { dias: 3 }
+    });
+
+    const resumo = await processNotificationQueue();
+    expect(resumo.processadas).toBe(1);
+    expect(resumo.enviadas).toBe(1);
+
+    const atualizada = await Notification.findById(notificacao._id);
+    expect(atualizada.status).toBe('enviado');
+    expect(atualizada.tentativas).toBe(1);
+    expect(atualizada.canais_pendentes).toHaveLength(0);
+
+    const porCanal = Object.fromEntries(atualizada.historico.map(h => [h.canal, h]));
+    expect(porCanal.email.enviado).toBe(true);
+    expect(porCanal.sms.enviado).toBe(true);
+    expect(porCanal.whatsapp.motivo).toBe('canal_desabilitado');
+  });
+
+  it('deve reagendar com backoff exponencial apenas os canais com falha', async () => {
+    setProvider({
+      nome: 'fake',
+      send: async () => { throw new Error('Serviço indisponível'); }
+    });
+
+    const notificacao = await Notification.enfileirar('lembrete_pagamento', {
+      aluno_id: mensalidade.aluno_id,
+      referencia: { modelo: 'Monthly', id: mensalidade._id },
+      dados: { dias: 3 }
+    });
+
+    const inicio = new Date();
+    await processNotificationQueue({ referencia: inicio });
+
+    let atualizada = await Notification.findById(notificacao._id);
+    expect(atualizada.status).toBe('pendente');
+    expect(atualizada.canais_pendentes).toEqual(['sms']);
+    expect(atualizada.ultimo_erro).toBe('Serviço indisponível');
+    expect(atualizada.proxima_tentativa.getTime() - inicio.getTime()).toBe(60 * 1000);
+
+    // Antes do prazo a notificação não é processada novamente
+    const antes = await processNotificationQueue({ referencia: new Date(inicio.getTime() + 30 * 1000) });
+    expect(antes.processadas).toBe(0);
+
+    const segunda = new Date(inicio.getTime() + 60 * 1000);
+    await processNotificationQueue({ referencia: segunda });
+
+    atualizada = await Notification.findById(notificacao._id);
+    expect(atualizada.tentativas).toBe(2);
+    expect(atualizada.proxima_tentativa.getTime() - segunda.getTime()).toBe(2 * 60 * 1000);
+
+    // O email já entregue não é reenviado
+    expect(atualizada.historico.filter(h => h.canal === 'email')).toHaveLength(1);
+  });
+
+  it('deve marcar como falha ao esgotar as tentativas', async () => {
+    const notificacao = await Notification.enfileirar('confirmacao_pagamento', {
+      referencia: { modelo: 'Monthly', id: new mongoose.Types.ObjectId() }
+    });
+    notificacao.max_tentativas = 1;
+    await notificacao.save();
+
+    const resumo = await processNotificationQueue();
+    expect(resumo.falhas).toBe(1);
+
+    const atualizada = await Notification.findById(notificacao._id);
+    expect(atualizada.status).toBe('falha');
+    expect(atualizada.ultimo_erro).toMatch(/não encontrado/);
+  });
+
+  it('deve permitir reenviar uma notificação entregue', async () => {
+    const notificacao = await Notification.enfileirar('confirmacao_pagamento', {
+      aluno_id: mensalidade.aluno_id,
+      referencia: { modelo: 'Monthly', id: mensalidade._id }
+    });
+
+    await processNotificationQueue();
+    let atualizada = await Notification.findById(notificacao._id);
+    expect(atualizada.canais).toEqual(['email']);
+    expect(atualizada.status).toBe('enviado');
+
+    await atualizada.reenviar();
+    await processNotificationQueue();
+
+    atualizada = await Notification.findById(notificacao._id);
+    expect(atualizada.status).toBe('enviado');
+    expect(atualizada.historico).toHaveLength(2);
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Monthly = require('../models/Monthly');
+const Settings = require('../models/Settings');
+const {
+  enviarResetSenha,
+  notificarLembretePagamento
+} = require('../utils/notificationService');
+
+// Configurar ambiente de teste (emails gerados com o transporte JSON)
+process.env.NODE_ENV = 'test';
+process.env.EMAIL_TRANSPORT = 'json';
+
+describe('Serviço de notificações por email', () => {
+  let mongod;
+  let usuario;
+  let mensalidade;
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Monthly.deleteMany({}),
+      Settings.deleteMany({})
+    ]);
+
+    usuario = await User.create({
+      nome: 'Maria Souza',
+      email: 'maria@example.com',
+      telefone: '11999999999',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+
+    const aluno = await Student.create({
+      usuario_id: usuario._id,
+      nome: 'Maria Souza',
+      data_nascimento: new Date('1995-03-12'),
+      grupo: 'adulto',
+      valor_mensalidade: 150
+    });
+
+    mensalidade = await Monthly.create({
+      aluno_id: aluno._id,
+      competencia: '2026-02',
+      valor: 150,
+      vencimento: new Date('2030-02-10T03:00:00Z')
+    });
+  });
+
+  it('deve gerar o email de recuperação de senha com o link', async () => {
+    const envio = await enviarResetSenha(usuario, 'http://localhost:3000/reset-password/abc123');
+
+    expect(envio.enviado).toBe(true);
+
+    const mensagem = JSON.parse(envio.info.message);
+    expect(mensagem.to[0].address).toBe('maria@example.com');
+    expect(mensagem.subject).toBe('Recuperação de senha');
+    expect(mensagem.html).toContain('http://localhost:3000/reset-password/abc123');
+    expect(mensagem.text).toContain('Olá, Maria Souza!');
+  });
+
+  it('deve enviar lembrete de pagamento em português', async () => {
+    const envio = await notificarLembretePagamento(mensalidade, 3, 'https://pagamento.exemplo/123');
+
+    expect(envio.enviado).toBe(true);
+
+    const mensagem = JSON.parse(envio.info.message);
+    expect(mensagem.subject).toBe('Lembrete: mensalidade Fevereiro 2026');
+    expect(mensagem.text).toContain('vence em 3 dia(s)');
+    expect(mensagem.text).toContain('R$');
+    expect(mensagem.html).toContain('https://pagamento.exemplo/123');
+  });
+
+  it('deve respeitar a preferência de email do usuário, exceto na recuperação de senha', async () => {
+    usuario.configuracoes.notificacoes.email = false;
+    await usuario.save();
+
+    const lembrete = await notificarLembretePagamento(mensalidade, 0);
+    expect(lembrete).toEqual({ enviado: false, motivo: 'preferencia_usuario' });
+
+    const reset = await enviarResetSenha(usuario, 'http://localhost:3000/reset-password/abc123');
+    expect(reset.enviado).toBe(true);
+  });
+
+  it('não deve enviar emails com a integração desabilitada', async () => {
+    await Settings.updateSettings({ integrations: { email: { enabled: false } } });
+
+    const envio = await enviarResetSenha(usuario, 'http://localhost:3000/reset-password/abc123');
+    expect(envio).toEqual({ enviado: false, motivo: 'email_desabilitado' });
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Pedidos da loja → baixa de estoque', () => {
+  let mongod;
+  let kimono;
+  let faixa;
+  let tokenAluno;
+  let tokenAdmin;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  const criarPedido = (itens, token = tokenAluno) => request(app)
+    .post('/api/store/orders')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      itens,
+      tipo_entrega: 'retirada',
+      pagamento: { metodo: 'pix' }
+    });
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Product.deleteMany({}),
+      Order.deleteMany({})
+    ]);
+
+    const admin = await User.create({
+      nome: 'Administrador',
+      email: 'admin@example.com',
+      telefone: '11966665555',
+      senha: 'Senha123',
+      perfil: 'admin'
+    });
+    tokenAdmin = gerarToken(admin);
+
+    const usuario = await User.create({
+      nome: 'Carlos Dias',
+      email: 'carlos@example.com',
+      telefone: '11988887777',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+    tokenAluno = gerarToken(usuario);
+
+    await Student.create({
+      usuario_id: usuario._id,
+      nome: 'Carlos Dias',
+      data_nascimento: new Date('1990-01-15'),
+      grupo: 'adulto',
+      valor_mensalidade: 150,
+      contato: { email: 'carlos@example.com' }
+    });
+
+    kimono = await Product.create({
+      nome: 'Kimono Trançado',
+      sku: 'KIM-A2',
+      categoria: 'kimono',
+      preco: 400,
+      estoque: { quantidade: 5 }
+    });
+
+    faixa = await Product.create({
+      nome: 'Faixa Branca',
+      sku: 'FX-BR',
+      categoria: 'faixa',
+      preco: 30,
+      estoque: { controlar: false }
+    });
+  });
+
+  it('deve criar o pedido e baixar o estoque', async () => {
+    const response = await criarPedido([
+      { produto_id: kimono._id.toString(), quantidade: 2 },
+      { produto_id: faixa._id.toString(), quantidade: 1 }
+    ]).expect(201);
+
+    expect(response.body.data.status).toBe('aguardando_pagamento');
+    expect(response.body.data.valores.total).toBe(830);
+    expect(response.body.data.cliente.nome).toBe('Carlos Dias');
+
+    const kimonoAtualizado = await Product.findById(kimono._id);
+    expect(kimonoAtualizado.estoque.quantidade).toBe(3);
+    expect(kimonoAtualizado.estatisticas.vendas).toBe(2);
+
+    const faixaAtualizada = await Product.findById(faixa._id);
+    expect(faixaAtualizada.estoque.quantidade).toBe(0);
+    expect(faixaAtualizada.estatisticas.vendas).toBe(1);
+
+    const meus = await request(app)
+      .get('/api/store/orders/my')
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .expect(200);
+
+    expect(meus.body.data.totalDocs).toBe(1);
+  });
+
+  it('deve recusar pedido sem estoque suficiente', async () => {
+    const response = await criarPedido([
+      { produto_id: kimono._id.toString(), quantidade: 6 }
+    ]).expect(400);
+
+    expect(response.body.message).toMatch(/Estoque insuficiente/);
+    expect(await Order.countDocuments()).toBe(0);
+
+    const kimonoAtualizado = await Product.findById(kimono._id);
+    expect(kimonoAtualizado.estoque.quantidade).toBe(5);
+  });
+
+  it('deve desfazer a baixa parcial quando um item fica sem estoque', async () => {
+    const pedido = new Order({
+      numero_pedido: await Order.gerarNumeroPedido(),
+      cliente: { aluno_id: new mongoose.Types.ObjectId(), nome: 'Carlos Dias', email: 'carlos@example.com' },
+      itens: [
+        { produto_id: kimono._id, nome: kimono.nome, sku: kimono.sku, quantidade: 2, preco_unitario: 400, preco_total: 800 },
+        { produto_id: kimono._id, nome: kimono.nome, sku: kimono.sku, quantidade: 4, preco_unitario: 400, preco_total: 1600 }
+      ],
+      valores: { subtotal: 0, total: 0 },
+      tipo_entrega: 'retirada',
+      pagamento: { metodo: 'pix' }
+    });
+
+    await expect(pedido.baixarEstoque()).rejects.toThrow(/Estoque insuficiente/);
+
+    const kimonoAtualizado = await Product.findById(kimono._id);
+    expect(kimonoAtualizado.estoque.quantidade).toBe(5);
+    expect(kimonoAtualizado.estatisticas.vendas).toBe(0);
+  });
+
+  it('deve devolver o estoque ao cancelar o pedido', async () => {
+    const criado = await criarPedido([
+      { produto_id: kimono._id.toString(), quantidade: 2 }
+    ]).expect(201);
+
+    await request(app)
+      .put(`/api/store/orders/${criado.body.data._id}/status`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ status: 'cancelado', observacao: 'Desistência' })
+      .expect(200);
+
+    const pedido = await Order.findById(criado.body.data._id);
+    expect(pedido.status).toBe('cancelado');
+    expect(pedido.cancelamento.motivo).toBe('Desistência');
+
+    const kimonoAtualizado = await Product.findById(kimono._id);
+    expect(kimonoAtualizado.estoque.quantidade).toBe(5);
+    expect(kimonoAtualizado.estatisticas.vendas).toBe(0);
+  });
+
+  it('deve devolver o estoque uma única vez ao registrar a devolução e deletar o pedido', async () => {
+    const criado = await criarPedido([
+      { produto_id: kimono._id.toString(), quantidade: 2 }
+    ]).expect(201);
+
+    const alterarStatus = (status, observacao) => request(app)
+      .put(`/api/store/orders/${criado.body.data._id}/status`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ status, observacao });
+
+    // Pedido ainda não entregue não pode ser devolvido
+    await alterarStatus('devolvido', 'Tamanho errado').expect(400);
+    expect((await Product.findById(kimono._id)).estoque.quantidade).toBe(3);
+
+    await alterarStatus('entregue').expect(200);
+    await alterarStatus('devolvido', 'Tamanho errado').expect(200);
+
+    expect((await Product.findById(kimono._id)).estoque.quantidade).toBe(5);
+
+    await request(app)
+      .delete(`/api/store/orders/${criado.body.data._id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+
+    expect((await Product.findById(kimono._id)).estoque.quantidade).toBe(5);
+  });
+
+  it('deve cancelar o pedido não pago no prazo e devolver o estoque', async () => {
+    const criado = await criarPedido([
+      { produto_id: kimono._id.toString(), quantidade: 2 }
+    ]).expect(201);
+
+    expect(await Order.expirarPedidosNaoPagos(48)).toBe(0);
+
+    const depoisDoPrazo = new Date(Date.now() + 49 * 60 * 60 * 1000);
+    expect(await Order.expirarPedidosNaoPagos(48, depoisDoPrazo)).toBe(1);
+
+    const pedido = await Order.findById(criado.body.data._id);
+    expect(pedido.status).toBe('cancelado');
+    expect(pedido.cancelamento.motivo).toMatch(/Pagamento não confirmado/);
+    expect((await Product.findById(kimono._id)).estoque.quantidade).toBe(5);
+
+    // Pedido já cancelado não é processado de novo
+    expect(await Order.expirarPedidosNaoPagos(48, depoisDoPrazo)).toBe(0);
+  });
+});
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Monthly = require('../models/Monthly');
+const Notification = require('../models/Notification');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Ações sobre mensalidades', () => {
+  let mongod;
+  let aluno;
+  let mensalidade;
+  let tokenAdmin;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Monthly.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+
+    const admin = await User.create({
+      nome: 'Admin',
+      email: 'admin@example.com',
+      telefone: '11999990000',
+      senha: 'Senha123',
+      perfil: 'admin'
+    });
+    tokenAdmin = gerarToken(admin);
+
+    const usuario = await User.create({
+      nome: 'Marcos Lima',
+      email: 'marcos@example.com',
+      telefone: '11988881111',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+
+    aluno = await Student.create({
+      usuario_id: usuario._id,
+      nome: 'Marcos Lima',
+      data_nascimento: new Date('1990-03-15'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+
+    // Mensalidade em atraso que gerou o bloqueio financeiro do aluno
+    mensalidade = await Monthly.create({
+      aluno_id: aluno._id,
+      competencia: '2024-01',
+      valor: 150,
+      vencimento: new Date('2024-01-10T12:00:00Z'),
+      status: 'atrasado'
+    });
+    await aluno.alterarBloqueioCheckin(true, 'Mensalidade em atraso', 'financeiro');
+  });
+
+  it('deve registrar o pagamento da mensalidade e liberar o bloqueio financeiro', async () => {
+    const res = await request(app)
+      .put(`/api/payments/${mensalidade._id}/pay`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ valor_pago: 150, metodo: 'pix' })
+      .expect(200);
+
+    expect(res.body.data.status).toBe('pago');
+
+    const paga = await Monthly.findById(mensalidade._id);
+    expect(paga.valor_pago).toBe(150);
+    expect(paga.forma_pagamento).toBe('pix');
+
+    const atualizado = await Student.findById(aluno._id);
+    expect(atualizado.configuracoes.bloqueio_checkin).toBe(false);
+
+    expect(await Notification.countDocuments({ tipo: 'confirmacao_pagamento' })).toBe(1);
+
+    await request(app)
+      .put(`/api/payments/${mensalidade._id}/pay`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ valor_pago: 150, metodo: 'pix' })
+      .expect(400);
+  });
+
+  it('deve isentar a mensalidade e liberar o bloqueio financeiro', async () => {
+    await request(app)
+      .put(`/api/payments/${mensalidade._id}/exempt`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({})
+      .expect(400);
+
+    const res = await request(app)
+      .put(`/api/payments/${mensalidade._id}/exempt`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ motivo: 'Bolsa de atleta' })
+      .expect(200);
+
+    expect(res.body.data.status).toBe('isento');
+
+    const isenta = await Monthly.findById(mensalidade._id);
+    expect(isenta.historico_status.some(item => item.observacao === 'Bolsa de atleta')).toBe(true);
+
+    const atualizado = await Student.findById(aluno._id);
+    expect(atualizado.configuracoes.bloqueio_checkin).toBe(false);
+  });
+
+  it('deve cancelar a mensalidade mantendo o bloqueio enquanto houver outra em atraso', async () => {
+    await Monthly.create({
+      aluno_id: aluno._id,
+      competencia: '2024-02',
+      valor: 150,
+      vencimento: new Date('2024-02-10T12:00:00Z'),
+      status: 'atrasado'
+    });
+
+    const res = await request(app)
+      .put(`/api/payments/${mensalidade._id}/cancel`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ motivo: 'Cobrança duplicada' })
+      .expect(200);
+
+    expect(res.body.data.status).toBe('cancelado');
+    expect(res.body.data.motivo_cancelamento).toBe('Cobrança duplicada');
+
+    const atualizado = await Student.findById(aluno._id);
+    expect(atualizado.configuracoes.bloqueio_checkin).toBe(true);
+
+    await request(app)
+      .put(`/api/payments/${mensalidade._id}/cancel`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ motivo: 'Cobrança duplicada' })
+      .expect(400);
+  });
+
+  it('deve listar e obter as mensalidades pela mesma coleção usada nas ações', async () => {
+    const lista = await request(app)
+      .get('/api/payments')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+
+    expect(lista.body.data.totalDocs).toBe(1);
+    expect(lista.body.data.docs[0]._id).toBe(mensalidade._id.toString());
+
+    const detalhe = await request(app)
+      .get(`/api/payments/${mensalidade._id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200);
+
+    expect(detalhe.body.data.competencia).toBe('2024-01');
+  });
+
+  it('deve retornar 404 para mensalidade inexistente', async () => {
+    await request(app)
+      .put(`/api/payments/${new mongoose.Types.ObjectId()}/pay`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ valor_pago: 150, metodo: 'pix' })
+      .expect(404);
+  });
+});
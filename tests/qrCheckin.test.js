@@ -0,0 +1,191 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const Attendance = require('../models/Attendance');
+const { gerarTokenCheckin, validarTokenCheckin, QR_ROTACAO_SEGUNDOS } = require('../utils/checkinToken');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Token do QR code de check-in', () => {
+  const aulaId = new mongoose.Types.ObjectId().toString();
+  const agora = new Date('2026-03-02T21:30:10Z');
+
+  it('deve aceitar o token vigente e o do intervalo anterior', () => {
+    const { token, expira_em } = gerarTokenCheckin(aulaId, agora);
+
+    expect(expira_em.getTime()).toBeGreaterThan(agora.getTime());
+    expect(validarTokenCheckin(token, agora)).toBe(aulaId);
+
+    const depois = new Date(agora.getTime() + QR_ROTACAO_SEGUNDOS * 1000);
+    expect(validarTokenCheckin(token, depois)).toBe(aulaId);
+  });
+
+  it('deve recusar token expirado', () => {
+    const { token } = gerarTokenCheckin(aulaId, agora);
+    const depois = new Date(agora.getTime() + 2 * QR_ROTACAO_SEGUNDOS * 1000);
+
+    expect(() => validarTokenCheckin(token, depois)).toThrow(/expirado/);
+  });
+
+  it('deve recusar token adulterado', () => {
+    const { token } = gerarTokenCheckin(aulaId, agora);
+    const outraAula = new mongoose.Types.ObjectId().toString();
+
+    expect(() => validarTokenCheckin(token.replace(aulaId, outraAula), agora)).toThrow(/inválido/);
+    expect(() => validarTokenCheckin('qualquer-coisa', agora)).toThrow(/inválido/);
+  });
+});
+
+describe('Check-in por QR code', () => {
+  let mongod;
+  let turma;
+  let aula;
+  let aluno;
+  let usuarioAluno;
+  let tokenAluno;
+  let tokenInstrutor;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  const escanear = async () => {
+    const qr = await request(app)
+      .get(`/api/lessons/${aula._id}/qr-token`)
+      .set('Authorization', `Bearer ${tokenInstrutor}`)
+      .expect(200);
+
+    return request(app)
+      .post('/api/attendances/qr-checkin')
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ token: qr.body.data.token });
+  };
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      Attendance.deleteMany({})
+    ]);
+
+    const instrutor = await User.create({
+      nome: 'Professor Silva',
+      email: 'silva@example.com',
+      telefone: '11977776666',
+      senha: 'Senha123',
+      perfil: 'instrutor'
+    });
+    tokenInstrutor = gerarToken(instrutor);
+
+    turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: instrutor._id
+    });
+
+    // Aula começando em 30 minutos: dentro da janela de check-in (60 minutos)
+    const inicio = new Date(Date.now() + 30 * 60 * 1000);
+    aula = await Lesson.create({
+      turma_id: turma._id,
+      data: inicio,
+      hora_inicio: inicio,
+      hora_fim: new Date(inicio.getTime() + 60 * 60 * 1000)
+    });
+
+    usuarioAluno = await User.create({
+      nome: 'Joana Prado',
+      email: 'joana@example.com',
+      telefone: '11988887777',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+    tokenAluno = gerarToken(usuarioAluno);
+
+    aluno = await Student.create({
+      usuario_id: usuarioAluno._id,
+      nome: 'Joana Prado',
+      data_nascimento: new Date('1995-06-20'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+  });
+
+  it('deve registrar a presença do aluno com agendamento', async () => {
+    await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+
+    const response = await escanear();
+    expect(response.status).toBe(200);
+
+    const presenca = await Attendance.findOne({ aula_id: aula._id, aluno_id: aluno._id });
+    expect(presenca.metadata.metodo_registro).toBe('qr_code');
+    expect((await Booking.findOne({ aula_id: aula._id })).status).toBe('presente');
+  });
+
+  it('deve recusar aluno sem agendamento', async () => {
+    const response = await escanear();
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/não tem agendamento/);
+    expect(await Attendance.countDocuments()).toBe(0);
+  });
+
+  it('deve registrar walk-in de faixa preta sem agendamento', async () => {
+    aluno.faixa_atual = 'preta';
+    await aluno.save();
+
+    const response = await escanear();
+    expect(response.status).toBe(200);
+    expect(response.body.data.tipo_agendamento).toBe('walkin_preta');
+
+    const presenca = await Attendance.findOne({ aula_id: aula._id, aluno_id: aluno._id });
+    expect(presenca.modo).toBe('walkin_preta');
+  });
+
+  it('deve recusar aluno com check-in bloqueado', async () => {
+    await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+    aluno.configuracoes.bloqueio_checkin = true;
+    aluno.configuracoes.motivo_bloqueio = 'Mensalidade em atraso';
+    await aluno.save();
+
+    const response = await escanear();
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Mensalidade em atraso');
+  });
+
+  it('deve recusar check-in fora da janela da aula', async () => {
+    await Booking.create({ aula_id: aula._id, aluno_id: aluno._id });
+    turma.janela_checkin_minutos = 15;
+    await turma.save();
+
+    const response = await escanear();
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/não está liberado/);
+  });
+});
@@ -0,0 +1,214 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Booking = require('../models/Booking');
+const RecurringBooking = require('../models/RecurringBooking');
+const Settings = require('../models/Settings');
+const { generateLessons } = require('../jobs/lessonGenerationJob');
+
+// Configurar ambiente de teste
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Reservas recorrentes', () => {
+  let mongod;
+  let turma;
+  let aluno;
+  let tokenAluno;
+  let tokenAdmin;
+  let referencia;
+
+  const gerarToken = (usuario) => jwt.sign({ id: usuario._id }, process.env.JWT_SECRET);
+
+  const criarReserva = (dias) => request(app)
+    .post('/api/recurring-bookings')
+    .set('Authorization', `Bearer ${tokenAluno}`)
+    .send({ turma_id: turma._id.toString(), dias_semana: dias });
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Student.deleteMany({}),
+      Class.deleteMany({}),
+      Lesson.deleteMany({}),
+      Booking.deleteMany({}),
+      RecurringBooking.deleteMany({}),
+      Settings.deleteMany({})
+    ]);
+
+    // Próximo domingo às 10:00 (aulas não podem ser criadas no passado)
+    referencia = new Date();
+    referencia.setDate(referencia.getDate() + 7 - referencia.getDay());
+    referencia.setHours(10, 0, 0, 0);
+
+    const admin = await User.create({
+      nome: 'Administrador',
+      email: 'admin@example.com',
+      telefone: '11966665555',
+      senha: 'Senha123',
+      perfil: 'admin'
+    });
+    tokenAdmin = gerarToken(admin);
+
+    const instrutor = await User.create({
+      nome: 'Professor Silva',
+      email: 'silva@example.com',
+      telefone: '11977776666',
+      senha: 'Senha123',
+      perfil: 'instrutor'
+    });
+
+    turma = await Class.create({
+      nome: 'Adulto Noite',
+      grupo: 'adulto',
+      dias_semana: ['segunda', 'quarta'],
+      hora_inicio: '19:00',
+      hora_fim: '20:00',
+      capacidade: 20,
+      instrutor_id: instrutor._id
+    });
+
+    await Settings.create({ lessonGenerationWeeks: 2 });
+
+    const usuario = await User.create({
+      nome: 'Joana Prado',
+      email: 'joana@example.com',
+      telefone: '11988887777',
+      senha: 'Senha123',
+      perfil: 'aluno'
+    });
+    tokenAluno = gerarToken(usuario);
+
+    aluno = await Student.create({
+      usuario_id: usuario._id,
+      nome: 'Joana Prado',
+      data_nascimento: new Date('1995-06-20'),
+      grupo: 'adulto',
+      dia_vencimento: 10,
+      valor_mensalidade: 150
+    });
+  });
+
+  it('deve agendar as aulas já geradas nos dias escolhidos', async () => {
+    await generateLessons(referencia);
+
+    const response = await criarReserva(['segunda']).expect(201);
+
+    expect(response.body.data.agendados).toBe(2);
+
+    const agendamentos = await Booking.find({ aluno_id: aluno._id }).populate('aula_id');
+    expect(agendamentos).toHaveLength(2);
+    expect(agendamentos.every(agendamento => agendamento.aula_id.hora_inicio.getDay() === 1)).toBe(true);
+    expect(agendamentos[0].recorrencia_id.toString()).toBe(response.body.data.reserva._id);
+  });
+
+  it('deve agendar automaticamente as aulas geradas depois da reserva', async () => {
+    await criarReserva(['segunda', 'quarta']).expect(201);
+
+    await generateLessons(referencia);
+
+    const agendamentos = await Booking.find({ aluno_id: aluno._id, status: 'confirmado' });
+    expect(agendamentos).toHaveLength(4);
+  });
+
+  it('deve recusar dias em que a turma não tem aula', async () => {
+    const response = await criarReserva(['sexta']).expect(400);
+
+    expect(response.body.message).toMatch(/sexta/);
+  });
+
+  it('deve pausar enquanto o aluno está trancado e retomar depois', async () => {
+    await criarReserva(['segunda']).expect(201);
+
+    await Student.updateOne({ _id: aluno._id }, { status: 'trancado' });
+    await generateLessons(referencia);
+
+    expect(await Booking.countDocuments({ aluno_id: aluno._id })).toBe(0);
+
+    await Student.updateOne({ _id: aluno._id }, { status: 'ativo' });
+    await generateLessons(referencia);
+
+    expect(await Booking.countDocuments({ aluno_id: aluno._id })).toBe(2);
+  });
+
+  it('deve cancelar sem penalidade os agendamentos já criados ao trancar o aluno', async () => {
+    await generateLessons(referencia);
+    await criarReserva(['segunda']).expect(201);
+    const avulso = await Lesson.findOne({ turma_id: turma._id, hora_inicio: { $gt: referencia } })
+      .sort({ hora_inicio: -1 });
+    await Booking.criarAgendamento(avulso._id, aluno._id);
+
+    expect(await Booking.countDocuments({ aluno_id: aluno._id, status: 'confirmado' })).toBe(3);
+
+    await request(app)
+      .put(`/api/students/${aluno._id}/status`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ status: 'trancado', motivo: 'Viagem' })
+      .expect(200);
+
+    // Apenas os agendamentos da reserva são cancelados, sem falta nem multa
+    const cancelados = await Booking.find({ aluno_id: aluno._id, status: 'cancelado' });
+    expect(cancelados).toHaveLength(2);
+    expect(cancelados.every(agendamento => agendamento.recorrencia_id && !agendamento.data_no_show)).toBe(true);
+    expect((await Booking.findOne({ aula_id: avulso._id })).status).toBe('confirmado');
+
+    // Ao reativar, a reserva volta a agendar as aulas canceladas pela pausa
+    await request(app)
+      .put(`/api/students/${aluno._id}/status`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ status: 'ativo' })
+      .expect(200);
+    await generateLessons(referencia);
+
+    expect(await Booking.countDocuments({ aluno_id: aluno._id, status: 'confirmado' })).toBe(3);
+  });
+
+  it('deve cancelar os agendamentos da reserva ao bloquear o check-in', async () => {
+    await generateLessons(referencia);
+    await criarReserva(['segunda', 'quarta']).expect(201);
+
+    await (await Student.findById(aluno._id)).alterarBloqueioCheckin(true, 'Mensalidade em atraso', 'financeiro');
+
+    expect(await Booking.countDocuments({ aluno_id: aluno._id, status: 'confirmado' })).toBe(0);
+    expect(await Booking.countDocuments({ aluno_id: aluno._id, motivo_cancelamento: /pausada/ })).toBe(4);
+  });
+
+  it('deve pular uma data cancelando o agendamento do dia', async () => {
+    await generateLessons(referencia);
+    const criada = await criarReserva(['segunda']).expect(201);
+    const reservaId = criada.body.data.reserva._id;
+
+    const aula = await Lesson.findOne({ turma_id: turma._id }).sort({ hora_inicio: 1 });
+
+    const response = await request(app)
+      .put(`/api/recurring-bookings/${reservaId}/skip`)
+      .set('Authorization', `Bearer ${tokenAluno}`)
+      .send({ data: aula.hora_inicio.toISOString() })
+      .expect(200);
+
+    expect(response.body.data.agendamento_cancelado).toBe(true);
+
+    const cancelado = await Booking.findOne({ aula_id: aula._id, aluno_id: aluno._id });
+    expect(cancelado.status).toBe('cancelado');
+
+    // A data pulada não é reagendada nas próximas gerações
+    await generateLessons(referencia);
+    expect(await Booking.countDocuments({ aluno_id: aluno._id, status: 'confirmado' })).toBe(1);
+  });
+});
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Student = require('../models/Student');
+const Monthly = require('../models/Monthly');
+const Settings = require('../models/Settings');
+const MessageLog = require('../models/MessageLog');
+const { setProvider, createFakeProvider } = require('../config/sms');
+const { enviarLembretePagamentoCelular } = require('../utils/notificationService');
+
+// Configurar ambiente de teste (mensagens registradas pelo provedor falso)
+process.env.NODE_ENV = 'test';
+
+describe('Serviço de notificações por SMS/WhatsApp', () => {
+  let mongod;
+  let provider;
+  let aluno;
+  let mensalidade;
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Student.deleteMany({}),
+      Monthly.deleteMany({}),
+      Settings.deleteMany({}),
+      MessageLog.deleteMany({})
+    ]);
+
+    provider = createFakeProvider();
+    setProvider(provider);
+
+    await Settings.updateSettings({
+      integrations: { sms: { enabled: true } },
+      notificationChannels: { sms: true, whatsapp: true }
+    });
+
+    aluno = await Student.create({
+      nome: 'Pedro Lima',
+      data_nascimento: new Date('2015-06-20'),
+      grupo: 'kids',
+      valor_mensalidade: 120,
+      contato: { whatsapp: '(11) 91111-2222' },
+      responsavel_financeiro: { nome: 'Ana Lima', telefone: '(11) 93333-4444' }
+    });
+
+    mensalidade = await Monthly.create({
+      aluno_id: aluno._id,
+      competencia: '2026-02',
+      valor: 120,
+      vencimento: new Date('2030-02-10T03:00:00Z')
+    });
+  });
+
+  it('deve enviar o lembrete ao responsável financeiro de alunos kids', async () => {
+    const resultado = await enviarLembretePagamentoCelular(mensalidade, 3);
+
+    expect(resultado.sms.enviado).toBe(true);
+    expect(resultado.whatsapp.enviado).toBe(true);
+    expect(provider.enviadas.map(m => m.para)).toEqual(['+5511933334444', '+5511933334444']);
+    expect(provider.enviadas[0].mensagem).toContain('vence em 3 dia(s)');
+
+    const registros = await MessageLog.find({ aluno_id: aluno._id });
+    expect(registros).toHaveLength(2);
+    expect(registros.every(r => r.status === 'enviado' && r.sid)).toBe(true);
+    expect(registros[0].referencia.id).toEqual(mensalidade._id);
+  });
+
+  it('deve manter o telefone de notificação normalizado ao salvar o aluno', async () => {
+    expect(aluno.telefone_notificacao).toBe('+5511933334444');
+
+    aluno.responsavel_financeiro.telefone = '11 95555-6666';
+    await aluno.save();
+
+    expect(await Student.exists({ telefone_notificacao: '+5511955556666' })).toBeTruthy();
+  });
+
+  it('deve respeitar o opt-out por canal e registrar a mensagem ignorada', async () => {
+    await aluno.alterarOptout('whatsapp', true);
+
+    const resultado = await enviarLembretePagamentoCelular(mensalidade, 0);
+
+    expect(resultado.sms.enviado).toBe(true);
+    expect(resultado.whatsapp).toEqual({ enviado: false, motivo: 'optout' });
+    expect(provider.enviadas).toHaveLength(1);
+
+    const ignorada = await MessageLog.findOne({ canal: 'whatsapp' });
+    expect(ignorada.status).toBe('ignorado');
+    expect(ignorada.motivo).toBe('optout');
+  });
+
+  it('não deve enviar com o canal desabilitado nas configurações', async () => {
+    const settings = await Settings.getSettings();
+    settings.notificationChannels.whatsapp = false;
+    await settings.save();
+
+    const resultado = await enviarLembretePagamentoCelular(mensalidade, 3);
+
+    expect(resultado.whatsapp).toEqual({ enviado: false, motivo: 'canal_desabilitado' });
+    expect(provider.enviadas).toHaveLength(1);
+  });
+
+  it('deve registrar falhas do provedor no log de entrega', async () => {
+    setProvider({
+      nome: 'fake',
+      send: async () => { throw new Error('Número inválido'); }
+    });
+
+    const resultado = await enviarLembretePagamentoCelular(mensalidade, 3);
+
+    expect(resultado.sms.motivo).toBe('erro_envio');
+
+    const falhas = await MessageLog.find({ status: 'falha' });
+    expect(falhas).toHaveLength(2);
+    expect(falhas[0].erro).toBe('Número inválido');
+  });
+});
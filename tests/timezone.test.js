@@ -0,0 +1,120 @@
+// Servidor em UTC: os horários precisam seguir o timezone da academia
+process.env.TZ = 'UTC';
+process.env.NODE_ENV = 'test';
+
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const Lesson = require('../models/Lesson');
+const Settings = require('../models/Settings');
+const { businessHours } = require('../middleware/auth');
+const { getTimezone, setTimezone, combinarDataHora } = require('../config/timezone');
+
+describe('Horários no timezone da academia', () => {
+  let turma;
+
+  const criarTurma = (dados = {}) => new Class({
+    nome: 'Adulto Noite',
+    grupo: 'adulto',
+    dias_semana: ['segunda'],
+    hora_inicio: '19:00',
+    hora_fim: '20:00',
+    capacidade: 20,
+    instrutor_id: new mongoose.Types.ObjectId(),
+    ...dados
+  });
+
+  beforeEach(() => {
+    setTimezone('America/Sao_Paulo');
+    turma = criarTurma();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('deve gerar aulas no horário local mesmo com o servidor em UTC', () => {
+    const aulas = turma.gerarAulasSemana(new Date('2026-03-01T12:00:00Z'), new Date('2026-03-08T12:00:00Z'));
+
+    expect(aulas).toHaveLength(1);
+    expect(aulas[0].hora_inicio.toISOString()).toBe('2026-03-02T22:00:00.000Z');
+    expect(aulas[0].hora_fim.toISOString()).toBe('2026-03-02T23:00:00.000Z');
+    expect(aulas[0].data.toISOString()).toBe('2026-03-02T03:00:00.000Z');
+  });
+
+  it('deve respeitar o horário de verão histórico', () => {
+    // Janeiro de 2018: horário de verão em São Paulo (UTC-2)
+    const verao = turma.gerarAulasSemana(new Date('2018-01-14T12:00:00Z'), new Date('2018-01-20T12:00:00Z'));
+    expect(verao[0].hora_inicio.toISOString()).toBe('2018-01-15T21:00:00.000Z');
+
+    // Início do horário de verão em 04/11/2018: meia-noite não existiu
+    const domingo = criarTurma({ dias_semana: ['domingo'], hora_inicio: '07:00', hora_fim: '08:00' });
+    const virada = domingo.gerarAulasSemana(new Date('2018-11-04T12:00:00Z'), new Date('2018-11-04T12:00:00Z'));
+    expect(virada).toHaveLength(1);
+    expect(virada[0].hora_inicio.toISOString()).toBe('2018-11-04T09:00:00.000Z');
+  });
+
+  it('deve seguir o timezone configurado', () => {
+    setTimezone('Europe/Lisbon');
+
+    const aulas = turma.gerarAulasSemana(new Date('2026-07-05T12:00:00Z'), new Date('2026-07-11T12:00:00Z'));
+    expect(aulas[0].hora_inicio.toISOString()).toBe('2026-07-06T18:00:00.000Z');
+    expect(getTimezone()).toBe('Europe/Lisbon');
+  });
+
+  it('deve calcular o limite de check-in a partir do horário local', () => {
+    turma.janela_checkin_minutos = 30;
+
+    const limite = turma.calcularLimiteCheckin(new Date('2026-03-02T15:00:00Z'));
+    expect(limite.toISOString()).toBe('2026-03-02T21:30:00.000Z');
+  });
+
+  it('deve liberar o check-in apenas dentro da janela', () => {
+    const inicio = combinarDataHora(new Date('2026-03-02T15:00:00Z'), '19:00');
+    const aula = new Lesson({
+      turma_id: turma._id,
+      data: inicio,
+      hora_inicio: inicio,
+      hora_fim: new Date(inicio.getTime() + 60 * 60 * 1000)
+    });
+
+    expect(aula.checkinLiberado(turma, new Date('2026-03-02T21:30:00Z'))).toBe(true);
+    expect(aula.checkinLiberado(turma, new Date('2026-03-02T20:30:00Z'))).toBe(false);
+  });
+
+  it('deve calcular a próxima aula no dia local', () => {
+    // Segunda-feira 18:00 em São Paulo (21:00 UTC): a aula de hoje ainda não começou
+    jest.useFakeTimers().setSystemTime(new Date('2026-03-02T21:00:00Z'));
+    expect(turma.proxima_aula.toISOString()).toBe('2026-03-02T22:00:00.000Z');
+
+    // Segunda-feira 23:30 em São Paulo (terça em UTC): próxima é na semana seguinte
+    jest.setSystemTime(new Date('2026-03-03T02:30:00Z'));
+    expect(turma.proxima_aula.toISOString()).toBe('2026-03-09T22:00:00.000Z');
+  });
+
+  it('deve aplicar o horário de funcionamento no timezone da academia', () => {
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    const next = jest.fn();
+
+    // Segunda-feira 20:30 em São Paulo (23:30 UTC)
+    jest.useFakeTimers().setSystemTime(new Date('2026-03-02T23:30:00Z'));
+    businessHours({ user: { perfil: 'aluno' } }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    // Segunda-feira 22:30 em São Paulo (terça 01:30 UTC)
+    jest.setSystemTime(new Date('2026-03-03T01:30:00Z'));
+    businessHours({ user: { perfil: 'aluno' } }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('deve recusar timezone inválido nas configurações', () => {
+    const settings = new Settings({ timezone: 'Marte/Base_Alfa' });
+    const erro = settings.validateSync();
+
+    expect(erro.errors.timezone).toBeDefined();
+    expect(() => setTimezone('Marte/Base_Alfa')).toThrow(/Timezone inválido/);
+  });
+});
@@ -0,0 +1,82 @@
+// Feriados nacionais de data fixa (MM-DD)
+// Consciência Negra é feriado nacional desde 2024 (Lei 14.759/2023)
+const FERIADOS_FIXOS = [
+  { data: '01-01', nome: 'Confraternização Universal' },
+  { data: '04-21', nome: 'Tiradentes' },
+  { data: '05-01', nome: 'Dia do Trabalho' },
+  { data: '09-07', nome: 'Independência do Brasil' },
+  { data: '10-12', nome: 'Nossa Senhora Aparecida' },
+  { data: '11-02', nome: 'Finados' },
+  { data: '11-15', nome: 'Proclamação da República' },
+  { data: '11-20', nome: 'Dia Nacional de Zumbi e da Consciência Negra', desde: 2024 },
+  { data: '12-25', nome: 'Natal' }
+];
+
+// Datas móveis em dias a partir da Páscoa
+// Carnaval e Corpus Christi são pontos facultativos
+const FERIADOS_MOVEIS = [
+  { dias: -48, nome: 'Carnaval (segunda-feira)', facultativo: true },
+  { dias: -47, nome: 'Carnaval (terça-feira)', facultativo: true },
+  { dias: -2, nome: 'Sexta-feira Santa' },
+  { dias: 60, nome: 'Corpus Christi', facultativo: true }
+];
+
+const doisDigitos = (valor) => String(valor).padStart(2, '0');
+
+/**
+ * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+ * @returns {Object} { mes, dia } com mês de 1 a 12
+ */
+const calcularPascoa = (ano) => {
+  const a = ano % 19;
+  const b = Math.floor(ano / 100);
+  const c = ano % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+
+  return {
+    mes: Math.floor((h + l - 7 * m + 114) / 31),
+    dia: ((h + l - 7 * m + 114) % 31) + 1
+  };
+};
+
+/**
+ * Feriados nacionais de um ano, em ordem cronológica
+ * @param {Number} ano
+ * @param {Object} opcoes - incluirFacultativos (padrão: false)
+ * @returns {Array} [{ data: 'YYYY-MM-DD', nome, facultativo }]
+ */
+const feriadosNacionais = (ano, opcoes = {}) => {
+  const feriados = FERIADOS_FIXOS
+    .filter(feriado => !feriado.desde || ano >= feriado.desde)
+    .map(feriado => ({ data: `${ano}-${feriado.data}`, nome: feriado.nome, facultativo: false }));
+
+  const pascoa = calcularPascoa(ano);
+
+  FERIADOS_MOVEIS.forEach(feriado => {
+    // Datas em UTC para não sofrer com horário de verão
+    const data = new Date(Date.UTC(ano, pascoa.mes - 1, pascoa.dia + feriado.dias));
+
+    feriados.push({
+      data: `${data.getUTCFullYear()}-${doisDigitos(data.getUTCMonth() + 1)}-${doisDigitos(data.getUTCDate())}`,
+      nome: feriado.nome,
+      facultativo: Boolean(feriado.facultativo)
+    });
+  });
+
+  return feriados
+    .filter(feriado => opcoes.incluirFacultativos || !feriado.facultativo)
+    .sort((a, b) => a.data.localeCompare(b.data));
+};
+
+module.exports = {
+  calcularPascoa,
+  feriadosNacionais
+};
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { getTimezone } = require('../config/timezone');
+
+// Diretório onde os certificados são armazenados
+const CERTIFICATE_DIR = path.resolve(__dirname, '..', process.env.CERTIFICATE_PATH || 'certificates');
+
+// Dimensões de uma folha A4 em modo paisagem (pontos)
+const LARGURA = 841.89;
+const ALTURA = 595.28;
+
+// Paleta da marca
+const CORES = {
+  primaria: rgb(0.118, 0.235, 0.447),
+  dourado: rgb(0.812, 0.667, 0.259),
+  texto: rgb(0.15, 0.15, 0.15),
+  secundario: rgb(0.4, 0.4, 0.4)
+};
+
+// Cor de cada faixa para a tarja do certificado
+const CORES_FAIXAS = {
+  branca: rgb(0.95, 0.95, 0.95),
+  cinza: rgb(0.55, 0.55, 0.55),
+  amarela: rgb(0.98, 0.82, 0.1),
+  laranja: rgb(0.96, 0.5, 0.09),
+  verde: rgb(0.13, 0.55, 0.13),
+  azul: rgb(0.1, 0.3, 0.75),
+  roxa: rgb(0.45, 0.2, 0.6),
+  marrom: rgb(0.45, 0.28, 0.15),
+  preta: rgb(0.05, 0.05, 0.05),
+  coral: rgb(0.85, 0.15, 0.12),
+  vermelha: rgb(0.75, 0.08, 0.08)
+};
+
+/**
+ * Remove caracteres que a fonte padrão não consegue codificar
+ */
+const textoSeguro = (fonte, texto) => {
+  const suportados = fonte.getCharacterSet();
+
+  return Array.from(String(texto || ''))
+    .map(caractere => {
+      if (suportados.includes(caractere.codePointAt(0))) return caractere;
+
+      // Tentar a versão sem acento antes de descartar o caractere
+      const semAcento = caractere.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      return suportados.includes(semAcento.codePointAt(0)) ? semAcento : '';
+    })
+    .join('');
+};
+
+/**
+ * Escreve um texto centralizado horizontalmente na página
+ */
+const escreverCentralizado = (pagina, fonte, texto, y, tamanho, cor = CORES.texto) => {
+  const conteudo = textoSeguro(fonte, texto);
+  const largura = fonte.widthOfTextAtSize(conteudo, tamanho);
+
+  pagina.drawText(conteudo, {
+    x: (LARGURA - largura) / 2,
+    y,
+    size: tamanho,
+    font: fonte,
+    color: cor
+  });
+};
+
+/**
+ * Formata o nome da faixa para exibição (ex.: "Marrom 2º grau")
+ */
+const formatarFaixa = (faixa, grau = 0) => {
+  const nome = String(faixa || '')
+    .split('-')
+    .map(parte => parte.charAt(0).toUpperCase() + parte.slice(1))
+    .join('-');
+
+  return grau > 0 ? `${nome} ${grau}º grau` : nome;
+};
+
+/**
+ * Formata a data por extenso em português
+ */
+const formatarData = (data) => {
+  return new Intl.DateTimeFormat('pt-BR', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: getTimezone()
+  }).format(new Date(data));
+};
+
+/**
+ * Incorpora o logo da academia se ele for um arquivo PNG/JPG local
+ */
+const incorporarLogo = async (documento, logo) => {
+  if (!logo || /^https?:\/\//i.test(logo)) return null;
+
+  const caminho = path.resolve(__dirname, '..', logo.replace(/^\//, ''));
+  if (!fs.existsSync(caminho)) return null;
+
+  const bytes = fs.readFileSync(caminho);
+  const extensao = path.extname(caminho).toLowerCase();
+
+  if (extensao === '.png') return documento.embedPng(bytes);
+  if (['.jpg', '.jpeg'].includes(extensao)) return documento.embedJpg(bytes);
+
+  return null;
+};
+
+/**
+ * Gera o QR code que aponta para a URL de verificação do certificado
+ */
+const incorporarQRCode = async (documento, url) => {
+  if (!url) return null;
+
+  const bytes = await QRCode.toBuffer(url, {
+    type: 'png',
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 240
+  });
+
+  return documento.embedPng(bytes);
+};
+
+/**
+ * Renderiza o PDF do certificado de graduação
+ * @param {Object} dados - aluno, faixa, grau, tipo_graduacao, data, responsavel, numero, url_verificacao e academia
+ * @returns {Promise<Uint8Array>} bytes do PDF
+ */
+const renderizarCertificado = async (dados) => {
+  const {
+    aluno,
+    faixa,
+    grau = 0,
+    tipo_graduacao = 'promocao',
+    data,
+    responsavel,
+    numero,
+    url_verificacao,
+    academia = {}
+  } = dados;
+
+  const documento = await PDFDocument.create();
+  documento.setTitle(`Certificado de Graduação ${numero || ''}`.trim());
+  documento.setAuthor(academia.name || 'Spartan Jiu-Jitsu');
+  documento.setSubject(`Graduação de ${aluno}`);
+
+  const pagina = documento.addPage([LARGURA, ALTURA]);
+  const fonteNormal = await documento.embedFont(StandardFonts.Helvetica);
+  const fonteNegrito = await documento.embedFont(StandardFonts.HelveticaBold);
+  const fonteItalica = await documento.embedFont(StandardFonts.HelveticaOblique);
+
+  // Molduras
+  pagina.drawRectangle({
+    x: 20,
+    y: 20,
+    width: LARGURA - 40,
+    height: ALTURA - 40,
+    borderColor: CORES.primaria,
+    borderWidth: 6
+  });
+  pagina.drawRectangle({
+    x: 34,
+    y: 34,
+    width: LARGURA - 68,
+    height: ALTURA - 68,
+    borderColor: CORES.dourado,
+    borderWidth: 2
+  });
+
+  // Tarja com a cor da faixa
+  const corFaixa = CORES_FAIXAS[String(faixa).split('-')[0]] || CORES.primaria;
+  pagina.drawRectangle({
+    x: 34,
+    y: ALTURA - 130,
+    width: LARGURA - 68,
+    height: 14,
+    color: corFaixa,
+    borderColor: CORES.texto,
+    borderWidth: 0.5
+  });
+
+  // Logo
+  const logo = await incorporarLogo(documento, academia.logo);
+  if (logo) {
+    const escala = logo.scaleToFit(70, 70);
+    pagina.drawImage(logo, {
+      x: 60,
+      y: ALTURA - 115,
+      width: escala.width,
+      height: escala.height
+    });
+  }
+
+  // Cabeçalho
+  escreverCentralizado(pagina, fonteNegrito, (academia.name || 'Spartan Jiu-Jitsu').toUpperCase(), ALTURA - 80, 26, CORES.primaria);
+  escreverCentralizado(pagina, fonteNormal, 'CERTIFICADO DE GRADUAÇÃO', ALTURA - 105, 14, CORES.dourado);
+
+  // Corpo
+  escreverCentralizado(pagina, fonteNormal, 'Certificamos que', ALTURA - 185, 16);
+  escreverCentralizado(pagina, fonteNegrito, aluno, ALTURA - 230, 34, CORES.primaria);
+
+  const descricao = tipo_graduacao === 'grau'
+    ? `recebeu o ${grau}º grau na faixa ${formatarFaixa(faixa)}`
+    : `foi graduado(a) na faixa ${formatarFaixa(faixa, grau)}`;
+
+  escreverCentralizado(pagina, fonteNormal, descricao, ALTURA - 275, 18);
+  escreverCentralizado(pagina, fonteNormal, `em ${formatarData(data)}.`, ALTURA - 300, 16);
+
+  // Assinatura do responsável
+  pagina.drawLine({
+    start: { x: LARGURA / 2 - 140, y: 150 },
+    end: { x: LARGURA / 2 + 140, y: 150 },
+    thickness: 1,
+    color: CORES.texto
+  });
+  escreverCentralizado(pagina, fonteNegrito, responsavel || '', 132, 14);
+  escreverCentralizado(pagina, fonteItalica, 'Responsável pela graduação', 115, 11, CORES.secundario);
+
+  // Rodapé
+  const contato = [academia.address, academia.phone, academia.email, academia.website]
+    .filter(Boolean)
+    .join('  |  ');
+  escreverCentralizado(pagina, fonteNormal, contato, 70, 9, CORES.secundario);
+
+  if (numero) {
+    escreverCentralizado(pagina, fonteNegrito, `Certificado nº ${numero}`, 52, 10, CORES.primaria);
+  }
+
+  // QR code de verificação
+  const qrCode = await incorporarQRCode(documento, url_verificacao);
+  if (qrCode) {
+    const tamanho = 78;
+    const x = LARGURA - 60 - tamanho;
+
+    pagina.drawImage(qrCode, { x, y: 95, width: tamanho, height: tamanho });
+
+    const legenda = textoSeguro(fonteNormal, 'Verifique a autenticidade');
+    pagina.drawText(legenda, {
+      x: x + (tamanho - fonteNormal.widthOfTextAtSize(legenda, 7)) / 2,
+      y: 86,
+      size: 7,
+      font: fonteNormal,
+      color: CORES.secundario
+    });
+  }
+
+  return documento.save();
+};
+
+/**
+ * Renderiza e grava o certificado no diretório de certificados
+ * @returns {Promise<string>} nome do arquivo gerado
+ */
+const salvarCertificado = async (dados) => {
+  const bytes = await renderizarCertificado(dados);
+
+  if (!fs.existsSync(CERTIFICATE_DIR)) {
+    fs.mkdirSync(CERTIFICATE_DIR, { recursive: true });
+  }
+
+  const arquivo = `${dados.numero || `certificado-${Date.now()}`}.pdf`;
+  await fs.promises.writeFile(path.join(CERTIFICATE_DIR, arquivo), bytes);
+
+  return arquivo;
+};
+
+/**
+ * Caminho absoluto de um certificado armazenado
+ */
+const caminhoCertificado = (arquivo) => {
+  if (!arquivo) return null;
+  return path.join(CERTIFICATE_DIR, path.basename(arquivo));
+};
+
+module.exports = {
+  CERTIFICATE_DIR,
+  renderizarCertificado,
+  salvarCertificado,
+  caminhoCertificado,
+  formatarFaixa
+};
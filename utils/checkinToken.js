@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// Intervalo de rotação do QR code exibido na recepção
+const QR_ROTACAO_SEGUNDOS = 30;
+
+// Passos anteriores aceitos (tempo para o aluno escanear e enviar)
+const QR_TOLERANCIA_PASSOS = 1;
+
+/**
+ * Segredo usado na assinatura dos tokens de check-in
+ */
+const segredo = () => process.env.CHECKIN_QR_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Passo de rotação de um instante
+ */
+const passoDe = (agora) => Math.floor(agora.getTime() / (QR_ROTACAO_SEGUNDOS * 1000));
+
+/**
+ * Assinatura HMAC de uma aula em um passo de rotação
+ */
+const assinar = (aulaId, passo) => crypto
+  .createHmac('sha256', segredo())
+  .update(`checkin:${aulaId}:${passo}`)
+  .digest('base64url');
+
+/**
+ * Gerar o token de check-in vigente de uma aula
+ * @returns {Object} { token, expira_em }
+ */
+const gerarTokenCheckin = (aulaId, agora = new Date()) => {
+  const passo = passoDe(agora);
+
+  return {
+    token: `${aulaId}.${passo}.${assinar(aulaId, passo)}`,
+    expira_em: new Date((passo + 1) * QR_ROTACAO_SEGUNDOS * 1000)
+  };
+};
+
+/**
+ * Validar um token de check-in escaneado
+ * @returns {string} ID da aula
+ * @throws {Error} token malformado, adulterado ou expirado
+ */
+const validarTokenCheckin = (token, agora = new Date()) => {
+  const partes = String(token || '').split('.');
+
+  if (partes.length !== 3 || !/^[a-f\d]{24}$/i.test(partes[0]) || !/^\d+$/.test(partes[1])) {
+    throw new Error('QR code inválido');
+  }
+
+  const [aulaId, passoTexto, assinatura] = partes;
+  const passo = parseInt(passoTexto);
+  const esperada = Buffer.from(assinar(aulaId, passo));
+  const recebida = Buffer.from(assinatura);
+
+  if (esperada.length !== recebida.length || !crypto.timingSafeEqual(esperada, recebida)) {
+    throw new Error('QR code inválido');
+  }
+
+  const atual = passoDe(agora);
+  if (passo > atual || atual - passo > QR_TOLERANCIA_PASSOS) {
+    throw new Error('QR code expirado. Escaneie o código atual da recepção');
+  }
+
+  return aulaId;
+};
+
+/**
+ * Imagem do QR code (data URL) com o link de check-in do aplicativo
+ */
+const gerarImagemQRCode = (token) => {
+  const conteudo = process.env.FRONTEND_URL
+    ? `${process.env.FRONTEND_URL}/checkin?token=${encodeURIComponent(token)}`
+    : token;
+
+  return QRCode.toDataURL(conteudo, { errorCorrectionLevel: 'M', margin: 1, width: 480 });
+};
+
+module.exports = {
+  QR_ROTACAO_SEGUNDOS,
+  gerarTokenCheckin,
+  validarTokenCheckin,
+  gerarImagemQRCode
+};
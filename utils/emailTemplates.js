@@ -0,0 +1,333 @@
+const { formatarFaixa } = require('./certificateGenerator');
+const { getTimezone } = require('../config/timezone');
+
+/**
+ * Escapar texto para uso em HTML
+ */
+const escaparHtml = (texto) => String(texto == null ? '' : texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Formatar valor em reais (ex.: R$ 150,00)
+ */
+const formatarMoeda = (valor) => new Intl.NumberFormat('pt-BR', {
+  style: 'currency',
+  currency: 'BRL'
+}).format(valor || 0);
+
+/**
+ * Formatar data (ex.: 10/02/2026)
+ */
+const formatarData = (data) => new Intl.DateTimeFormat('pt-BR', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  timeZone: getTimezone()
+}).format(new Date(data));
+
+/**
+ * Formatar horário (ex.: 19:30)
+ */
+const formatarHora = (data) => {
+  if (typeof data === 'string' && /^\d{2}:\d{2}$/.test(data)) return data;
+
+  return new Intl.DateTimeFormat('pt-BR', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: getTimezone()
+  }).format(new Date(data));
+};
+
+/**
+ * Layout comum das mensagens
+ * @param {Object} academia - academyInfo das configurações
+ * @param {string} titulo - título exibido no topo
+ * @param {string[]} paragrafos - parágrafos em HTML (já escapados)
+ * @param {Object} botao - { texto, url } opcional
+ */
+const layout = (academia, titulo, paragrafos, botao) => {
+  const nomeAcademia = escaparHtml(academia.name || 'Spartan Jiu-Jitsu');
+  const contato = [academia.phone, academia.email, academia.website]
+    .filter(Boolean)
+    .map(escaparHtml)
+    .join(' | ');
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <title>${escaparHtml(titulo)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f4;font-family:Arial,sans-serif;color:#262626;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4;padding:24px 0;">
+    <tr>
+      <td align="center">
+        <table width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;overflow:hidden;">
+          <tr>
+            <td style="background:#1e3c72;color:#ffffff;padding:20px 24px;font-size:20px;font-weight:bold;">${nomeAcademia}</td>
+          </tr>
+          <tr>
+            <td style="padding:24px;">
+              <h1 style="font-size:18px;color:#1e3c72;margin:0 0 16px;">${escaparHtml(titulo)}</h1>
+              ${paragrafos.map(p => `<p style="font-size:14px;line-height:1.5;margin:0 0 12px;">${p}</p>`).join('\n              ')}
+              ${botao ? `<p style="margin:24px 0;"><a href="${escaparHtml(botao.url)}" style="background:#cfaa42;color:#ffffff;padding:12px 20px;border-radius:4px;text-decoration:none;font-weight:bold;">${escaparHtml(botao.texto)}</a></p>` : ''}
+            </td>
+          </tr>
+          <tr>
+            <td style="background:#f0f0f0;color:#666666;font-size:12px;padding:12px 24px;">${contato}</td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+};
+
+/**
+ * Versão texto do layout comum
+ */
+const layoutTexto = (academia, titulo, linhas, botao) => {
+  return [
+    academia.name || 'Spartan Jiu-Jitsu',
+    '',
+    titulo,
+    '',
+    ...linhas,
+    ...(botao ? ['', `${botao.texto}: ${botao.url}`] : []),
+    '',
+    [academia.phone, academia.email, academia.website].filter(Boolean).join(' | ')
+  ].join('\n');
+};
+
+/**
+ * Montar a mensagem nos formatos HTML e texto
+ * Cada linha é um array de partes: strings simples são escapadas no HTML,
+ * objetos { destaque } são exibidos em negrito
+ */
+const montar = (academia, assunto, titulo, linhas, botao) => {
+  const paraHtml = partes => partes
+    .map(parte => (typeof parte === 'object' ? `<strong>${escaparHtml(parte.destaque)}</strong>` : escaparHtml(parte)))
+    .join('');
+  const paraTexto = partes => partes
+    .map(parte => (typeof parte === 'object' ? parte.destaque : parte))
+    .join('');
+
+  return {
+    assunto,
+    html: layout(academia, titulo, linhas.map(paraHtml), botao),
+    texto: layoutTexto(academia, titulo, linhas.map(paraTexto), botao)
+  };
+};
+
+const templates = {
+  /**
+   * Recuperação de senha
+   * @param {Object} dados - nome, url, expira_em_minutos
+   */
+  resetSenha: (dados, academia) => montar(
+    academia,
+    'Recuperação de senha',
+    'Recuperação de senha',
+    [
+      [`Olá, ${dados.nome}!`],
+      ['Recebemos uma solicitação para redefinir a senha da sua conta.'],
+      ['O link abaixo é válido por ', { destaque: `${dados.expira_em_minutos || 60} minutos` }, '.'],
+      ['Se você não fez esta solicitação, ignore este email. Sua senha continuará a mesma.']
+    ],
+    { texto: 'Redefinir senha', url: dados.url }
+  ),
+
+  /**
+   * Lembrete de vencimento de mensalidade
+   * @param {Object} dados - nome, competencia, valor, vencimento, dias, link
+   */
+  lembretePagamento: (dados, academia) => {
+    const situacao = dados.dias > 0 ? `vence em ${dados.dias} dia(s)` :
+                     dados.dias === 0 ? 'vence hoje' :
+                     `está vencida há ${Math.abs(dados.dias)} dia(s)`;
+
+    return montar(
+      academia,
+      dados.dias < 0
+        ? `Mensalidade ${dados.competencia} em atraso`
+        : `Lembrete: mensalidade ${dados.competencia}`,
+      'Lembrete de mensalidade',
+      [
+        [`Olá, ${dados.nome}!`],
+        ['Sua mensalidade de ', { destaque: dados.competencia }, ` ${situacao}.`],
+        ['Valor: ', { destaque: formatarMoeda(dados.valor) }],
+        ['Vencimento: ', { destaque: formatarData(dados.vencimento) }],
+        ['Se você já realizou o pagamento, desconsidere esta mensagem.']
+      ],
+      dados.link ? { texto: 'Pagar agora', url: dados.link } : null
+    );
+  },
+
+  /**
+   * Confirmação de pagamento
+   * @param {Object} dados - nome, competencia, valor_pago, data_pagamento, forma_pagamento
+   */
+  confirmacaoPagamento: (dados, academia) => montar(
+    academia,
+    `Pagamento confirmado - ${dados.competencia}`,
+    'Pagamento confirmado',
+    [
+      [`Olá, ${dados.nome}!`],
+      ['Recebemos o pagamento da mensalidade de ', { destaque: dados.competencia }, '.'],
+      ['Valor pago: ', { destaque: formatarMoeda(dados.valor_pago) }],
+      ['Data: ', { destaque: formatarData(dados.data_pagamento || new Date()) }],
+      ...(dados.forma_pagamento ? [['Forma de pagamento: ', { destaque: dados.forma_pagamento }]] : []),
+      ['Obrigado e bons treinos!']
+    ]
+  ),
+
+  /**
+   * Confirmação de agendamento
+   * @param {Object} dados - nome, turma, data, hora_inicio, status, posicao
+   */
+  confirmacaoAgendamento: (dados, academia) => {
+    const emEspera = dados.status === 'espera';
+
+    return montar(
+      academia,
+      emEspera
+        ? `Lista de espera - ${dados.turma}`
+        : `Agendamento confirmado - ${dados.turma}`,
+      emEspera ? 'Você está na lista de espera' : 'Agendamento confirmado',
+      [
+        [`Olá, ${dados.nome}!`],
+        emEspera
+          ? ['Sua aula está lotada e você entrou na lista de espera na posição ', { destaque: String(dados.posicao) }, '.']
+          : ['Sua vaga está garantida.'],
+        ['Turma: ', { destaque: dados.turma }],
+        ['Data: ', { destaque: `${formatarData(dados.data)} às ${formatarHora(dados.hora_inicio)}` }],
+        emEspera
+          ? ['Avisaremos assim que uma vaga for liberada.']
+          : ['Caso não possa comparecer, cancele o agendamento para liberar a vaga.']
+      ]
+    );
+  },
+
+  /**
+   * Lembrete de aula agendada
+   * @param {Object} dados - nome, turma, data, hora_inicio, janela ('24h' ou '2h')
+   */
+  lembreteAula: (dados, academia) => montar(
+    academia,
+    `Lembrete: ${dados.turma} ${dados.janela === '2h' ? 'daqui a pouco' : 'amanhã'}`,
+    'Lembrete de aula',
+    [
+      [`Olá, ${dados.nome}!`],
+      ['Você tem uma aula agendada.'],
+      ['Turma: ', { destaque: dados.turma }],
+      ['Data: ', { destaque: `${formatarData(dados.data)} às ${formatarHora(dados.hora_inicio)}` }],
+      ['Caso não possa comparecer, cancele o agendamento para liberar a vaga.']
+    ]
+  ),
+
+  /**
+   * Resumo da aula para o instrutor
+   * @param {Object} dados - nome, turma, data, hora_inicio, confirmados, lista_espera
+   */
+  lembreteAulaInstrutor: (dados, academia) => montar(
+    academia,
+    `Aula ${dados.turma} - ${formatarData(dados.data)} às ${formatarHora(dados.hora_inicio)}`,
+    'Resumo da próxima aula',
+    [
+      [`Olá, ${dados.nome}!`],
+      ['Turma: ', { destaque: dados.turma }],
+      ['Data: ', { destaque: `${formatarData(dados.data)} às ${formatarHora(dados.hora_inicio)}` }],
+      ['Alunos confirmados: ', { destaque: String(dados.confirmados) }],
+      ['Lista de espera: ', { destaque: String(dados.lista_espera) }]
+    ]
+  ),
+
+  /**
+   * Promoção da lista de espera
+   * @param {Object} dados - nome, turma, data, hora_inicio, prazo (opcional), link (opcional)
+   */
+  promocaoListaEspera: (dados, academia) => montar(
+    academia,
+    `Vaga liberada - ${dados.turma}`,
+    'Uma vaga foi liberada para você!',
+    [
+      [`Olá, ${dados.nome}!`],
+      ['Uma vaga foi liberada na aula em que você estava na lista de espera.'],
+      ['Turma: ', { destaque: dados.turma }],
+      ['Data: ', { destaque: `${formatarData(dados.data)} às ${formatarHora(dados.hora_inicio)}` }],
+      dados.prazo
+        ? ['Confirme sua vaga até ', { destaque: `${formatarData(dados.prazo)} às ${formatarHora(dados.prazo)}` }, '.']
+        : ['Sua vaga já está confirmada.']
+    ],
+    dados.link ? { texto: 'Confirmar vaga', url: dados.link } : null
+  ),
+
+  /**
+   * Cancelamento de aula agendada (ex.: academia fechada)
+   * @param {Object} dados - nome, turma, data, hora_inicio, motivo
+   */
+  cancelamentoAula: (dados, academia) => montar(
+    academia,
+    `Aula cancelada - ${dados.turma}`,
+    'Aula cancelada',
+    [
+      [`Olá, ${dados.nome}!`],
+      ['A aula em que você estava agendado(a) foi cancelada e o seu agendamento foi encerrado.'],
+      ['Turma: ', { destaque: dados.turma }],
+      ['Data: ', { destaque: `${formatarData(dados.data)} às ${formatarHora(dados.hora_inicio)}` }],
+      dados.motivo ? ['Motivo: ', { destaque: dados.motivo }] : null
+    ].filter(Boolean)
+  ),
+
+  /**
+   * Graduação
+   * @param {Object} dados - nome, faixa, grau, tipo_graduacao, data, certificado_url
+   */
+  graduacao: (dados, academia) => {
+    const faixa = formatarFaixa(dados.faixa, dados.grau);
+
+    return montar(
+      academia,
+      `Parabéns pela graduação - ${faixa}`,
+      'Parabéns pela sua graduação!',
+      [
+        [`Olá, ${dados.nome}!`],
+        dados.tipo_graduacao === 'grau'
+          ? ['Você recebeu o ', { destaque: `${dados.grau}º grau` }, ` na faixa ${formatarFaixa(dados.faixa)}.`]
+          : ['Você foi graduado(a) na faixa ', { destaque: faixa }, '.'],
+        ['Data: ', { destaque: formatarData(dados.data) }],
+        ['Essa conquista é resultado da sua dedicação nos treinos. Oss!']
+      ],
+      dados.certificado_url ? { texto: 'Ver certificado', url: dados.certificado_url } : null
+    );
+  }
+};
+
+/**
+ * Renderizar um template
+ * @param {string} nome - nome do template
+ * @param {Object} dados - dados do template
+ * @param {Object} academia - academyInfo das configurações
+ * @returns {{ assunto: string, html: string, texto: string }}
+ */
+const renderTemplate = (nome, dados, academia = {}) => {
+  const template = templates[nome];
+
+  if (!template) {
+    throw new Error(`Template de email não encontrado: ${nome}`);
+  }
+
+  return template(dados, academia);
+};
+
+module.exports = {
+  templates,
+  renderTemplate,
+  formatarMoeda,
+  formatarData,
+  formatarHora
+};
@@ -0,0 +1,564 @@
+const mongoose = require('mongoose');
+const MessageLog = require('../models/MessageLog');
+const { sendMail } = require('../config/email');
+const { sendMessage, getProvider, normalizePhone } = require('../config/sms');
+const { renderTemplate } = require('./emailTemplates');
+const { renderSms } = require('./smsTemplates');
+const logger = require('../config/logger');
+
+// Templates transacionais que ignoram a preferência de notificações do usuário
+const TEMPLATES_OBRIGATORIOS = ['resetSenha'];
+
+// Canais de mensagem pelo celular (provedor de SMS, ex.: Twilio)
+const CANAIS_MENSAGEM = ['sms', 'whatsapp'];
+
+/**
+ * Resolver o destinatário de um aluno
+ * Usa a conta de usuário vinculada (com suas preferências); sem conta,
+ * usa o email de contato ou do responsável financeiro
+ * @param {Object|string} aluno - documento ou ID do aluno
+ * @returns {Promise<{ nome: string, email: string, usuario: Object }|null>}
+ */
+const resolverDestinatarioAluno = async (aluno) => {
+  const Student = mongoose.model('Student');
+  const User = mongoose.model('User');
+
+  const documento = aluno && aluno.nome ? aluno : await Student.findById(aluno);
+  if (!documento) return null;
+
+  const usuario = documento.usuario_id
+    ? await User.findById(documento.usuario_id._id || documento.usuario_id)
+    : null;
+
+  const contato = documento.contato || {};
+  const responsavel = documento.responsavel_financeiro || {};
+
+  return {
+    nome: documento.nome,
+    email: (usuario && usuario.email) || contato.email || responsavel.email || null,
+    usuario
+  };
+};
+
+/**
+ * Enviar email a partir de um template
+ * Respeita Settings.integrations.email, Settings.notificationChannels.email
+ * e User.configuracoes.notificacoes.email
+ * @param {Object} opcoes - para, template, dados, usuario (opcional)
+ * @returns {Promise<Object>} { enviado, motivo, messageId }
+ */
+const enviarEmail = async ({ para, template, dados = {}, usuario = null }) => {
+  const Settings = mongoose.model('Settings');
+  const settings = await Settings.getSettings();
+  const obrigatorio = TEMPLATES_OBRIGATORIOS.includes(template);
+
+  if (!settings.integrations.email.enabled) {
+    return { enviado: false, motivo: 'email_desabilitado' };
+  }
+
+  if (!obrigatorio && settings.notificationChannels.email === false) {
+    return { enviado: false, motivo: 'canal_desabilitado' };
+  }
+
+  if (!obrigatorio && usuario && usuario.configuracoes &&
+      usuario.configuracoes.notificacoes.email === false) {
+    return { enviado: false, motivo: 'preferencia_usuario' };
+  }
+
+  if (!para) {
+    return { enviado: false, motivo: 'sem_destinatario' };
+  }
+
+  const academia = settings.toObject().academyInfo || {};
+  const { assunto, html, texto } = renderTemplate(template, dados, academia);
+
+  try {
+    const info = await sendMail({
+      to: para,
+      subject: assunto,
+      html,
+      text: texto
+    });
+
+    logger.info(`Email "${template}" enviado`, { para, messageId: info.messageId });
+
+    return { enviado: true, messageId: info.messageId, info };
+  } catch (error) {
+    logger.error(`Erro ao enviar email "${template}"`, { para, error: error.message });
+    return { enviado: false, motivo: 'erro_envio', erro: error.message };
+  }
+};
+
+/**
+ * Enviar SMS ou WhatsApp para um aluno a partir de um template
+ * Respeita Settings.integrations.sms, Settings.notificationChannels.sms/whatsapp
+ * e o opt-out do aluno; cada tentativa endereçada ao aluno fica no MessageLog
+ * @param {Object} opcoes - canal, aluno (documento ou ID), template, dados, referencia
+ * @returns {Promise<Object>} { enviado, motivo, sid }
+ */
+const enviarMensagem = async ({ canal, aluno, template, dados = {}, referencia = null }) => {
+  const Settings = mongoose.model('Settings');
+  const Student = mongoose.model('Student');
+  const settings = await Settings.getSettings();
+
+  if (!settings.integrations.sms.enabled) {
+    return { enviado: false, motivo: 'sms_desabilitado' };
+  }
+
+  if (!settings.notificationChannels[canal]) {
+    return { enviado: false, motivo: 'canal_desabilitado' };
+  }
+
+  const documento = aluno && aluno.configuracoes && aluno.grupo
+    ? aluno
+    : await Student.findById(aluno && aluno._id ? aluno._id : aluno);
+  if (!documento) return { enviado: false, motivo: 'aluno_nao_encontrado' };
+
+  const academia = settings.toObject().academyInfo || {};
+  const mensagem = renderSms(template, { nome: documento.nome, ...dados }, academia);
+  const para = normalizePhone(documento.telefoneNotificacao());
+
+  const registro = {
+    canal,
+    tipo: template,
+    aluno_id: documento._id,
+    para,
+    mensagem,
+    referencia
+  };
+
+  const motivo = documento.configuracoes[`optout_${canal}`] ? 'optout' :
+                 !para ? 'sem_telefone' :
+                 null;
+
+  if (motivo) {
+    await MessageLog.create({ ...registro, status: 'ignorado', motivo });
+    return { enviado: false, motivo };
+  }
+
+  const provedor = getProvider().nome;
+
+  try {
+    const resultado = await sendMessage({ canal, para, mensagem });
+
+    await MessageLog.create({
+      ...registro,
+      provedor,
+      sid: resultado.sid,
+      status_provedor: resultado.status
+    });
+
+    logger.info(`Mensagem "${template}" enviada por ${canal}`, { para, sid: resultado.sid });
+
+    return { enviado: true, sid: resultado.sid };
+  } catch (error) {
+    await MessageLog.create({ ...registro, provedor, status: 'falha', erro: error.message });
+
+    logger.error(`Erro ao enviar mensagem "${template}" por ${canal}`, { para, error: error.message });
+    return { enviado: false, motivo: 'erro_envio', erro: error.message };
+  }
+};
+
+/**
+ * Enviar a mesma mensagem nos canais de celular (padrão: todos)
+ * @returns {Promise<Object>} resultado por canal ({ sms, whatsapp })
+ */
+const enviarMensagens = async (opcoes, canais = CANAIS_MENSAGEM) => {
+  const resultados = {};
+
+  for (const canal of canais) {
+    resultados[canal] = await enviarMensagem({ ...opcoes, canal });
+  }
+
+  return resultados;
+};
+
+/**
+ * Enviar link de recuperação de senha
+ */
+const enviarResetSenha = async (usuario, url) => {
+  return enviarEmail({
+    para: usuario.email,
+    template: 'resetSenha',
+    dados: { nome: usuario.nome, url, expira_em_minutos: 60 },
+    usuario
+  });
+};
+
+/**
+ * Enviar lembrete de vencimento de mensalidade
+ * @param {Object} mensalidade - documento Monthly (aluno_id populado ou não)
+ * @param {number} dias - dias até o vencimento (negativo = em atraso)
+ * @param {string} link - link de pagamento (opcional)
+ */
+const notificarLembretePagamento = async (mensalidade, dias, link = null) => {
+  const destinatario = await resolverDestinatarioAluno(mensalidade.aluno_id);
+  if (!destinatario) return { enviado: false, motivo: 'aluno_nao_encontrado' };
+
+  return enviarEmail({
+    para: destinatario.email,
+    template: 'lembretePagamento',
+    dados: {
+      nome: destinatario.nome,
+      competencia: mensalidade.competencia_formatada,
+      valor: mensalidade.valor_total,
+      vencimento: mensalidade.vencimento,
+      dias,
+      link
+    },
+    usuario: destinatario.usuario
+  });
+};
+
+/**
+ * Enviar lembrete de vencimento de mensalidade por SMS/WhatsApp
+ * @param {Object} mensalidade - documento Monthly (aluno_id populado ou não)
+ * @param {number} dias - dias até o vencimento (negativo = em atraso)
+ * @param {string} link - link de pagamento (opcional)
+ * @param {string[]} canais - canais de celular (padrão: todos)
+ */
+const enviarLembretePagamentoCelular = async (mensalidade, dias, link = null, canais = CANAIS_MENSAGEM) => {
+  return enviarMensagens({
+    aluno: mensalidade.aluno_id,
+    template: 'lembretePagamento',
+    dados: {
+      competencia: mensalidade.competencia_formatada,
+      valor: mensalidade.valor_total,
+      vencimento: mensalidade.vencimento,
+      dias,
+      link
+    },
+    referencia: { modelo: 'Monthly', id: mensalidade._id }
+  }, canais);
+};
+
+/**
+ * Enviar confirmação de pagamento de mensalidade
+ */
+const notificarConfirmacaoPagamento = async (mensalidade) => {
+  const destinatario = await resolverDestinatarioAluno(mensalidade.aluno_id);
+  if (!destinatario) return { enviado: false, motivo: 'aluno_nao_encontrado' };
+
+  return enviarEmail({
+    para: destinatario.email,
+    template: 'confirmacaoPagamento',
+    dados: {
+      nome: destinatario.nome,
+      competencia: mensalidade.competencia_formatada,
+      valor_pago: mensalidade.valor_pago,
+      data_pagamento: mensalidade.data_pagamento,
+      forma_pagamento: mensalidade.forma_pagamento
+    },
+    usuario: destinatario.usuario
+  });
+};
+
+/**
+ * Montar os dados da aula de um agendamento
+ */
+const dadosAula = async (agendamento) => {
+  const Lesson = mongoose.model('Lesson');
+
+  const aula = agendamento.aula_id && agendamento.aula_id.data
+    ? agendamento.aula_id
+    : await Lesson.findById(agendamento.aula_id).populate('turma_id', 'nome');
+
+  if (!aula) return null;
+
+  if (!aula.populated('turma_id')) {
+    await aula.populate('turma_id', 'nome');
+  }
+
+  return {
+    turma: aula.turma_id ? aula.turma_id.nome : 'Aula',
+    data: aula.data,
+    hora_inicio: aula.hora_inicio
+  };
+};
+
+/**
+ * Enviar confirmação de agendamento (ou entrada na lista de espera)
+ */
+const notificarAgendamento = async (agendamento) => {
+  const [destinatario, aula] = await Promise.all([
+    resolverDestinatarioAluno(agendamento.aluno_id),
+    dadosAula(agendamento)
+  ]);
+  if (!destinatario || !aula) return { enviado: false, motivo: 'dados_incompletos' };
+
+  return enviarEmail({
+    para: destinatario.email,
+    template: 'confirmacaoAgendamento',
+    dados: {
+      nome: destinatario.nome,
+      ...aula,
+      status: agendamento.status,
+      posicao: agendamento.posicao_lista_espera
+    },
+    usuario: destinatario.usuario
+  });
+};
+
+/**
+ * Enviar lembrete de aula agendada por email
+ * @param {string} janela - antecedência do lembrete ('24h' ou '2h')
+ */
+const notificarLembreteAula = async (agendamento, janela) => {
+  const [destinatario, aula] = await Promise.all([
+    resolverDestinatarioAluno(agendamento.aluno_id),
+    dadosAula(agendamento)
+  ]);
+  if (!destinatario || !aula) return { enviado: false, motivo: 'dados_incompletos' };
+
+  return enviarEmail({
+    para: destinatario.email,
+    template: 'lembreteAula',
+    dados: {
+      nome: destinatario.nome,
+      ...aula,
+      janela
+    },
+    usuario: destinatario.usuario
+  });
+};
+
+/**
+ * Enviar ao instrutor o resumo da próxima aula
+ * Usa o instrutor substituto da aula, quando houver
+ */
+const notificarInstrutorAula = async (aula) => {
+  const Class = mongoose.model('Class');
+  const User = mongoose.model('User');
+  const Booking = mongoose.model('Booking');
+
+  const turma = await Class.findById(aula.turma_id._id || aula.turma_id);
+  if (!turma) return { enviado: false, motivo: 'dados_incompletos' };
+
+  const instrutor = await User.findById(aula.instrutor_substituto || turma.instrutor_id);
+  if (!instrutor) return { enviado: false, motivo: 'dados_incompletos' };
+
+  const [confirmados, listaEspera] = await Promise.all([
+    Booking.countDocuments({ aula_id: aula._id, status: 'confirmado' }),
+    Booking.countDocuments({ aula_id: aula._id, status: 'espera' })
+  ]);
+
+  return enviarEmail({
+    para: instrutor.email,
+    template: 'lembreteAulaInstrutor',
+    dados: {
+      nome: instrutor.nome,
+      turma: turma.nome,
+      data: aula.data,
+      hora_inicio: aula.hora_inicio,
+      confirmados,
+      lista_espera: listaEspera
+    },
+    usuario: instrutor
+  });
+};
+
+/**
+ * Enviar lembrete de aula agendada por SMS/WhatsApp
+ */
+const enviarLembreteAulaCelular = async (agendamento, canais = CANAIS_MENSAGEM) => {
+  const aula = await dadosAula(agendamento);
+  if (!aula) {
+    return Object.fromEntries(canais.map(canal => [canal, { enviado: false, motivo: 'dados_incompletos' }]));
+  }
+
+  return enviarMensagens({
+    aluno: agendamento.aluno_id,
+    template: 'lembreteAula',
+    dados: aula,
+    referencia: { modelo: 'Booking', id: agendamento._id }
+  }, canais);
+};
+
+/**
+ * Avisar aluno promovido da lista de espera
+ * @param {Object} opcoes - prazo e link para confirmar a vaga (opcionais)
+ */
+const notificarPromocaoListaEspera = async (agendamento, opcoes = {}) => {
+  const [destinatario, aula] = await Promise.all([
+    resolverDestinatarioAluno(agendamento.aluno_id),
+    dadosAula(agendamento)
+  ]);
+  if (!destinatario || !aula) return { enviado: false, motivo: 'dados_incompletos' };
+
+  return enviarEmail({
+    para: destinatario.email,
+    template: 'promocaoListaEspera',
+    dados: {
+      nome: destinatario.nome,
+      ...aula,
+      prazo: opcoes.prazo,
+      link: opcoes.link
+    },
+    usuario: destinatario.usuario
+  });
+};
+
+/**
+ * Avisar aluno agendado que a aula foi cancelada
+ * @param {Object} opcoes - motivo do cancelamento (opcional)
+ */
+const notificarCancelamentoAula = async (agendamento, opcoes = {}) => {
+  const [destinatario, aula] = await Promise.all([
+    resolverDestinatarioAluno(agendamento.aluno_id),
+    dadosAula(agendamento)
+  ]);
+  if (!destinatario || !aula) return { enviado: false, motivo: 'dados_incompletos' };
+
+  return enviarEmail({
+    para: destinatario.email,
+    template: 'cancelamentoAula',
+    dados: {
+      nome: destinatario.nome,
+      ...aula,
+      motivo: opcoes.motivo
+    },
+    usuario: destinatario.usuario
+  });
+};
+
+/**
+ * Parabenizar aluno pela graduação
+ */
+const notificarGraduacao = async (graduacao) => {
+  const destinatario = await resolverDestinatarioAluno(graduacao.aluno_id);
+  if (!destinatario) return { enviado: false, motivo: 'aluno_nao_encontrado' };
+
+  return enviarEmail({
+    para: destinatario.email,
+    template: 'graduacao',
+    dados: {
+      nome: destinatario.nome,
+      faixa: graduacao.faixa,
+      grau: graduacao.grau,
+      tipo_graduacao: graduacao.tipo_graduacao,
+      data: graduacao.data,
+      certificado_url: graduacao.certificado && graduacao.certificado.numero
+        ? graduacao.constructor.urlVerificacao(graduacao.certificado.numero)
+        : null
+    },
+    usuario: destinatario.usuario
+  });
+};
+
+/**
+ * Entregas por tipo de notificação da fila (outbox)
+ * email/celular recebem o documento de referência, os dados da notificação e,
+ * no caso do celular, os canais pendentes; aoEntregar marca o documento e
+ * aplicavel descarta a notificação quando o documento mudou (ex.: aula cancelada)
+ */
+const ENTREGAS = {
+  lembrete_pagamento: {
+    email: (mensalidade, dados) => notificarLembretePagamento(mensalidade, dados.dias, dados.link),
+    celular: (mensalidade, dados, canais) =>
+      enviarLembretePagamentoCelular(mensalidade, dados.dias, dados.link, canais)
+  },
+  confirmacao_pagamento: {
+    email: mensalidade => notificarConfirmacaoPagamento(mensalidade)
+  },
+  confirmacao_agendamento: {
+    email: agendamento => notificarAgendamento(agendamento),
+    aoEntregar: agendamento => mongoose.model('Booking').updateOne(
+      { _id: agendamento._id },
+      { $set: { 'notificacoes.confirmacao_enviada': true } }
+    )
+  },
+  promocao_lista_espera: {
+    // Confirmado direto ou oferta ainda aberta (recusada/expirada/cancelada não avisa)
+    aplicavel: agendamento => agendamento.status === 'confirmado' || agendamento.temOfertaPendente(),
+    email: (agendamento, dados) => notificarPromocaoListaEspera(agendamento, dados)
+  },
+  cancelamento_aula: {
+    email: (agendamento, dados) => notificarCancelamentoAula(agendamento, dados)
+  },
+  lembrete_aula: {
+    aplicavel: agendamento => agendamento.status === 'confirmado',
+    email: (agendamento, dados) => notificarLembreteAula(agendamento, dados.janela),
+    celular: (agendamento, dados, canais) => enviarLembreteAulaCelular(agendamento, canais),
+    aoEntregar: agendamento => mongoose.model('Booking').updateOne(
+      { _id: agendamento._id },
+      { $set: { 'notificacoes.lembrete_enviado': true } }
+    )
+  },
+  lembrete_aula_instrutor: {
+    aplicavel: aula => aula.status === 'agendada',
+    email: aula => notificarInstrutorAula(aula)
+  },
+  graduacao: {
+    email: graduacao => notificarGraduacao(graduacao)
+  }
+};
+
+/**
+ * Entregar uma notificação da fila nos canais ainda pendentes
+ * @param {Object} notificacao - documento Notification
+ * @returns {Promise<Object>} resultado por canal ({ email, sms, whatsapp })
+ */
+const entregarNotificacao = async (notificacao) => {
+  const entrega = ENTREGAS[notificacao.tipo];
+  if (!entrega) {
+    throw new Error(`Tipo de notificação não suportado: ${notificacao.tipo}`);
+  }
+
+  const { modelo, id } = notificacao.referencia;
+  const documento = await mongoose.model(modelo).findById(id);
+  if (!documento) {
+    throw new Error(`${modelo} ${id} não encontrado`);
+  }
+
+  const dados = notificacao.dados || {};
+  const resultados = {};
+
+  if (entrega.aplicavel && !entrega.aplicavel(documento)) {
+    notificacao.canais_pendentes.forEach(canal => {
+      resultados[canal] = { enviado: false, motivo: 'nao_aplicavel' };
+    });
+    return resultados;
+  }
+  const celulares = notificacao.canais_pendentes.filter(canal => canal !== 'email');
+
+  if (notificacao.canais_pendentes.includes('email')) {
+    resultados.email = entrega.email
+      ? await entrega.email(documento, dados)
+      : { enviado: false, motivo: 'canal_nao_suportado' };
+  }
+
+  if (celulares.length) {
+    if (entrega.celular) {
+      Object.assign(resultados, await entrega.celular(documento, dados, celulares));
+    } else {
+      celulares.forEach(canal => {
+        resultados[canal] = { enviado: false, motivo: 'canal_nao_suportado' };
+      });
+    }
+  }
+
+  if (entrega.aoEntregar && Object.values(resultados).some(resultado => resultado.enviado)) {
+    await entrega.aoEntregar(documento);
+  }
+
+  return resultados;
+};
+
+module.exports = {
+  enviarEmail,
+  enviarMensagem,
+  enviarMensagens,
+  enviarResetSenha,
+  notificarLembretePagamento,
+  enviarLembretePagamentoCelular,
+  notificarConfirmacaoPagamento,
+  notificarAgendamento,
+  notificarLembreteAula,
+  notificarInstrutorAula,
+  enviarLembreteAulaCelular,
+  notificarPromocaoListaEspera,
+  notificarCancelamentoAula,
+  notificarGraduacao,
+  entregarNotificacao,
+  resolverDestinatarioAluno
+};
@@ -0,0 +1,57 @@
+const { formatarMoeda, formatarData, formatarHora } = require('./emailTemplates');
+
+// Instrução de descadastro incluída em todas as mensagens
+const RODAPE_OPTOUT = 'Responda SAIR para não receber mais mensagens.';
+
+const templates = {
+  /**
+   * Lembrete de vencimento de mensalidade
+   * @param {Object} dados - nome, competencia, valor, vencimento, dias, link
+   */
+  lembretePagamento: (dados) => {
+    const situacao = dados.dias > 0 ? `vence em ${dados.dias} dia(s)` :
+                     dados.dias === 0 ? 'vence hoje' :
+                     `está vencida há ${Math.abs(dados.dias)} dia(s)`;
+
+    return [
+      `Olá, ${dados.nome}! A mensalidade ${dados.competencia} (${formatarMoeda(dados.valor)}) ${situacao}, em ${formatarData(dados.vencimento)}.`,
+      dados.link ? `Pague em: ${dados.link}` : null
+    ];
+  },
+
+  /**
+   * Lembrete de aula agendada
+   * @param {Object} dados - nome, turma, data, hora_inicio
+   */
+  lembreteAula: (dados) => [
+    `Olá, ${dados.nome}! Lembrete da aula ${dados.turma} em ${formatarData(dados.data)} às ${formatarHora(dados.hora_inicio)}.`,
+    'Se não puder comparecer, cancele o agendamento para liberar a vaga.'
+  ]
+};
+
+/**
+ * Renderizar uma mensagem curta de SMS/WhatsApp
+ * @param {string} nome - nome do template
+ * @param {Object} dados - dados do template
+ * @param {Object} academia - academyInfo das configurações
+ * @returns {string}
+ */
+const renderSms = (nome, dados, academia = {}) => {
+  const template = templates[nome];
+
+  if (!template) {
+    throw new Error(`Template de SMS não encontrado: ${nome}`);
+  }
+
+  return [
+    `${academia.name || 'Spartan Jiu-Jitsu'}:`,
+    ...template(dados).filter(Boolean),
+    RODAPE_OPTOUT
+  ].join(' ');
+};
+
+module.exports = {
+  templates,
+  renderSms,
+  RODAPE_OPTOUT
+};